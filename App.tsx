@@ -1,6 +1,6 @@
 // DMSApp/App.js
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useRef } from 'react';
+import { NavigationContainer, NavigationState } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { ActivityIndicator, View, StyleSheet } from 'react-native';
 
@@ -10,21 +10,38 @@ import HomeScreen from './screens/HomeScreen';
 import UploadScreen from './screens/UploadScreen';
 import SearchScreen from './screens/SearchScreen';
 import PreviewScreen from './screens/PreviewScreen';
+import EditDocumentScreen from './screens/EditDocumentScreen';
+import PendingUploadsScreen from './screens/PendingUploadsScreen';
+import DownloadsScreen from './screens/DownloadsScreen';
+import OfflineLibraryScreen from './screens/OfflineLibraryScreen';
+import ScanScreen from './screens/ScanScreen';
+import LockScreen from './screens/LockScreen';
+import SecuritySettingsScreen from './screens/SecuritySettingsScreen';
 
 // Import AuthContext for state management
 import { AuthProvider, useAuth } from './context/AuthContext';
+import { AppLockProvider, useAppLock } from './context/AppLockContext';
+import { UploadQueueProvider } from './context/UploadQueueContext';
+import { DownloadProvider } from './context/DownloadContext';
+import { OfflineProvider } from './context/OfflineContext';
+import { CategoryProvider } from './context/CategoryContext';
 
 const Stack = createNativeStackNavigator();
 
 /**
  * AppContent component handles conditional rendering based on authentication state.
  * It uses the useAuth hook to get userToken and isLoading status.
+ * While the app lock is engaged, LockScreen is rendered instead of the screens, so none of them stays
+ * mounted, loads data or can be reached under the lock. The navigation state is kept and restored
+ * on unlock, so the user returns to where they were.
  */
 const AppContent = () => {
     const { userToken, isLoading } = useAuth();
+    const { isLocked, isReady: isLockReady } = useAppLock();
+    const navigationStateRef = useRef<NavigationState | undefined>(undefined); // Latest state, restored after unlocking
 
-    // Show a loading indicator while the authentication token is being loaded
-    if (isLoading) {
+    // Show a loading indicator while the authentication token and lock settings are being loaded
+    if (isLoading || !isLockReady) {
         return (
             <View style={styles.loadingContainer}>
                 <ActivityIndicator size="large" color="#0000ff" />
@@ -32,33 +49,60 @@ const AppContent = () => {
         );
     }
 
+    if (userToken && isLocked) {
+        return <LockScreen />;
+    }
+
     return (
-        <Stack.Navigator>
-            {/* If userToken exists, user is authenticated, show main app screens */}
-            {userToken ? (
-                <>
-                    <Stack.Screen name="Home" component={HomeScreen} options={{ title: 'Document Management System' }} />
-                    <Stack.Screen name="Upload" component={UploadScreen} options={{ title: 'Upload Document' }} />
-                    <Stack.Screen name="Search" component={SearchScreen} options={{ title: 'Search Documents' }} />
-                    <Stack.Screen name="Preview" component={PreviewScreen} options={{ title: 'Document Preview' }} />
-                </>
-            ) : (
-                // If no userToken, show the Login screen
-                <Stack.Screen name="Login" component={LoginScreen} options={{ headerShown: false }} />
-            )}
-        </Stack.Navigator>
+        <NavigationContainer
+            // The screens of a signed-out user are not restored for the next one
+            initialState={userToken ? navigationStateRef.current : undefined}
+            onStateChange={state => {
+                navigationStateRef.current = state;
+            }}
+        >
+            <Stack.Navigator>
+                {/* If userToken exists, user is authenticated, show main app screens */}
+                {userToken ? (
+                    <>
+                        <Stack.Screen name="Home" component={HomeScreen} options={{ title: 'Document Management System' }} />
+                        <Stack.Screen name="Upload" component={UploadScreen} options={{ title: 'Upload Document' }} />
+                        <Stack.Screen name="Scan" component={ScanScreen} options={{ title: 'Scan Document' }} />
+                        <Stack.Screen name="Search" component={SearchScreen} options={{ title: 'Search Documents' }} />
+                        <Stack.Screen name="Preview" component={PreviewScreen} options={{ title: 'Document Preview' }} />
+                        <Stack.Screen name="EditDocument" component={EditDocumentScreen} options={{ title: 'Edit Document' }} />
+                        <Stack.Screen name="PendingUploads" component={PendingUploadsScreen} options={{ title: 'Pending Uploads' }} />
+                        <Stack.Screen name="Downloads" component={DownloadsScreen} options={{ title: 'Downloads' }} />
+                        <Stack.Screen name="OfflineLibrary" component={OfflineLibraryScreen} options={{ title: 'Offline Library' }} />
+                        <Stack.Screen name="SecuritySettings" component={SecuritySettingsScreen} options={{ title: 'Security' }} />
+                    </>
+                ) : (
+                    // If no userToken, show the Login screen
+                    <Stack.Screen name="Login" component={LoginScreen} options={{ headerShown: false }} />
+                )}
+            </Stack.Navigator>
+        </NavigationContainer>
     );
 };
 
 /**
- * Main App component that provides the AuthContext and sets up NavigationContainer.
+ * Main App component that provides the AuthContext, AppLockContext, CategoryContext, UploadQueueContext,
+ * DownloadContext and OfflineContext; AppContent sets up NavigationContainer.
  */
 const App = () => {
     return (
         <AuthProvider>
-            <NavigationContainer>
-                <AppContent />
-            </NavigationContainer>
+            <AppLockProvider>
+                <CategoryProvider>
+                    <UploadQueueProvider>
+                        <DownloadProvider>
+                            <OfflineProvider>
+                                <AppContent />
+                            </OfflineProvider>
+                        </DownloadProvider>
+                    </UploadQueueProvider>
+                </CategoryProvider>
+            </AppLockProvider>
         </AuthProvider>
     );
 };
@@ -0,0 +1,351 @@
+// DMSApp/__tests__/AuthContext.test.js
+import { renderHook, waitFor, act } from '@testing-library/react-native';
+import React from 'react';
+import * as Keychain from 'react-native-keychain';
+import RNFS from 'react-native-fs';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AuthProvider, useAuth } from '../context/AuthContext';
+import { AppLockProvider, useAppLock } from '../context/AppLockContext';
+import { OfflineProvider, useOffline } from '../context/OfflineContext';
+import { UploadQueueProvider, useUploadQueue } from '../context/UploadQueueContext';
+import { DownloadProvider, useDownloads } from '../context/DownloadContext';
+import { saveLockSettings, savePin, verifyPin, loadLockSettings } from '../services/AppLockService';
+import { searchDocuments } from '../services/DocumentService';
+import { recordUploadedHash, findUploadedByHash } from '../services/DuplicateService';
+import { saveSearch, addToSearchHistory, loadSavedSearches, loadSearchHistory, toStoredFilters } from '../services/SavedSearchService';
+import { recordTagUsage, loadTagUsage } from '../services/TagService';
+import { saveLastReadPage, loadLastReadPage } from '../services/ReadingPositionService';
+import { loadSession, saveSession, clearSession } from '../services/SessionStorage';
+import apiConfig from '../config/apiConfig';
+import { createResponse, mockFetch } from './helpers/fetchMock';
+import { createToken } from './helpers/token';
+
+const PROFILE = { id: '7', name: 'Asha', mobileNumber: '9876543210', role: 'Admin', isAdmin: false };
+
+// The offline store of PROFILE, with one document whose details are kept
+const OFFLINE_INDEX = { 5: { key: 5, document: { document_id: 5 }, filePath: null, size: 0, pinned: false } };
+
+/**
+ * Renders useAuth inside an AuthProvider and waits for the stored session to be read.
+ */
+const renderAuth = async () => {
+    const hook = renderHook(() => useAuth(), { wrapper: AuthProvider });
+    await waitFor(() => expect(hook.result.current.isLoading).toBe(false));
+    return hook;
+};
+
+/**
+ * Renders useAuth and useAppLock inside their providers, with the app lock of a previous user set up,
+ * and waits until the launch lock is decided.
+ */
+const renderWithAppLock = async () => {
+    await saveLockSettings({ enabled: true, biometricsEnabled: false, backgroundTimeoutSeconds: 60 });
+    await savePin('1234');
+    const wrapper = ({ children }) => <AuthProvider><AppLockProvider>{children}</AppLockProvider></AuthProvider>;
+    const hook = renderHook(() => ({ auth: useAuth(), lock: useAppLock() }), { wrapper });
+    await waitFor(() => expect(hook.result.current.lock.isReady).toBe(true));
+    return hook;
+};
+
+/**
+ * Checks that nothing of the app lock is left on the device.
+ */
+const expectAppLockRemoved = async (result) => {
+    await waitFor(() => expect(result.current.lock.lockSettings.enabled).toBe(false));
+    expect(result.current.lock.isLocked).toBe(false);
+    await expect(verifyPin('1234')).resolves.toBe(false);
+    await expect(loadLockSettings()).resolves.toMatchObject({ enabled: false, biometricsEnabled: false });
+};
+
+describe('AuthContext', () => {
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await clearSession();
+        await AsyncStorage.clear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('throws when used outside an AuthProvider', () => {
+        expect(() => renderHook(() => useAuth())).toThrow('useAuth must be used within an AuthProvider');
+    });
+
+    it('starts signed out when nothing is stored', async () => {
+        const { result } = await renderAuth();
+
+        expect(result.current.userToken).toBeNull();
+        expect(result.current.sessionExpired).toBe(false);
+    });
+
+    it('restores the stored session', async () => {
+        await saveSession('stored-token', PROFILE);
+
+        const { result } = await renderAuth();
+
+        expect(result.current.userToken).toBe('stored-token');
+        expect(result.current.userProfile).toEqual(PROFILE);
+    });
+
+    it('recovers the profile from the token when none was stored', async () => {
+        const token = createToken({ sub: 'u-1', name: 'Ravi' });
+        await saveSession(token, null);
+
+        const { result } = await renderAuth();
+
+        expect(result.current.userProfile).toMatchObject({ id: 'u-1', name: 'Ravi' });
+    });
+
+    it('drops an expired session and says why', async () => {
+        await saveSession(createToken({ sub: 'u-1', exp: Math.floor(Date.now() / 1000) - 60 }), PROFILE);
+
+        const { result } = await renderAuth();
+
+        expect(result.current.userToken).toBeNull();
+        expect(result.current.sessionExpired).toBe(true);
+        await expect(loadSession()).resolves.toBeNull();
+    });
+
+    it('stores the session on sign in and removes it on sign out', async () => {
+        const { result } = await renderAuth();
+
+        await act(() => result.current.signIn('new-token', PROFILE));
+
+        expect(result.current.userToken).toBe('new-token');
+        expect(Keychain.setGenericPassword).toHaveBeenLastCalledWith(
+            'session',
+            JSON.stringify({ token: 'new-token', profile: PROFILE }),
+            expect.objectContaining({ accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY }),
+        );
+
+        await act(() => result.current.signOut());
+
+        expect(result.current.userToken).toBeNull();
+        expect(result.current.userProfile).toBeNull();
+        await expect(loadSession()).resolves.toBeNull();
+    });
+
+    it('signs the user out when the server rejects the token and retries after the next sign in', async () => {
+        const originalRetryBaseDelayMs = apiConfig.retryBaseDelayMs;
+        apiConfig.retryBaseDelayMs = 0;
+        await saveSession('old-token', PROFILE);
+        const { result } = await renderAuth();
+        const fetchMock = mockFetch(
+            createResponse({ success: false, message: 'Token expired' }, { status: 401 }),
+            createResponse({ success: true, data: [] }),
+        );
+
+        let search;
+        await act(async () => {
+            search = searchDocuments({});
+        });
+        await waitFor(() => expect(result.current.sessionExpired).toBe(true));
+        expect(result.current.userToken).toBeNull();
+
+        await act(() => result.current.signIn('new-token', PROFILE));
+
+        await expect(search).resolves.toEqual({ success: true, data: [] });
+        expect(fetchMock.mock.calls[1][1].headers.token).toBe('new-token');
+        apiConfig.retryBaseDelayMs = originalRetryBaseDelayMs;
+    });
+
+    it('fails the requests waiting for a new login when a different user signs in', async () => {
+        await saveSession('old-token', PROFILE);
+        const { result } = await renderAuth();
+        const fetchMock = mockFetch(createResponse({ success: false, message: 'Token expired' }, { status: 401 }));
+
+        let search;
+        await act(async () => {
+            search = searchDocuments({});
+        });
+        await waitFor(() => expect(result.current.sessionExpired).toBe(true));
+
+        const failure = search.catch(error => error); // Rejects during signIn
+        await act(() => result.current.signIn('other-token', { ...PROFILE, id: '8', name: 'Ravi', mobileNumber: '9123456780' }));
+
+        expect(await failure).toMatchObject({ type: 'auth', message: 'You signed in as a different user.' });
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('removes the PIN and app lock on sign out', async () => {
+        await saveSession('stored-token', PROFILE);
+        const { result } = await renderWithAppLock();
+        expect(result.current.lock.isLocked).toBe(true);
+
+        await act(() => result.current.auth.signOut());
+
+        expect(result.current.auth.userToken).toBeNull();
+        await expectAppLockRemoved(result);
+    });
+
+    it('keeps the PIN and app lock when the stored session has expired', async () => {
+        await saveSession(createToken({ sub: 'u-1', exp: Math.floor(Date.now() / 1000) - 60 }), PROFILE);
+
+        const { result } = await renderWithAppLock();
+
+        expect(result.current.auth.sessionExpired).toBe(true);
+        expect(result.current.lock.lockSettings.enabled).toBe(true);
+        await expect(verifyPin('1234')).resolves.toBe(true);
+    });
+
+    it('keeps the PIN and app lock when the server rejects the token', async () => {
+        await saveSession('old-token', PROFILE);
+        const { result } = await renderWithAppLock();
+        mockFetch(createResponse({ success: false, message: 'Token expired' }, { status: 401 }));
+
+        await act(async () => {
+            searchDocuments({}).catch(() => {});
+        });
+
+        await waitFor(() => expect(result.current.auth.sessionExpired).toBe(true));
+        expect(result.current.lock.lockSettings.enabled).toBe(true);
+        await expect(verifyPin('1234')).resolves.toBe(true);
+    });
+
+    it('removes the PIN and app lock when another user logs in after the session expired', async () => {
+        await saveSession(createToken({ sub: '7', exp: Math.floor(Date.now() / 1000) - 60 }), PROFILE);
+        const { result } = await renderWithAppLock();
+        expect(result.current.auth.sessionExpired).toBe(true);
+
+        await act(() => result.current.auth.signIn('other-token', { ...PROFILE, id: '8', mobileNumber: '9123456780' }));
+
+        await expectAppLockRemoved(result);
+    });
+
+    it('removes the offline documents and their files on sign out', async () => {
+        jest.spyOn(RNFS, 'exists').mockImplementation(async path => path === '/documents/offline');
+        await saveSession('stored-token', PROFILE);
+        const wrapper = ({ children }) => <AuthProvider><OfflineProvider>{children}</OfflineProvider></AuthProvider>;
+        const { result } = renderHook(() => ({ auth: useAuth(), offline: useOffline() }), { wrapper });
+        await waitFor(() => expect(result.current.offline.isLoaded).toBe(true));
+        await act(() => result.current.offline.setAvailableOffline({ document_id: 5, file_url: 'https://files.example.com/a.pdf' }, true));
+        expect(result.current.offline.offlineEntries).toHaveLength(1);
+
+        await act(() => result.current.auth.signOut());
+
+        expect(result.current.offline.offlineEntries).toEqual([]);
+        expect(RNFS.unlink).toHaveBeenCalledWith('/documents/offline');
+        await expect(AsyncStorage.getItem('offlineDocuments')).resolves.toBeNull();
+    });
+
+    it('removes the queued uploads and their files on sign out', async () => {
+        jest.spyOn(RNFS, 'exists').mockImplementation(async path => path === '/documents/upload-queue');
+        await saveSession('stored-token', PROFILE);
+        // Failed for good, so it is not sent while the test runs
+        await AsyncStorage.setItem('uploadQueue', JSON.stringify([{
+            id: 'q-1',
+            file: { uri: 'file:///documents/upload-queue/q-1-invoice.pdf', name: 'invoice.pdf', type: 'application/pdf' },
+            documentData: { major_head: 'Professional', minor_head: 'Accounts', user_id: PROFILE.id },
+            status: 'failed',
+            attempts: 1,
+            nextAttemptAt: 0,
+        }]));
+        const wrapper = ({ children }) => <AuthProvider><UploadQueueProvider>{children}</UploadQueueProvider></AuthProvider>;
+        const { result } = renderHook(() => ({ auth: useAuth(), uploads: useUploadQueue() }), { wrapper });
+        await waitFor(() => expect(result.current.uploads.queue).toHaveLength(1));
+
+        await act(() => result.current.auth.signOut());
+
+        expect(result.current.uploads.queue).toEqual([]);
+        expect(RNFS.unlink).toHaveBeenCalledWith('/documents/upload-queue');
+        await expect(AsyncStorage.getItem('uploadQueue')).resolves.toBe('[]');
+    });
+
+    it('removes the download list and the downloaded files in the app storage on sign out', async () => {
+        jest.spyOn(RNFS, 'exists').mockImplementation(async () => true);
+        await saveSession('stored-token', PROFILE);
+        await AsyncStorage.setItem('downloads', JSON.stringify([
+            { id: 'd-1', fileName: 'invoice.pdf', filePath: '/documents/invoice.pdf', document: { document_id: 5 } },
+            // Saved to the shared Downloads folder on Android, the user's own copy
+            { id: 'd-2', fileName: 'receipt.pdf', filePath: '/downloads/receipt.pdf', document: { document_id: 6 } },
+        ]));
+        const wrapper = ({ children }) => <AuthProvider><DownloadProvider>{children}</DownloadProvider></AuthProvider>;
+        const { result } = renderHook(() => ({ auth: useAuth(), downloads: useDownloads() }), { wrapper });
+        await waitFor(() => expect(result.current.downloads.downloads).toHaveLength(2));
+
+        await act(() => result.current.auth.signOut());
+
+        expect(result.current.downloads.downloads).toEqual([]);
+        expect(RNFS.unlink).toHaveBeenCalledWith('/documents/invoice.pdf');
+        expect(RNFS.unlink).not.toHaveBeenCalledWith('/downloads/receipt.pdf');
+        await expect(AsyncStorage.getItem('downloads')).resolves.toBeNull();
+    });
+
+    it('forgets the hashes of the uploads on sign out', async () => {
+        await saveSession('stored-token', PROFILE);
+        await recordUploadedHash('file-hash', { document_id: 5, document_name: 'invoice.pdf' });
+        const { result } = await renderAuth();
+
+        await act(() => result.current.signOut());
+
+        await expect(findUploadedByHash('file-hash')).resolves.toBeNull();
+    });
+
+    it('removes the saved searches and the search history on sign out', async () => {
+        await saveSession('stored-token', PROFILE);
+        const filters = toStoredFilters({ majorHead: 'Professional', query: 'invoice', uploadedBy: '7' });
+        await saveSearch('My invoices', filters);
+        await addToSearchHistory(filters);
+        const { result } = await renderAuth();
+
+        await act(() => result.current.signOut());
+
+        await expect(loadSavedSearches()).resolves.toEqual([]);
+        await expect(loadSearchHistory()).resolves.toEqual([]);
+    });
+
+    it('forgets which tags were used on sign out', async () => {
+        await saveSession('stored-token', PROFILE);
+        await recordTagUsage(['invoice']);
+        const { result } = await renderAuth();
+
+        await act(() => result.current.signOut());
+
+        await expect(loadTagUsage()).resolves.toEqual({});
+    });
+
+    it('forgets the reading positions on sign out', async () => {
+        await saveSession('stored-token', PROFILE);
+        await saveLastReadPage('5', 3);
+        const { result } = await renderAuth();
+
+        await act(() => result.current.signOut());
+
+        await expect(loadLastReadPage('5')).resolves.toBeNull();
+    });
+
+    it('keeps the offline documents while the session is expired and removes them when another user logs in', async () => {
+        await saveSession(createToken({ sub: '7', exp: Math.floor(Date.now() / 1000) - 60 }), PROFILE);
+        await AsyncStorage.setItem('offlineDocuments', JSON.stringify(OFFLINE_INDEX));
+        const wrapper = ({ children }) => <AuthProvider><OfflineProvider>{children}</OfflineProvider></AuthProvider>;
+        const { result, unmount } = renderHook(() => ({ auth: useAuth(), offline: useOffline() }), { wrapper });
+        await waitFor(() => expect(result.current.auth.sessionExpired).toBe(true));
+        await waitFor(() => expect(result.current.offline.isLoaded).toBe(true));
+        expect(result.current.offline.offlineEntries).toHaveLength(1);
+
+        // The app is restarted before anybody logs in
+        unmount();
+        const restarted = renderHook(() => ({ auth: useAuth(), offline: useOffline() }), { wrapper });
+        await waitFor(() => expect(restarted.result.current.offline.isLoaded).toBe(true));
+        expect(restarted.result.current.offline.offlineEntries).toHaveLength(1);
+
+        await act(() => restarted.result.current.auth.signIn('other-token', { ...PROFILE, id: '8', mobileNumber: '9123456780' }));
+
+        expect(restarted.result.current.offline.offlineEntries).toEqual([]);
+        await expect(AsyncStorage.getItem('offlineDocuments')).resolves.toBeNull();
+    });
+
+    it('keeps the offline documents when the same user logs in again', async () => {
+        await saveSession(createToken({ sub: '7', exp: Math.floor(Date.now() / 1000) - 60 }), PROFILE);
+        await AsyncStorage.setItem('offlineDocuments', JSON.stringify(OFFLINE_INDEX));
+        const wrapper = ({ children }) => <AuthProvider><OfflineProvider>{children}</OfflineProvider></AuthProvider>;
+        const { result } = renderHook(() => ({ auth: useAuth(), offline: useOffline() }), { wrapper });
+        await waitFor(() => expect(result.current.auth.sessionExpired).toBe(true));
+        await waitFor(() => expect(result.current.offline.isLoaded).toBe(true));
+
+        await act(() => result.current.auth.signIn('new-token', PROFILE));
+
+        expect(result.current.offline.offlineEntries).toHaveLength(1);
+    });
+});
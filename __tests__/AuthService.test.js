@@ -0,0 +1,116 @@
+// DMSApp/__tests__/AuthService.test.js
+import {
+    generateOTP,
+    validateOTP,
+    validateMobileNumber,
+    toApiMobileNumber,
+    extractUserProfile,
+} from '../services/AuthService';
+import { API_ERROR_TYPES } from '../services/ApiClient';
+import authConfig from '../config/authConfig';
+import { createResponse, mockFetch, getFetchRequest } from './helpers/fetchMock';
+import { createToken } from './helpers/token';
+
+describe('AuthService', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('generateOTP', () => {
+        it('posts the mobile number without a token', async () => {
+            mockFetch(createResponse({ success: true, message: 'OTP sent' }));
+
+            const response = await generateOTP('9876543210');
+
+            expect(response).toEqual({ success: true, message: 'OTP sent' });
+            const { url, headers, body } = getFetchRequest();
+            expect(url).toMatch(/\/generateOTP$/);
+            expect(headers.token).toBeUndefined();
+            expect(body).toEqual({ mobile_number: '9876543210' });
+        });
+
+        it('reports a 429 as a rate limit with the Retry-After wait', async () => {
+            mockFetch(createResponse('<html>Too Many Requests</html>', { status: 429, headers: { 'Retry-After': '120' } }));
+
+            await expect(generateOTP('9876543210')).rejects.toMatchObject({
+                type: API_ERROR_TYPES.RATE_LIMIT,
+                retryAfterSeconds: 120,
+            });
+        });
+
+        it('falls back to the configured wait when the server does not say', async () => {
+            mockFetch(createResponse({ success: false, message: 'Too many OTP requests, try again later' }));
+
+            await expect(generateOTP('9876543210')).rejects.toMatchObject({
+                type: API_ERROR_TYPES.RATE_LIMIT,
+                message: 'Too many OTP requests, try again later',
+                retryAfterSeconds: authConfig.defaultRateLimitSeconds,
+            });
+        });
+
+        it('reports an unreachable server as a network error and does not retry', async () => {
+            const fetchMock = mockFetch(new TypeError('Network request failed'));
+
+            await expect(generateOTP('9876543210')).rejects.toMatchObject({ type: API_ERROR_TYPES.NETWORK });
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('validateOTP', () => {
+        it('returns the token on success', async () => {
+            mockFetch(createResponse({ success: true, token: 'abc' }));
+
+            await expect(validateOTP('9876543210', '123456')).resolves.toEqual({ success: true, token: 'abc' });
+            expect(getFetchRequest().body).toEqual({ mobile_number: '9876543210', otp: '123456' });
+        });
+
+        it('returns a wrong OTP as an unsuccessful response', async () => {
+            mockFetch(createResponse({ success: false, message: 'Invalid OTP' }));
+
+            await expect(validateOTP('9876543210', '000000')).resolves.toEqual({ success: false, message: 'Invalid OTP' });
+        });
+
+        it('reports a non-JSON error page as a server error', async () => {
+            mockFetch(createResponse('<html>Bad Gateway</html>', { status: 502 }));
+
+            await expect(validateOTP('9876543210', '123456')).rejects.toMatchObject({
+                type: API_ERROR_TYPES.SERVER,
+                status: 502,
+            });
+        });
+    });
+
+    describe('mobile numbers', () => {
+        it('accepts a valid number of the chosen country', () => {
+            expect(validateMobileNumber('98765 43210', 'IN')).toBeNull();
+        });
+
+        it('rejects an empty or invalid number', () => {
+            expect(validateMobileNumber('  ', 'IN')).toBe('Please enter your mobile number.');
+            expect(validateMobileNumber('12345', 'IN')).toMatch(/valid mobile number for \+91/);
+        });
+
+        it('sends the national number for the default country and the international one otherwise', () => {
+            expect(toApiMobileNumber('+91 98765 43210', 'IN')).toBe('9876543210');
+            expect(toApiMobileNumber('07400 123456', 'GB')).toBe('+447400123456');
+        });
+    });
+
+    describe('extractUserProfile', () => {
+        it('prefers the details in the response body', () => {
+            const profile = extractUserProfile({ data: { user_id: 7, user_name: 'Asha', role: 'Admin' } }, '9876543210');
+
+            expect(profile).toEqual({ id: '7', name: 'Asha', mobileNumber: '9876543210', role: 'Admin', isAdmin: false });
+        });
+
+        it('falls back to the claims of the token', () => {
+            const profile = extractUserProfile({ token: createToken({ sub: 'u-1', name: 'Ravi', is_admin: 1 }) }, '9876543210');
+
+            expect(profile).toMatchObject({ id: 'u-1', name: 'Ravi', isAdmin: true });
+        });
+    });
+});
@@ -0,0 +1,274 @@
+// DMSApp/__tests__/DocumentService.test.js
+import {
+    searchDocuments,
+    fetchDocumentTags,
+    uploadDocument,
+    deleteDocumentEntry,
+    fetchDocumentVersions,
+    getVersionGroupId,
+} from '../services/DocumentService';
+import {
+    API_ERROR_TYPES,
+    setAuthFailureHandler,
+    resumePendingRequests,
+    rejectPendingRequests,
+} from '../services/ApiClient';
+import { saveSession, clearSession } from '../services/SessionStorage';
+import apiConfig from '../config/apiConfig';
+import { createResponse, mockFetch, getFetchRequest } from './helpers/fetchMock';
+
+const SEARCH_CRITERIA = {
+    major_head: 'Professional',
+    minor_head: 'Accounts',
+    from_date: '2024-01-01',
+    to_date: '2024-12-31',
+    tags: [{ tag_name: 'invoice' }],
+    uploaded_by: '',
+    filterId: '',
+    search: { value: 'rmc' },
+    start: 0,
+    length: 20,
+};
+
+/**
+ * Stands in for XMLHttpRequest, which uploads use to report progress; answers every request with `response`.
+ */
+class FakeXMLHttpRequest {
+    static response = { status: 200, body: '{}' };
+    static requests = [];
+
+    constructor() {
+        this.upload = {};
+        this.headers = {};
+        FakeXMLHttpRequest.requests.push(this);
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    getResponseHeader() {
+        return null;
+    }
+
+    send(body) {
+        this.body = body;
+        this.upload.onprogress?.({ lengthComputable: true, loaded: 50, total: 100 });
+        this.status = FakeXMLHttpRequest.response.status;
+        this.responseText = FakeXMLHttpRequest.response.body;
+        this.onload();
+    }
+
+    abort() {
+        this.onabort?.();
+    }
+}
+
+describe('DocumentService', () => {
+    const originalConfig = { ...apiConfig };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        apiConfig.retryBaseDelayMs = 0;
+        await saveSession('user-token', { id: '1' });
+    });
+
+    afterEach(() => {
+        Object.assign(apiConfig, originalConfig);
+        setAuthFailureHandler(null);
+        jest.restoreAllMocks();
+    });
+
+    describe('searchDocuments', () => {
+        it('sends the criteria with the user token and returns the results', async () => {
+            const results = { success: true, data: [{ document_id: 1 }], recordsFiltered: 1 };
+            mockFetch(createResponse(results));
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).resolves.toEqual(results);
+            const { url, headers, body } = getFetchRequest();
+            expect(url).toBe('https://apis.allsoft.co/api/documentManagement/searchDocumentEntry');
+            expect(headers.token).toBe('user-token');
+            expect(body).toEqual(SEARCH_CRITERIA);
+        });
+
+        it('retries server errors with backoff', async () => {
+            const fetchMock = mockFetch(
+                createResponse('<html>Service Unavailable</html>', { status: 503 }),
+                createResponse({ success: true, data: [] }),
+            );
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).resolves.toEqual({ success: true, data: [] });
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+        });
+
+        it('gives up after the configured retries', async () => {
+            const fetchMock = mockFetch(
+                new TypeError('Network request failed'),
+                new TypeError('Network request failed'),
+                new TypeError('Network request failed'),
+            );
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).rejects.toMatchObject({ type: API_ERROR_TYPES.NETWORK });
+            expect(fetchMock).toHaveBeenCalledTimes(apiConfig.maxRetries + 1);
+        });
+
+        it('does not retry validation errors', async () => {
+            const fetchMock = mockFetch(createResponse({ success: false, message: 'Invalid date range' }, { status: 422 }));
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).rejects.toMatchObject({
+                type: API_ERROR_TYPES.VALIDATION,
+                message: 'Invalid date range',
+                status: 422,
+            });
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+        });
+
+        it('times out a request the server does not answer', async () => {
+            apiConfig.requestTimeoutMs = 20;
+            apiConfig.maxRetries = 0;
+            global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+            }));
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).rejects.toMatchObject({
+                type: API_ERROR_TYPES.NETWORK,
+                isTimeout: true,
+            });
+        });
+
+        it('rejects with an AbortError when the caller aborts', async () => {
+            const controller = new AbortController();
+            global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+            }));
+
+            const request = searchDocuments(SEARCH_CRITERIA, { signal: controller.signal });
+            controller.abort();
+
+            await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+        });
+
+        it('signs the user out on a rejected token and retries after the next login', async () => {
+            const authFailureHandler = jest.fn(() => resumePendingRequests());
+            setAuthFailureHandler(authFailureHandler);
+            const fetchMock = mockFetch(
+                createResponse({ success: false, message: 'Invalid token' }),
+                createResponse({ success: true, data: [] }),
+            );
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).resolves.toEqual({ success: true, data: [] });
+            expect(authFailureHandler).toHaveBeenCalledTimes(1);
+            expect(fetchMock).toHaveBeenCalledTimes(2);
+        });
+
+        it('removes its abort listeners once the request is retried after login', async () => {
+            setAuthFailureHandler(() => resumePendingRequests());
+            mockFetch(
+                createResponse({ success: false, message: 'Invalid token' }),
+                createResponse({ success: true, data: [] }),
+            );
+            const { signal } = new AbortController();
+            const addListener = jest.spyOn(signal, 'addEventListener');
+            const removeListener = jest.spyOn(signal, 'removeEventListener');
+
+            await searchDocuments(SEARCH_CRITERIA, { signal });
+
+            const added = addListener.mock.calls.map(([, listener]) => listener);
+            const removed = removeListener.mock.calls.map(([, listener]) => listener);
+            expect(added.length).toBeGreaterThan(0);
+            expect(removed).toEqual(expect.arrayContaining(added));
+        });
+    });
+
+    describe('fetchDocumentTags', () => {
+        it('sends the search term', async () => {
+            mockFetch(createResponse({ success: true, data: [{ tag_name: 'invoice' }] }));
+
+            await fetchDocumentTags('inv');
+
+            expect(getFetchRequest().body).toEqual({ term: 'inv' });
+        });
+    });
+
+    describe('deleteDocumentEntry', () => {
+        it('is not retried, a repeated deletion would fail', async () => {
+            const fetchMock = mockFetch(createResponse('<html>Bad Gateway</html>', { status: 502 }));
+
+            await expect(deleteDocumentEntry(5)).rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER });
+            expect(fetchMock).toHaveBeenCalledTimes(1);
+            expect(getFetchRequest().body).toEqual({ document_id: 5 });
+        });
+    });
+
+    describe('fetchDocumentVersions', () => {
+        it('asks for the versions of the document', async () => {
+            const versions = [{ document_id: 3, parent_document_id: 1, version_number: 2 }, { document_id: 1, version_number: 1 }];
+            mockFetch(createResponse({ success: true, data: versions }));
+
+            await expect(fetchDocumentVersions(3)).resolves.toEqual({ success: true, data: versions });
+            expect(getFetchRequest().url).toMatch(/\/documentVersions$/);
+            expect(getFetchRequest().body).toEqual({ document_id: 3 });
+        });
+
+        it('groups every version under the original document', () => {
+            expect(getVersionGroupId({ document_id: 3, parent_document_id: 1 })).toBe(1);
+            expect(getVersionGroupId({ document_id: 1 })).toBe(1);
+        });
+    });
+
+    describe('uploadDocument', () => {
+        const originalXMLHttpRequest = global.XMLHttpRequest;
+
+        beforeEach(() => {
+            global.XMLHttpRequest = FakeXMLHttpRequest;
+            FakeXMLHttpRequest.requests = [];
+        });
+
+        afterEach(() => {
+            global.XMLHttpRequest = originalXMLHttpRequest;
+        });
+
+        it('sends the file and metadata as multipart data and reports progress', async () => {
+            FakeXMLHttpRequest.response = { status: 200, body: JSON.stringify({ success: true }) };
+            const onProgress = jest.fn();
+            const documentData = { major_head: 'Personal', minor_head: 'John', document_date: '2024-05-01', tags: [] };
+
+            await expect(uploadDocument('file:///scan.pdf', 'scan.pdf', 'application/pdf', documentData, { onProgress }))
+                .resolves.toEqual({ success: true });
+
+            const [request] = FakeXMLHttpRequest.requests;
+            expect(request.url).toMatch(/\/saveDocumentEntry$/);
+            expect(request.headers.token).toBe('user-token');
+            expect(request.body.getParts()).toEqual([
+                expect.objectContaining({ fieldName: 'file', uri: 'file:///scan.pdf', name: 'scan.pdf', type: 'application/pdf' }),
+                expect.objectContaining({ fieldName: 'data', string: JSON.stringify(documentData) }),
+            ]);
+            expect(onProgress).toHaveBeenCalledWith(0.5);
+        });
+
+        it('reports a server failure as retryable', async () => {
+            FakeXMLHttpRequest.response = { status: 500, body: 'Internal Server Error' };
+
+            await expect(uploadDocument('file:///scan.pdf', 'scan.pdf', 'application/pdf', {})).rejects.toMatchObject({
+                type: API_ERROR_TYPES.SERVER,
+                status: 500,
+            });
+        });
+    });
+
+    describe('without a session', () => {
+        it('fails with an auth error once the user signs out', async () => {
+            await clearSession();
+            setAuthFailureHandler(() => rejectPendingRequests());
+            global.fetch = jest.fn();
+
+            await expect(searchDocuments(SEARCH_CRITERIA)).rejects.toMatchObject({ type: API_ERROR_TYPES.AUTH });
+            expect(global.fetch).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,43 @@
+// DMSApp/__tests__/EditDocumentScreen.test.js
+import { Alert } from 'react-native';
+import { screen, fireEvent } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import EditDocumentScreen from '../screens/EditDocumentScreen';
+import { mockApi, getRequestBodies } from './helpers/fetchMock';
+import { renderScreen } from './helpers/render';
+
+const INVOICE = {
+    document_id: 1,
+    document_name: 'invoice-march.pdf',
+    major_head: 'Professional',
+    minor_head: 'Accounts',
+    document_date: '2024-03-31',
+    document_remarks: 'March invoice',
+    tags: [{ tag_name: 'invoice' }],
+};
+
+describe('EditDocumentScreen', () => {
+    beforeEach(async () => {
+        await AsyncStorage.clear();
+        jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+        mockApi({
+            '/documentCategories': { success: true, data: [{ major_head: 'Professional', minor_head: 'Accounts' }] },
+            '/documentTags': { success: true, data: [] },
+            '/updateDocumentEntry': { success: true },
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('asks for at least one tag, as an upload does', async () => {
+        await renderScreen(EditDocumentScreen, { document: INVOICE });
+
+        fireEvent.press(screen.getByText('x')); // Removes the only tag
+        fireEvent.press(screen.getByText('Save Changes'));
+
+        expect(Alert.alert).toHaveBeenCalledWith('Validation Error', 'Please add at least one tag.');
+        expect(getRequestBodies('/updateDocumentEntry')).toEqual([]);
+    });
+});
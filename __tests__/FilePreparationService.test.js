@@ -0,0 +1,58 @@
+// DMSApp/__tests__/FilePreparationService.test.js
+import { Image } from 'react-native';
+import ImageResizer from '@bam.tech/react-native-image-resizer';
+import { prepareFileForUpload } from '../services/FilePreparationService';
+
+const SMALL_PHOTO = { uri: 'file:///picked/receipt.jpg', name: 'receipt.jpg', type: 'image/jpeg', size: 200 * 1024 };
+
+describe('FilePreparationService', () => {
+    beforeEach(() => {
+        ImageResizer.createResizedImage.mockClear();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('prepareFileForUpload', () => {
+        it('uploads a small image within the maximum resolution as it is', async () => {
+            jest.spyOn(Image, 'getSize').mockResolvedValue({ width: 1600, height: 1200 });
+
+            await expect(prepareFileForUpload(SMALL_PHOTO)).resolves.toEqual({ ...SMALL_PHOTO, originalSize: SMALL_PHOTO.size });
+            expect(ImageResizer.createResizedImage).not.toHaveBeenCalled();
+        });
+
+        it('scales down a small image wider than the maximum resolution', async () => {
+            jest.spyOn(Image, 'getSize').mockResolvedValue({ width: 4000, height: 3000 });
+            ImageResizer.createResizedImage.mockResolvedValueOnce({ uri: 'file:///cache/receipt.jpg', size: 240 * 1024 });
+
+            const prepared = await prepareFileForUpload(SMALL_PHOTO);
+
+            // Kept although it came out larger, the resolution is what had to change
+            expect(prepared).toEqual({
+                uri: 'file:///cache/receipt.jpg',
+                name: 'receipt.jpg',
+                type: 'image/jpeg',
+                size: 240 * 1024,
+                originalSize: SMALL_PHOTO.size,
+            });
+            expect(ImageResizer.createResizedImage).toHaveBeenCalledWith(
+                SMALL_PHOTO.uri, 2048, 2048, 'JPEG', 80, 0, null, false, { mode: 'contain', onlyScaleDown: true }
+            );
+        });
+
+        it('uses the dimensions the camera reported without reading the image', async () => {
+            const getSize = jest.spyOn(Image, 'getSize');
+
+            await prepareFileForUpload({ ...SMALL_PHOTO, width: 3024, height: 4032 });
+
+            expect(getSize).not.toHaveBeenCalled();
+            expect(ImageResizer.createResizedImage).toHaveBeenCalled();
+        });
+
+        it('rejects a file type the server does not accept', async () => {
+            await expect(prepareFileForUpload({ uri: 'file:///picked/notes.txt', name: 'notes.txt', size: 10 }))
+                .rejects.toThrow('notes.txt: this file type (unknown) cannot be uploaded. Please choose an image or a PDF.');
+        });
+    });
+});
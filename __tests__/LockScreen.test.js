@@ -0,0 +1,42 @@
+// DMSApp/__tests__/LockScreen.test.js
+import React from 'react';
+import { screen, fireEvent, renderAsync } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import App from '../App';
+import { saveSession } from '../services/SessionStorage';
+import { saveLockSettings, savePin } from '../services/AppLockService';
+import { mockApi } from './helpers/fetchMock';
+import { TEST_PROFILE } from './helpers/render';
+
+describe('App lock', () => {
+    beforeEach(async () => {
+        await AsyncStorage.clear();
+        await saveSession('user-token', TEST_PROFILE);
+        await saveLockSettings({ enabled: true, biometricsEnabled: false, backgroundTimeoutSeconds: 60 });
+        await savePin('1234');
+        mockApi({ '/documentCategories': { success: true, data: [] } });
+    });
+
+    it('shows only the lock screen until the right PIN is entered', async () => {
+        await renderAsync(<App />);
+
+        expect(await screen.findByText('DMSApp is Locked')).toBeTruthy();
+        // The screens are not mounted under the lock
+        expect(screen.queryByText(`Welcome, ${TEST_PROFILE.name}!`)).toBeNull();
+
+        fireEvent.changeText(screen.getByLabelText('PIN'), '1234');
+
+        expect(await screen.findByText(`Welcome, ${TEST_PROFILE.name}!`)).toBeTruthy();
+        expect(screen.queryByText('DMSApp is Locked')).toBeNull();
+    });
+
+    it('stays locked after a wrong PIN', async () => {
+        await renderAsync(<App />);
+        await screen.findByText('DMSApp is Locked');
+
+        fireEvent.changeText(screen.getByLabelText('PIN'), '9999');
+
+        expect(await screen.findByText('Wrong PIN. 4 attempts left.')).toBeTruthy();
+        expect(screen.queryByText(`Welcome, ${TEST_PROFILE.name}!`)).toBeNull();
+    });
+});
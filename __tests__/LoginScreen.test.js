@@ -0,0 +1,80 @@
+// DMSApp/__tests__/LoginScreen.test.js
+import { Alert } from 'react-native';
+import { screen, fireEvent, waitFor } from '@testing-library/react-native';
+import { loadSession } from '../services/SessionStorage';
+import { createResponse, mockFetch, getFetchRequest } from './helpers/fetchMock';
+import { renderApp } from './helpers/render';
+
+/**
+ * Returns the hidden field of OtpInput that receives the typed digits.
+ */
+const getOtpField = () => screen.UNSAFE_getByProps({ textContentType: 'oneTimeCode' });
+
+describe('OTP login', () => {
+    beforeEach(() => {
+        jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rejects an invalid mobile number without calling the server', async () => {
+        global.fetch = jest.fn();
+        await renderApp({ signedIn: false });
+
+        fireEvent.changeText(screen.getByPlaceholderText('Enter mobile number'), '12345');
+        fireEvent.press(screen.getByText('Generate OTP'));
+
+        expect(Alert.alert).toHaveBeenCalledWith('Input Error', expect.stringMatching(/valid mobile number/));
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('signs in with the OTP as soon as all digits are entered', async () => {
+        mockFetch(
+            createResponse({ success: true, message: 'OTP sent' }),
+            createResponse({ success: true, token: 'new-token', data: { user_id: 7, user_name: 'Asha' } }),
+        );
+        await renderApp({ signedIn: false });
+
+        fireEvent.changeText(screen.getByPlaceholderText('Enter mobile number'), '98765 43210');
+        fireEvent.press(screen.getByText('Generate OTP'));
+        await screen.findByText(/Enter the 6-digit OTP/);
+        fireEvent.changeText(getOtpField(), '123456');
+
+        await screen.findByText('Welcome, Asha!');
+        expect(getFetchRequest(0).body).toEqual({ mobile_number: '9876543210' });
+        expect(getFetchRequest(1).body).toEqual({ mobile_number: '9876543210', otp: '123456' });
+        expect(Alert.alert).toHaveBeenCalledWith('Success', 'Login successful!');
+        await expect(loadSession()).resolves.toMatchObject({ token: 'new-token' });
+    });
+
+    it('keeps the user on the OTP step after a wrong code', async () => {
+        mockFetch(
+            createResponse({ success: true, message: 'OTP sent' }),
+            createResponse({ success: false, message: 'Invalid OTP' }),
+        );
+        await renderApp({ signedIn: false });
+
+        fireEvent.changeText(screen.getByPlaceholderText('Enter mobile number'), '9876543210');
+        fireEvent.press(screen.getByText('Generate OTP'));
+        await screen.findByText(/Enter the 6-digit OTP/);
+        fireEvent.changeText(getOtpField(), '000000');
+
+        await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Error', 'Invalid OTP'));
+        expect(getOtpField().props.value).toBe('');
+        expect(screen.getByText('Validate OTP')).toBeTruthy();
+    });
+
+    it('locks the form while the server rate-limits', async () => {
+        mockFetch(createResponse({ success: false, message: 'Too many requests' }, { status: 429, headers: { 'Retry-After': '90' } }));
+        await renderApp({ signedIn: false });
+
+        fireEvent.changeText(screen.getByPlaceholderText('Enter mobile number'), '9876543210');
+        fireEvent.press(screen.getByText('Generate OTP'));
+
+        expect(await screen.findByText(/please try again in 1:30/)).toBeTruthy();
+        expect(Alert.alert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,240 @@
+// DMSApp/__tests__/PreviewScreen.test.js
+import { Alert, Image } from 'react-native';
+import { screen, fireEvent, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo from '@react-native-community/netinfo';
+import PreviewScreen from '../screens/PreviewScreen';
+import { createResponse, mockApi, getRequestBodies } from './helpers/fetchMock';
+import { loadLastReadPage } from '../services/ReadingPositionService';
+import { renderScreen } from './helpers/render';
+
+const PDF_DOCUMENT = {
+    document_id: 1,
+    document_name: 'invoice-march.pdf',
+    major_head: 'Professional',
+    minor_head: 'Accounts',
+    document_date: '2024-03-31',
+    document_remarks: 'March invoice',
+    tags: [{ tag_name: 'invoice' }, { tag_name: '2024' }],
+    file_url: 'https://files.example.com/invoice-march.pdf',
+};
+
+const CATEGORIES_RESPONSE = { success: true, data: [{ major_head: 'Professional', minor_head: 'Accounts' }] };
+
+/**
+ * Waits until the viewed document has been stored on the device, which every online preview does.
+ */
+const waitForViewRecorded = () => screen.findByText('Stored until space is needed for newer documents.');
+
+const IMAGE_DOCUMENT = {
+    ...PDF_DOCUMENT,
+    document_id: 2,
+    document_name: 'receipt.jpg',
+    file_url: 'https://files.example.com/receipt.jpg',
+};
+
+const CORRECTED_VERSION = {
+    ...PDF_DOCUMENT,
+    document_id: 3,
+    document_name: 'invoice-march-corrected.pdf',
+    document_remarks: 'Corrected GST amount',
+    file_url: 'https://files.example.com/invoice-march-corrected.pdf',
+    parent_document_id: 1,
+    version_number: 2,
+    is_latest_version: true,
+    uploaded_by: '7',
+    upload_time: '2024-04-02T10:00:00.000Z',
+};
+
+const ORIGINAL_VERSION = { ...PDF_DOCUMENT, version_number: 1, is_latest_version: false, uploaded_by: '12' };
+
+describe('PreviewScreen', () => {
+    beforeEach(async () => {
+        // Viewed documents are recorded on the device for the Offline Library
+        await AsyncStorage.clear();
+        jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockApi({
+            '/documentCategories': CATEGORIES_RESPONSE,
+            '/documentVersions': { success: true, data: [PDF_DOCUMENT] },
+            '/deleteDocumentEntry': { success: true },
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('shows a PDF with its details', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+
+        expect(screen.getByTestId('pdf-viewer').props.source).toEqual({ uri: PDF_DOCUMENT.file_url, cache: true });
+        expect(screen.getByText('invoice-march.pdf')).toBeTruthy();
+        expect(screen.getByText(/Professional \/ Accounts/)).toBeTruthy();
+        expect(screen.getByText(/invoice, 2024/)).toBeTruthy();
+        // Kept on the device for offline browsing
+        expect(await waitForViewRecorded()).toBeTruthy();
+    });
+
+    it('counts the pages of a PDF and jumps to the page asked for', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        fireEvent(screen.getByTestId('pdf-viewer'), 'loadComplete', 80, '/caches/invoice-march.pdf');
+
+        expect(screen.getByText('Page 1 of 80')).toBeTruthy();
+        expect(screen.getAllByTestId('page-thumbnail')[0].props.source).toEqual({ uri: 'file:///caches/invoice-march.pdf' });
+
+        fireEvent(screen.getByTestId('pdf-viewer'), 'pageChanged', 7, 80);
+        expect(screen.getByText('Page 7 of 80')).toBeTruthy();
+
+        fireEvent.changeText(screen.getByLabelText('Page number'), '42');
+        fireEvent.press(screen.getByText('Go'));
+        expect(screen.getByText('Page 42 of 80')).toBeTruthy();
+
+        fireEvent.changeText(screen.getByLabelText('Page number'), '81');
+        fireEvent.press(screen.getByText('Go'));
+        expect(Alert.alert).toHaveBeenCalledWith('Invalid Page', 'Enter a page number from 1 to 80.');
+        await waitForViewRecorded();
+    });
+
+    it('goes to a page picked from the thumbnails', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        fireEvent(screen.getByTestId('pdf-viewer'), 'loadComplete', 12, '/caches/invoice-march.pdf');
+
+        fireEvent.press(screen.getByLabelText('Go to page 3'));
+
+        expect(screen.getByText('Page 3 of 12')).toBeTruthy();
+        await waitForViewRecorded();
+    });
+
+    it('reopens a PDF at the page last read', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        fireEvent(screen.getByTestId('pdf-viewer'), 'pageChanged', 23, 80);
+        await waitForViewRecorded();
+        expect(await loadLastReadPage('1')).toBe(23);
+
+        await screen.unmountAsync();
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+
+        expect(screen.getByTestId('pdf-viewer').props.page).toBe(23);
+        await waitForViewRecorded();
+    });
+
+    it('shows the PDF fullscreen from the page being read', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        fireEvent(screen.getByTestId('pdf-viewer'), 'loadComplete', 80, '/caches/invoice-march.pdf');
+        fireEvent(screen.getByTestId('pdf-viewer'), 'pageChanged', 9, 80);
+
+        fireEvent.press(screen.getByText('Full Screen'));
+
+        // The fullscreen view opens the file already on the device
+        expect(screen.getByTestId('pdf-viewer').props).toMatchObject({
+            source: { uri: 'file:///caches/invoice-march.pdf' },
+            page: 9,
+        });
+        fireEvent.press(screen.getByText('Exit Full Screen'));
+        expect(screen.getByTestId('pdf-viewer').props.source).toEqual({ uri: PDF_DOCUMENT.file_url, cache: true });
+        await waitForViewRecorded();
+    });
+
+    it('shows an image', async () => {
+        await renderScreen(PreviewScreen, { document: IMAGE_DOCUMENT });
+
+        expect(screen.UNSAFE_getByType(Image).props.source).toEqual({ uri: IMAGE_DOCUMENT.file_url });
+        expect(screen.queryByTestId('pdf-viewer')).toBeNull();
+        await waitForViewRecorded();
+    });
+
+    it('explains that a document not stored on the device cannot be shown offline', async () => {
+        NetInfo.addEventListener.mockImplementationOnce(listener => {
+            listener({ isConnected: false, isInternetReachable: false });
+            return jest.fn();
+        });
+
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+
+        expect(screen.getByText('You are offline and this document is not stored on this device.')).toBeTruthy();
+        expect(screen.queryByTestId('pdf-viewer')).toBeNull();
+    });
+
+    it('leaves local files alone', async () => {
+        const localDocument = { ...PDF_DOCUMENT, file_url: 'file:///downloads/invoice-march.pdf' };
+
+        await renderScreen(PreviewScreen, { document: localDocument, isLocalFile: true });
+
+        expect(screen.getByTestId('pdf-viewer').props.source.uri).toBe(localDocument.file_url);
+        expect(screen.queryByText('Download Document')).toBeNull();
+        expect(screen.queryByText('Delete')).toBeNull();
+    });
+
+    it('says when a document has a single version', async () => {
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+
+        expect(await screen.findByText('This is the only version of the document.')).toBeTruthy();
+        expect(getRequestBodies('/documentVersions')).toEqual([{ document_id: 1 }]);
+        await waitForViewRecorded();
+    });
+
+    it('lists the versions of a replaced document and opens the latest', async () => {
+        mockApi({
+            '/documentCategories': CATEGORIES_RESPONSE,
+            '/documentVersions': { success: true, data: [CORRECTED_VERSION, ORIGINAL_VERSION] },
+        });
+        const { navigation } = await renderScreen(PreviewScreen, { document: ORIGINAL_VERSION });
+
+        expect(await screen.findByText(/Version 2 \(latest\)/)).toBeTruthy();
+        expect(screen.getByText(/Version 1 - viewing/)).toBeTruthy();
+        expect(screen.getByText(/A newer version of this document exists/)).toBeTruthy();
+        expect(screen.getByText(/Uploaded by Me on/)).toBeTruthy();
+        expect(screen.getByText(/Uploaded by 12 on/)).toBeTruthy();
+        expect(screen.getByText('Remarks: Corrected GST amount')).toBeTruthy();
+
+        fireEvent.press(screen.getByText('Open'));
+
+        expect(navigation.push).toHaveBeenCalledWith('Preview', { document: CORRECTED_VERSION });
+        await waitForViewRecorded();
+    });
+
+    it('starts a new version from the latest one', async () => {
+        mockApi({
+            '/documentCategories': CATEGORIES_RESPONSE,
+            '/documentVersions': { success: true, data: [CORRECTED_VERSION, ORIGINAL_VERSION] },
+        });
+        const { navigation } = await renderScreen(PreviewScreen, { document: ORIGINAL_VERSION });
+        await screen.findByText(/Version 2 \(latest\)/);
+
+        fireEvent.press(screen.getByText('Upload New Version'));
+
+        expect(navigation.push).toHaveBeenCalledWith('Upload', { versionOf: CORRECTED_VERSION });
+        await waitForViewRecorded();
+    });
+
+    it('deletes the document once confirmed and closes', async () => {
+        const { navigation } = await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        await waitForViewRecorded();
+
+        fireEvent.press(screen.getByText('Delete'));
+        const [, , buttons] = Alert.alert.mock.calls[0];
+        // The confirmation is mocked, so press its Delete button directly
+        await act(() => buttons.find(button => button.text === 'Delete').onPress());
+
+        expect(navigation.goBack).toHaveBeenCalled();
+        expect(getRequestBodies('/deleteDocumentEntry')).toEqual([{ document_id: 1 }]);
+        expect(Alert.alert).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports a deletion the server refused', async () => {
+        mockApi({
+            '/documentCategories': CATEGORIES_RESPONSE,
+            '/documentVersions': { success: true, data: [PDF_DOCUMENT] },
+            '/deleteDocumentEntry': () => createResponse({ success: false, message: 'Not allowed' }),
+        });
+        await renderScreen(PreviewScreen, { document: PDF_DOCUMENT });
+        await waitForViewRecorded();
+
+        fireEvent.press(screen.getByText('Delete'));
+        const [, , buttons] = Alert.alert.mock.calls[0];
+        await act(() => buttons.find(button => button.text === 'Delete').onPress());
+
+        expect(Alert.alert).toHaveBeenLastCalledWith('Delete Failed', 'invoice-march.pdf could not be deleted: Not allowed');
+    });
+});
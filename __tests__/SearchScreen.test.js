@@ -0,0 +1,200 @@
+// DMSApp/__tests__/SearchScreen.test.js
+import { Alert } from 'react-native';
+import { screen, fireEvent, waitFor, act } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SearchScreen from '../screens/SearchScreen';
+import { createResponse, mockApi, getRequestBodies } from './helpers/fetchMock';
+import { renderScreen } from './helpers/render';
+
+const INVOICE = {
+    document_id: 1,
+    document_name: 'invoice-march.pdf',
+    major_head: 'Professional',
+    minor_head: 'Accounts',
+    document_date: '2024-03-31',
+    document_remarks: 'March invoice from RMC',
+    tags: [{ tag_name: 'invoice' }],
+    uploaded_by: '7',
+    file_url: 'https://files.example.com/invoice-march.pdf',
+};
+
+/**
+ * Mocks the API with the given search results.
+ * @param {Array<object>} documents - The documents every search returns.
+ */
+const mockSearchResults = (documents) => mockApi({
+    '/documentCategories': { success: true, data: [{ major_head: 'Professional', minor_head: 'Accounts' }] },
+    '/documentTags': { success: true, data: [] },
+    '/searchDocumentEntry': () => createResponse({
+        success: true,
+        data: documents,
+        recordsTotal: documents.length,
+        recordsFiltered: documents.length,
+    }),
+});
+
+describe('SearchScreen', () => {
+    beforeEach(async () => {
+        // Search history and saved searches are kept on the device
+        await AsyncStorage.clear();
+        jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('searches with the selected filters and lists the results', async () => {
+        mockSearchResults([INVOICE]);
+        await renderScreen(SearchScreen);
+
+        fireEvent(screen.getByLabelText('Major Head'), 'valueChange', 'Professional');
+        fireEvent(await screen.findByLabelText('Minor Head'), 'valueChange', 'Accounts');
+        fireEvent.changeText(screen.getByPlaceholderText('Add tag to search (e.g., invoice)'), 'invoice');
+        fireEvent.press(screen.getByText('Add'));
+        fireEvent.press(screen.getByText('Search Documents'));
+
+        expect(await screen.findByText('invoice-march.pdf')).toBeTruthy();
+        expect(screen.getByText('Category: Professional / Accounts')).toBeTruthy();
+        expect(screen.getByText('Uploaded by: Me')).toBeTruthy();
+        expect(getRequestBodies('/searchDocumentEntry')).toEqual([
+            expect.objectContaining({
+                major_head: 'Professional',
+                minor_head: 'Accounts',
+                tags: [{ tag_name: 'invoice' }],
+                search: { value: '' },
+                latest_version_only: true,
+                start: 0,
+            }),
+        ]);
+    });
+
+    it('searches by name or remarks once typing pauses', async () => {
+        jest.useFakeTimers();
+        mockSearchResults([INVOICE]);
+        await renderScreen(SearchScreen);
+
+        fireEvent.changeText(screen.getByPlaceholderText('Search by file name or remarks'), ' rmc ');
+        expect(getRequestBodies('/searchDocumentEntry')).toEqual([]);
+        await act(() => jest.advanceTimersByTimeAsync(400));
+
+        await waitFor(() => expect(getRequestBodies('/searchDocumentEntry')).toHaveLength(1));
+        expect(getRequestBodies('/searchDocumentEntry')[0].search).toEqual({ value: 'rmc' });
+        // The name is rendered with the matches of the query highlighted
+        expect(await screen.findByText('RMC')).toBeTruthy();
+    });
+
+    it('leaves out replaced versions a server sends despite the latest-only flag', async () => {
+        mockSearchResults([
+            { ...INVOICE, document_id: 3, document_name: 'invoice-march-corrected.pdf', parent_document_id: 1, version_number: 2, is_latest_version: true },
+            { ...INVOICE, version_number: 1, is_latest_version: false },
+        ]);
+        await renderScreen(SearchScreen);
+
+        fireEvent.press(screen.getByText('Search Documents'));
+
+        expect(await screen.findByText('invoice-march-corrected.pdf')).toBeTruthy();
+        expect(screen.queryByText('invoice-march.pdf')).toBeNull();
+        expect(screen.getByText(/Showing 1 of 1 document\b/)).toBeTruthy();
+    });
+
+    it('includes versions replaced by a newer upload when asked to', async () => {
+        mockSearchResults([
+            { ...INVOICE, document_id: 3, parent_document_id: 1, version_number: 2, is_latest_version: true },
+            { ...INVOICE, version_number: 1, is_latest_version: false },
+        ]);
+        await renderScreen(SearchScreen);
+
+        fireEvent(screen.getByLabelText('Include earlier versions'), 'valueChange', true);
+        fireEvent.press(screen.getByText('Search Documents'));
+
+        expect(await screen.findByText('Version 1 (replaced by a newer version)')).toBeTruthy();
+        expect(screen.getByText('Version 2 (latest)')).toBeTruthy();
+        expect(getRequestBodies('/searchDocumentEntry')[0].latest_version_only).toBe(false);
+    });
+
+    it('tells the user when nothing matches', async () => {
+        mockSearchResults([]);
+        await renderScreen(SearchScreen);
+
+        fireEvent.press(screen.getByText('Search Documents'));
+
+        await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('No Results', 'No documents found matching your criteria.'));
+        expect(screen.getByText('No documents found matching your criteria.')).toBeTruthy();
+    });
+
+    describe('selecting all results for a ZIP', () => {
+        const DOCUMENTS = Array.from({ length: 250 }, (_, index) => ({
+            ...INVOICE,
+            document_id: index + 1,
+            document_name: `invoice-${index + 1}.pdf`,
+            file_url: `https://files.example.com/invoice-${index + 1}.pdf`,
+        }));
+
+        /**
+         * Answers searches with the requested page of DOCUMENTS.
+         */
+        const mockPagedResults = () => mockApi({
+            '/documentCategories': { success: true, data: [] },
+            '/documentTags': { success: true, data: [] },
+            '/searchDocumentEntry': ({ start, length }) => createResponse({
+                success: true,
+                data: DOCUMENTS.slice(start, start + length),
+                recordsTotal: DOCUMENTS.length,
+                recordsFiltered: DOCUMENTS.length,
+            }),
+        });
+
+        it('loads the following pages and selects at most 200 documents', async () => {
+            mockPagedResults();
+            await renderScreen(SearchScreen);
+            fireEvent.press(screen.getByText('Search Documents'));
+            await screen.findByText('invoice-1.pdf');
+
+            fireEvent.press(screen.getByText('Select for ZIP'));
+            fireEvent.press(screen.getByText('Select All'));
+
+            await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith(
+                'Selection Limited',
+                'The first 200 documents are selected. Narrow the search to select the others.'
+            ));
+            expect(screen.getByText('Download 200 as ZIP')).toBeTruthy();
+            expect(getRequestBodies('/searchDocumentEntry').map(body => body.start))
+                .toEqual([0, 20, 40, 60, 80, 100, 120, 140, 160, 180]);
+            expect(screen.getByText('Clear Selection')).toBeTruthy();
+        });
+
+        it('stops loading pages when the screen is closed', async () => {
+            mockPagedResults();
+            await renderScreen(SearchScreen);
+            fireEvent.press(screen.getByText('Search Documents'));
+            await screen.findByText('invoice-1.pdf');
+            let pageSignal = null;
+            // Still loading when the screen closes; like fetch, fails once aborted so no request timer is left running
+            global.fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+                pageSignal = signal;
+                signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+            }));
+
+            fireEvent.press(screen.getByText('Select for ZIP'));
+            fireEvent.press(screen.getByText('Select All'));
+            await waitFor(() => expect(pageSignal).not.toBeNull());
+            await screen.unmountAsync();
+
+            expect(pageSignal.aborted).toBe(true);
+        });
+    });
+
+    it('opens a result in the preview', async () => {
+        mockSearchResults([INVOICE]);
+        const { navigation } = await renderScreen(SearchScreen);
+
+        fireEvent.press(screen.getByText('Search Documents'));
+        await screen.findByText('invoice-march.pdf');
+        fireEvent.press(screen.getByText('Preview'));
+
+        expect(navigation.navigate).toHaveBeenCalledWith('Preview', { document: INVOICE });
+    });
+});
@@ -0,0 +1,68 @@
+// DMSApp/__tests__/ShareIntentService.test.js
+
+describe('ShareIntentService', () => {
+    let ReceiveSharingIntent;
+    let listenForSharedFiles;
+
+    beforeEach(() => {
+        // The service registers with the library once per app run, so each test starts from a fresh module
+        jest.resetModules();
+        ReceiveSharingIntent = require('react-native-receive-sharing-intent');
+        ({ listenForSharedFiles } = require('../services/ShareIntentService'));
+    });
+
+    /**
+     * Calls the library's handler as it is called when files are shared to the app.
+     * @param {Array<object>} sharedFiles - Files as the library reports them.
+     */
+    const shareFiles = (sharedFiles) => {
+        const [onReceived] = ReceiveSharingIntent.getReceivedFiles.mock.calls[0];
+        onReceived(sharedFiles);
+    };
+
+    it('listens on the URL scheme the iOS share extension opens', () => {
+        listenForSharedFiles(jest.fn());
+
+        expect(ReceiveSharingIntent.getReceivedFiles).toHaveBeenCalledTimes(1);
+        expect(ReceiveSharingIntent.getReceivedFiles.mock.calls[0][2]).toBe('DMSAppShare');
+    });
+
+    it('passes on files shared from the app group on iOS, leaving the type to be guessed from the name', () => {
+        const onFiles = jest.fn();
+        listenForSharedFiles(onFiles);
+
+        shareFiles([{
+            filePath: 'file:///private/var/mobile/Containers/Shared/AppGroup/ABC/SharedFiles/1/Scan.pdf',
+            fileName: 'Scan.pdf',
+            mimeType: '.pdf', // The library reports the extension on iOS
+            contentUri: null,
+        }]);
+
+        expect(onFiles).toHaveBeenCalledWith([{
+            uri: 'file:///private/var/mobile/Containers/Shared/AppGroup/ABC/SharedFiles/1/Scan.pdf',
+            name: 'Scan.pdf',
+            type: undefined,
+        }]);
+    });
+
+    it('passes on files shared on Android with their MIME type', () => {
+        const onFiles = jest.fn();
+        listenForSharedFiles(onFiles);
+
+        shareFiles([{ filePath: '/storage/emulated/0/Download/Bill.jpg', fileName: 'Bill.jpg', mimeType: 'image/jpeg' }]);
+
+        expect(onFiles).toHaveBeenCalledWith([{ uri: 'file:///storage/emulated/0/Download/Bill.jpg', name: 'Bill.jpg', type: 'image/jpeg' }]);
+    });
+
+    it('keeps files shared while nobody listens for the next listener', () => {
+        const stopListening = listenForSharedFiles(jest.fn());
+        stopListening();
+
+        shareFiles([{ filePath: '/storage/emulated/0/Download/Bill.jpg', fileName: 'Bill.jpg', mimeType: 'image/jpeg' }]);
+        const onFiles = jest.fn();
+        listenForSharedFiles(onFiles);
+
+        expect(onFiles).toHaveBeenCalledWith([expect.objectContaining({ name: 'Bill.jpg' })]);
+        expect(ReceiveSharingIntent.getReceivedFiles).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,228 @@
+// DMSApp/__tests__/UploadScreen.test.js
+import { Alert } from 'react-native';
+import { screen, fireEvent, waitFor } from '@testing-library/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import DocumentPicker from 'react-native-document-picker';
+import RNFS from 'react-native-fs';
+import UploadScreen from '../screens/UploadScreen';
+import { uploadDocument } from '../services/DocumentService';
+import { mockApi, getRequestBodies } from './helpers/fetchMock';
+import { renderScreen, TEST_PROFILE } from './helpers/render';
+
+// Uploads go through XMLHttpRequest for progress events, the rest of the service through the fetch mock
+jest.mock('../services/DocumentService', () => ({
+    ...jest.requireActual('../services/DocumentService'),
+    uploadDocument: jest.fn(),
+}));
+
+const PICKED_FILE = { uri: 'file:///picked/invoice.pdf', name: 'invoice.pdf', type: 'application/pdf', size: 2048 };
+
+/**
+ * Picks the given category in the form, waiting for the minor heads loaded from the server.
+ */
+const selectCategory = async (majorHead, minorHead) => {
+    fireEvent(screen.getByLabelText('Major Head'), 'valueChange', majorHead);
+    await screen.findByLabelText('Minor Head');
+    fireEvent(screen.getByLabelText('Minor Head'), 'valueChange', minorHead);
+};
+
+/**
+ * Types a tag and adds it.
+ */
+const addTag = (tag) => {
+    fireEvent.changeText(screen.getByPlaceholderText('Add tag (e.g., invoice, 2024)'), tag);
+    fireEvent.press(screen.getByText('Add'));
+};
+
+/**
+ * Picks a file through the mocked document picker and waits for it to be listed.
+ */
+const pickFile = async () => {
+    DocumentPicker.pick.mockResolvedValueOnce([PICKED_FILE]);
+    fireEvent.press(screen.getByText('Pick Documents (Images/PDFs)'));
+    await screen.findByText('invoice.pdf');
+};
+
+describe('UploadScreen', () => {
+    beforeEach(async () => {
+        // Uploads are remembered on the device for duplicate detection
+        await AsyncStorage.clear();
+        jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mockApi({
+            '/documentCategories': {
+                success: true,
+                data: [{ major_head: 'Professional', minor_head: 'Accounts' }, { major_head: 'Personal', minor_head: 'Bills' }],
+            },
+            '/documentTags': { success: true, data: [] },
+            '/searchDocumentEntry': { success: true, data: [] },
+        });
+        uploadDocument.mockReset();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('asks for a file first', async () => {
+        await renderScreen(UploadScreen);
+
+        fireEvent.press(screen.getByText('Upload Document'));
+
+        expect(Alert.alert).toHaveBeenCalledWith('Validation Error', 'Please select a file to upload.');
+    });
+
+    it('asks for the category and a tag before uploading', async () => {
+        await renderScreen(UploadScreen);
+        await pickFile();
+
+        fireEvent.press(screen.getByText('Upload Document'));
+        expect(Alert.alert).toHaveBeenLastCalledWith('Validation Error', 'Please select both Major Head and Minor Head.');
+
+        await selectCategory('Professional', 'Accounts');
+        fireEvent.press(screen.getByText('Upload Document'));
+        expect(Alert.alert).toHaveBeenLastCalledWith('Validation Error', 'Please add at least one tag.');
+        expect(uploadDocument).not.toHaveBeenCalled();
+    });
+
+    it('uploads the picked file with the entered details', async () => {
+        uploadDocument.mockResolvedValueOnce({ success: true, data: { document_id: 42 } });
+        await renderScreen(UploadScreen);
+        await pickFile();
+        await selectCategory('Professional', 'Accounts');
+        addTag('invoice');
+        fireEvent.changeText(screen.getByPlaceholderText('Enter any remarks about the document'), 'March invoice');
+        fireEvent.press(screen.getByText(new Date().toLocaleDateString()));
+        fireEvent(screen.getByTestId('dateTimePicker'), 'change', { type: 'set' }, new Date(2024, 4, 10));
+
+        fireEvent.press(screen.getByText('Upload Document'));
+
+        await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Success', 'Document uploaded successfully!'));
+        expect(uploadDocument).toHaveBeenCalledWith(
+            PICKED_FILE.uri,
+            PICKED_FILE.name,
+            PICKED_FILE.type,
+            expect.objectContaining({
+                major_head: 'Professional',
+                minor_head: 'Accounts',
+                document_remarks: 'March invoice',
+                // Local midnight, still the 10th when the tests run ahead of UTC (see jest.globalSetup.js)
+                document_date: '2024-05-10',
+                tags: [{ tag_name: 'invoice' }],
+                user_id: TEST_PROFILE.id,
+            }),
+            expect.objectContaining({ onProgress: expect.any(Function) }),
+        );
+        // The form is cleared for the next document
+        expect(screen.queryByText('invoice.pdf')).toBeNull();
+    });
+
+    it('offers the built-in categories when the server cannot list them', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockApi({ '/documentTags': { success: true, data: [] }, '/searchDocumentEntry': { success: true, data: [] } });
+        uploadDocument.mockResolvedValueOnce({ success: true, data: { document_id: 42 } });
+        await renderScreen(UploadScreen);
+        await pickFile();
+        await selectCategory('Professional', 'Accounts');
+        expect(screen.UNSAFE_getByProps({ label: 'Operations' })).toBeTruthy();
+        addTag('invoice');
+
+        fireEvent.press(screen.getByText('Upload Document'));
+
+        await waitFor(() => expect(Alert.alert).toHaveBeenCalledWith('Success', 'Document uploaded successfully!'));
+        expect(uploadDocument).toHaveBeenCalledWith(PICKED_FILE.uri, PICKED_FILE.name, PICKED_FILE.type, expect.objectContaining({
+            major_head: 'Professional',
+            minor_head: 'Accounts',
+        }), expect.anything());
+    });
+
+    it('uploads a file with its own category and tags when its details are customized', async () => {
+        const receipt = { uri: 'file:///picked/receipt.pdf', name: 'receipt.pdf', type: 'application/pdf', size: 1024 };
+        uploadDocument
+            .mockResolvedValueOnce({ success: true, data: { document_id: 42 } })
+            .mockResolvedValueOnce({ success: true, data: { document_id: 43 } });
+        // Different contents, so the second file is not taken for a copy of the first
+        jest.spyOn(RNFS, 'hash').mockImplementation(async (path) => `hash-of-${path}`);
+        await renderScreen(UploadScreen);
+        DocumentPicker.pick.mockResolvedValueOnce([PICKED_FILE, receipt]);
+        fireEvent.press(screen.getByText('Pick Documents (Images/PDFs)'));
+        await screen.findByText('receipt.pdf');
+        await selectCategory('Professional', 'Accounts');
+        addTag('invoice');
+
+        // The second file starts from the shared details and gets its own category and an extra tag
+        fireEvent.press(screen.getAllByText('Customize details')[1]);
+        fireEvent(screen.getAllByLabelText('Major Head')[1], 'valueChange', 'Personal');
+        fireEvent(screen.getAllByLabelText('Minor Head')[1], 'valueChange', 'Bills');
+        fireEvent.changeText(screen.getAllByPlaceholderText('Add tag (e.g., invoice, 2024)')[1], 'receipt');
+        fireEvent.press(screen.getAllByText('Add')[1]);
+
+        fireEvent.press(screen.getByText('Upload Documents'));
+
+        await waitFor(() => expect(uploadDocument).toHaveBeenCalledTimes(2));
+        expect(uploadDocument).toHaveBeenNthCalledWith(1, PICKED_FILE.uri, PICKED_FILE.name, PICKED_FILE.type, expect.objectContaining({
+            major_head: 'Professional',
+            minor_head: 'Accounts',
+            tags: [{ tag_name: 'invoice' }],
+        }), expect.anything());
+        expect(uploadDocument).toHaveBeenNthCalledWith(2, receipt.uri, receipt.name, receipt.type, expect.objectContaining({
+            major_head: 'Personal',
+            minor_head: 'Bills',
+            tags: [{ tag_name: 'invoice' }, { tag_name: 'receipt' }],
+        }), expect.anything());
+    });
+
+    it('uploads a new version linked to the original document and returns to the preview', async () => {
+        const latestVersion = {
+            document_id: 3,
+            document_name: 'invoice.pdf',
+            major_head: 'Professional',
+            minor_head: 'Accounts',
+            document_date: '2024-03-31',
+            document_remarks: 'First correction',
+            tags: [{ tag_name: 'invoice' }],
+            parent_document_id: 1,
+            version_number: 2,
+        };
+        uploadDocument.mockResolvedValueOnce({ success: true, data: { document_id: 4, version_number: 3 } });
+        const { navigation } = await renderScreen(UploadScreen, { versionOf: latestVersion });
+        expect(navigation.setOptions).toHaveBeenCalledWith({ title: 'Upload New Version' });
+        expect(screen.getByText('New version of invoice.pdf')).toBeTruthy();
+
+        DocumentPicker.pick.mockResolvedValueOnce([PICKED_FILE]);
+        fireEvent.press(screen.getByText('Pick New Version (Image/PDF)'));
+        await screen.findByText('invoice.pdf', { exact: true });
+        fireEvent.press(screen.getByText('Upload New Version'));
+
+        await waitFor(() => expect(navigation.goBack).toHaveBeenCalled());
+        expect(DocumentPicker.pick).toHaveBeenCalledWith(expect.objectContaining({ allowMultiSelection: false }));
+        expect(uploadDocument).toHaveBeenCalledWith(
+            PICKED_FILE.uri,
+            PICKED_FILE.name,
+            PICKED_FILE.type,
+            expect.objectContaining({
+                major_head: 'Professional',
+                minor_head: 'Accounts',
+                document_date: '2024-03-31',
+                tags: [{ tag_name: 'invoice' }],
+                parent_document_id: 1,
+            }),
+            expect.anything(),
+        );
+        // The document being replaced has the same name, it is not reported as a duplicate
+        expect(getRequestBodies('/searchDocumentEntry')).toEqual([]);
+    });
+
+    it('shows why the server refused the file next to it', async () => {
+        uploadDocument.mockResolvedValueOnce({ success: false, message: 'File type not allowed' });
+        await renderScreen(UploadScreen);
+        await pickFile();
+        await selectCategory('Professional', 'Accounts');
+        addTag('invoice');
+
+        fireEvent.press(screen.getByText('Upload Document'));
+
+        expect(await screen.findByText(/File type not allowed/)).toBeTruthy();
+        expect(screen.getByText('invoice.pdf')).toBeTruthy();
+    });
+});
@@ -0,0 +1,71 @@
+// DMSApp/__tests__/helpers/fetchMock.js
+/* eslint-env jest */
+
+/**
+ * Builds the subset of a fetch Response that ApiClient reads.
+ * @param {object|string} body - The JSON body, or raw text such as an HTML error page.
+ * @param {object} options - { status, headers }.
+ */
+export const createResponse = (body, { status = 200, headers = {} } = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (name) => headers[name] ?? null },
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+/**
+ * Replaces global fetch with a mock answering each call with the next of the given responses.
+ * A response may be an Error, which is then thrown like fetch does for network failures.
+ * @param {Array<object|Error>} responses - Responses built with createResponse.
+ * @returns {jest.Mock} - The fetch mock.
+ */
+export const mockFetch = (...responses) => {
+    global.fetch = jest.fn();
+    responses.forEach(response => {
+        if (response instanceof Error) {
+            global.fetch.mockRejectedValueOnce(response);
+        } else {
+            global.fetch.mockResolvedValueOnce(response);
+        }
+    });
+    return global.fetch;
+};
+
+/**
+ * Returns the URL, headers and parsed JSON body of a call to the fetch mock.
+ * @param {number} index - Which call, the first by default.
+ */
+export const getFetchRequest = (index = 0) => {
+    const [url, options] = global.fetch.mock.calls[index];
+    return { url, headers: options.headers, body: options.body ? JSON.parse(options.body) : undefined };
+};
+
+/**
+ * Replaces global fetch with a mock answering by endpoint, for screens that make several requests.
+ * Unknown endpoints get a 404.
+ * @param {object} routes - { [path]: body, or a function of the parsed request body returning a response }.
+ * @returns {jest.Mock} - The fetch mock.
+ */
+export const mockApi = (routes) => {
+    global.fetch = jest.fn(async (url, options) => {
+        const path = Object.keys(routes).find(routePath => url.endsWith(routePath));
+        if (!path) {
+            return createResponse({ success: false, message: 'Not found' }, { status: 404 });
+        }
+        const route = routes[path];
+        return typeof route === 'function'
+            ? route(options.body ? JSON.parse(options.body) : undefined)
+            : createResponse(route);
+    });
+    return global.fetch;
+};
+
+/**
+ * Returns the parsed JSON bodies sent to an endpoint of the fetch mock, oldest first.
+ * @param {string} path - The endpoint, e.g. '/searchDocumentEntry'.
+ */
+export const getRequestBodies = (path) => (
+    global.fetch.mock.calls
+        .filter(([url]) => url.endsWith(path))
+        .map(([, options]) => JSON.parse(options.body))
+);
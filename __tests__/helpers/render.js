@@ -0,0 +1,66 @@
+// DMSApp/__tests__/helpers/render.js
+/* eslint-env jest */
+import React from 'react';
+import { render, renderAsync, screen } from '@testing-library/react-native';
+import App from '../../App';
+import { AuthProvider } from '../../context/AuthContext';
+import { CategoryProvider } from '../../context/CategoryContext';
+import { UploadQueueProvider } from '../../context/UploadQueueContext';
+import { DownloadProvider } from '../../context/DownloadContext';
+import { OfflineProvider } from '../../context/OfflineContext';
+import { saveSession, clearSession } from '../../services/SessionStorage';
+
+export const TEST_PROFILE = { id: '7', name: 'Asha', mobileNumber: '9876543210', role: 'Admin', isAdmin: false };
+
+/**
+ * Renders the whole app, with its providers and navigation, and waits for the first screen.
+ * @param {object} options - { signedIn }: start with a stored session, on HomeScreen, instead of on LoginScreen.
+ */
+export const renderApp = async ({ signedIn = true } = {}) => {
+    if (signedIn) {
+        await saveSession('user-token', TEST_PROFILE);
+    } else {
+        await clearSession();
+    }
+    render(<App />);
+    await screen.findByText(signedIn ? `Welcome, ${TEST_PROFILE.name}!` : 'Welcome to DMS App');
+};
+
+/**
+ * Renders a single screen of the signed-in app inside the providers it relies on.
+ * Navigation is a stub, so tests can check where the screen sends the user.
+ * @param {React.ComponentType} Screen - The screen component.
+ * @param {object} params - The route params.
+ * @returns {Promise<object>} - { navigation }: the stub, its functions are jest mocks.
+ */
+export const renderScreen = async (Screen, params) => {
+    await saveSession('user-token', TEST_PROFILE);
+    const navigation = {
+        navigate: jest.fn(),
+        push: jest.fn(),
+        goBack: jest.fn(),
+        setOptions: jest.fn(),
+        // Like React Navigation, tells a focus listener right away that the screen is shown
+        addListener: jest.fn((event, listener) => {
+            if (event === 'focus') {
+                listener();
+            }
+            return () => {};
+        }),
+    };
+    // Rendered in an async act, so the providers finish loading what they keep on the device first
+    await renderAsync(
+        <AuthProvider>
+            <CategoryProvider>
+                <UploadQueueProvider>
+                    <DownloadProvider>
+                        <OfflineProvider>
+                            <Screen navigation={navigation} route={{ key: 'test', name: 'Test', params }} />
+                        </OfflineProvider>
+                    </DownloadProvider>
+                </UploadQueueProvider>
+            </CategoryProvider>
+        </AuthProvider>
+    );
+    return { navigation };
+};
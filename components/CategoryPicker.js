@@ -0,0 +1,195 @@
+// DMSApp/components/CategoryPicker.js
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { useCategories } from '../context/CategoryContext';
+
+/**
+ * Returns the options of a picker, keeping the current value even if the backend no longer lists it
+ * (e.g. a queued upload whose minor head was renamed), so it is not silently replaced.
+ * @param {Array<string>} options - The names from the category hierarchy.
+ * @param {string} value - The selected name.
+ */
+const withSelectedValue = (options, value) => (value && !options.includes(value) ? [...options, value] : options);
+
+/**
+ * CategoryPicker renders the major head and minor head dropdowns from the category hierarchy
+ * loaded by CategoryContext. Users allowed to manage categories can add a minor head from here.
+ * @param {string} props.majorHead - The selected major head, empty for none.
+ * @param {string} props.minorHead - The selected minor head, empty for none.
+ * @param {function} props.onChange - Called with { majorHead, minorHead }.
+ * @param {string} props.placeholderPrefix - First word of the empty option, e.g. 'Select' or 'All'.
+ * @param {boolean} props.allowAdd - Offers to add a minor head, for users allowed to.
+ * @param {boolean} props.enabled - Disables both pickers when false.
+ */
+const CategoryPicker = ({ majorHead, minorHead, onChange, placeholderPrefix = 'Select', allowAdd = false, enabled = true }) => {
+    const { categories, majorHeads, isRefreshing, loadError, canAddMinorHead, refreshCategories, addMinorHead } = useCategories();
+    const [newMinorHead, setNewMinorHead] = useState(''); // Name typed for a new minor head
+    const [isAdding, setIsAdding] = useState(false); // Whether the add form is shown
+    const [saving, setSaving] = useState(false);
+
+    const minorHeads = withSelectedValue(categories[majorHead] || [], minorHead);
+
+    /**
+     * Adds the typed minor head and selects it.
+     */
+    const handleAddMinorHead = async () => {
+        setSaving(true);
+        try {
+            const name = await addMinorHead(majorHead, newMinorHead);
+            onChange({ majorHead, minorHead: name });
+            setNewMinorHead('');
+            setIsAdding(false);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to add the minor head.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <View>
+            {/* Major Head Dropdown */}
+            <Text style={styles.label}>Major Head:</Text>
+            <View style={styles.pickerContainer}>
+                <Picker
+                    selectedValue={majorHead}
+                    enabled={enabled}
+                    accessibilityLabel="Major Head"
+                    onValueChange={(itemValue) => onChange({ majorHead: itemValue, minorHead: '' })}>
+                    <Picker.Item label={`-- ${placeholderPrefix} Major Head --`} value="" />
+                    {withSelectedValue(majorHeads, majorHead).map(item => (
+                        <Picker.Item key={item} label={item} value={item} />
+                    ))}
+                </Picker>
+            </View>
+
+            {/* Minor Head Dropdown (Dynamic) */}
+            {majorHead ? (
+                <>
+                    <Text style={styles.label}>Minor Head:</Text>
+                    <View style={styles.pickerContainer}>
+                        <Picker
+                            selectedValue={minorHead}
+                            enabled={enabled}
+                            accessibilityLabel="Minor Head"
+                            onValueChange={(itemValue) => onChange({ majorHead, minorHead: itemValue })}>
+                            <Picker.Item label={`-- ${placeholderPrefix} Minor Head --`} value="" />
+                            {minorHeads.map(item => (
+                                <Picker.Item key={item} label={item} value={item} />
+                            ))}
+                        </Picker>
+                    </View>
+
+                    {allowAdd && canAddMinorHead && enabled && (isAdding ? (
+                        <View style={styles.addContainer}>
+                            <TextInput
+                                style={styles.addInput}
+                                placeholder={`New minor head under ${majorHead}`}
+                                value={newMinorHead}
+                                onChangeText={setNewMinorHead}
+                                autoFocus
+                            />
+                            <TouchableOpacity style={styles.saveButton} onPress={handleAddMinorHead} disabled={saving}>
+                                {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>Save</Text>}
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.cancelButton} onPress={() => setIsAdding(false)} disabled={saving}>
+                                <Text style={styles.buttonText}>Cancel</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ) : (
+                        <TouchableOpacity onPress={() => setIsAdding(true)}>
+                            <Text style={styles.linkText}>+ Add minor head</Text>
+                        </TouchableOpacity>
+                    ))}
+                </>
+            ) : null}
+
+            {/* The cached hierarchy is still usable, but may be missing recent additions */}
+            {loadError ? (
+                <View style={styles.errorContainer}>
+                    <Text style={styles.errorText}>Categories may be out of date: {loadError}</Text>
+                    <TouchableOpacity onPress={refreshCategories} disabled={isRefreshing}>
+                        <Text style={styles.linkText}>{isRefreshing ? 'Retrying...' : 'Retry'}</Text>
+                    </TouchableOpacity>
+                </View>
+            ) : null}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    pickerContainer: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        marginBottom: 15,
+        backgroundColor: '#fff',
+    },
+    addContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 15,
+    },
+    addInput: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 10,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        marginRight: 8,
+    },
+    saveButton: {
+        backgroundColor: '#28a745', // Success green
+        paddingVertical: 10,
+        paddingHorizontal: 15,
+        borderRadius: 8,
+        marginRight: 8,
+    },
+    cancelButton: {
+        backgroundColor: '#6c757d', // Grey for secondary action
+        paddingVertical: 10,
+        paddingHorizontal: 15,
+        borderRadius: 8,
+    },
+    buttonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    linkText: {
+        color: '#007bff',
+        fontSize: 14,
+        fontWeight: '600',
+        marginBottom: 15,
+    },
+    errorContainer: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        justifyContent: 'space-between',
+    },
+    errorText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#dc3545',
+        marginRight: 10,
+        marginBottom: 15,
+    },
+});
+
+export default CategoryPicker;
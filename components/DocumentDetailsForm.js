@@ -0,0 +1,133 @@
+// DMSApp/components/DocumentDetailsForm.js
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Platform,
+    StyleSheet,
+    TouchableOpacity
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import CategoryPicker from './CategoryPicker';
+import TagInput from './TagInput';
+
+/**
+ * Checks the details entered in the form before a document is uploaded or saved.
+ * @param {object} details - { majorHead, minorHead, tags } as edited in the form.
+ * @returns {string|null} - What the user still has to fill in, or null when the details are complete.
+ */
+export const validateDocumentDetails = ({ majorHead, minorHead, tags }) => {
+    if (!majorHead || !minorHead) {
+        return 'Please select both Major Head and Minor Head.';
+    }
+    if (tags.length === 0) {
+        return 'Please add at least one tag.';
+    }
+    return null;
+};
+
+/**
+ * DocumentDetailsForm renders the metadata fields of a document: date, major and minor head, tags and remarks.
+ * Shared by UploadScreen (new documents) and EditDocumentScreen (existing ones).
+ * @param {object} props.details - { documentDate (Date), majorHead, minorHead, tags (Array<string>), remarks }.
+ * @param {function} props.onChange - Called with the changed fields only, e.g. { remarks }.
+ * @param {boolean} props.disabled - Disables editing, e.g. while saving.
+ */
+const DocumentDetailsForm = ({ details, onChange, disabled = false }) => {
+    const { documentDate, majorHead, minorHead, tags, remarks } = details;
+    const [showDatePicker, setShowDatePicker] = useState(false);
+
+    /**
+     * Handles date change from the DateTimePicker.
+     */
+    const onDateChange = (event, selectedDate) => {
+        setShowDatePicker(Platform.OS === 'ios'); // Close picker on Android immediately
+        if (selectedDate) {
+            onChange({ documentDate: selectedDate });
+        }
+    };
+
+    return (
+        <View>
+            {/* Date Picker */}
+            <Text style={styles.label}>Document Date:</Text>
+            <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.datePickerButton} disabled={disabled}>
+                <Text style={styles.datePickerButtonText}>
+                    {documentDate.toLocaleDateString()}
+                </Text>
+            </TouchableOpacity>
+            {showDatePicker && (
+                <DateTimePicker
+                    testID="dateTimePicker"
+                    value={documentDate}
+                    mode="date"
+                    display="default"
+                    onChange={onDateChange}
+                />
+            )}
+
+            {/* Major and Minor Head Dropdowns, loaded from the backend */}
+            <CategoryPicker
+                majorHead={majorHead}
+                minorHead={minorHead}
+                onChange={onChange}
+                allowAdd
+                enabled={!disabled}
+            />
+
+            {/* Tags, with autocomplete from the server */}
+            <Text style={styles.label}>Tags:</Text>
+            <TagInput tags={tags} onChange={newTags => onChange({ tags: newTags })} disabled={disabled} />
+
+            {/* Remarks Text Field */}
+            <Text style={styles.label}>Remarks:</Text>
+            <TextInput
+                style={[styles.input, styles.textArea]}
+                placeholder="Enter any remarks about the document"
+                value={remarks}
+                onChangeText={text => onChange({ remarks: text })}
+                multiline
+                numberOfLines={4}
+                editable={!disabled}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 15,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        color: '#333',
+    },
+    textArea: {
+        minHeight: 100,
+        textAlignVertical: 'top', // For Android
+    },
+    datePickerButton: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 15,
+        backgroundColor: '#fff',
+        alignItems: 'flex-start',
+    },
+    datePickerButtonText: {
+        fontSize: 16,
+        color: '#333',
+    },
+});
+
+export default DocumentDetailsForm;
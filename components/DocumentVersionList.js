@@ -0,0 +1,144 @@
+// DMSApp/components/DocumentVersionList.js
+import React from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity
+} from 'react-native';
+import ProgressBar from './ProgressBar';
+import { getDocumentId, isLatestVersion } from '../services/DocumentService';
+import { getDownloadKey } from '../context/DownloadContext';
+
+/**
+ * Formats when a version was uploaded, falling back to its document date for records without an upload time.
+ * @param {object} version - The version's document record.
+ */
+const formatUploadTime = (version) => {
+    const uploadedAt = version.upload_time ? new Date(version.upload_time) : null;
+    if (uploadedAt && !Number.isNaN(uploadedAt.getTime())) {
+        return uploadedAt.toLocaleString();
+    }
+    return version.document_date || 'Unknown date';
+};
+
+/**
+ * DocumentVersionList shows every version of a document, newest first, with who uploaded it,
+ * when, and its remarks. Each version other than the one being viewed can be opened, and any can be downloaded.
+ * @param {Array<object>} props.versions - The versions returned by fetchDocumentVersions.
+ * @param {object} props.currentDocument - The version being viewed.
+ * @param {string} props.currentUserId - ID of the signed-in user, whose uploads are shown as "Me".
+ * @param {object} props.activeDownloads - Running downloads by download key, from DownloadContext.
+ * @param {function} props.onOpen - Called with a version to preview it.
+ * @param {function} props.onDownload - Called with a version to download it.
+ * @param {function} props.onCancelDownload - Called with a version to cancel its download.
+ */
+const DocumentVersionList = ({ versions, currentDocument, currentUserId, activeDownloads, onOpen, onDownload, onCancelDownload }) => {
+    const currentId = String(getDocumentId(currentDocument));
+
+    if (versions.length <= 1) {
+        return <Text style={styles.emptyText}>This is the only version of the document.</Text>;
+    }
+
+    return (
+        <View>
+            {versions.map(version => {
+                const isCurrent = String(getDocumentId(version)) === currentId;
+                const activeDownload = activeDownloads[getDownloadKey(version)];
+                const uploader = version.uploaded_by
+                    ? (String(version.uploaded_by) === currentUserId ? 'Me' : version.uploaded_by)
+                    : 'Unknown';
+                return (
+                    <View key={getDownloadKey(version)} style={[styles.versionItem, isCurrent && styles.currentVersionItem]}>
+                        <Text style={styles.versionTitle}>
+                            Version {version.version_number || 1}
+                            {isLatestVersion(version) ? ' (latest)' : ''}
+                            {isCurrent ? ' - viewing' : ''}
+                        </Text>
+                        <Text style={styles.versionDetail}>Uploaded by {uploader} on {formatUploadTime(version)}</Text>
+                        <Text style={styles.versionDetail}>Remarks: {version.document_remarks || 'N/A'}</Text>
+                        <View style={styles.versionActions}>
+                            {!isCurrent && (
+                                <TouchableOpacity style={styles.actionButton} onPress={() => onOpen(version)}>
+                                    <Text style={styles.actionButtonText}>Open</Text>
+                                </TouchableOpacity>
+                            )}
+                            {activeDownload ? (
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.cancelButton]}
+                                    onPress={() => onCancelDownload(version)}
+                                >
+                                    <Text style={styles.actionButtonText}>Cancel</Text>
+                                </TouchableOpacity>
+                            ) : (
+                                <TouchableOpacity
+                                    style={[styles.actionButton, styles.downloadButton]}
+                                    onPress={() => onDownload(version)}
+                                >
+                                    <Text style={styles.actionButtonText}>Download</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                        {activeDownload && <ProgressBar progress={activeDownload.progress} style={styles.downloadProgress} />}
+                    </View>
+                );
+            })}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    emptyText: {
+        fontSize: 14,
+        color: '#666',
+    },
+    versionItem: {
+        borderTopWidth: 1,
+        borderTopColor: '#eee',
+        paddingVertical: 10,
+    },
+    currentVersionItem: {
+        backgroundColor: '#e9f2ff', // Light blue highlight of the version on screen
+        borderRadius: 8,
+        paddingHorizontal: 8,
+    },
+    versionTitle: {
+        fontSize: 15,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 3,
+    },
+    versionDetail: {
+        fontSize: 13,
+        color: '#666',
+        marginBottom: 2,
+    },
+    versionActions: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        marginTop: 6,
+    },
+    actionButton: {
+        backgroundColor: '#007bff',
+        paddingVertical: 6,
+        paddingHorizontal: 14,
+        borderRadius: 6,
+        marginLeft: 8,
+    },
+    downloadButton: {
+        backgroundColor: '#28a745', // Success green
+    },
+    cancelButton: {
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    actionButtonText: {
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+    downloadProgress: {
+        marginTop: 8,
+    },
+});
+
+export default DocumentVersionList;
@@ -0,0 +1,332 @@
+// DMSApp/components/DocumentViewer.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    Dimensions,
+    Alert,
+    TouchableOpacity,
+    Modal,
+    StatusBar,
+    ActivityIndicator
+} from 'react-native';
+import Pdf from 'react-native-pdf';
+import ZoomableImage from './ZoomableImage';
+import PageThumbnailStrip from './PageThumbnailStrip';
+import { loadLastReadPage, saveLastReadPage } from '../services/ReadingPositionService';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * DocumentViewer shows a PDF or an image with reading controls: rotation in quarter turns and a
+ * fullscreen mode for both, pinch-to-zoom and pan for images, and for PDFs a page counter,
+ * jump-to-page and a strip of page thumbnails. The last page read of each PDF is remembered
+ * and the PDF reopens there.
+ * @param {string} props.uri - Where the file is, on the server or the device.
+ * @param {boolean} props.cache - Whether react-native-pdf should cache a PDF it downloads.
+ * @param {boolean} props.isPdf - Whether the file is a PDF; it is shown as an image otherwise.
+ * @param {string} props.positionKey - Key under which the last page read is remembered, none to start at page 1.
+ */
+const DocumentViewer = ({ uri, cache = false, isPdf, positionKey }) => {
+    const pdfRef = useRef(null);
+    const [positionLoaded, setPositionLoaded] = useState(!isPdf || !positionKey);
+    const [openingPage, setOpeningPage] = useState(1); // Page the PDF opens at when it is (re)mounted
+    const [currentPage, setCurrentPage] = useState(1);
+    const [numberOfPages, setNumberOfPages] = useState(0); // Known once the PDF is loaded
+    const [localFileUri, setLocalFileUri] = useState(null); // The PDF on the device, once loaded
+    const [pageInput, setPageInput] = useState('');
+    const [rotation, setRotation] = useState(0); // Degrees, in quarter turns
+    const [isFullscreen, setIsFullscreen] = useState(false);
+    const [viewerSize, setViewerSize] = useState(null); // Measured size of the visible viewer
+
+    // Reopen the PDF at the page the user last read
+    useEffect(() => {
+        if (positionLoaded) {
+            return;
+        }
+        loadLastReadPage(positionKey).then(page => {
+            if (page > 1) {
+                setOpeningPage(page);
+                setCurrentPage(page);
+            }
+            setPositionLoaded(true);
+        });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    /**
+     * Records the page shown after the user scrolled or jumped to it.
+     * @param {number} page - The page number, starting at 1.
+     */
+    const handlePageChanged = (page) => {
+        setCurrentPage(page);
+        if (positionKey) {
+            saveLastReadPage(positionKey, page);
+        }
+    };
+
+    /**
+     * Scrolls the PDF to a page.
+     * @param {number} page - The page number, starting at 1.
+     */
+    const goToPage = (page) => {
+        pdfRef.current?.setPage(page);
+        handlePageChanged(page);
+    };
+
+    /**
+     * Jumps to the page typed in the page field.
+     */
+    const handleJumpToPage = () => {
+        const page = Number(pageInput);
+        if (!Number.isInteger(page) || page < 1 || page > numberOfPages) {
+            Alert.alert('Invalid Page', `Enter a page number from 1 to ${numberOfPages}.`);
+            return;
+        }
+        setPageInput('');
+        goToPage(page);
+    };
+
+    /**
+     * Enters or leaves fullscreen; the PDF mounted in the new view opens at the current page.
+     * @param {boolean} value - Whether to show the document fullscreen.
+     */
+    const toggleFullscreen = (value) => {
+        setOpeningPage(currentPage);
+        setViewerSize(null);
+        setIsFullscreen(value);
+    };
+
+    // Turned a quarter, the content takes the viewer's height as its width and the other way round
+    const isSideways = rotation % 180 !== 0;
+    const contentStyle = [
+        styles.content,
+        isSideways && viewerSize && { width: viewerSize.height, height: viewerSize.width },
+        { transform: [{ rotate: `${rotation}deg` }] },
+    ];
+
+    /**
+     * Renders the document itself, rotated as chosen.
+     * @param {boolean} fullscreen - Whether it fills the screen.
+     */
+    const renderDocument = (fullscreen) => (
+        <View
+            style={fullscreen ? styles.fullscreenViewer : styles.viewer}
+            onLayout={(event) => setViewerSize(event.nativeEvent.layout)}
+        >
+            <View style={contentStyle}>
+                {!isPdf ? (
+                    <ZoomableImage
+                        source={{ uri }}
+                        rotation={rotation}
+                        onError={(e) => console.error('Image loading error:', e.nativeEvent.error)}
+                    />
+                ) : positionLoaded ? (
+                    <Pdf
+                        ref={pdfRef}
+                        // Fullscreen opens the copy already on the device instead of loading the file again
+                        source={fullscreen && localFileUri ? { uri: localFileUri } : { uri, cache }}
+                        page={openingPage}
+                        onLoadComplete={(pages, filePath) => {
+                            setNumberOfPages(pages);
+                            if (filePath) {
+                                setLocalFileUri(filePath.startsWith('file://') ? filePath : `file://${filePath}`);
+                            }
+                        }}
+                        onPageChanged={handlePageChanged}
+                        onError={(error) => {
+                            console.error('PDF loading error:', error);
+                            Alert.alert('Error', 'Failed to load PDF document.');
+                        }}
+                        style={styles.pdf}
+                        // Pages scroll continuously and can be pinched to zoom
+                        enablePaging={false}
+                        horizontal={false}
+                        showsVerticalScrollIndicator={true}
+                        showsHorizontalScrollIndicator={false}
+                    />
+                ) : (
+                    <ActivityIndicator size="large" color="#007bff" style={styles.loadingIndicator} />
+                )}
+            </View>
+        </View>
+    );
+
+    /**
+     * Renders the page counter, jump-to-page field, rotation and fullscreen buttons.
+     * @param {boolean} fullscreen - Whether the toolbar is shown over the fullscreen view.
+     */
+    const renderToolbar = (fullscreen) => (
+        <View style={[styles.toolbar, fullscreen && styles.fullscreenToolbar]}>
+            {isPdf && numberOfPages > 0 ? (
+                <>
+                    <Text style={[styles.pageCounter, fullscreen && styles.fullscreenText]}>
+                        Page {currentPage} of {numberOfPages}
+                    </Text>
+                    <TextInput
+                        style={styles.pageInput}
+                        value={pageInput}
+                        onChangeText={setPageInput}
+                        placeholder="Page"
+                        keyboardType="number-pad"
+                        returnKeyType="go"
+                        onSubmitEditing={handleJumpToPage}
+                        accessibilityLabel="Page number"
+                    />
+                    <TouchableOpacity style={styles.toolbarButton} onPress={handleJumpToPage}>
+                        <Text style={styles.toolbarButtonText}>Go</Text>
+                    </TouchableOpacity>
+                </>
+            ) : !isPdf && (
+                <Text style={[styles.hintText, fullscreen && styles.fullscreenText]}>Pinch to zoom</Text>
+            )}
+            <View style={styles.toolbarSpacer} />
+            <TouchableOpacity
+                style={[styles.toolbarButton, styles.secondaryButton]}
+                onPress={() => setRotation(current => (current + 90) % 360)}
+            >
+                <Text style={styles.toolbarButtonText}>Rotate</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+                style={[styles.toolbarButton, styles.secondaryButton]}
+                onPress={() => toggleFullscreen(!fullscreen)}
+            >
+                <Text style={styles.toolbarButtonText}>{fullscreen ? 'Exit Full Screen' : 'Full Screen'}</Text>
+            </TouchableOpacity>
+        </View>
+    );
+
+    /**
+     * Renders the page thumbnails of a PDF with more than one page.
+     */
+    const renderThumbnails = () => (
+        isPdf && localFileUri && numberOfPages > 1 && (
+            <PageThumbnailStrip
+                uri={localFileUri}
+                numberOfPages={numberOfPages}
+                currentPage={currentPage}
+                onSelectPage={goToPage}
+            />
+        )
+    );
+
+    return (
+        <View style={styles.container}>
+            {renderToolbar(false)}
+            {/* Only one PDF view is mounted at a time, the one on screen */}
+            {isFullscreen ? <View style={styles.viewer} /> : renderDocument(false)}
+            {!isFullscreen && renderThumbnails()}
+
+            <Modal
+                visible={isFullscreen}
+                animationType="fade"
+                onRequestClose={() => toggleFullscreen(false)}
+                supportedOrientations={['portrait', 'landscape']}
+            >
+                <StatusBar hidden />
+                <View style={styles.fullscreenContainer}>
+                    {renderToolbar(true)}
+                    {isFullscreen && renderDocument(true)}
+                    {isFullscreen && renderThumbnails()}
+                </View>
+            </Modal>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        width: width * 0.9, // 90% of screen width
+        marginBottom: 20,
+    },
+    viewer: {
+        width: '100%',
+        height: height * 0.5, // 50% of screen height
+        backgroundColor: '#e9ecef',
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        overflow: 'hidden', // Ensures content respects border-radius
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    fullscreenContainer: {
+        flex: 1,
+        backgroundColor: '#000',
+        paddingVertical: 10,
+    },
+    fullscreenViewer: {
+        flex: 1,
+        overflow: 'hidden',
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    content: {
+        width: '100%',
+        height: '100%',
+    },
+    pdf: {
+        flex: 1,
+        backgroundColor: '#e9ecef',
+    },
+    loadingIndicator: {
+        flex: 1,
+    },
+    toolbar: {
+        flexDirection: 'row',
+        flexWrap: 'wrap', // Long page counts push the buttons to a second line on narrow phones
+        alignItems: 'center',
+        rowGap: 6,
+        marginBottom: 8,
+    },
+    fullscreenToolbar: {
+        paddingHorizontal: 10,
+    },
+    toolbarSpacer: {
+        flex: 1,
+    },
+    pageCounter: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#333',
+        marginRight: 8,
+    },
+    hintText: {
+        fontSize: 13,
+        color: '#666',
+    },
+    fullscreenText: {
+        color: '#fff',
+    },
+    pageInput: {
+        width: 56,
+        height: 34,
+        borderWidth: 1,
+        borderColor: '#ccc',
+        borderRadius: 6,
+        paddingHorizontal: 6,
+        paddingVertical: 0,
+        backgroundColor: '#fff',
+        fontSize: 14,
+        color: '#333',
+    },
+    toolbarButton: {
+        backgroundColor: '#007bff',
+        paddingVertical: 7,
+        paddingHorizontal: 10,
+        borderRadius: 6,
+        marginLeft: 6,
+    },
+    secondaryButton: {
+        backgroundColor: '#6c757d', // Neutral grey
+    },
+    toolbarButtonText: {
+        color: '#fff',
+        fontSize: 13,
+        fontWeight: '600',
+    },
+});
+
+export default DocumentViewer;
@@ -0,0 +1,45 @@
+// DMSApp/components/HighlightedText.js
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * Escapes characters with a special meaning in regular expressions.
+ * @param {string} value - The raw text typed by the user.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * HighlightedText renders text with every case-insensitive occurrence of `query` highlighted.
+ * @param {string} props.text - The text to display.
+ * @param {string} props.query - The term to highlight; plain text is rendered when empty.
+ * @param {object} props.style - Style of the whole text.
+ * @param {object} props.highlightStyle - Extra style applied to matched parts.
+ */
+const HighlightedText = ({ text, query, style, highlightStyle, ...textProps }) => {
+    const value = text == null ? '' : String(text);
+    const term = query ? query.trim() : '';
+    if (!term) {
+        return <Text style={style} {...textProps}>{value}</Text>;
+    }
+
+    // Splitting on a capturing group keeps the matches at the odd indexes
+    const parts = value.split(new RegExp(`(${escapeRegExp(term)})`, 'ig'));
+    return (
+        <Text style={style} {...textProps}>
+            {parts.map((part, index) => (
+                index % 2 === 1
+                    ? <Text key={index} style={[styles.highlight, highlightStyle]}>{part}</Text>
+                    : part
+            ))}
+        </Text>
+    );
+};
+
+const styles = StyleSheet.create({
+    highlight: {
+        backgroundColor: '#fff3a0', // Light yellow marker
+        fontWeight: 'bold',
+    },
+});
+
+export default HighlightedText;
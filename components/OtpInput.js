@@ -0,0 +1,104 @@
+// DMSApp/components/OtpInput.js
+import React, { useRef } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    Pressable
+} from 'react-native';
+
+/**
+ * OtpInput shows the OTP as one box per digit. A single hidden text field receives the keystrokes,
+ * so pasting and the keyboard's SMS code suggestion fill every box at once.
+ * @param {number} props.length - Number of digits.
+ * @param {string} props.value - The digits entered so far.
+ * @param {function} props.onChange - Called with the new digits.
+ * @param {function} props.onComplete - Called with the code once all digits are entered.
+ * @param {boolean} props.disabled - Disables input, e.g. while the code is being checked.
+ */
+const OtpInput = ({ length, value, onChange, onComplete, disabled = false }) => {
+    const inputRef = useRef(null);
+
+    /**
+     * Keeps digits only and reports a complete code.
+     * @param {string} text - The text of the hidden field.
+     */
+    const handleChangeText = (text) => {
+        const digits = text.replace(/\D/g, '').slice(0, length);
+        onChange(digits);
+        if (digits.length === length && digits !== value) {
+            onComplete(digits);
+        }
+    };
+
+    return (
+        <Pressable onPress={() => inputRef.current?.focus()} disabled={disabled} accessibilityLabel="One-time password">
+            <View style={styles.boxes}>
+                {Array.from({ length }, (_, index) => (
+                    <View
+                        key={index}
+                        style={[
+                            styles.box,
+                            index === value.length && !disabled && styles.activeBox,
+                            disabled && styles.disabledBox,
+                        ]}
+                    >
+                        <Text style={styles.digit}>{value[index] || ''}</Text>
+                    </View>
+                ))}
+            </View>
+            <TextInput
+                ref={inputRef}
+                style={styles.hiddenInput}
+                value={value}
+                onChangeText={handleChangeText}
+                keyboardType="number-pad"
+                maxLength={length}
+                textContentType="oneTimeCode" // iOS offers the code from Messages
+                autoComplete="sms-otp" // Android autofill offers the code from the SMS
+                editable={!disabled}
+                autoFocus
+                caretHidden
+            />
+        </Pressable>
+    );
+};
+
+const styles = StyleSheet.create({
+    boxes: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 15,
+    },
+    box: {
+        width: 44,
+        height: 52,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        justifyContent: 'center',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+    },
+    activeBox: {
+        borderColor: '#007bff',
+        borderWidth: 2,
+    },
+    disabledBox: {
+        backgroundColor: '#f5f5f5',
+    },
+    digit: {
+        fontSize: 22,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    hiddenInput: {
+        position: 'absolute',
+        width: 1,
+        height: 1,
+        opacity: 0,
+    },
+});
+
+export default OtpInput;
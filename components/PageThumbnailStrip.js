@@ -0,0 +1,87 @@
+// DMSApp/components/PageThumbnailStrip.js
+import React, { useRef, useEffect, useMemo } from 'react';
+import { FlatList, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Pdf from 'react-native-pdf';
+
+const THUMBNAIL_WIDTH = 60;
+const THUMBNAIL_HEIGHT = 80;
+const THUMBNAIL_SPACING = 8;
+const ITEM_LENGTH = THUMBNAIL_WIDTH + THUMBNAIL_SPACING;
+
+/**
+ * PageThumbnailStrip shows a small image of each page of a PDF in a horizontal strip, keeping the
+ * current page in view. Only the thumbnails near the visible part of the strip are rendered.
+ * @param {string} props.uri - file:// URI of the PDF on the device, as reported by the viewer once loaded.
+ * @param {number} props.numberOfPages - Number of pages of the PDF.
+ * @param {number} props.currentPage - The page shown in the viewer, highlighted in the strip.
+ * @param {function} props.onSelectPage - Called with the number of the tapped page.
+ */
+const PageThumbnailStrip = ({ uri, numberOfPages, currentPage, onSelectPage }) => {
+    const listRef = useRef(null);
+    const pages = useMemo(() => Array.from({ length: numberOfPages }, (_, index) => index + 1), [numberOfPages]);
+
+    useEffect(() => {
+        if (currentPage >= 1 && currentPage <= numberOfPages) {
+            listRef.current?.scrollToIndex({ index: currentPage - 1, viewPosition: 0.5, animated: true });
+        }
+    }, [currentPage, numberOfPages]);
+
+    return (
+        <FlatList
+            ref={listRef}
+            data={pages}
+            keyExtractor={page => String(page)}
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.strip}
+            getItemLayout={(data, index) => ({ length: ITEM_LENGTH, offset: ITEM_LENGTH * index, index })}
+            initialNumToRender={8}
+            windowSize={3}
+            renderItem={({ item: page }) => (
+                <TouchableOpacity
+                    style={[styles.thumbnail, page === currentPage && styles.currentThumbnail]}
+                    onPress={() => onSelectPage(page)}
+                    accessibilityLabel={`Go to page ${page}`}
+                >
+                    <Pdf
+                        source={{ uri }}
+                        page={page}
+                        singlePage // Renders just this page, without gestures
+                        style={styles.thumbnailPage}
+                        testID="page-thumbnail"
+                    />
+                    <Text style={styles.pageNumber}>{page}</Text>
+                </TouchableOpacity>
+            )}
+        />
+    );
+};
+
+const styles = StyleSheet.create({
+    strip: {
+        paddingVertical: 6,
+    },
+    thumbnail: {
+        width: THUMBNAIL_WIDTH,
+        marginRight: THUMBNAIL_SPACING,
+        alignItems: 'center',
+        borderRadius: 4,
+        borderWidth: 2,
+        borderColor: 'transparent',
+    },
+    currentThumbnail: {
+        borderColor: '#007bff',
+    },
+    thumbnailPage: {
+        width: THUMBNAIL_WIDTH - 4,
+        height: THUMBNAIL_HEIGHT,
+        backgroundColor: '#fff',
+    },
+    pageNumber: {
+        fontSize: 11,
+        color: '#555',
+        paddingVertical: 2,
+    },
+});
+
+export default PageThumbnailStrip;
@@ -0,0 +1,33 @@
+// DMSApp/components/ProgressBar.js
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+/**
+ * ProgressBar renders a horizontal bar filled according to `progress`.
+ * @param {number|null} props.progress - Value between 0 and 1; null shows an empty track when the total is unknown.
+ * @param {string} props.color - Fill color.
+ * @param {object} props.style - Extra style for the track.
+ */
+const ProgressBar = ({ progress, color = '#28a745', style }) => {
+    const percent = progress == null ? 0 : Math.min(Math.max(progress, 0), 1) * 100;
+    return (
+        <View style={[styles.track, style]}>
+            <View style={[styles.fill, { width: `${percent}%`, backgroundColor: color }]} />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    track: {
+        height: 8,
+        borderRadius: 4,
+        backgroundColor: '#e0e0e0',
+        overflow: 'hidden',
+    },
+    fill: {
+        height: '100%',
+        borderRadius: 4,
+    },
+});
+
+export default ProgressBar;
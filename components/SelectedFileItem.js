@@ -0,0 +1,170 @@
+// DMSApp/components/SelectedFileItem.js
+import React from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator
+} from 'react-native';
+import ProgressBar from './ProgressBar';
+import DocumentDetailsForm from './DocumentDetailsForm';
+import { formatFileSize } from '../utils/format';
+
+/**
+ * Upload states of a file in a batch.
+ */
+export const FILE_STATUS = {
+    READY: 'ready',
+    UPLOADING: 'uploading',
+    UPLOADED: 'uploaded',
+    QUEUED: 'queued',
+    FAILED: 'failed',
+};
+
+const STATUS_LABELS = {
+    [FILE_STATUS.READY]: 'Ready',
+    [FILE_STATUS.UPLOADING]: 'Uploading...',
+    [FILE_STATUS.UPLOADED]: 'Uploaded',
+    [FILE_STATUS.QUEUED]: 'Queued for later',
+    [FILE_STATUS.FAILED]: 'Failed',
+};
+
+/**
+ * SelectedFileItem renders one file of an upload batch with its status and,
+ * optionally, per-file details that override the shared metadata.
+ * @param {object} props.entry - { key, file, size, originalSize, progress, overrides, status, error }.
+ * @param {object} props.sharedDetails - { documentDate, majorHead, minorHead, tags, remarks } used to prefill overrides.
+ * @param {function} props.onChangeOverrides - Called with the new overrides, or null to use the shared details.
+ * @param {function} props.onRemove - Removes the file from the batch.
+ * @param {boolean} props.disabled - Disables editing while the batch is uploading.
+ */
+const SelectedFileItem = ({ entry, sharedDetails, onChangeOverrides, onRemove, disabled }) => {
+    const { file, size, originalSize, progress, overrides, status, error } = entry;
+
+    /**
+     * Switches between the shared details and custom details for this file.
+     */
+    const toggleOverrides = () => {
+        if (overrides) {
+            onChangeOverrides(null);
+        } else {
+            onChangeOverrides({ ...sharedDetails });
+        }
+    };
+
+    return (
+        <View style={styles.container}>
+            <View style={styles.header}>
+                <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+                {status === FILE_STATUS.UPLOADING ? (
+                    typeof progress === 'number'
+                        ? <Text style={[styles.status, styles.uploading]}>{Math.round(progress * 100)}%</Text>
+                        : <ActivityIndicator size="small" color="#007bff" />
+                ) : (
+                    <Text style={[styles.status, styles[status]]}>{STATUS_LABELS[status]}</Text>
+                )}
+            </View>
+            {size !== null && size !== undefined ? (
+                <Text style={styles.sizeText}>
+                    {originalSize !== null && originalSize !== undefined && originalSize !== size
+                        ? `${formatFileSize(originalSize)} \u2192 ${formatFileSize(size)} after compression`
+                        : formatFileSize(size)}
+                </Text>
+            ) : null}
+            {status === FILE_STATUS.UPLOADING && typeof progress === 'number' && (
+                <ProgressBar progress={progress} style={styles.progressBar} />
+            )}
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+            {status !== FILE_STATUS.UPLOADED && status !== FILE_STATUS.QUEUED && (
+                <View style={styles.actions}>
+                    <TouchableOpacity onPress={toggleOverrides} disabled={disabled}>
+                        <Text style={styles.linkText}>{overrides ? 'Use shared details' : 'Customize details'}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={onRemove} disabled={disabled}>
+                        <Text style={[styles.linkText, styles.removeText]}>Remove</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            {overrides && status !== FILE_STATUS.UPLOADED && status !== FILE_STATUS.QUEUED && (
+                <View style={styles.overrides}>
+                    <DocumentDetailsForm
+                        details={overrides}
+                        onChange={changes => onChangeOverrides({ ...overrides, ...changes })}
+                        disabled={disabled}
+                    />
+                </View>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        backgroundColor: '#e9ecef',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 10,
+    },
+    header: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    fileName: {
+        fontSize: 16,
+        color: '#333',
+        flexShrink: 1, // Allows text to wrap
+        marginRight: 10,
+    },
+    status: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#555',
+    },
+    uploaded: {
+        color: '#28a745',
+    },
+    queued: {
+        color: '#fd7e14',
+    },
+    failed: {
+        color: '#dc3545',
+    },
+    uploading: {
+        color: '#007bff',
+    },
+    progressBar: {
+        marginTop: 8,
+    },
+    sizeText: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 3,
+    },
+    errorText: {
+        fontSize: 13,
+        color: '#dc3545',
+        marginTop: 5,
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 8,
+    },
+    linkText: {
+        fontSize: 14,
+        color: '#007bff',
+        fontWeight: '600',
+    },
+    removeText: {
+        color: '#dc3545',
+    },
+    overrides: {
+        marginTop: 10,
+    },
+});
+
+export default SelectedFileItem;
@@ -0,0 +1,255 @@
+// DMSApp/components/TagInput.js
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator
+} from 'react-native';
+import {
+    addTag,
+    getTagKey,
+    normalizeTag,
+    rankTags,
+    getMostUsedTags,
+    loadTagUsage,
+    searchTags,
+} from '../services/TagService';
+
+const AUTOCOMPLETE_DEBOUNCE_MS = 300; // Wait for a pause in typing before asking the server
+const MAX_SUGGESTIONS = 10;
+
+/**
+ * TagInput lets the user pick tags: the selected tags are shown as removable chips and, while typing,
+ * matching tags are looked up on the server. Without a typed term the user's most used tags are suggested.
+ * Tags are normalized, so "Invoice" and "invoice " are one tag, spelled the way it was first chosen.
+ * @param {Array<string>} props.tags - The selected tags.
+ * @param {function} props.onChange - Called with the new list of tags.
+ * @param {string} props.placeholder - Placeholder of the text field.
+ * @param {boolean} props.disabled - Disables editing, e.g. while saving.
+ */
+const TagInput = ({ tags, onChange, placeholder = 'Add tag (e.g., invoice, 2024)', disabled = false }) => {
+    const [text, setText] = useState('');
+    const [usage, setUsage] = useState({}); // How often each tag was used on this device
+    const [serverTags, setServerTags] = useState([]); // Server matches for the typed term
+    const [searching, setSearching] = useState(false);
+    const term = normalizeTag(text);
+
+    // Load the usage counts once; they only change when a document is saved
+    useEffect(() => {
+        const loadUsage = async () => {
+            setUsage(await loadTagUsage());
+        };
+        loadUsage();
+    }, []);
+
+    // Look the typed term up on the server once typing pauses, dropping any older lookup
+    useEffect(() => {
+        setServerTags([]);
+        if (!term) {
+            setSearching(false);
+            return undefined;
+        }
+        const controller = new AbortController();
+        setSearching(true);
+        const timer = setTimeout(async () => {
+            try {
+                setServerTags(await searchTags(term, { signal: controller.signal }));
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.warn('Tag autocomplete failed:', error);
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setSearching(false);
+                }
+            }
+        }, AUTOCOMPLETE_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [term]);
+
+    const suggestions = useMemo(() => {
+        if (!term) {
+            return rankTags(getMostUsedTags(usage, MAX_SUGGESTIONS + tags.length), usage, tags).slice(0, MAX_SUGGESTIONS);
+        }
+        // Tags used on this device show up before the server answers
+        const termKey = getTagKey(term);
+        const localMatches = Object.values(usage).map(entry => entry.tag).filter(tag => getTagKey(tag).includes(termKey));
+        return rankTags([...localMatches, ...serverTags], usage, tags).slice(0, MAX_SUGGESTIONS);
+    }, [term, usage, serverTags, tags]);
+
+    /**
+     * Adds a tag and clears the text field.
+     * @param {string} tag - The tag to add.
+     */
+    const handleAdd = (tag) => {
+        // Reuse the existing spelling when the typed text matches a known tag
+        const knownTag = suggestions.find(suggestion => getTagKey(suggestion) === getTagKey(tag));
+        onChange(addTag(tags, knownTag || tag));
+        setText('');
+    };
+
+    /**
+     * Removes a tag from the selected tags.
+     * @param {string} tagToRemove - The tag to be removed.
+     */
+    const handleRemove = (tagToRemove) => {
+        onChange(tags.filter(tag => tag !== tagToRemove));
+    };
+
+    return (
+        <View>
+            <View style={styles.tagsContainer}>
+                {tags.map(tag => (
+                    <View key={getTagKey(tag)} style={styles.tagChip}>
+                        <Text style={styles.tagText}>{tag}</Text>
+                        <TouchableOpacity onPress={() => handleRemove(tag)} style={styles.removeTagButton} disabled={disabled}>
+                            <Text style={styles.removeTagText}>x</Text>
+                        </TouchableOpacity>
+                    </View>
+                ))}
+            </View>
+            <View style={styles.inputRow}>
+                <TextInput
+                    style={styles.input}
+                    placeholder={placeholder}
+                    value={text}
+                    onChangeText={setText}
+                    onSubmitEditing={() => handleAdd(text)} // Add tag on Enter key press
+                    returnKeyType="done"
+                    autoCapitalize="none"
+                    editable={!disabled}
+                />
+                <TouchableOpacity
+                    style={[styles.addButton, (!term || disabled) && styles.disabledButton]}
+                    onPress={() => handleAdd(text)}
+                    disabled={!term || disabled}
+                >
+                    <Text style={styles.addButtonText}>Add</Text>
+                </TouchableOpacity>
+            </View>
+
+            {(suggestions.length > 0 || searching) && (
+                <View style={styles.suggestionsContainer}>
+                    <View style={styles.suggestionsHeader}>
+                        <Text style={styles.suggestionsTitle}>{term ? 'Matching Tags:' : 'Your Most Used Tags:'}</Text>
+                        {searching && <ActivityIndicator size="small" color="#007bff" />}
+                    </View>
+                    <View style={styles.tagsContainer}>
+                        {suggestions.map(tag => (
+                            <TouchableOpacity
+                                key={getTagKey(tag)}
+                                style={styles.suggestedTagChip}
+                                onPress={() => handleAdd(tag)}
+                                disabled={disabled}
+                            >
+                                <Text style={styles.suggestedTagText}>{tag}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </View>
+            )}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    tagsContainer: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 10,
+    },
+    tagChip: {
+        backgroundColor: '#e0e0e0',
+        borderRadius: 15,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        margin: 4,
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    tagText: {
+        fontSize: 14,
+        color: '#333',
+        marginRight: 5,
+    },
+    removeTagButton: {
+        marginLeft: 5,
+        backgroundColor: '#ccc',
+        borderRadius: 10,
+        width: 20,
+        height: 20,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    removeTagText: {
+        color: '#666',
+        fontSize: 12,
+        fontWeight: 'bold',
+    },
+    inputRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        marginBottom: 15,
+    },
+    input: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        color: '#333',
+    },
+    addButton: {
+        backgroundColor: '#28a745', // Green color for add button
+        paddingVertical: 13,
+        paddingHorizontal: 18,
+        borderRadius: 8,
+        marginLeft: 10,
+    },
+    disabledButton: {
+        opacity: 0.6,
+    },
+    addButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    suggestionsContainer: {
+        marginBottom: 20,
+        borderTopWidth: 1,
+        borderTopColor: '#eee',
+        paddingTop: 10,
+    },
+    suggestionsHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 10,
+    },
+    suggestionsTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#555',
+    },
+    suggestedTagChip: {
+        backgroundColor: '#add8e6', // Light blue for suggested tags
+        borderRadius: 15,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        margin: 4,
+    },
+    suggestedTagText: {
+        fontSize: 14,
+        color: '#0056b3',
+    },
+});
+
+export default TagInput;
@@ -0,0 +1,148 @@
+// DMSApp/components/ZoomableImage.js
+import React, { useRef, useMemo, useEffect } from 'react';
+import { Animated, PanResponder, StyleSheet, View } from 'react-native';
+
+const MAX_SCALE = 5;
+
+/**
+ * Distance in pixels between the first two touches of a gesture.
+ * @param {Array<object>} touches - The touches of the gesture event.
+ */
+const getTouchDistance = ([first, second]) => Math.hypot(first.pageX - second.pageX, first.pageY - second.pageY);
+
+/**
+ * ZoomableImage shows an image that can be pinched to zoom and, once zoomed, dragged to pan.
+ * Single-finger drags on an unzoomed image are left to the surrounding ScrollView.
+ * @param {object} props.source - Image source.
+ * @param {number} props.rotation - Rotation in degrees applied around the image by the parent; drags are turned to match it.
+ * @param {function} props.onError - Called when the image fails to load.
+ */
+const ZoomableImage = ({ source, rotation = 0, onError }) => {
+    const scale = useRef(new Animated.Value(1)).current;
+    const translateX = useRef(new Animated.Value(0)).current;
+    const translateY = useRef(new Animated.Value(0)).current;
+    // Values at the end of the last gesture, those shown during the current one, and where it started
+    const gesture = useRef({ scale: 1, x: 0, y: 0, current: null, startDistance: null, startScale: 1, width: 0, height: 0 }).current;
+    const rotationRef = useRef(rotation);
+    rotationRef.current = rotation;
+
+    /**
+     * Moves the image back to its unzoomed position.
+     */
+    const resetZoom = () => {
+        Object.assign(gesture, { scale: 1, x: 0, y: 0, current: null });
+        scale.setValue(1);
+        translateX.setValue(0);
+        translateY.setValue(0);
+    };
+
+    // A rotated image starts unzoomed again
+    useEffect(resetZoom, [rotation]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    const panResponder = useMemo(() => {
+        /**
+         * Keeps a pan offset within the part of the image hidden by the zoom.
+         * @param {number} offset - The wanted offset.
+         * @param {number} size - Width or height of the image.
+         * @param {number} currentScale - The zoom at which the offset applies.
+         */
+        const clampOffset = (offset, size, currentScale) => {
+            const maxOffset = (size * (currentScale - 1)) / 2 / currentScale;
+            return Math.max(-maxOffset, Math.min(maxOffset, offset));
+        };
+        const isZoomGesture = (event, gestureState) => gestureState.numberActiveTouches === 2 || gesture.scale > 1;
+
+        /**
+         * Shows the image at a zoom and offset, remembered until the gesture ends.
+         * @param {number} nextScale - The zoom, 1 for the whole image.
+         * @param {number} x - Horizontal offset in unzoomed pixels.
+         * @param {number} y - Vertical offset in unzoomed pixels.
+         */
+        const applyTransform = (nextScale, x, y) => {
+            gesture.current = { scale: nextScale, x, y };
+            scale.setValue(nextScale);
+            translateX.setValue(x);
+            translateY.setValue(y);
+        };
+
+        return PanResponder.create({
+            onStartShouldSetPanResponder: isZoomGesture,
+            onMoveShouldSetPanResponder: isZoomGesture,
+            onPanResponderTerminationRequest: () => false,
+            onPanResponderGrant: () => {
+                gesture.startDistance = null;
+            },
+            onPanResponderMove: (event, gestureState) => {
+                const { touches } = event.nativeEvent;
+                if (touches.length === 2) {
+                    const distance = getTouchDistance(touches);
+                    if (gesture.startDistance == null) {
+                        gesture.startDistance = distance;
+                        gesture.startScale = gesture.scale;
+                    }
+                    const nextScale = Math.max(1, Math.min(MAX_SCALE, (gesture.startScale * distance) / gesture.startDistance));
+                    applyTransform(
+                        nextScale,
+                        clampOffset(gesture.x, gesture.width, nextScale),
+                        clampOffset(gesture.y, gesture.height, nextScale),
+                    );
+                    return;
+                }
+                if (gesture.startDistance != null) {
+                    return; // One finger lifted at the end of a pinch, the image should not jump
+                }
+                // Turn the drag from screen directions into the image's own, which the parent may have rotated
+                const radians = (-rotationRef.current * Math.PI) / 180;
+                const cos = Math.round(Math.cos(radians));
+                const sin = Math.round(Math.sin(radians));
+                const dx = (gestureState.dx * cos - gestureState.dy * sin) / gesture.scale;
+                const dy = (gestureState.dx * sin + gestureState.dy * cos) / gesture.scale;
+                applyTransform(
+                    gesture.scale,
+                    clampOffset(gesture.x + dx, gesture.width, gesture.scale),
+                    clampOffset(gesture.y + dy, gesture.height, gesture.scale),
+                );
+            },
+            onPanResponderRelease: () => {
+                if (gesture.current) {
+                    Object.assign(gesture, gesture.current, { current: null });
+                }
+                if (gesture.scale <= 1.01) {
+                    resetZoom();
+                }
+            },
+        });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    return (
+        <View
+            style={styles.container}
+            onLayout={(event) => {
+                gesture.width = event.nativeEvent.layout.width;
+                gesture.height = event.nativeEvent.layout.height;
+            }}
+            {...panResponder.panHandlers}
+        >
+            <Animated.Image
+                source={source}
+                style={[styles.image, { transform: [{ scale }, { translateX }, { translateY }] }]}
+                resizeMode="contain" // Ensures the entire image is visible
+                onError={onError}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        overflow: 'hidden',
+    },
+    image: {
+        width: '100%',
+        height: '100%',
+    },
+});
+
+export default ZoomableImage;
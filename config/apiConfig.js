@@ -0,0 +1,33 @@
+// DMSApp/config/apiConfig.js
+import { Platform } from 'react-native';
+
+// The Android emulator reaches the development machine through this address instead of localhost
+const LOCAL_HOST = Platform.OS === 'android' ? '10.0.2.2' : 'localhost';
+
+/**
+ * Servers the app can talk to and how requests to them behave.
+ * Switch `environment` to point the app at another server.
+ */
+const apiConfig = {
+    // The environment in use: one of the keys of `environments`, or 'mock' to have the
+    // on-device mock backend answer every request (see mockConfig)
+    environment: 'production',
+    // Base URL of the document management API in each environment
+    environments: {
+        production: { baseUrl: 'https://apis.allsoft.co/api/documentManagement' },
+        // Set the staging deployment's URL here before switching to it
+        staging: { baseUrl: null },
+        // A copy of the API, or a mock of it, running on the development machine
+        local: { baseUrl: `http://${LOCAL_HOST}:3000/api/documentManagement` },
+    },
+    // Requests without a response after this long fail with a network error
+    requestTimeoutMs: 30 * 1000,
+    // File uploads get longer, a 10 MB file over a slow mobile connection takes minutes
+    uploadTimeoutMs: 5 * 60 * 1000,
+    // Times a request that is safe to repeat is retried after a network or server error
+    maxRetries: 2,
+    // Delay before the first retry, doubled for each further one
+    retryBaseDelayMs: 1000,
+};
+
+export default apiConfig;
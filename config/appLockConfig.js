@@ -0,0 +1,22 @@
+// DMSApp/config/appLockConfig.js
+
+/**
+ * Settings of the optional app lock, which asks for biometrics or a PIN before documents are shown.
+ */
+const appLockConfig = {
+    // Digits in the PIN chosen when the lock is turned on
+    pinLength: 4,
+    // Wrong PINs allowed before the user is signed out and has to log in with an OTP again
+    maxPinAttempts: 5,
+    // Choices for how long the app may stay in the background before it locks, in seconds
+    backgroundTimeoutOptions: [
+        { label: 'Immediately', seconds: 0 },
+        { label: 'After 1 minute', seconds: 60 },
+        { label: 'After 5 minutes', seconds: 5 * 60 },
+        { label: 'After 15 minutes', seconds: 15 * 60 },
+    ],
+    // Used until the user picks another timeout
+    defaultBackgroundTimeoutSeconds: 60,
+};
+
+export default appLockConfig;
@@ -0,0 +1,26 @@
+// DMSApp/config/authConfig.js
+
+/**
+ * Settings of the OTP login.
+ */
+const authConfig = {
+    // Digits in the OTP the backend sends by SMS
+    otpLength: 6,
+    // Seconds before another OTP may be requested for the same number
+    resendCooldownSeconds: 30,
+    // Lockout shown when the server rate-limits without saying for how long
+    defaultRateLimitSeconds: 5 * 60,
+    // Country preselected on LoginScreen; numbers from it are sent without the country code,
+    // as the backend has always received them
+    defaultCountry: 'IN',
+    // Countries offered on LoginScreen (ISO 3166 codes)
+    countries: [
+        { code: 'IN', name: 'India' },
+        { code: 'AE', name: 'United Arab Emirates' },
+        { code: 'GB', name: 'United Kingdom' },
+        { code: 'SG', name: 'Singapore' },
+        { code: 'US', name: 'United States' },
+    ],
+};
+
+export default authConfig;
@@ -0,0 +1,18 @@
+// DMSApp/config/mockConfig.js
+
+/**
+ * Settings of the mock backend, used when apiConfig.environment is 'mock'.
+ * It answers API requests on the device from a store pre-filled with sample documents,
+ * so the app can be developed and demonstrated without the live API or a phone receiving the OTP.
+ */
+const mockConfig = {
+    // The OTP the mock backend accepts for any mobile number
+    otp: '123456',
+    // Simulated response time, so loading states can be seen
+    latencyMs: 400,
+    // Name and role of the user signed in by the mock backend; admins may add minor heads
+    userName: 'Demo User',
+    userRole: 'admin',
+};
+
+export default mockConfig;
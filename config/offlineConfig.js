@@ -0,0 +1,16 @@
+// DMSApp/config/offlineConfig.js
+
+/**
+ * Limits of the on-device document store used for offline browsing.
+ */
+const offlineConfig = {
+    // Disk space for cached files; the least recently viewed unpinned files are removed beyond it.
+    // Pinned ("available offline") files are never removed automatically, even past the limit.
+    maxCacheBytes: 200 * 1024 * 1024,
+    // Documents whose details (not files) are remembered from search results and previews
+    maxRememberedDocuments: 500,
+    // Whether opening a document in PreviewScreen keeps a copy of its file
+    cacheViewedFiles: true,
+};
+
+export default offlineConfig;
@@ -0,0 +1,22 @@
+// DMSApp/config/uploadConfig.js
+
+/**
+ * Limits and processing settings applied to every file before it is uploaded.
+ * Images are shrunk on the device because uploads over mobile data are slow and often time out.
+ */
+const uploadConfig = {
+    // Images whose width or height exceed this are scaled down, keeping their aspect ratio
+    maxImageDimension: 2048,
+    // JPEG quality used when an image is re-encoded (0-100)
+    imageQuality: 80,
+    // Images smaller than this are uploaded as they are, re-encoding them would gain little
+    compressAboveBytes: 500 * 1024,
+    // Files larger than this (after processing) are rejected before upload
+    maxFileSizeBytes: 10 * 1024 * 1024,
+    // Types the backend accepts; HEIC photos are converted to JPEG first
+    allowedMimeTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+    // Image types that may be converted to JPEG instead of being rejected
+    convertibleImageTypes: ['image/heic', 'image/heif', 'image/webp'],
+};
+
+export default uploadConfig;
@@ -0,0 +1,212 @@
+// DMSApp/context/AppLockContext.js
+import React, { createContext, useState, useEffect, useRef, useContext } from 'react';
+import { AppState } from 'react-native';
+import { useAuth } from './AuthContext';
+import appLockConfig from '../config/appLockConfig';
+import {
+    loadLockSettings,
+    saveLockSettings,
+    savePin,
+    verifyPin,
+    clearPin,
+    resetAppLock,
+    loadFailedAttempts,
+    saveFailedAttempts,
+    getAvailableBiometry,
+    authenticateWithBiometrics,
+} from '../services/AppLockService';
+
+// Create a Context for the app lock
+const AppLockContext = createContext();
+
+/**
+ * AppLockProvider manages the optional app lock. When it is on, the signed-in user has to unlock the app
+ * with biometrics or a PIN at launch and after the app spent the configured time in the background.
+ * Too many wrong PINs sign the user out and turn the lock off; they then log in again with an OTP.
+ * The PIN and the lock settings belong to the signed-in user. They are removed when the user signs out or another
+ * user logs in, and kept through an expired session, so the same user finds their lock as they left it.
+ */
+export const AppLockProvider = ({ children }) => {
+    const { userToken, isLoading: isAuthLoading, signOut, addSignOutHandler } = useAuth();
+    const [lockSettings, setLockSettings] = useState(null); // null until loaded
+    const [isLocked, setIsLocked] = useState(false);
+    const [failedAttempts, setFailedAttempts] = useState(0);
+    const [biometryType, setBiometryType] = useState(null); // Sensor offered by the device, null if none
+    const [isReady, setIsReady] = useState(false); // Whether the launch lock has been decided
+    const backgroundedAtRef = useRef(null); // When the app last went to the background
+    const lockSettingsRef = useRef(null); // Latest settings, read by the AppState listener
+    lockSettingsRef.current = lockSettings;
+    const userTokenRef = useRef(userToken);
+    userTokenRef.current = userToken;
+    const loadingRef = useRef(null); // The initial load, which a sign-out at launch waits for
+
+    // Load the lock settings, the wrong PIN count and the available sensor once
+    useEffect(() => {
+        const loadLockState = async () => {
+            const [settings, attempts, biometry] = await Promise.all([
+                loadLockSettings(),
+                loadFailedAttempts(),
+                getAvailableBiometry(),
+            ]);
+            setFailedAttempts(attempts);
+            setBiometryType(biometry);
+            setLockSettings(settings);
+        };
+        loadingRef.current = loadLockState();
+    }, []);
+
+    // The next user to sign in on the device must not get this user's PIN and lock
+    useEffect(() => addSignOutHandler(async () => {
+        await loadingRef.current;
+        await resetAppLock();
+        setLockSettings(await loadLockSettings());
+        setFailedAttempts(0);
+        setIsLocked(false);
+    }), [addSignOutHandler]);
+
+    // Lock at launch, once both the session and the settings are known
+    useEffect(() => {
+        if (!isReady && !isAuthLoading && lockSettings) {
+            setIsLocked(lockSettings.enabled && !!userToken);
+            setIsReady(true);
+        }
+    }, [isReady, isAuthLoading, lockSettings, userToken]);
+
+    // Lock again when the app comes back after the configured time in the background.
+    // 'inactive' is ignored: iOS reports it while the Face ID prompt itself is shown.
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', nextState => {
+            const settings = lockSettingsRef.current;
+            if (nextState === 'background') {
+                backgroundedAtRef.current = Date.now();
+            } else if (nextState === 'active' && backgroundedAtRef.current !== null) {
+                const elapsedMs = Date.now() - backgroundedAtRef.current;
+                backgroundedAtRef.current = null;
+                if (settings?.enabled && userTokenRef.current && elapsedMs >= settings.backgroundTimeoutSeconds * 1000) {
+                    setIsLocked(true);
+                }
+            }
+        });
+        return () => subscription.remove();
+    }, []);
+
+    // A session that ends (sign out, expired token) needs no unlocking
+    useEffect(() => {
+        if (!userToken) {
+            setIsLocked(false);
+        }
+    }, [userToken]);
+
+    /**
+     * Saves new lock settings and applies them.
+     * @param {object} changes - The changed settings, e.g. { backgroundTimeoutSeconds }.
+     */
+    const updateLockSettings = async (changes) => {
+        const settings = { ...lockSettings, ...changes };
+        await saveLockSettings(settings);
+        setLockSettings(settings);
+    };
+
+    /**
+     * Unlocks the app and forgets earlier wrong PINs.
+     */
+    const unlock = async () => {
+        setIsLocked(false);
+        setFailedAttempts(0);
+        await saveFailedAttempts(0);
+    };
+
+    /**
+     * Asks for biometrics and unlocks the app if the user is recognised.
+     * @returns {Promise<boolean>} - Whether the app was unlocked.
+     */
+    const unlockWithBiometrics = async () => {
+        if (!lockSettings?.biometricsEnabled || !biometryType) {
+            return false;
+        }
+        const success = await authenticateWithBiometrics('Unlock DMSApp');
+        if (success) {
+            await unlock();
+        }
+        return success;
+    };
+
+    /**
+     * Signs the user out, which also turns the lock off and forgets the PIN.
+     * Used after too many wrong PINs and when the user has forgotten theirs.
+     */
+    const signOutFromLock = () => signOut();
+
+    /**
+     * Checks a PIN and unlocks the app if it is right.
+     * The last allowed wrong PIN signs the user out.
+     * @param {string} pin - The PIN typed by the user.
+     * @returns {Promise<object>} - { success, attemptsLeft }.
+     */
+    const unlockWithPin = async (pin) => {
+        if (await verifyPin(pin)) {
+            await unlock();
+            return { success: true, attemptsLeft: appLockConfig.maxPinAttempts };
+        }
+        const attempts = failedAttempts + 1;
+        const attemptsLeft = Math.max(appLockConfig.maxPinAttempts - attempts, 0);
+        if (attemptsLeft === 0) {
+            await signOutFromLock();
+        } else {
+            setFailedAttempts(attempts);
+            await saveFailedAttempts(attempts);
+        }
+        return { success: false, attemptsLeft };
+    };
+
+    /**
+     * Turns the lock on with a new PIN.
+     * @param {string} pin - The PIN, already confirmed by the user.
+     * @param {boolean} biometricsEnabled - Whether biometrics may be used instead of the PIN.
+     */
+    const enableLock = async (pin, biometricsEnabled) => {
+        await savePin(pin);
+        await saveFailedAttempts(0);
+        setFailedAttempts(0);
+        await updateLockSettings({ enabled: true, biometricsEnabled: biometricsEnabled && !!biometryType });
+    };
+
+    /**
+     * Turns the lock off and forgets the PIN.
+     */
+    const disableLock = async () => {
+        await clearPin();
+        await updateLockSettings({ enabled: false, biometricsEnabled: false });
+    };
+
+    // Provide the lock state and functions to children components
+    return (
+        <AppLockContext.Provider value={{
+            lockSettings,
+            isLocked,
+            isReady,
+            failedAttempts,
+            biometryType,
+            unlockWithBiometrics,
+            unlockWithPin,
+            signOutFromLock,
+            enableLock,
+            disableLock,
+            changePin: savePin,
+            updateLockSettings,
+        }}>
+            {children}
+        </AppLockContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to easily access the app lock context.
+ */
+export const useAppLock = () => {
+    const context = useContext(AppLockContext);
+    if (context === undefined) {
+        throw new Error('useAppLock must be used within an AppLockProvider');
+    }
+    return context;
+};
@@ -1,26 +1,102 @@
 // DMSApp/context/AuthContext.js
-import React, { createContext, useState, useEffect, useContext } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import { extractUserProfile } from '../services/AuthService';
+import { isTokenExpired } from '../utils/token';
+import { setAuthFailureHandler, resumePendingRequests, rejectPendingRequests } from '../services/ApiClient';
+import {
+    loadSession,
+    saveSession,
+    clearSession,
+    saveExpiredUser,
+    loadExpiredUser,
+    clearExpiredUser,
+} from '../services/SessionStorage';
+import { clearUploadedHashes } from '../services/DuplicateService';
+import { clearSavedSearches } from '../services/SavedSearchService';
+import { clearTagUsage } from '../services/TagService';
+import { clearReadingPositions } from '../services/ReadingPositionService';
 
 // Create a Context for authentication
 const AuthContext = createContext();
 
+// Remove what services keep for the user outside any provider, along with the providers' sign-out handlers
+const SERVICE_SIGN_OUT_HANDLERS = [clearUploadedHashes, clearSavedSearches, clearTagUsage, clearReadingPositions];
+
+/**
+ * Tells whether two profiles are the same user, by ID or, without one, by mobile number.
+ * @param {object|null} profile - A profile built by extractUserProfile.
+ * @param {object|null} otherProfile - Another one.
+ * @returns {boolean}
+ */
+const isSameUser = (profile, otherProfile) => {
+    const userKey = profile?.id || profile?.mobileNumber;
+    return !!userKey && userKey === (otherProfile?.id || otherProfile?.mobileNumber);
+};
+
 /**
- * AuthProvider component manages the authentication state (user token).
- * It loads the token from AsyncStorage on app start and provides functions to sign in/out.
+ * AuthProvider component manages the authentication state (user token and user profile).
+ * It loads both from the device's secure storage (keychain/keystore) on app start and provides functions to sign in/out.
+ * Other providers register sign-out handlers to remove what they keep for the user, so the next user on the device
+ * starts clean. These run when the user signs out, and when a different user logs in after a session expired;
+ * an expired session alone keeps the data, as the same user usually logs straight back in.
  */
 export const AuthProvider = ({ children }) => {
     const [userToken, setUserToken] = useState(null);
+    const [userProfile, setUserProfile] = useState(null); // { id, name, mobileNumber } of the signed-in user
     const [isLoading, setIsLoading] = useState(true);
+    const [sessionExpired, setSessionExpired] = useState(false); // Tells LoginScreen why the user is back there
+    const signOutHandlersRef = useRef(new Set()); // Functions removing the signed-in user's data, see addSignOutHandler
+    const userProfileRef = useRef(null); // The profile for the auth failure handler, registered once
+    const expiredProfileRef = useRef(null); // Whose session expired, their data is kept until the next login
+    userProfileRef.current = userProfile;
+
+    /**
+     * Registers a function that removes data kept for the signed-in user when they sign out.
+     * @param {function} handler - Called without arguments; may return a promise.
+     * @returns {function} - Unregisters the handler.
+     */
+    const addSignOutHandler = useCallback((handler) => {
+        signOutHandlersRef.current.add(handler);
+        return () => signOutHandlersRef.current.delete(handler);
+    }, []);
+
+    /**
+     * Runs the sign-out handlers. A failing handler is logged and does not stop the others.
+     */
+    const clearUserData = async () => {
+        await Promise.all([...SERVICE_SIGN_OUT_HANDLERS, ...signOutHandlersRef.current].map(async handler => {
+            try {
+                await handler();
+            } catch (e) {
+                console.error('Failed to clear user data on sign out:', e);
+            }
+        }));
+    };
 
     useEffect(() => {
-        // Function to load the user token from AsyncStorage
+        // Function to load the user token and profile from secure storage
         const loadToken = async () => {
             try {
-                const token = await AsyncStorage.getItem('userToken');
+                const session = await loadSession();
+                const token = session ? session.token : null;
+                // Signed in before profiles were stored, recover what the token itself carries
+                const profile = session?.profile || (token ? extractUserProfile({ token }, '') : null);
+                if (token && isTokenExpired(token)) {
+                    // Don't show the app only to have every request rejected
+                    expiredProfileRef.current = profile;
+                    await saveExpiredUser(profile);
+                    await clearSession();
+                    setSessionExpired(true);
+                    return;
+                }
+                if (!token) {
+                    // A session that expired in an earlier run still decides what happens at the next login
+                    expiredProfileRef.current = await loadExpiredUser();
+                }
                 setUserToken(token); // Set the token in state
+                setUserProfile(profile);
             } catch (e) {
-                console.error('Failed to load token from AsyncStorage:', e);
+                console.error('Failed to load token from secure storage:', e);
             } finally {
                 setIsLoading(false); // Mark loading as complete
             }
@@ -28,34 +104,74 @@ export const AuthProvider = ({ children }) => {
         loadToken(); // Call the function when the component mounts
     }, []); // Empty dependency array ensures this runs only once on mount
 
+    // When the server rejects the token, clear the session so App.tsx shows LoginScreen.
+    // The failed requests wait in ApiClient and are retried after the next signIn.
+    useEffect(() => {
+        setAuthFailureHandler(async () => {
+            expiredProfileRef.current = userProfileRef.current;
+            try {
+                await saveExpiredUser(userProfileRef.current);
+                await clearSession();
+            } catch (e) {
+                console.error('Failed to remove token from secure storage:', e);
+            }
+            setSessionExpired(true);
+            setUserToken(null);
+            setUserProfile(null);
+        });
+        return () => setAuthFailureHandler(null);
+    }, []);
+
     /**
-     * Signs in the user by storing the token in AsyncStorage and updating state.
+     * Signs in the user by storing the token and profile in secure storage and updating state.
+     * When another user's session had expired, the data kept for that user is removed first.
      * @param {string} token - The authentication token received from the backend.
+     * @param {object} profile - The user profile built by extractUserProfile.
      */
-    const signIn = async (token) => {
+    const signIn = async (token, profile) => {
         try {
-            await AsyncStorage.setItem('userToken', token);
+            const isReturningUser = isSameUser(expiredProfileRef.current, profile);
+            if (expiredProfileRef.current && !isReturningUser) {
+                await clearUserData();
+            }
+            await saveSession(token, profile);
+            await clearExpiredUser();
+            setUserProfile(profile);
             setUserToken(token);
+            setSessionExpired(false);
+            // Retry what failed while the session was expired, unless another user logged in
+            if (isReturningUser) {
+                resumePendingRequests();
+            } else {
+                rejectPendingRequests('You signed in as a different user.');
+            }
+            expiredProfileRef.current = null;
         } catch (e) {
-            console.error('Failed to save token to AsyncStorage:', e);
+            console.error('Failed to save token to secure storage:', e);
         }
     };
 
     /**
-     * Signs out the user by removing the token from AsyncStorage and clearing state.
+     * Signs out the user by removing the token and profile from secure storage and clearing state,
+     * along with the data other providers keep for the user.
      */
     const signOut = async () => {
+        await clearUserData();
         try {
-            await AsyncStorage.removeItem('userToken');
+            await clearSession();
+            await clearExpiredUser();
+            rejectPendingRequests(); // Signing out on purpose abandons requests waiting for a new login
+            expiredProfileRef.current = null;
             setUserToken(null);
+            setUserProfile(null);
         } catch (e) {
-            console.error('Failed to remove token from AsyncStorage:', e);
+            console.error('Failed to remove token from secure storage:', e);
         }
     };
 
     // Provide the authentication state and functions to children components
     return (
-        <AuthContext.Provider value={{ userToken, isLoading, signIn, signOut }}>
+        <AuthContext.Provider value={{ userToken, userProfile, isLoading, sessionExpired, signIn, signOut, addSignOutHandler }}>
             {children}
         </AuthContext.Provider>
     );
@@ -0,0 +1,120 @@
+// DMSApp/context/CategoryContext.js
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import {
+    getDefaultCategories,
+    loadCachedCategories,
+    saveCachedCategories,
+    fetchCategories,
+    addMinorHead as saveMinorHead,
+    canManageCategories,
+} from '../services/CategoryService';
+import { useAuth } from './AuthContext';
+
+// Create a Context for the document category hierarchy
+const CategoryContext = createContext();
+
+/**
+ * CategoryProvider loads the major and minor heads from the backend once a user is signed in,
+ * and keeps the last loaded hierarchy cached so the forms keep working offline.
+ */
+export const CategoryProvider = ({ children }) => {
+    const { userToken, userProfile } = useAuth();
+    const [categories, setCategories] = useState(getDefaultCategories); // { [majorHead]: [minorHead, ...] }
+    const [syncedAt, setSyncedAt] = useState(null); // When the backend last confirmed the hierarchy
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [loadError, setLoadError] = useState(null); // Why the last refresh failed, shown next to the pickers
+    const categoriesRef = useRef(categories);
+
+    /**
+     * Replaces the hierarchy, keeping state, ref and cache in sync.
+     */
+    const applyCategories = useCallback((nextCategories, nextSyncedAt) => {
+        categoriesRef.current = nextCategories;
+        setCategories(nextCategories);
+        setSyncedAt(nextSyncedAt);
+        saveCachedCategories(nextCategories, nextSyncedAt);
+    }, []);
+
+    /**
+     * Loads the hierarchy from the backend. On failure the cached one, or the built-in one, stays in use.
+     */
+    const refreshCategories = useCallback(async () => {
+        setIsRefreshing(true);
+        try {
+            applyCategories(await fetchCategories(), new Date().toISOString());
+            setLoadError(null);
+        } catch (error) {
+            setLoadError(error.message || 'Failed to load categories.');
+        } finally {
+            setIsRefreshing(false);
+        }
+    }, [applyCategories]);
+
+    // Show the cached hierarchy right away, then refresh it once signed in
+    useEffect(() => {
+        const restoreCategories = async () => {
+            const cached = await loadCachedCategories();
+            if (cached) {
+                categoriesRef.current = cached.categories;
+                setCategories(cached.categories);
+                setSyncedAt(cached.syncedAt);
+            }
+        };
+        restoreCategories();
+    }, []);
+
+    useEffect(() => {
+        if (userToken) {
+            refreshCategories();
+        }
+    }, [userToken, refreshCategories]);
+
+    /**
+     * Adds a minor head on the backend and makes it available in the pickers straight away.
+     * @param {string} majorHead - The major head to add it to.
+     * @param {string} minorHead - The new minor head.
+     */
+    const addMinorHead = async (majorHead, minorHead) => {
+        const name = minorHead.trim();
+        if (!name) {
+            throw new Error('Please enter a name for the minor head.');
+        }
+        const existing = categoriesRef.current[majorHead] || [];
+        if (existing.some(item => item.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`"${name}" already exists under ${majorHead}.`);
+        }
+        await saveMinorHead(majorHead, name);
+        applyCategories({
+            ...categoriesRef.current,
+            [majorHead]: [...existing, name].sort((a, b) => a.localeCompare(b)),
+        }, syncedAt);
+        return name;
+    };
+
+    return (
+        <CategoryContext.Provider
+            value={{
+                categories,
+                majorHeads: Object.keys(categories),
+                syncedAt,
+                isRefreshing,
+                loadError,
+                canAddMinorHead: canManageCategories(userProfile),
+                refreshCategories,
+                addMinorHead,
+            }}>
+            {children}
+        </CategoryContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to easily access the category context.
+ */
+export const useCategories = () => {
+    const context = useContext(CategoryContext);
+    if (context === undefined) {
+        throw new Error('useCategories must be used within a CategoryProvider');
+    }
+    return context;
+};
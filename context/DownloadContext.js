@@ -0,0 +1,171 @@
+// DMSApp/context/DownloadContext.js
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import {
+    loadDownloads,
+    saveDownloads,
+    startDownload,
+    cancelDownload,
+    deleteDownloadedFile,
+    clearDownloads,
+} from '../services/DownloadService';
+import { useAuth } from './AuthContext';
+
+// Create a Context for document downloads
+const DownloadContext = createContext();
+
+/**
+ * Returns the key identifying a document's download, shared by every screen showing that document.
+ * @param {object} document - The document from the search results.
+ */
+export const getDownloadKey = (document) => String(document.document_id || document.id || document.file_url);
+
+/**
+ * DownloadProvider tracks running downloads with their progress and
+ * keeps the persistent list of files already downloaded to the device.
+ * The list and the files in the app's storage are removed when the user signs out or another user logs in.
+ */
+export const DownloadProvider = ({ children }) => {
+    const { addSignOutHandler } = useAuth();
+    const [downloads, setDownloads] = useState([]); // Completed downloads, newest first
+    const [activeDownloads, setActiveDownloads] = useState({}); // { [downloadKey]: { progress, fileName } }
+    const downloadsRef = useRef([]);
+    const jobsRef = useRef({}); // { [downloadKey]: { jobId, filePath, cancelled } }
+    const restoringRef = useRef(null); // Loading of the stored list, which a sign-out waits for
+
+    // Load the persisted download list when the provider mounts
+    useEffect(() => {
+        const restoreDownloads = async () => {
+            const storedDownloads = await loadDownloads();
+            downloadsRef.current = [...downloadsRef.current, ...storedDownloads];
+            setDownloads(downloadsRef.current);
+        };
+        restoringRef.current = restoreDownloads();
+    }, []);
+
+    /**
+     * Applies an update to the download list, keeping state, ref and storage in sync.
+     * @param {function} updater - Receives the current list and returns the new one.
+     */
+    const updateDownloads = useCallback((updater) => {
+        downloadsRef.current = updater(downloadsRef.current);
+        setDownloads(downloadsRef.current);
+        saveDownloads(downloadsRef.current);
+    }, []);
+
+    // The next user to sign in must not find this user's documents in the list
+    useEffect(() => addSignOutHandler(async () => {
+        await restoringRef.current;
+        await Promise.all(Object.values(jobsRef.current).map(async job => {
+            job.cancelled = true;
+            if (job.jobId !== undefined) {
+                await cancelDownload(job.jobId, job.filePath);
+            }
+        }));
+        const records = downloadsRef.current;
+        downloadsRef.current = [];
+        setDownloads([]);
+        await clearDownloads(records);
+    }), [addSignOutHandler]);
+
+    /**
+     * Updates or removes (when changes is null) the progress entry of a running download.
+     */
+    const setActiveDownload = (key, changes) => {
+        setActiveDownloads(current => {
+            const next = { ...current };
+            if (changes) {
+                next[key] = { ...current[key], ...changes };
+            } else {
+                delete next[key];
+            }
+            return next;
+        });
+    };
+
+    /**
+     * Downloads a document's file, reporting progress through activeDownloads.
+     * @param {object} document - The document from the search results.
+     * @returns {Promise<object|null>} - The download record, or null if the user cancelled.
+     */
+    const downloadDocument = async (document) => {
+        const key = getDownloadKey(document);
+        if (jobsRef.current[key]) {
+            throw new Error('This document is already being downloaded.');
+        }
+        jobsRef.current[key] = { cancelled: false };
+        setActiveDownload(key, { progress: 0, fileName: document.document_name });
+        try {
+            const job = await startDownload(document, {
+                onProgress: progress => setActiveDownload(key, { progress }),
+            });
+            jobsRef.current[key] = { ...jobsRef.current[key], jobId: job.jobId, filePath: job.filePath };
+            const record = await job.promise;
+            if (jobsRef.current[key]?.cancelled) {
+                await deleteDownloadedFile(record); // A copy, which cannot be stopped, finished after a sign-out
+                return null;
+            }
+            updateDownloads(current => [record, ...current]);
+            return record;
+        } catch (error) {
+            if (jobsRef.current[key]?.cancelled) {
+                return null; // Stopping the job rejects its promise, that is not an error for the user
+            }
+            throw error;
+        } finally {
+            delete jobsRef.current[key];
+            setActiveDownload(key, null);
+        }
+    };
+
+    /**
+     * Cancels the running download of a document.
+     * @param {object} document - The document being downloaded.
+     */
+    const cancelDocumentDownload = async (document) => {
+        const job = jobsRef.current[getDownloadKey(document)];
+        if (!job || job.jobId === undefined) {
+            return;
+        }
+        job.cancelled = true;
+        await cancelDownload(job.jobId, job.filePath);
+    };
+
+    /**
+     * Deletes a downloaded file from the device and from the download list.
+     * @param {string} id - The download record ID.
+     */
+    const deleteDownload = async (id) => {
+        const record = downloadsRef.current.find(item => item.id === id);
+        if (!record) {
+            return;
+        }
+        await deleteDownloadedFile(record);
+        updateDownloads(current => current.filter(item => item.id !== id));
+    };
+
+    /**
+     * Adds a file created on the device (e.g. a ZIP archive) to the download list.
+     * @param {object} record - The download record.
+     */
+    const addDownload = (record) => {
+        updateDownloads(current => [record, ...current]);
+    };
+
+    return (
+        <DownloadContext.Provider
+            value={{ downloads, activeDownloads, downloadDocument, cancelDocumentDownload, deleteDownload, addDownload }}>
+            {children}
+        </DownloadContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to easily access the download context.
+ */
+export const useDownloads = () => {
+    const context = useContext(DownloadContext);
+    if (context === undefined) {
+        throw new Error('useDownloads must be used within a DownloadProvider');
+    }
+    return context;
+};
@@ -0,0 +1,267 @@
+// DMSApp/context/OfflineContext.js
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import { getDownloadKey } from './DownloadContext';
+import { useAuth } from './AuthContext';
+import { startDownload } from '../services/DownloadService';
+import { DOCUMENT_EVENTS, subscribeToDocumentChanges } from '../services/DocumentEvents';
+import {
+    OFFLINE_DIRECTORY,
+    loadOfflineIndex,
+    saveOfflineIndex,
+    getCacheSize,
+    deleteCachedFile,
+    selectEntriesToEvict,
+    trimRememberedDocuments,
+    clearOfflineStore,
+} from '../services/OfflineStoreService';
+import offlineConfig from '../config/offlineConfig';
+
+// Create a Context for the offline document store
+const OfflineContext = createContext();
+
+/**
+ * OfflineProvider keeps an on-device store of document details and files for browsing without connectivity:
+ * details of documents seen in search results, files of recently viewed documents (removed least recently
+ * viewed first beyond the size limit) and files the user made available offline (never removed automatically).
+ * Everything is removed from the device when the user signs out or another user logs in; an expired session keeps it.
+ */
+export const OfflineProvider = ({ children }) => {
+    const [offlineIndex, setOfflineIndex] = useState({}); // { [documentKey]: entry }, see OfflineStoreService
+    const [isLoaded, setIsLoaded] = useState(false);
+    const indexRef = useRef({});
+    const pendingFilesRef = useRef({}); // { [documentKey]: Promise } of files being cached
+    const restoringRef = useRef(null); // Loading of the persisted index, which clearing waits for
+    const generationRef = useRef(0); // Incremented when the store is cleared, so files still downloading are dropped
+    const { addSignOutHandler } = useAuth();
+
+    // Load the persisted index when the provider mounts
+    useEffect(() => {
+        const restoreIndex = async () => {
+            const storedIndex = await loadOfflineIndex();
+            indexRef.current = { ...storedIndex, ...indexRef.current };
+            setOfflineIndex(indexRef.current);
+            setIsLoaded(true);
+        };
+        restoringRef.current = restoreIndex();
+    }, []);
+
+    /**
+     * Applies an update to the index, keeping state, ref and storage in sync.
+     * @param {function} updater - Receives the current index and returns the new one.
+     */
+    const updateIndex = useCallback((updater) => {
+        indexRef.current = updater(indexRef.current);
+        setOfflineIndex(indexRef.current);
+        saveOfflineIndex(indexRef.current);
+    }, []);
+
+    /**
+     * Removes files of the least recently viewed unpinned documents while the cache is over its limit.
+     */
+    const enforceCacheLimit = useCallback(async () => {
+        const evicted = selectEntriesToEvict(indexRef.current);
+        if (evicted.length === 0) {
+            return;
+        }
+        updateIndex(current => {
+            const next = { ...current };
+            evicted.forEach(entry => {
+                if (next[entry.key]) {
+                    next[entry.key] = { ...next[entry.key], filePath: null, size: 0 };
+                }
+            });
+            return next;
+        });
+        await Promise.all(evicted.map(entry => deleteCachedFile(entry).catch(e => console.warn('Failed to remove cached file:', e))));
+    }, [updateIndex]);
+
+    /**
+     * Remembers the details of documents, e.g. search results, so they can be found offline.
+     * Details of documents already in the store are refreshed; their files are kept.
+     * @param {Array<object>} documents - Documents from the server.
+     */
+    const rememberDocuments = useCallback((documents) => {
+        if (documents.length === 0) {
+            return;
+        }
+        const now = new Date().toISOString();
+        updateIndex(current => {
+            const next = { ...current };
+            documents.forEach(document => {
+                const key = getDownloadKey(document);
+                next[key] = next[key]
+                    ? { ...next[key], document }
+                    : { key, document, filePath: null, size: 0, pinned: false, lastViewedAt: null, rememberedAt: now };
+            });
+            return trimRememberedDocuments(next);
+        });
+    }, [updateIndex]);
+
+    /**
+     * Stores a document's file on the device unless it is already there, then applies the cache limit.
+     * @param {object} document - A document from the server.
+     * @param {object} changes - Entry fields to set, e.g. { pinned: true }.
+     * @returns {Promise<object>} - The entry, with its filePath.
+     */
+    const cacheDocumentFile = useCallback(async (document, changes = {}) => {
+        const key = getDownloadKey(document);
+        const now = new Date().toISOString();
+        const existing = indexRef.current[key];
+        if (existing?.filePath) {
+            updateIndex(current => ({ ...current, [key]: { ...current[key], document, lastViewedAt: now, ...changes } }));
+        } else {
+            const generation = generationRef.current;
+            if (!pendingFilesRef.current[key]) {
+                pendingFilesRef.current[key] = startDownload(document, { directory: OFFLINE_DIRECTORY })
+                    .then(job => job.promise)
+                    .finally(() => delete pendingFilesRef.current[key]);
+            }
+            const record = await pendingFilesRef.current[key];
+            if (generation !== generationRef.current) {
+                await deleteCachedFile(record).catch(e => console.warn('Failed to remove cached file:', e));
+                throw new Error('The user signed out while the file was being stored.');
+            }
+            updateIndex(current => ({
+                ...current,
+                [key]: {
+                    key,
+                    pinned: false,
+                    rememberedAt: now,
+                    ...current[key],
+                    document,
+                    filePath: record.filePath,
+                    size: record.size,
+                    lastViewedAt: now,
+                    ...changes,
+                },
+            }));
+        }
+        await enforceCacheLimit();
+        return indexRef.current[key];
+    }, [updateIndex, enforceCacheLimit]);
+
+    /**
+     * Records that a document was opened, caching its file when configured to.
+     * Failures are only logged: viewing must not depend on the cache.
+     * @param {object} document - The document shown in PreviewScreen.
+     */
+    const recordView = useCallback(async (document) => {
+        if (!document.file_url) {
+            return;
+        }
+        const key = getDownloadKey(document);
+        if (offlineConfig.cacheViewedFiles || indexRef.current[key]?.filePath) {
+            try {
+                await cacheDocumentFile(document);
+            } catch (e) {
+                console.warn('Failed to cache viewed document:', e);
+            }
+            return;
+        }
+        rememberDocuments([document]);
+        updateIndex(current => ({ ...current, [key]: { ...current[key], lastViewedAt: new Date().toISOString() } }));
+    }, [cacheDocumentFile, rememberDocuments, updateIndex]);
+
+    /**
+     * Pins a document's file on the device, downloading it if needed, or unpins it.
+     * An unpinned file stays cached until the size limit removes it.
+     * @param {object} document - A document from the server.
+     * @param {boolean} availableOffline - Whether the file must stay on the device.
+     */
+    const setAvailableOffline = async (document, availableOffline) => {
+        if (availableOffline) {
+            await cacheDocumentFile(document, { pinned: true });
+            return;
+        }
+        const key = getDownloadKey(document);
+        if (indexRef.current[key]) {
+            updateIndex(current => ({ ...current, [key]: { ...current[key], pinned: false } }));
+            await enforceCacheLimit();
+        }
+    };
+
+    /**
+     * Returns the path of a document's file on the device, storing the file first if it is not there yet.
+     * @param {object} document - A document from the server.
+     * @returns {Promise<string>}
+     */
+    const getDocumentFilePath = async (document) => (await cacheDocumentFile(document)).filePath;
+
+    /**
+     * Removes a document's file and details from the device.
+     * @param {string} key - The document key.
+     */
+    const removeOfflineDocument = useCallback(async (key) => {
+        const entry = indexRef.current[key];
+        if (!entry) {
+            return;
+        }
+        updateIndex(current => {
+            const next = { ...current };
+            delete next[key];
+            return next;
+        });
+        await deleteCachedFile(entry);
+    }, [updateIndex]);
+
+    // The next account to sign in on this device must not find this user's documents
+    useEffect(() => addSignOutHandler(async () => {
+        await restoringRef.current;
+        generationRef.current += 1;
+        indexRef.current = {};
+        pendingFilesRef.current = {};
+        setOfflineIndex({});
+        await clearOfflineStore();
+    }), [addSignOutHandler]);
+
+    // Keep the stored details in step with edits and deletions made in the app
+    useEffect(() => {
+        return subscribeToDocumentChanges(({ type, key, document }) => {
+            if (type === DOCUMENT_EVENTS.VERSION_ADDED) {
+                return; // The stored file is still that of the replaced version, which keeps its details
+            }
+            if (type === DOCUMENT_EVENTS.DELETED) {
+                removeOfflineDocument(key).catch(e => console.warn('Failed to remove deleted document from the device:', e));
+            } else if (indexRef.current[key]) {
+                updateIndex(current => ({ ...current, [key]: { ...current[key], document } }));
+            } else if (type === DOCUMENT_EVENTS.REVERTED) {
+                rememberDocuments([document]); // A deletion the server refused
+            }
+        });
+    }, [removeOfflineDocument, rememberDocuments, updateIndex]);
+
+    /**
+     * Returns the stored entry of a document, if any.
+     * @param {object} document - The document.
+     * @returns {object|undefined}
+     */
+    const getOfflineEntry = (document) => offlineIndex[getDownloadKey(document)];
+
+    return (
+        <OfflineContext.Provider
+            value={{
+                offlineEntries: Object.values(offlineIndex),
+                isLoaded,
+                cacheSize: getCacheSize(offlineIndex),
+                getOfflineEntry,
+                rememberDocuments,
+                recordView,
+                setAvailableOffline,
+                getDocumentFilePath,
+                removeOfflineDocument,
+            }}>
+            {children}
+        </OfflineContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to easily access the offline document store.
+ */
+export const useOffline = () => {
+    const context = useContext(OfflineContext);
+    if (context === undefined) {
+        throw new Error('useOffline must be used within an OfflineProvider');
+    }
+    return context;
+};
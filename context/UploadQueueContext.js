@@ -0,0 +1,249 @@
+// DMSApp/context/UploadQueueContext.js
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+import { uploadDocument } from '../services/DocumentService';
+import { isMockBackend } from '../services/ApiClient';
+import { recordUploadedHash, toUploadedDocument } from '../services/DuplicateService';
+import {
+    QUEUE_STATUS,
+    loadQueue,
+    saveQueue,
+    createQueueItem,
+    replaceQueuedFile,
+    removeQueuedFile,
+    clearQueuedFiles,
+    isRetryableUploadError,
+    getRetryDelay,
+} from '../services/UploadQueueService';
+import { useAuth } from './AuthContext';
+
+// Create a Context for the offline upload queue
+const UploadQueueContext = createContext();
+
+/**
+ * UploadQueueProvider keeps uploads that failed because of connectivity or server errors,
+ * persists them in AsyncStorage and sends them again with backoff once the device is back online.
+ * The queue belongs to the signed-in user: it waits through an expired session and is dropped when they
+ * sign out or another user logs in, so nobody uploads another user's documents under their own account.
+ */
+export const UploadQueueProvider = ({ children }) => {
+    const { userToken, addSignOutHandler } = useAuth();
+    const [queue, setQueue] = useState([]);
+    const [isOnline, setIsOnline] = useState(true);
+    const queueRef = useRef([]); // Latest queue, read by the async processing loop
+    const userTokenRef = useRef(userToken);
+    const isOnlineRef = useRef(true);
+    const processingRef = useRef(false);
+    const retryTimerRef = useRef(null);
+    const restoringRef = useRef(null); // Loading of the stored queue, which a sign-out waits for
+    const generationRef = useRef(0); // Bumped on sign-out, so an upload in flight does not touch the new queue
+    userTokenRef.current = userToken;
+
+    /**
+     * Applies an update to the queue, keeping state, ref and storage in sync.
+     * @param {function} updater - Receives the current queue and returns the new one.
+     */
+    const updateQueue = useCallback((updater) => {
+        const nextQueue = updater(queueRef.current);
+        queueRef.current = nextQueue;
+        setQueue(nextQueue);
+        saveQueue(nextQueue);
+    }, []);
+
+    /**
+     * Updates a single queue item by ID.
+     */
+    const updateItem = useCallback((id, changes) => {
+        updateQueue(current => current.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    }, [updateQueue]);
+
+    /**
+     * Schedules the next processing run for the earliest pending retry.
+     */
+    const scheduleNextRun = useCallback((run) => {
+        clearTimeout(retryTimerRef.current);
+        const pendingTimes = queueRef.current
+            .filter(item => item.status === QUEUE_STATUS.PENDING)
+            .map(item => item.nextAttemptAt);
+        if (pendingTimes.length > 0) {
+            const delay = Math.max(Math.min(...pendingTimes) - Date.now(), 0);
+            retryTimerRef.current = setTimeout(run, delay);
+        }
+    }, []);
+
+    /**
+     * Sends every pending upload whose retry time has come, one at a time.
+     */
+    const processQueue = useCallback(async () => {
+        if (processingRef.current || !isOnlineRef.current || !userTokenRef.current) {
+            return;
+        }
+        processingRef.current = true;
+        try {
+            let nextItem;
+            const findDueItem = () => queueRef.current.find(item => (
+                item.status === QUEUE_STATUS.PENDING && item.nextAttemptAt <= Date.now()
+            ));
+            const generation = generationRef.current;
+            while (isOnlineRef.current && generation === generationRef.current && (nextItem = findDueItem())) {
+                const item = nextItem;
+                updateItem(item.id, { status: QUEUE_STATUS.UPLOADING });
+                try {
+                    const response = await uploadDocument(item.file.uri, item.file.name, item.file.type, item.documentData);
+                    if (generation !== generationRef.current) {
+                        break; // The user signed out meanwhile, their queue is gone
+                    }
+                    if (response.success) {
+                        await recordUploadedHash(item.file.hash, toUploadedDocument(response, item.file.name, item.documentData));
+                        await removeQueuedFile(item);
+                        updateQueue(current => current.filter(queued => queued.id !== item.id));
+                    } else {
+                        updateItem(item.id, {
+                            status: QUEUE_STATUS.FAILED,
+                            attempts: item.attempts + 1,
+                            lastError: response.message || 'Failed to upload document.',
+                        });
+                    }
+                } catch (error) {
+                    if (generation !== generationRef.current) {
+                        break;
+                    }
+                    const attempts = item.attempts + 1;
+                    updateItem(item.id, isRetryableUploadError(error) ? {
+                        status: QUEUE_STATUS.PENDING,
+                        attempts,
+                        lastError: error.message,
+                        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+                    } : {
+                        status: QUEUE_STATUS.FAILED,
+                        attempts,
+                        lastError: error.message,
+                    });
+                }
+            }
+        } finally {
+            processingRef.current = false;
+            scheduleNextRun(processQueue);
+        }
+    }, [updateItem, updateQueue, scheduleNextRun]);
+
+    // Load the persisted queue when the provider mounts
+    useEffect(() => {
+        const restoreQueue = async () => {
+            const storedQueue = await loadQueue();
+            // Keep anything queued in the meantime, it is newer than what was stored
+            updateQueue(current => [...storedQueue, ...current]);
+            processQueue();
+        };
+        restoringRef.current = restoreQueue();
+        return () => clearTimeout(retryTimerRef.current);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    // Watch connectivity and flush the queue as soon as the device is back online
+    useEffect(() => {
+        const unsubscribe = NetInfo.addEventListener(state => {
+            // The mock backend runs on the device, so it is reachable without a connection
+            const online = isMockBackend() || (!!state.isConnected && state.isInternetReachable !== false);
+            const cameBackOnline = online && !isOnlineRef.current;
+            isOnlineRef.current = online;
+            setIsOnline(online);
+            if (cameBackOnline) {
+                // Items waiting out a backoff failed because we were offline, try them right away
+                updateQueue(current => current.map(item => (
+                    item.status === QUEUE_STATUS.PENDING ? { ...item, nextAttemptAt: Date.now() } : item
+                )));
+                processQueue();
+            }
+        });
+        return unsubscribe;
+    }, [processQueue, updateQueue]);
+
+    // The next user to sign in must not send, or even see, this user's queued documents
+    useEffect(() => addSignOutHandler(async () => {
+        await restoringRef.current;
+        generationRef.current += 1;
+        clearTimeout(retryTimerRef.current);
+        updateQueue(() => []);
+        await clearQueuedFiles();
+    }), [addSignOutHandler, updateQueue]);
+
+    // Resume processing once a user is signed in
+    useEffect(() => {
+        if (userToken) {
+            processQueue();
+        }
+    }, [userToken, processQueue]);
+
+    /**
+     * Adds a document to the queue to be uploaded when possible.
+     * @param {object} file - The selected file ({ uri, name, type }).
+     * @param {object} documentData - The metadata payload for uploadDocument.
+     */
+    const enqueueUpload = async (file, documentData) => {
+        const item = await createQueueItem(file, documentData);
+        updateQueue(current => [...current, item]);
+        processQueue();
+        return item;
+    };
+
+    /**
+     * Retries a queued upload immediately, regardless of its backoff or failed state.
+     * @param {string} id - The queue item ID.
+     */
+    const retryUpload = (id) => {
+        updateItem(id, { status: QUEUE_STATUS.PENDING, nextAttemptAt: Date.now() });
+        processQueue();
+    };
+
+    /**
+     * Replaces the file and/or metadata of a queued upload and queues it again.
+     * @param {string} id - The queue item ID.
+     * @param {object} changes - { file, documentData }; either may be omitted.
+     */
+    const updateUpload = async (id, { file, documentData }) => {
+        const item = queueRef.current.find(queued => queued.id === id);
+        if (!item) {
+            throw new Error('This upload is no longer in the queue.');
+        }
+        const queuedFile = file ? await replaceQueuedFile(item, file) : item.file;
+        updateItem(id, {
+            file: queuedFile,
+            documentData: documentData || item.documentData,
+            status: QUEUE_STATUS.PENDING,
+            lastError: null,
+            nextAttemptAt: Date.now(),
+        });
+        processQueue();
+    };
+
+    /**
+     * Removes an upload from the queue and deletes its queued file copy.
+     * @param {string} id - The queue item ID.
+     */
+    const cancelUpload = async (id) => {
+        const item = queueRef.current.find(queued => queued.id === id);
+        if (!item) {
+            return;
+        }
+        updateQueue(current => current.filter(queued => queued.id !== id));
+        await removeQueuedFile(item);
+    };
+
+    return (
+        <UploadQueueContext.Provider value={{ queue, isOnline, enqueueUpload, retryUpload, updateUpload, cancelUpload }}>
+            {children}
+        </UploadQueueContext.Provider>
+    );
+};
+
+/**
+ * Custom hook to easily access the upload queue context.
+ */
+export const useUploadQueue = () => {
+    const context = useContext(UploadQueueContext);
+    if (context === undefined) {
+        throw new Error('useUploadQueue must be used within an UploadQueueProvider');
+    }
+    return context;
+};
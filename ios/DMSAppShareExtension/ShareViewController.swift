@@ -0,0 +1,170 @@
+import UIKit
+import UniformTypeIdentifiers
+
+/// Receives images and PDFs shared from another app's share sheet and hands them to DMSApp.
+///
+/// The files are copied into the app group container shared with DMSApp, listed under a key in the
+/// group's UserDefaults, and DMSApp is opened with a URL naming that key. This is the hand-over
+/// react-native-receive-sharing-intent reads on the JavaScript side (services/ShareIntentService.js).
+class ShareViewController: UIViewController {
+  /// URL scheme DMSApp registers for shares, also passed to the library in ShareIntentService.js.
+  private let urlScheme = "DMSAppShare"
+  /// UserDefaults key holding the files of the latest share.
+  private let sharedKey = "ShareKey"
+  /// Shares older than this are removed from the container when a new one arrives.
+  private let sharedFilesLifetime: TimeInterval = 24 * 60 * 60
+
+  private var hostAppBundleIdentifier: String {
+    Bundle.main.object(forInfoDictionaryKey: "HostAppBundleIdentifier") as? String ?? ""
+  }
+
+  private var appGroupIdentifier: String {
+    "group.\(hostAppBundleIdentifier)"
+  }
+
+  override func viewDidAppear(_ animated: Bool) {
+    super.viewDidAppear(animated)
+
+    guard let sharedDirectory = makeSharedDirectory() else {
+      cancel()
+      return
+    }
+
+    let attachments = (extensionContext?.inputItems as? [NSExtensionItem] ?? [])
+      .flatMap { $0.attachments ?? [] }
+    var sharedFiles: [SharedMediaFile?] = Array(repeating: nil, count: attachments.count)
+    let group = DispatchGroup()
+
+    for (index, attachment) in attachments.enumerated() {
+      let typeIdentifier: String
+      let mediaType: SharedMediaType
+      if attachment.hasItemConformingToTypeIdentifier(UTType.pdf.identifier) {
+        typeIdentifier = UTType.pdf.identifier
+        mediaType = .file
+      } else if attachment.hasItemConformingToTypeIdentifier(UTType.image.identifier) {
+        typeIdentifier = UTType.image.identifier
+        mediaType = .image
+      } else {
+        continue // Other types are not offered by the activation rule
+      }
+
+      group.enter()
+      copyAttachment(attachment, typeIdentifier: typeIdentifier, into: sharedDirectory) { fileURL in
+        if let fileURL = fileURL {
+          DispatchQueue.main.async {
+            sharedFiles[index] = SharedMediaFile(path: fileURL.absoluteString, thumbnail: nil, duration: nil, type: mediaType)
+          }
+        }
+        DispatchQueue.main.async { group.leave() }
+      }
+    }
+
+    group.notify(queue: .main) {
+      let files = sharedFiles.compactMap { $0 }
+      guard !files.isEmpty,
+            let data = try? JSONEncoder().encode(files),
+            let userDefaults = UserDefaults(suiteName: self.appGroupIdentifier) else {
+        self.cancel()
+        return
+      }
+      userDefaults.set(data, forKey: self.sharedKey)
+      userDefaults.synchronize()
+      self.openHostApp()
+    }
+  }
+
+  /// Creates a directory for this share in the app group container, removing earlier shares that
+  /// DMSApp has had time to read.
+  private func makeSharedDirectory() -> URL? {
+    let fileManager = FileManager.default
+    guard let container = fileManager.containerURL(forSecurityApplicationGroupIdentifier: appGroupIdentifier) else {
+      return nil
+    }
+    let sharedRoot = container.appendingPathComponent("SharedFiles", isDirectory: true)
+
+    if let earlierShares = try? fileManager.contentsOfDirectory(
+      at: sharedRoot,
+      includingPropertiesForKeys: [.creationDateKey]
+    ) {
+      for share in earlierShares {
+        let created = (try? share.resourceValues(forKeys: [.creationDateKey]))?.creationDate ?? .distantPast
+        if Date().timeIntervalSince(created) > sharedFilesLifetime {
+          try? fileManager.removeItem(at: share)
+        }
+      }
+    }
+
+    let directory = sharedRoot.appendingPathComponent(UUID().uuidString, isDirectory: true)
+    do {
+      try fileManager.createDirectory(at: directory, withIntermediateDirectories: true)
+      return directory
+    } catch {
+      return nil
+    }
+  }
+
+  /// Copies one shared item into the directory, keeping its file name where the sharing app gives one.
+  private func copyAttachment(
+    _ attachment: NSItemProvider,
+    typeIdentifier: String,
+    into directory: URL,
+    completion: @escaping (URL?) -> Void
+  ) {
+    attachment.loadFileRepresentation(forTypeIdentifier: typeIdentifier) { url, _ in
+      if let url = url {
+        // The provided file is removed once this handler returns, so it is copied right away
+        let destination = directory.appendingPathComponent(url.lastPathComponent)
+        completion((try? FileManager.default.copyItem(at: url, to: destination)) != nil ? destination : nil)
+        return
+      }
+      // Some apps share an image in memory rather than as a file
+      attachment.loadItem(forTypeIdentifier: typeIdentifier, options: nil) { item, _ in
+        let data: Data?
+        if let image = item as? UIImage {
+          data = image.jpegData(compressionQuality: 0.9)
+        } else {
+          data = item as? Data
+        }
+        let fileExtension = typeIdentifier == UTType.pdf.identifier ? "pdf" : "jpg"
+        let destination = directory.appendingPathComponent("Shared-\(Int(Date().timeIntervalSince1970)).\(fileExtension)")
+        completion((try? data?.write(to: destination)) != nil ? destination : nil)
+      }
+    }
+  }
+
+  /// Opens DMSApp on the share and closes the extension.
+  private func openHostApp() {
+    guard let url = URL(string: "\(urlScheme)://dataUrl=\(sharedKey)#file") else {
+      cancel()
+      return
+    }
+    // Extensions have no UIApplication.shared; the application is found up the responder chain
+    var responder: UIResponder? = self
+    while let current = responder {
+      if let application = current as? UIApplication {
+        application.open(url, options: [:], completionHandler: nil)
+        break
+      }
+      responder = current.next
+    }
+    extensionContext?.completeRequest(returningItems: [], completionHandler: nil)
+  }
+
+  private func cancel() {
+    extensionContext?.cancelRequest(withError: NSError(domain: "DMSAppShareExtension", code: 0))
+  }
+
+  /// The shape react-native-receive-sharing-intent decodes from the shared UserDefaults.
+  private struct SharedMediaFile: Codable {
+    var path: String
+    var thumbnail: String?
+    var duration: Double?
+    var type: SharedMediaType
+  }
+
+  private enum SharedMediaType: Int, Codable {
+    case image
+    case video
+    case file
+  }
+}
@@ -1,3 +1,11 @@
 module.exports = {
   preset: 'react-native',
+  setupFiles: ['./jest.setup.js'],
+  // Dates are checked in UTC+5:30, see the file
+  globalSetup: './jest.globalSetup.js',
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
+  // These packages ship untranspiled ES modules
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native|@react-native(-community)?|@react-native-async-storage|@react-native-picker|@react-navigation|@bam.tech|react-native-.*)/)',
+  ],
 };
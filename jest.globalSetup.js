@@ -0,0 +1,10 @@
+// DMSApp/jest.globalSetup.js
+
+/**
+ * Runs the tests in a time zone ahead of UTC, where a local date sent through toISOString()
+ * comes out a day early, so such date mistakes fail the tests instead of reaching users.
+ * It is set here because Node only picks up TZ for the processes started after it changes.
+ */
+module.exports = async () => {
+    process.env.TZ = 'Asia/Kolkata';
+};
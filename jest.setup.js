@@ -0,0 +1,117 @@
+// DMSApp/jest.setup.js
+/* eslint-env jest */
+
+/**
+ * Replaces the native modules with JavaScript stand-ins so the tests run headless under Node.
+ * Tests override single functions with mockResolvedValueOnce and friends where they need to.
+ */
+
+// React Native's FormData takes files as { uri, name, type } parts, Node's would turn them into strings
+// eslint-disable-next-line @react-native/no-deep-imports
+global.FormData = require('react-native/Libraries/Network/FormData').default;
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('@react-native-community/netinfo', () => require('@react-native-community/netinfo/jest/netinfo-mock.js'));
+
+// An in-memory keychain, one entry per service
+jest.mock('react-native-keychain', () => {
+    const mockEntries = {};
+    return {
+        ACCESSIBLE: { WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'AccessibleWhenUnlockedThisDeviceOnly' },
+        setGenericPassword: jest.fn(async (username, password, { service } = {}) => {
+            mockEntries[service] = { username, password, service };
+            return { service };
+        }),
+        getGenericPassword: jest.fn(async ({ service } = {}) => mockEntries[service] || false),
+        resetGenericPassword: jest.fn(async ({ service } = {}) => {
+            delete mockEntries[service];
+            return true;
+        }),
+    };
+});
+
+jest.mock('react-native-biometrics', () => jest.fn().mockImplementation(() => ({
+    isSensorAvailable: jest.fn(async () => ({ available: false })),
+    simplePrompt: jest.fn(async () => ({ success: false })),
+})));
+
+jest.mock('react-native-otp-verify', () => ({
+    getHash: jest.fn(async () => []),
+    startOtpListener: jest.fn(async () => {}),
+    removeListener: jest.fn(),
+}));
+
+jest.mock('react-native-receive-sharing-intent', () => ({
+    getReceivedFiles: jest.fn(),
+    clearReceivedFiles: jest.fn(),
+}));
+
+jest.mock('react-native-fs', () => ({
+    DocumentDirectoryPath: '/documents',
+    CachesDirectoryPath: '/caches',
+    DownloadDirectoryPath: '/downloads',
+    exists: jest.fn(async () => false),
+    mkdir: jest.fn(async () => {}),
+    stat: jest.fn(async () => ({ size: 1024 })),
+    hash: jest.fn(async () => 'file-hash'),
+    copyFile: jest.fn(async () => {}),
+    writeFile: jest.fn(async () => {}),
+    unlink: jest.fn(async () => {}),
+    downloadFile: jest.fn(() => ({ jobId: 1, promise: Promise.resolve({ statusCode: 200, bytesWritten: 1024 }) })),
+    stopDownload: jest.fn(),
+}));
+
+jest.mock('react-native-document-picker', () => ({
+    pick: jest.fn(),
+    isCancel: jest.fn(() => false),
+    types: { images: 'image/*', pdf: 'application/pdf' },
+}));
+
+jest.mock('react-native-image-picker', () => ({
+    launchCamera: jest.fn(async () => ({ didCancel: true })),
+    launchImageLibrary: jest.fn(async () => ({ didCancel: true })),
+}));
+
+jest.mock('react-native-image-crop-picker', () => ({
+    openCamera: jest.fn(),
+    openCropper: jest.fn(),
+}));
+
+jest.mock('@bam.tech/react-native-image-resizer', () => ({
+    createResizedImage: jest.fn(async (uri, width, height) => ({ uri, path: uri, width, height, size: 1024 })),
+}));
+
+jest.mock('react-native-images-to-pdf', () => ({
+    createPdf: jest.fn(async ({ outputPath }) => outputPath),
+}));
+
+jest.mock('react-native-zip-archive', () => ({
+    zip: jest.fn(async (source, target) => target),
+}));
+
+jest.mock('react-native-share', () => ({
+    open: jest.fn(async () => ({ success: true })),
+}));
+
+// Native views are rendered as plain Views carrying their props, so tests can find them
+jest.mock('react-native-pdf', () => {
+    const { useImperativeHandle } = require('react');
+    const { View } = require('react-native');
+    return ({ ref, ...props }) => {
+        useImperativeHandle(ref, () => ({ setPage: jest.fn() }));
+        return <View testID="pdf-viewer" {...props} />;
+    };
+});
+
+jest.mock('@react-native-community/datetimepicker', () => {
+    const { View } = require('react-native');
+    return (props) => <View testID="date-time-picker" {...props} />;
+});
+
+jest.mock('@react-native-picker/picker', () => {
+    const { View } = require('react-native');
+    const Picker = ({ children, ...props }) => <View {...props}>{children}</View>;
+    Picker.Item = (props) => <View {...props} />;
+    return { Picker };
+});
@@ -0,0 +1,195 @@
+// DMSApp/screens/DownloadsScreen.js
+import React from 'react';
+import {
+    View,
+    Text,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    FlatList
+} from 'react-native';
+import Share from 'react-native-share';
+import { useDownloads } from '../context/DownloadContext';
+import ProgressBar from '../components/ProgressBar';
+import { formatFileSize } from '../utils/format';
+
+/**
+ * DownloadsScreen lists running downloads and the files already downloaded to the device,
+ * which can be opened, shared or deleted.
+ */
+const DownloadsScreen = ({ navigation }) => {
+    const { downloads, activeDownloads, deleteDownload } = useDownloads();
+    const runningDownloads = Object.entries(activeDownloads);
+
+    /**
+     * Opens a downloaded file in the preview screen, reading it from the device.
+     * @param {object} record - The download record.
+     */
+    const handleOpen = (record) => {
+        navigation.navigate('Preview', {
+            document: { ...record.document, document_name: record.fileName, file_url: `file://${record.filePath}` },
+            isLocalFile: true,
+        });
+    };
+
+    /**
+     * Opens the native share sheet for a downloaded file.
+     * @param {object} record - The download record.
+     */
+    const handleShare = async (record) => {
+        try {
+            await Share.open({ url: `file://${record.filePath}`, filename: record.fileName, failOnCancel: false });
+        } catch (error) {
+            console.error('Share error:', error);
+            Alert.alert('Share Failed', error.message || 'Could not share this file.');
+        }
+    };
+
+    /**
+     * Asks for confirmation before deleting a downloaded file from the device.
+     * @param {object} record - The download record.
+     */
+    const handleDelete = (record) => {
+        Alert.alert(
+            'Delete File',
+            `Delete "${record.fileName}" from this device?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await deleteDownload(record.id);
+                        } catch (error) {
+                            Alert.alert('Error', `Failed to delete file: ${error.message}`);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Renders a downloaded file with its actions.
+     * @param {object} item - The download record.
+     */
+    const renderDownloadItem = ({ item }) => (
+        <View style={styles.downloadItem}>
+            <Text style={styles.fileName}>{item.fileName}</Text>
+            <Text style={styles.detail}>{formatFileSize(item.size)} - {new Date(item.downloadedAt).toLocaleString()}</Text>
+            {item.document?.major_head ? (
+                <Text style={styles.detail}>Category: {item.document.major_head} / {item.document.minor_head}</Text>
+            ) : null}
+            <View style={styles.actions}>
+                <TouchableOpacity style={styles.actionButton} onPress={() => handleOpen(item)}>
+                    <Text style={styles.actionButtonText}>Open</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.actionButton, styles.shareButton]} onPress={() => handleShare(item)}>
+                    <Text style={styles.actionButtonText}>Share</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={[styles.actionButton, styles.deleteButton]} onPress={() => handleDelete(item)}>
+                    <Text style={styles.actionButtonText}>Delete</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            <FlatList
+                data={downloads}
+                keyExtractor={item => item.id}
+                renderItem={renderDownloadItem}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={runningDownloads.length > 0 ? (
+                    <View style={styles.runningContainer}>
+                        <Text style={styles.sectionTitle}>In Progress</Text>
+                        {runningDownloads.map(([key, download]) => (
+                            <View key={key} style={styles.runningItem}>
+                                <Text style={styles.detail}>{download.fileName || 'Document'}</Text>
+                                <ProgressBar progress={download.progress} />
+                            </View>
+                        ))}
+                    </View>
+                ) : null}
+                ListEmptyComponent={<Text style={styles.emptyText}>No downloaded documents yet.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    listContent: {
+        padding: 20,
+        paddingBottom: 50,
+    },
+    sectionTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginBottom: 10,
+        color: '#333',
+    },
+    runningContainer: {
+        marginBottom: 20,
+    },
+    runningItem: {
+        marginBottom: 10,
+    },
+    downloadItem: {
+        backgroundColor: '#fff',
+        padding: 15,
+        borderRadius: 10,
+        marginBottom: 15,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+        elevation: 3,
+    },
+    fileName: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginBottom: 5,
+        color: '#333',
+    },
+    detail: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 3,
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        marginTop: 10,
+    },
+    actionButton: {
+        backgroundColor: '#17a2b8', // Info blue
+        paddingVertical: 10,
+        paddingHorizontal: 15,
+        borderRadius: 8,
+    },
+    shareButton: {
+        backgroundColor: '#28a745', // Success green
+    },
+    deleteButton: {
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    actionButtonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    emptyText: {
+        textAlign: 'center',
+        fontSize: 16,
+        color: '#777',
+        marginTop: 20,
+    },
+});
+
+export default DownloadsScreen;
@@ -0,0 +1,152 @@
+// DMSApp/screens/EditDocumentScreen.js
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator,
+    ScrollView
+} from 'react-native';
+import DocumentDetailsForm, { validateDocumentDetails } from '../components/DocumentDetailsForm';
+import { updateDocumentEntry, getDocumentId } from '../services/DocumentService';
+import { recordTagUsage } from '../services/TagService';
+import { DOCUMENT_EVENTS, emitDocumentChange } from '../services/DocumentEvents';
+import { getDownloadKey } from '../context/DownloadContext';
+import { formatApiDate, parseApiDate } from '../utils/format';
+
+/**
+ * EditDocumentScreen corrects the metadata of a document that is already on the server:
+ * document date, major and minor head, tags and remarks. The file itself is not changed.
+ * The change is shown in the search results right away and reverted there if the server rejects it.
+ */
+const EditDocumentScreen = ({ navigation, route }) => {
+    const { document } = route.params;
+    const [documentDate, setDocumentDate] = useState(parseApiDate(document.document_date) || new Date());
+    const [majorHead, setMajorHead] = useState(document.major_head || '');
+    const [minorHead, setMinorHead] = useState(document.minor_head || '');
+    const [tags, setTags] = useState((document.tags || []).map(tag => tag.tag_name));
+    const [remarks, setRemarks] = useState(document.document_remarks || '');
+    const [saving, setSaving] = useState(false);
+
+    /**
+     * Applies changes made in the DocumentDetailsForm.
+     * @param {object} changes - The changed fields, e.g. { majorHead, minorHead } or { remarks }.
+     */
+    const handleDetailsChange = (changes) => {
+        if (changes.documentDate !== undefined) setDocumentDate(changes.documentDate);
+        if (changes.majorHead !== undefined) setMajorHead(changes.majorHead);
+        if (changes.minorHead !== undefined) setMinorHead(changes.minorHead);
+        if (changes.tags !== undefined) setTags(changes.tags);
+        if (changes.remarks !== undefined) setRemarks(changes.remarks);
+    };
+
+    /**
+     * Saves the edited metadata. Search results are updated before the server answers
+     * and restored if the update fails.
+     */
+    const handleSave = async () => {
+        const validationError = validateDocumentDetails({ majorHead, minorHead, tags });
+        if (validationError) {
+            Alert.alert('Validation Error', validationError);
+            return;
+        }
+
+        const documentData = {
+            major_head: majorHead,
+            minor_head: minorHead,
+            document_date: formatApiDate(documentDate), // YYYY-MM-DD
+            document_remarks: remarks,
+            tags: tags.map(tag => ({ tag_name: tag })), // Format tags for API payload
+        };
+        const updatedDocument = { ...document, ...documentData };
+        const key = getDownloadKey(document);
+
+        setSaving(true);
+        emitDocumentChange({ type: DOCUMENT_EVENTS.UPDATED, key, document: updatedDocument });
+        try {
+            const response = await updateDocumentEntry(getDocumentId(document), documentData);
+            if (!response.success) {
+                throw new Error(response.message || 'The server did not accept the changes.');
+            }
+            await recordTagUsage(tags);
+            // Go back to the preview, showing the corrected details
+            navigation.popTo('Preview', { document: updatedDocument }, { merge: true });
+        } catch (error) {
+            emitDocumentChange({ type: DOCUMENT_EVENTS.REVERTED, key, document });
+            Alert.alert('Update Failed', `The changes could not be saved: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <ScrollView contentContainerStyle={styles.scrollViewContent}>
+            <View style={styles.container}>
+                <Text style={styles.title}>Edit Document</Text>
+                <Text style={styles.documentName}>{document.document_name}</Text>
+
+                <DocumentDetailsForm
+                    details={{ documentDate, majorHead, minorHead, tags, remarks }}
+                    onChange={handleDetailsChange}
+                    disabled={saving}
+                />
+
+                <TouchableOpacity
+                    style={[styles.saveButton, saving && styles.disabledButton]}
+                    onPress={handleSave}
+                    disabled={saving}
+                >
+                    {saving ? (
+                        <ActivityIndicator color="#fff" />
+                    ) : (
+                        <Text style={styles.saveButtonText}>Save Changes</Text>
+                    )}
+                </TouchableOpacity>
+            </View>
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    scrollViewContent: {
+        flexGrow: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    container: {
+        flex: 1,
+        padding: 20,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        marginBottom: 5,
+        textAlign: 'center',
+        color: '#333',
+    },
+    documentName: {
+        fontSize: 16,
+        color: '#6c757d',
+        textAlign: 'center',
+        marginBottom: 20,
+    },
+    saveButton: {
+        backgroundColor: '#007bff',
+        paddingVertical: 15,
+        borderRadius: 10,
+        alignItems: 'center',
+        marginTop: 10,
+        marginBottom: 30,
+    },
+    disabledButton: {
+        opacity: 0.6,
+    },
+    saveButtonText: {
+        color: '#fff',
+        fontSize: 18,
+        fontWeight: 'bold',
+    },
+});
+
+export default EditDocumentScreen;
@@ -1,18 +1,42 @@
 // DMSApp/screens/HomeScreen.js
-import React from 'react';
-import { View, Text, Button, StyleSheet, TouchableOpacity } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, Button, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
 import { useAuth } from '../context/AuthContext'; // Import useAuth hook
+import { useUploadQueue } from '../context/UploadQueueContext';
+import { loadSavedSearches, describeFilters } from '../services/SavedSearchService';
+import { listenForSharedFiles } from '../services/ShareIntentService';
 
 /**
- * HomeScreen component provides navigation options to other parts of the application
- * and allows the user to sign out.
+ * HomeScreen component provides navigation options to other parts of the application,
+ * runs saved searches in one tap and allows the user to sign out.
+ * It stays mounted while the user is signed in, so it opens UploadScreen for files shared from other apps.
  */
 const HomeScreen = ({ navigation }) => {
-    const { signOut } = useAuth(); // Get the signOut function from AuthContext
+    const { signOut, userProfile } = useAuth(); // Get the signOut function and signed-in user from AuthContext
+    const displayName = userProfile?.name || userProfile?.mobileNumber;
+    const { queue } = useUploadQueue(); // Pending uploads waiting for connectivity
+    const [savedSearches, setSavedSearches] = useState([]);
+
+    // Reload the saved searches whenever the screen is shown, they may have changed on SearchScreen
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('focus', async () => {
+            setSavedSearches(await loadSavedSearches());
+        });
+        return unsubscribe;
+    }, [navigation]);
+
+    // Start a new upload with the images or PDFs shared from another app; sharedAt changes with every share
+    useEffect(() => {
+        return listenForSharedFiles(files => {
+            navigation.push('Upload', { sharedFiles: files, sharedAt: Date.now() });
+        });
+    }, [navigation]);
 
     return (
-        <View style={styles.container}>
-            <Text style={styles.welcomeText}>Welcome to Document Management System!</Text>
+        <ScrollView contentContainerStyle={styles.container}>
+            <Text style={styles.welcomeText}>
+                {displayName ? `Welcome, ${displayName}!` : 'Welcome to Document Management System!'}
+            </Text>
 
             {/* Button to navigate to Upload Document screen */}
             <TouchableOpacity
@@ -30,6 +54,56 @@ const HomeScreen = ({ navigation }) => {
                 <Text style={styles.buttonText}>Search Documents</Text>
             </TouchableOpacity>
 
+            {/* Saved searches, each runs on SearchScreen right away */}
+            {savedSearches.length > 0 && (
+                <View style={styles.savedSearchesContainer}>
+                    {savedSearches.map(savedSearch => (
+                        <TouchableOpacity
+                            key={savedSearch.id}
+                            style={styles.savedSearchButton}
+                            onPress={() => navigation.navigate('Search', { filters: savedSearch.filters, runAt: Date.now() })}
+                        >
+                            <Text style={styles.savedSearchName}>{savedSearch.name}</Text>
+                            <Text style={styles.savedSearchDetail} numberOfLines={1}>{describeFilters(savedSearch.filters)}</Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
+
+            {/* Button to navigate to Downloads screen */}
+            <TouchableOpacity
+                style={styles.button}
+                onPress={() => navigation.navigate('Downloads')}
+            >
+                <Text style={styles.buttonText}>Downloads</Text>
+            </TouchableOpacity>
+
+            {/* Button to navigate to the Offline Library, documents stored on the device */}
+            <TouchableOpacity
+                style={styles.button}
+                onPress={() => navigation.navigate('OfflineLibrary')}
+            >
+                <Text style={styles.buttonText}>Offline Library</Text>
+            </TouchableOpacity>
+
+            {/* Button to navigate to Pending Uploads screen, only when something is queued */}
+            {queue.length > 0 && (
+                <TouchableOpacity
+                    style={[styles.button, styles.pendingButton]}
+                    onPress={() => navigation.navigate('PendingUploads')}
+                >
+                    <Text style={styles.buttonText}>Pending Uploads ({queue.length})</Text>
+                </TouchableOpacity>
+            )}
+
+            {/* Button to navigate to Security settings (app lock) */}
+            <TouchableOpacity
+                style={[styles.button, styles.settingsButton]}
+                onPress={() => navigation.navigate('SecuritySettings')}
+            >
+                <Text style={styles.buttonText}>Security Settings</Text>
+            </TouchableOpacity>
+
             {/* Button to sign out */}
             <TouchableOpacity
                 style={[styles.button, styles.signOutButton]}
@@ -37,13 +111,13 @@ const HomeScreen = ({ navigation }) => {
             >
                 <Text style={styles.buttonText}>Sign Out</Text>
             </TouchableOpacity>
-        </View>
+        </ScrollView>
     );
 };
 
 const styles = StyleSheet.create({
     container: {
-        flex: 1,
+        flexGrow: 1, // Fills the screen, and scrolls once saved searches make the content taller
         justifyContent: 'center',
         alignItems: 'center',
         padding: 20,
@@ -75,6 +149,35 @@ const styles = StyleSheet.create({
         fontSize: 18,
         fontWeight: '600',
     },
+    savedSearchesContainer: {
+        width: '80%',
+        marginBottom: 15,
+    },
+    savedSearchButton: {
+        backgroundColor: '#fff',
+        borderLeftWidth: 4,
+        borderLeftColor: '#007bff',
+        borderRadius: 8,
+        paddingVertical: 10,
+        paddingHorizontal: 15,
+        marginBottom: 8,
+    },
+    savedSearchName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    savedSearchDetail: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    pendingButton: {
+        backgroundColor: '#fd7e14', // Orange to draw attention to unsent documents
+    },
+    settingsButton: {
+        backgroundColor: '#6c757d', // Gray for settings
+    },
     signOutButton: {
         backgroundColor: '#dc3545', // Red color for sign out
         marginTop: 30,
@@ -0,0 +1,191 @@
+// DMSApp/screens/LockScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator,
+    KeyboardAvoidingView,
+    Platform
+} from 'react-native';
+import { useAppLock } from '../context/AppLockContext';
+import { getBiometryLabel } from '../services/AppLockService';
+import appLockConfig from '../config/appLockConfig';
+
+/**
+ * LockScreen covers the app while the app lock is engaged. It offers biometrics first, when enabled,
+ * with the PIN as fallback. After the last allowed wrong PIN the user is signed out.
+ * Rendered by App.tsx instead of the screens, not as a navigation route.
+ */
+const LockScreen = () => {
+    const { lockSettings, failedAttempts, biometryType, unlockWithBiometrics, unlockWithPin, signOutFromLock } = useAppLock();
+    const [pin, setPin] = useState('');
+    const [checking, setChecking] = useState(false);
+    const [error, setError] = useState(null);
+    const canUseBiometrics = !!lockSettings?.biometricsEnabled && !!biometryType;
+    const attemptsLeft = appLockConfig.maxPinAttempts - failedAttempts;
+
+    // Offer biometrics right away, the PIN stays available if the user cancels
+    useEffect(() => {
+        if (canUseBiometrics) {
+            unlockWithBiometrics();
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    /**
+     * Checks the typed PIN once all digits are entered.
+     * @param {string} text - The PIN typed so far.
+     */
+    const handlePinChange = async (text) => {
+        const digits = text.replace(/\D/g, '');
+        setPin(digits);
+        setError(null);
+        if (digits.length < appLockConfig.pinLength) {
+            return;
+        }
+        setChecking(true);
+        try {
+            const result = await unlockWithPin(digits);
+            if (!result.success) {
+                setPin('');
+                if (result.attemptsLeft === 0) {
+                    Alert.alert('Signed Out', 'Too many wrong PINs. Please log in again with an OTP.');
+                } else {
+                    setError(`Wrong PIN. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left.`);
+                }
+            }
+        } catch (e) {
+            console.error('PIN check failed:', e);
+            setPin('');
+            setError('The PIN could not be checked. Please try again.');
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    /**
+     * Signs out after confirmation, for users who forgot their PIN.
+     */
+    const handleForgotPin = () => {
+        Alert.alert(
+            'Forgot PIN?',
+            'You will be signed out and the app lock turned off. Log in again with an OTP and set a new PIN.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Sign Out', style: 'destructive', onPress: signOutFromLock },
+            ]
+        );
+    };
+
+    return (
+        <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+            style={styles.container}
+        >
+            <View style={styles.innerContainer}>
+                <Text style={styles.title}>DMSApp is Locked</Text>
+                <Text style={styles.label}>Enter your {appLockConfig.pinLength}-digit PIN:</Text>
+                <TextInput
+                    style={styles.pinInput}
+                    keyboardType="number-pad"
+                    secureTextEntry
+                    accessibilityLabel="PIN"
+                    maxLength={appLockConfig.pinLength}
+                    value={pin}
+                    onChangeText={handlePinChange}
+                    editable={!checking}
+                    autoFocus={!canUseBiometrics}
+                />
+                {error && <Text style={styles.errorText}>{error}</Text>}
+                {!error && failedAttempts > 0 && (
+                    <Text style={styles.errorText}>{attemptsLeft} attempt{attemptsLeft === 1 ? '' : 's'} left.</Text>
+                )}
+                {checking && <ActivityIndicator size="small" color="#007bff" style={styles.loadingIndicator} />}
+
+                {canUseBiometrics && (
+                    <TouchableOpacity style={styles.biometricButton} onPress={unlockWithBiometrics} disabled={checking}>
+                        <Text style={styles.biometricButtonText}>Unlock with {getBiometryLabel(biometryType)}</Text>
+                    </TouchableOpacity>
+                )}
+
+                <TouchableOpacity onPress={handleForgotPin} disabled={checking}>
+                    <Text style={styles.forgotPinText}>Forgot PIN? Sign out</Text>
+                </TouchableOpacity>
+            </View>
+        </KeyboardAvoidingView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        justifyContent: 'center',
+        backgroundColor: '#f5f5f5',
+    },
+    innerContainer: {
+        padding: 20,
+        backgroundColor: '#fff',
+        marginHorizontal: 20,
+        borderRadius: 10,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+        elevation: 5,
+    },
+    title: {
+        fontSize: 24,
+        fontWeight: 'bold',
+        marginBottom: 30,
+        textAlign: 'center',
+        color: '#333',
+    },
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    pinInput: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 10,
+        fontSize: 24,
+        letterSpacing: 12,
+        textAlign: 'center',
+        color: '#333',
+    },
+    errorText: {
+        color: '#dc3545',
+        textAlign: 'center',
+        marginBottom: 10,
+    },
+    loadingIndicator: {
+        marginBottom: 10,
+    },
+    biometricButton: {
+        backgroundColor: '#007bff',
+        paddingVertical: 12,
+        borderRadius: 8,
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    biometricButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    forgotPinText: {
+        color: '#6c757d',
+        textAlign: 'center',
+        marginTop: 20,
+        textDecorationLine: 'underline',
+    },
+});
+
+export default LockScreen;
@@ -1,5 +1,5 @@
 // DMSApp/screens/LoginScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     View,
     Text,
@@ -13,40 +13,100 @@ import {
     TouchableWithoutFeedback,
     Keyboard
 } from 'react-native';
-import { generateOTP, validateOTP } from '../services/AuthService';
+import { Picker } from '@react-native-picker/picker';
+import {
+    generateOTP,
+    validateOTP,
+    extractUserProfile,
+    getDialCode,
+    validateMobileNumber,
+    toApiMobileNumber,
+} from '../services/AuthService';
+import { listenForOtpSms } from '../services/OtpReaderService';
+import { API_ERROR_TYPES } from '../services/ApiClient';
 import { useAuth } from '../context/AuthContext'; // Import useAuth hook
+import OtpInput from '../components/OtpInput';
+import authConfig from '../config/authConfig';
+import { formatCountdown } from '../utils/format';
 
 /**
  * LoginScreen component handles OTP-based user authentication.
  * It allows users to enter their mobile number, generate OTP, and validate it.
+ * The OTP is checked as soon as all digits are entered, typed or read from the SMS on Android.
+ * Resending is allowed after a cooldown, and a rate limit from the server locks both buttons until it expires.
  */
 const LoginScreen = () => {
-    const { signIn } = useAuth(); // Get the signIn function from AuthContext
+    const { signIn, sessionExpired } = useAuth(); // Get the signIn function from AuthContext
+    const [country, setCountry] = useState(authConfig.defaultCountry);
     const [mobileNumber, setMobileNumber] = useState('');
     const [otp, setOtp] = useState('');
     const [otpSent, setOtpSent] = useState(false);
     const [loading, setLoading] = useState(false); // State for loading indicator
+    const [resendAvailableAt, setResendAvailableAt] = useState(0); // When another OTP may be requested
+    const [lockedUntil, setLockedUntil] = useState(0); // When the server's rate limit ends
+    const [now, setNow] = useState(Date.now()); // Ticks every second while a countdown runs
+    const validateOtpRef = useRef(null); // Latest handleValidateOtp, for the SMS listener
+
+    const resendSecondsLeft = Math.max(0, Math.ceil((resendAvailableAt - now) / 1000));
+    const lockSecondsLeft = Math.max(0, Math.ceil((lockedUntil - now) / 1000));
+    const isRateLimited = lockSecondsLeft > 0;
+
+    // Tick while the resend cooldown or the rate limit lockout runs
+    useEffect(() => {
+        if (Math.max(resendAvailableAt, lockedUntil) <= Date.now()) {
+            return undefined;
+        }
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [resendAvailableAt, lockedUntil]);
+
+    // Read the code from the SMS on Android while an OTP is awaited
+    useEffect(() => {
+        if (!otpSent) {
+            return undefined;
+        }
+        return listenForOtpSms(code => {
+            setOtp(code);
+            validateOtpRef.current(code);
+        });
+    }, [otpSent]);
+
+    /**
+     * Locks the form when the server rate-limits, otherwise shows the error.
+     * @param {Error} error - The error thrown by AuthService.
+     */
+    const handleRequestError = (error) => {
+        if (error.type === API_ERROR_TYPES.RATE_LIMIT) {
+            setLockedUntil(Date.now() + error.retryAfterSeconds * 1000);
+            setNow(Date.now());
+            return;
+        }
+        Alert.alert('Error', error.message || 'Something went wrong. Please try again.');
+    };
 
     /**
      * Handles the generation of OTP.
      * Calls the AuthService to send OTP to the provided mobile number.
      */
     const handleGenerateOtp = async () => {
-        if (!mobileNumber) {
-            Alert.alert('Input Error', 'Please enter your mobile number.');
+        const numberError = validateMobileNumber(mobileNumber, country);
+        if (numberError) {
+            Alert.alert('Input Error', numberError);
             return;
         }
         setLoading(true); // Start loading
         try {
-            const response = await generateOTP(mobileNumber);
+            const response = await generateOTP(toApiMobileNumber(mobileNumber, country));
             if (response.success) {
                 setOtpSent(true);
-                Alert.alert('Success', 'OTP sent to your mobile number!');
+                setOtp('');
+                setResendAvailableAt(Date.now() + authConfig.resendCooldownSeconds * 1000);
+                setNow(Date.now());
             } else {
                 Alert.alert('Error', response.message || 'Failed to send OTP. Please try again.');
             }
         } catch (error) {
-            Alert.alert('Error', error.message || 'Something went wrong. Please try again.');
+            handleRequestError(error);
         } finally {
             setLoading(false); // Stop loading
         }
@@ -55,28 +115,45 @@ const LoginScreen = () => {
     /**
      * Handles the validation of OTP.
      * Calls the AuthService to validate the OTP and then signs in the user via AuthContext.
+     * @param {string} code - The complete OTP.
      */
-    const handleValidateOtp = async () => {
-        if (!mobileNumber || !otp) {
-            Alert.alert('Input Error', 'Please enter both mobile number and OTP.');
+    const handleValidateOtp = async (code) => {
+        if (code.length !== authConfig.otpLength) {
+            Alert.alert('Input Error', `Please enter the ${authConfig.otpLength}-digit OTP.`);
+            return;
+        }
+        if (loading || isRateLimited) {
             return;
         }
         setLoading(true); // Start loading
         try {
-            const response = await validateOTP(mobileNumber, otp);
+            const apiMobileNumber = toApiMobileNumber(mobileNumber, country);
+            const response = await validateOTP(apiMobileNumber, code);
             if (response.success && response.token) {
-                await signIn(response.token); // Use signIn from AuthContext
+                // Keep who signed in, so uploads and searches can be attributed to them
+                await signIn(response.token, extractUserProfile(response, apiMobileNumber)); // Use signIn from AuthContext
                 Alert.alert('Success', 'Login successful!');
                 // Navigation to Home screen is handled by App.js based on userToken state
             } else {
+                setOtp('');
                 Alert.alert('Error', response.message || 'Invalid OTP. Please try again.');
             }
         } catch (error) {
-            Alert.alert('Error', error.message || 'Something went wrong. Please try again.');
+            setOtp('');
+            handleRequestError(error);
         } finally {
             setLoading(false); // Stop loading
         }
     };
+    validateOtpRef.current = handleValidateOtp;
+
+    /**
+     * Goes back to the mobile number, e.g. to correct a typo.
+     */
+    const handleChangeNumber = () => {
+        setOtpSent(false);
+        setOtp('');
+    };
 
     return (
         <KeyboardAvoidingView
@@ -85,44 +162,79 @@ const LoginScreen = () => {
             <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
                 <View style={styles.innerContainer}>
                     <Text style={styles.title}>Welcome to DMS App</Text>
+                    {sessionExpired && (
+                        <Text style={styles.sessionExpiredText}>
+                            Your session has expired. Please log in again to continue where you left off.
+                        </Text>
+                    )}
+                    {isRateLimited && (
+                        <Text style={styles.rateLimitText}>
+                            Too many attempts. For your security, please try again in {formatCountdown(lockSecondsLeft)}.
+                        </Text>
+                    )}
+
                     <Text style={styles.label}>Mobile Number:</Text>
-                    <TextInput
-                        style={styles.input}
-                        keyboardType="phone-pad"
-                        placeholder="Enter mobile number"
-                        value={mobileNumber}
-                        onChangeText={setMobileNumber}
-                        editable={!otpSent && !loading} // Disable input once OTP is sent or loading
-                    />
+                    <View style={styles.pickerContainer}>
+                        <Picker
+                            selectedValue={country}
+                            onValueChange={setCountry}
+                            enabled={!otpSent && !loading}
+                            style={styles.picker}
+                        >
+                            {authConfig.countries.map(option => (
+                                <Picker.Item key={option.code} label={`${option.name} (${getDialCode(option.code)})`} value={option.code} />
+                            ))}
+                        </Picker>
+                    </View>
+                    <View style={styles.phoneRow}>
+                        <Text style={styles.dialCode}>{getDialCode(country)}</Text>
+                        <TextInput
+                            style={[styles.input, styles.phoneInput]}
+                            keyboardType="phone-pad"
+                            placeholder="Enter mobile number"
+                            value={mobileNumber}
+                            onChangeText={setMobileNumber}
+                            textContentType="telephoneNumber"
+                            autoComplete="tel"
+                            editable={!otpSent && !loading} // Disable input once OTP is sent or loading
+                        />
+                    </View>
 
                     {!otpSent ? (
                         <Button
                             title={loading ? "Sending OTP..." : "Generate OTP"}
                             onPress={handleGenerateOtp}
-                            disabled={loading}
+                            disabled={loading || isRateLimited}
                         />
                     ) : (
                         <>
-                            <Text style={styles.label}>Enter OTP:</Text>
-                            <TextInput
-                                style={styles.input}
-                                keyboardType="number-pad"
-                                placeholder="Enter received OTP"
+                            <Text style={styles.label}>Enter the {authConfig.otpLength}-digit OTP sent to {getDialCode(country)} {mobileNumber}:</Text>
+                            <OtpInput
+                                length={authConfig.otpLength}
                                 value={otp}
-                                onChangeText={setOtp}
-                                editable={!loading}
+                                onChange={setOtp}
+                                onComplete={handleValidateOtp}
+                                disabled={loading || isRateLimited}
                             />
                             <Button
                                 title={loading ? "Verifying..." : "Validate OTP"}
-                                onPress={handleValidateOtp}
-                                disabled={loading}
-                            />
-                            <Button
-                                title="Resend OTP"
-                                onPress={() => { setOtpSent(false); setOtp(''); }} // Allow resending
-                                disabled={loading}
-                                color="gray"
+                                onPress={() => handleValidateOtp(otp)}
+                                disabled={loading || isRateLimited}
                             />
+                            <View style={styles.secondaryButtons}>
+                                <Button
+                                    title={resendSecondsLeft > 0 ? `Resend OTP in ${formatCountdown(resendSecondsLeft)}` : 'Resend OTP'}
+                                    onPress={handleGenerateOtp}
+                                    disabled={loading || isRateLimited || resendSecondsLeft > 0}
+                                    color="gray"
+                                />
+                                <Button
+                                    title="Change Number"
+                                    onPress={handleChangeNumber}
+                                    disabled={loading}
+                                    color="gray"
+                                />
+                            </View>
                         </>
                     )}
                     {loading && <ActivityIndicator size="large" color="#0000ff" style={styles.loadingIndicator} />}
@@ -156,6 +268,22 @@ const styles = StyleSheet.create({
         textAlign: 'center',
         color: '#333',
     },
+    sessionExpiredText: {
+        backgroundColor: '#fff3cd', // Light yellow warning background
+        color: '#856404',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 20,
+        textAlign: 'center',
+    },
+    rateLimitText: {
+        backgroundColor: '#f8d7da', // Light red error background
+        color: '#721c24',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 20,
+        textAlign: 'center',
+    },
     label: {
         fontSize: 16,
         marginBottom: 8,
@@ -170,6 +298,36 @@ const styles = StyleSheet.create({
         fontSize: 16,
         color: '#333',
     },
+    pickerContainer: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        marginBottom: 10,
+        overflow: 'hidden',
+    },
+    picker: {
+        height: 50,
+        width: '100%',
+        color: '#333',
+    },
+    phoneRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+    },
+    dialCode: {
+        fontSize: 16,
+        color: '#333',
+        paddingVertical: 13,
+        marginRight: 10,
+    },
+    phoneInput: {
+        flex: 1,
+    },
+    secondaryButtons: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 10,
+    },
     loadingIndicator: {
         marginTop: 20,
     },
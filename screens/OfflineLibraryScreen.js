@@ -0,0 +1,350 @@
+// DMSApp/screens/OfflineLibraryScreen.js
+import React, { useState, useMemo } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Switch,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    FlatList,
+    Platform
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { Picker } from '@react-native-picker/picker';
+import CategoryPicker from '../components/CategoryPicker';
+import { useOffline } from '../context/OfflineContext';
+import { useUploadQueue } from '../context/UploadQueueContext';
+import { matchesOfflineFilters } from '../services/OfflineStoreService';
+import offlineConfig from '../config/offlineConfig';
+import { formatApiDate, formatFileSize } from '../utils/format';
+
+/**
+ * OfflineLibraryScreen lists the documents stored on the device, searchable by name, category,
+ * tag and date without connectivity. Documents whose file is stored open offline; those only
+ * remembered from search results need a connection.
+ */
+const OfflineLibraryScreen = ({ navigation }) => {
+    const { offlineEntries, cacheSize, removeOfflineDocument } = useOffline();
+    const { isOnline } = useUploadQueue();
+    const [query, setQuery] = useState('');
+    const [majorHead, setMajorHead] = useState('');
+    const [minorHead, setMinorHead] = useState('');
+    const [tag, setTag] = useState('');
+    const [fromDate, setFromDate] = useState(null);
+    const [toDate, setToDate] = useState(null);
+    const [showFromDatePicker, setShowFromDatePicker] = useState(false);
+    const [showToDatePicker, setShowToDatePicker] = useState(false);
+    const [offlineOnly, setOfflineOnly] = useState(true); // Only documents that open without a connection
+
+    // Tags of the stored documents, offered in the tag filter
+    const availableTags = useMemo(() => {
+        const tags = new Set();
+        offlineEntries.forEach(entry => (entry.document.tags || []).forEach(item => tags.add(item.tag_name)));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }, [offlineEntries]);
+
+    // Matching documents, most recently viewed first
+    const filteredEntries = useMemo(() => {
+        const filters = {
+            query,
+            majorHead,
+            minorHead,
+            tag,
+            fromDate: fromDate ? formatApiDate(fromDate) : '',
+            toDate: toDate ? formatApiDate(toDate) : '',
+            offlineOnly,
+        };
+        return offlineEntries
+            .filter(entry => matchesOfflineFilters(entry, filters))
+            .sort((a, b) => (b.lastViewedAt || b.rememberedAt).localeCompare(a.lastViewedAt || a.rememberedAt));
+    }, [offlineEntries, query, majorHead, minorHead, tag, fromDate, toDate, offlineOnly]);
+
+    /**
+     * Handles date change from the From DateTimePicker.
+     */
+    const onFromDateChange = (event, selectedDate) => {
+        setShowFromDatePicker(Platform.OS === 'ios');
+        if (selectedDate) {
+            setFromDate(selectedDate);
+        }
+    };
+
+    /**
+     * Handles date change from the To DateTimePicker.
+     */
+    const onToDateChange = (event, selectedDate) => {
+        setShowToDatePicker(Platform.OS === 'ios');
+        if (selectedDate) {
+            setToDate(selectedDate);
+        }
+    };
+
+    /**
+     * Opens a document in PreviewScreen, which shows the stored file when there is one.
+     * @param {object} entry - The offline entry.
+     */
+    const handleOpen = (entry) => {
+        if (!entry.filePath && !isOnline) {
+            Alert.alert('Not Available Offline', 'This document is not stored on this device. Connect to the internet to open it.');
+            return;
+        }
+        navigation.navigate('Preview', { document: entry.document });
+    };
+
+    /**
+     * Asks for confirmation before removing a document from the device.
+     * @param {object} entry - The offline entry.
+     */
+    const handleRemove = (entry) => {
+        Alert.alert(
+            'Remove from Device',
+            `Remove "${entry.document.document_name}" from this device? It stays on the server.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Remove',
+                    style: 'destructive',
+                    onPress: async () => {
+                        try {
+                            await removeOfflineDocument(entry.key);
+                        } catch (error) {
+                            console.error('Offline remove error:', error);
+                            Alert.alert('Error', `Failed to remove the file: ${error.message}`);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Renders one stored document.
+     * @param {object} item - The offline entry.
+     */
+    const renderItem = ({ item }) => {
+        const { document } = item;
+        let status = 'Needs a connection';
+        if (item.filePath) {
+            status = item.pinned ? 'Available offline' : 'Recently viewed';
+        }
+        return (
+            <TouchableOpacity
+                style={[styles.item, !item.filePath && !isOnline && styles.unavailableItem]}
+                onPress={() => handleOpen(item)}
+                onLongPress={() => handleRemove(item)}
+            >
+                <Text style={styles.itemTitle}>{document.document_name}</Text>
+                <Text style={styles.itemDetail}>Category: {document.major_head} / {document.minor_head}</Text>
+                <Text style={styles.itemDetail}>Date: {document.document_date}</Text>
+                {(document.tags || []).length > 0 && (
+                    <Text style={styles.itemDetail}>Tags: {document.tags.map(documentTag => documentTag.tag_name).join(', ')}</Text>
+                )}
+                <Text style={[styles.itemStatus, item.filePath && styles.itemStatusStored]}>
+                    {status}{item.filePath ? ` · ${formatFileSize(item.size)}` : ''}
+                </Text>
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <FlatList
+            style={styles.container}
+            contentContainerStyle={styles.listContent}
+            data={filteredEntries}
+            keyExtractor={item => item.key}
+            renderItem={renderItem}
+            keyboardShouldPersistTaps="handled"
+            ListHeaderComponent={
+                <View>
+                    <Text style={styles.usageText}>
+                        {formatFileSize(cacheSize)} of {formatFileSize(offlineConfig.maxCacheBytes)} used
+                        {!isOnline ? ' · Offline' : ''}
+                    </Text>
+
+                    <TextInput
+                        style={styles.input}
+                        placeholder="Search by name or remarks"
+                        value={query}
+                        onChangeText={setQuery}
+                        returnKeyType="search"
+                    />
+
+                    <CategoryPicker
+                        majorHead={majorHead}
+                        minorHead={minorHead}
+                        onChange={changes => {
+                            setMajorHead(changes.majorHead);
+                            setMinorHead(changes.minorHead);
+                        }}
+                        placeholderPrefix="All"
+                    />
+
+                    {availableTags.length > 0 && (
+                        <>
+                            <Text style={styles.label}>Tag:</Text>
+                            <View style={styles.pickerContainer}>
+                                <Picker selectedValue={tag} onValueChange={setTag} style={styles.picker}>
+                                    <Picker.Item label="All Tags" value="" />
+                                    {availableTags.map(name => (
+                                        <Picker.Item key={name} label={name} value={name} />
+                                    ))}
+                                </Picker>
+                            </View>
+                        </>
+                    )}
+
+                    <Text style={styles.label}>Document Date:</Text>
+                    <View style={styles.dateRow}>
+                        <TouchableOpacity onPress={() => setShowFromDatePicker(true)} style={styles.datePickerButton}>
+                            <Text style={styles.datePickerButtonText}>{fromDate ? fromDate.toLocaleDateString() : 'From'}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => setShowToDatePicker(true)} style={styles.datePickerButton}>
+                            <Text style={styles.datePickerButtonText}>{toDate ? toDate.toLocaleDateString() : 'To'}</Text>
+                        </TouchableOpacity>
+                        {(fromDate || toDate) && (
+                            <TouchableOpacity onPress={() => { setFromDate(null); setToDate(null); }}>
+                                <Text style={styles.clearText}>Clear</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                    {showFromDatePicker && (
+                        <DateTimePicker value={fromDate || new Date()} mode="date" display="default" onChange={onFromDateChange} />
+                    )}
+                    {showToDatePicker && (
+                        <DateTimePicker value={toDate || new Date()} mode="date" display="default" onChange={onToDateChange} />
+                    )}
+
+                    <View style={styles.switchRow}>
+                        <Text style={styles.switchLabel}>Only documents that open offline</Text>
+                        <Switch value={offlineOnly} onValueChange={setOfflineOnly} />
+                    </View>
+                </View>
+            }
+            ListEmptyComponent={
+                <Text style={styles.emptyText}>
+                    {offlineEntries.length === 0
+                        ? 'Documents you view or make available offline will appear here.'
+                        : 'No stored documents match these filters.'}
+                </Text>
+            }
+        />
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    listContent: {
+        padding: 20,
+    },
+    usageText: {
+        fontSize: 14,
+        color: '#6c757d',
+        marginBottom: 15,
+        textAlign: 'center',
+    },
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 15,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        color: '#333',
+    },
+    pickerContainer: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        marginBottom: 15,
+        backgroundColor: '#fff',
+        overflow: 'hidden',
+    },
+    picker: {
+        height: 50,
+        width: '100%',
+        color: '#333',
+    },
+    dateRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 15,
+    },
+    datePickerButton: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginRight: 10,
+        backgroundColor: '#fff',
+    },
+    datePickerButtonText: {
+        fontSize: 16,
+        color: '#333',
+    },
+    clearText: {
+        color: '#007bff',
+        fontSize: 14,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 15,
+    },
+    switchLabel: {
+        fontSize: 16,
+        color: '#555',
+        flex: 1,
+    },
+    item: {
+        backgroundColor: '#fff',
+        padding: 15,
+        borderRadius: 10,
+        marginBottom: 10,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.1,
+        shadowRadius: 2,
+        elevation: 2,
+    },
+    unavailableItem: {
+        opacity: 0.5,
+    },
+    itemTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 4,
+    },
+    itemDetail: {
+        fontSize: 14,
+        color: '#666',
+    },
+    itemStatus: {
+        fontSize: 13,
+        color: '#6c757d',
+        marginTop: 6,
+    },
+    itemStatusStored: {
+        color: '#28a745',
+    },
+    emptyText: {
+        textAlign: 'center',
+        color: '#6c757d',
+        marginTop: 20,
+    },
+});
+
+export default OfflineLibraryScreen;
@@ -0,0 +1,196 @@
+// DMSApp/screens/PendingUploadsScreen.js
+import React from 'react';
+import {
+    View,
+    Text,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    FlatList
+} from 'react-native';
+import { useUploadQueue } from '../context/UploadQueueContext';
+import { QUEUE_STATUS } from '../services/UploadQueueService';
+
+/**
+ * Builds a short, human readable status line for a queued upload.
+ * @param {object} item - The queue item.
+ * @param {boolean} isOnline - Whether the device currently has connectivity.
+ */
+const describeStatus = (item, isOnline) => {
+    if (item.status === QUEUE_STATUS.UPLOADING) {
+        return 'Uploading...';
+    }
+    if (item.status === QUEUE_STATUS.FAILED) {
+        return `Failed: ${item.lastError || 'Unknown error'}`;
+    }
+    if (!isOnline) {
+        return 'Waiting for connection';
+    }
+    const secondsLeft = Math.ceil((item.nextAttemptAt - Date.now()) / 1000);
+    return secondsLeft > 0 ? `Retrying in ${secondsLeft}s` : 'Waiting to upload';
+};
+
+/**
+ * PendingUploadsScreen lists documents waiting in the offline upload queue
+ * and lets the user retry, edit or cancel each of them.
+ */
+const PendingUploadsScreen = ({ navigation }) => {
+    const { queue, isOnline, retryUpload, cancelUpload } = useUploadQueue();
+
+    /**
+     * Asks for confirmation before removing an upload from the queue.
+     * @param {object} item - The queue item to cancel.
+     */
+    const handleCancel = (item) => {
+        Alert.alert(
+            'Cancel Upload',
+            `Remove "${item.file.name}" from pending uploads? It will not be uploaded.`,
+            [
+                { text: 'Keep', style: 'cancel' },
+                { text: 'Remove', style: 'destructive', onPress: () => cancelUpload(item.id) },
+            ]
+        );
+    };
+
+    /**
+     * Renders a single queued upload with its actions.
+     * @param {object} item - The queue item to render.
+     */
+    const renderQueueItem = ({ item }) => {
+        const isUploading = item.status === QUEUE_STATUS.UPLOADING;
+        return (
+            <View style={styles.queueItem}>
+                <Text style={styles.fileName}>{item.file.name}</Text>
+                <Text style={styles.detail}>Category: {item.documentData.major_head} / {item.documentData.minor_head}</Text>
+                <Text style={styles.detail}>Date: {item.documentData.document_date}</Text>
+                <Text style={styles.detail}>Attempts: {item.attempts}</Text>
+                <Text style={[styles.status, item.status === QUEUE_STATUS.FAILED && styles.failedStatus]}>
+                    {describeStatus(item, isOnline)}
+                </Text>
+                <View style={styles.actions}>
+                    <TouchableOpacity
+                        style={[styles.actionButton, isUploading && styles.disabledButton]}
+                        onPress={() => retryUpload(item.id)}
+                        disabled={isUploading}
+                    >
+                        <Text style={styles.actionButtonText}>Retry</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.editButton, isUploading && styles.disabledButton]}
+                        onPress={() => navigation.navigate('Upload', { queuedUploadId: item.id })}
+                        disabled={isUploading}
+                    >
+                        <Text style={styles.actionButtonText}>Edit</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.actionButton, styles.cancelButton, isUploading && styles.disabledButton]}
+                        onPress={() => handleCancel(item)}
+                        disabled={isUploading}
+                    >
+                        <Text style={styles.actionButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <Text style={[styles.connectionBanner, !isOnline && styles.offlineBanner]}>
+                {isOnline ? 'Online - pending uploads are sent automatically' : 'Offline - uploads will resume when connection is restored'}
+            </Text>
+            <FlatList
+                data={queue}
+                keyExtractor={item => item.id}
+                renderItem={renderQueueItem}
+                contentContainerStyle={styles.listContent}
+                ListEmptyComponent={<Text style={styles.emptyText}>No pending uploads.</Text>}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    connectionBanner: {
+        backgroundColor: '#28a745',
+        color: '#fff',
+        textAlign: 'center',
+        padding: 10,
+        fontWeight: '600',
+    },
+    offlineBanner: {
+        backgroundColor: '#6c757d',
+    },
+    listContent: {
+        padding: 20,
+        paddingBottom: 50,
+    },
+    queueItem: {
+        backgroundColor: '#fff',
+        padding: 15,
+        borderRadius: 10,
+        marginBottom: 15,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+        elevation: 3,
+    },
+    fileName: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        marginBottom: 5,
+        color: '#333',
+    },
+    detail: {
+        fontSize: 14,
+        color: '#666',
+        marginBottom: 3,
+    },
+    status: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#007bff',
+        marginTop: 5,
+    },
+    failedStatus: {
+        color: '#dc3545',
+    },
+    actions: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        marginTop: 10,
+    },
+    actionButton: {
+        backgroundColor: '#17a2b8', // Info blue
+        paddingVertical: 10,
+        paddingHorizontal: 15,
+        borderRadius: 8,
+    },
+    editButton: {
+        backgroundColor: '#6c757d', // Gray for secondary action
+    },
+    cancelButton: {
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    disabledButton: {
+        opacity: 0.5,
+    },
+    actionButtonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    emptyText: {
+        textAlign: 'center',
+        fontSize: 16,
+        color: '#777',
+        marginTop: 20,
+    },
+});
+
+export default PendingUploadsScreen;
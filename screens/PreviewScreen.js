@@ -1,113 +1,281 @@
 // DMSApp/screens/PreviewScreen.js
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     View,
     Text,
-    Image,
     StyleSheet,
-    Dimensions,
     Alert,
     TouchableOpacity,
-    ActivityIndicator,
-    Platform,
-    ScrollView
+    ScrollView,
+    Switch,
+    ActivityIndicator
 } from 'react-native';
-import Pdf from 'react-native-pdf';
-import RNFS from 'react-native-fs'; // For file system operations
-
-const { width, height } = Dimensions.get('window');
+import Share from 'react-native-share';
+import { useDownloads, getDownloadKey } from '../context/DownloadContext';
+import { useOffline } from '../context/OfflineContext';
+import { useUploadQueue } from '../context/UploadQueueContext';
+import { useAuth } from '../context/AuthContext';
+import { getFileExtension } from '../services/DownloadService';
+import { getMimeType } from '../services/FilePreparationService';
+import ProgressBar from '../components/ProgressBar';
+import DocumentVersionList from '../components/DocumentVersionList';
+import DocumentViewer from '../components/DocumentViewer';
+import { deleteDocumentEntry, getDocumentId, fetchDocumentVersions, isLatestVersion } from '../services/DocumentService';
+import { DOCUMENT_EVENTS, emitDocumentChange } from '../services/DocumentEvents';
 
 /**
  * PreviewScreen component displays a preview of a selected document (image or PDF)
  * and provides options to download the document.
+ * Files already on the device (opened from Downloads with the `isLocalFile` param) are not downloaded again.
+ * Documents opened from the server can have their details edited or be deleted.
+ * Their files are kept on the device once viewed (until the cache limit removes them), or for good
+ * when made available offline, and are then shown from there, also without connectivity.
+ * Share sends the file, or a link to it, to other apps through the native share sheet.
+ * Server documents list their versions, any of which can be opened or downloaded, and accept a new version.
+ * Images and PDFs are shown in DocumentViewer, which reopens a PDF at the page last read.
  */
-const PreviewScreen = ({ route }) => {
-    const { document } = route.params; // Get the document object passed via navigation params
-    const [downloading, setDownloading] = useState(false); // State for download loading
+const PreviewScreen = ({ navigation, route }) => {
+    const { document, isLocalFile = false } = route.params; // Get the document object passed via navigation params
+    const { activeDownloads, downloadDocument, cancelDocumentDownload } = useDownloads();
+    const activeDownload = activeDownloads[getDownloadKey(document)]; // Progress while downloading
+    const { getOfflineEntry, recordView, setAvailableOffline, getDocumentFilePath } = useOffline();
+    const { isOnline } = useUploadQueue();
+    const { userProfile } = useAuth();
+    const currentUserId = userProfile?.id || userProfile?.mobileNumber || ''; // Same ID UploadScreen sends as user_id
+    const offlineEntry = isLocalFile ? null : getOfflineEntry(document);
+    const [updatingOffline, setUpdatingOffline] = useState(false);
+    const [preparingShare, setPreparingShare] = useState(false); // Whether the file is being fetched for sharing
+    const [versions, setVersions] = useState([]); // Every version of the document, newest first
+    const [versionsLoading, setVersionsLoading] = useState(false);
+    const [versionsError, setVersionsError] = useState(null);
+    const [versionsRequest, setVersionsRequest] = useState(0); // Incremented to (re)load the versions
+    // Chosen once, so the preview does not reload when the file finishes caching
+    const [sourceUrl] = useState(() => (offlineEntry?.filePath ? `file://${offlineEntry.filePath}` : document.file_url));
+    const isCachedSource = sourceUrl !== document.file_url;
+    const isUnavailableOffline = !isOnline && !isLocalFile && !isCachedSource;
+
+    // Keep the file of a viewed document on the device for offline browsing
+    useEffect(() => {
+        if (!isLocalFile && isOnline) {
+            recordView(document);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    // Reload the versions whenever the screen is shown, a new one may have been uploaded in the meantime
+    useEffect(() => {
+        return navigation.addListener('focus', () => setVersionsRequest(current => current + 1));
+    }, [navigation]);
+
+    useEffect(() => {
+        if (isLocalFile || !isOnline || versionsRequest === 0) {
+            return undefined;
+        }
+        const controller = new AbortController();
+        const loadVersions = async () => {
+            setVersionsLoading(true);
+            setVersionsError(null);
+            try {
+                const response = await fetchDocumentVersions(getDocumentId(document), { signal: controller.signal });
+                if (!response.success || !Array.isArray(response.data)) {
+                    throw new Error(response.message || 'Failed to load the versions.');
+                }
+                setVersions(response.data);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    setVersionsError(error.message || 'Failed to load the versions.');
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setVersionsLoading(false);
+                }
+            }
+        };
+        loadVersions();
+        return () => controller.abort();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [versionsRequest, isOnline]);
+
+    // The listed latest version, or what the document itself says until the list is loaded
+    const latestVersion = versions.find(isLatestVersion);
+    const isReplaced = latestVersion
+        ? String(getDocumentId(latestVersion)) !== String(getDocumentId(document))
+        : !isLatestVersion(document);
 
     // Determine file type based on URL extension
-    const fileExtension = document.file_url ? document.file_url.split('.').pop().toLowerCase() : '';
+    const fileExtension = getFileExtension(document.file_url);
     const isImage = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp'].includes(fileExtension);
     const isPdf = fileExtension === 'pdf';
 
     /**
-     * Handles the download of the document.
-     * Uses react-native-fs to save the file to the device's download directory.
+     * Handles the download of the document, or one of its versions, through the shared download service.
+     * @param {object} target - The document or version to download.
      */
-    const handleDownload = async () => {
-        if (!document.file_url) {
-            Alert.alert('Error', 'File URL is missing. Cannot download.');
-            return;
+    const handleDownload = async (target) => {
+        try {
+            const record = await downloadDocument(target);
+            if (record) {
+                Alert.alert('Success', `File downloaded to: ${record.filePath}`);
+            }
+        } catch (error) {
+            console.error('Download error:', error);
+            Alert.alert('Download Failed', `An error occurred during download: ${error.message}`);
         }
+    };
 
-        setDownloading(true);
-        const fileName = document.document_name || `document_${Date.now()}.${fileExtension}`;
-        // Determine download directory based on platform
-        const downloadDest = Platform.select({
-            ios: `${RNFS.DocumentDirectoryPath}/${fileName}`,
-            android: `${RNFS.DownloadDirectoryPath}/${fileName}`,
+    /**
+     * Pins or unpins the document's file on the device.
+     * @param {boolean} value - Whether the document should be available offline.
+     */
+    const handleToggleOffline = async (value) => {
+        setUpdatingOffline(true);
+        try {
+            await setAvailableOffline(document, value);
+        } catch (error) {
+            console.error('Offline toggle error:', error);
+            Alert.alert('Not Available Offline', `The document could not be stored on this device: ${error.message}`);
+        } finally {
+            setUpdatingOffline(false);
+        }
+    };
+
+    /**
+     * Opens the share sheet with a file on the device.
+     * @param {string} filePath - Path of the file, with or without the file:// prefix.
+     */
+    const shareFile = async (filePath) => {
+        const path = filePath.replace(/^file:\/\//, '');
+        const fileName = path.split('/').pop();
+        await Share.open({
+            url: `file://${path}`,
+            type: getMimeType({ name: fileName }) || undefined,
+            filename: fileName,
+            title: document.document_name,
+            failOnCancel: false,
         });
+    };
 
+    /**
+     * Shares the file of a server document, storing it on the device first if needed.
+     */
+    const handleShareFile = async () => {
+        setPreparingShare(true);
         try {
-            const response = await RNFS.downloadFile({
-                fromUrl: document.file_url,
-                toFile: downloadDest,
-                background: true, // Allow download to continue in background
-                discretionary: true, // For iOS, allows system to optimize download
-                progress: (res) => {
-                    // Optional: Update download progress (res.bytesWritten / res.contentLength)
-                    console.log(`Downloaded: ${res.bytesWritten} / ${res.contentLength}`);
-                },
-            }).promise;
-
-            if (response.statusCode === 200) {
-                Alert.alert('Success', `File downloaded to: ${downloadDest}`);
-            } else {
-                Alert.alert('Download Error', `Failed to download file. Status: ${response.statusCode}`);
-            }
+            const filePath = offlineEntry?.filePath || await getDocumentFilePath(document);
+            await shareFile(filePath);
         } catch (error) {
-            console.error('Download error:', error);
-            Alert.alert('Download Failed', `An error occurred during download: ${error.message}`);
+            console.error('Share error:', error);
+            Alert.alert('Share Failed', `The file could not be shared: ${error.message}`);
         } finally {
-            setDownloading(false);
+            setPreparingShare(false);
         }
     };
 
+    /**
+     * Shares the link to the document on the server.
+     */
+    const handleShareLink = async () => {
+        try {
+            await Share.open({ message: document.file_url, title: document.document_name, failOnCancel: false });
+        } catch (error) {
+            console.error('Share error:', error);
+            Alert.alert('Share Failed', error.message || 'Could not share the link.');
+        }
+    };
+
+    /**
+     * Shares the document with another app. Files on the device are shared directly; for server
+     * documents the user chooses between the file and its link. Without connectivity only a file
+     * stored on the device can be shared.
+     */
+    const handleShare = () => {
+        if (isLocalFile) {
+            shareFile(document.file_url).catch(error => {
+                console.error('Share error:', error);
+                Alert.alert('Share Failed', error.message || 'Could not share this file.');
+            });
+            return;
+        }
+        if (!isOnline && !offlineEntry?.filePath) {
+            Alert.alert('Share Unavailable', 'You are offline and this document is not stored on this device.');
+            return;
+        }
+        Alert.alert(
+            'Share Document',
+            'Send the file itself, or a link to it on the server?',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                ...(isOnline ? [{ text: 'Share Link', onPress: handleShareLink }] : []),
+                { text: 'Share File', onPress: handleShareFile },
+            ]
+        );
+    };
+
+    /**
+     * Opens UploadScreen to upload a file as a new version of this document. The form starts from the
+     * latest version's details, which a correction most likely keeps.
+     */
+    const handleUploadNewVersion = () => {
+        navigation.push('Upload', { versionOf: latestVersion || document });
+    };
+
+    /**
+     * Asks for confirmation, then deletes the document. The screen closes and the document leaves
+     * the search results right away; it is put back there if the server refuses the deletion.
+     */
+    const handleDelete = () => {
+        Alert.alert(
+            'Delete Document',
+            `Delete "${document.document_name || 'this document'}"? This cannot be undone.`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        const key = getDownloadKey(document);
+                        emitDocumentChange({ type: DOCUMENT_EVENTS.DELETED, key, document });
+                        navigation.goBack();
+                        try {
+                            const response = await deleteDocumentEntry(getDocumentId(document));
+                            if (!response.success) {
+                                throw new Error(response.message || 'The server did not delete the document.');
+                            }
+                        } catch (error) {
+                            emitDocumentChange({ type: DOCUMENT_EVENTS.REVERTED, key, document });
+                            Alert.alert('Delete Failed', `${document.document_name || 'The document'} could not be deleted: ${error.message}`);
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
     return (
         <View style={styles.container}>
             <ScrollView contentContainerStyle={styles.scrollViewContent}>
                 <Text style={styles.title}>{document.document_name || 'Document Preview'}</Text>
+                {isReplaced && (
+                    <Text style={styles.replacedText}>
+                        A newer version of this document exists. Open it from the version list below.
+                    </Text>
+                )}
 
-                {/* Conditional rendering for Image preview */}
-                {isImage && (
-                    <Image
-                        source={{ uri: document.file_url }}
-                        style={styles.media}
-                        resizeMode="contain" // Ensures the entire image is visible
-                        onError={(e) => console.error('Image loading error:', e.nativeEvent.error)}
-                    />
+                {/* The file is neither reachable nor stored on the device */}
+                {isUnavailableOffline && (
+                    <View style={styles.unsupportedContainer}>
+                        <Text style={styles.message}>You are offline and this document is not stored on this device.</Text>
+                        <Text style={styles.message}>Turn on "Make available offline" next time to read it without a connection.</Text>
+                    </View>
                 )}
 
-                {/* Conditional rendering for PDF preview */}
-                {isPdf && (
-                    <Pdf
-                        source={{ uri: document.file_url, cache: true }} // Cache PDF for better performance
-                        onLoadComplete={(numberOfPages, filePath) => {
-                            console.log(`Number of pages: ${numberOfPages}`);
-                        }}
-                        onPageChanged={(page, numberOfPages) => {
-                            console.log(`Current page: ${page}`);
-                        }}
-                        onError={(error) => {
-                            console.error('PDF loading error:', error);
-                            Alert.alert('Error', 'Failed to load PDF document.');
-                        }}
-                        style={styles.media}
-                        // Enable zooming and scrolling for PDF
-                        enablePaging={false}
-                        horizontal={false}
-                        showsVerticalScrollIndicator={true}
-                        showsHorizontalScrollIndicator={false}
+                {/* Image or PDF preview, with zoom, rotation, fullscreen and page navigation */}
+                {(isImage || isPdf) && !isUnavailableOffline && (
+                    <DocumentViewer
+                        uri={sourceUrl}
+                        cache={!isCachedSource} // Let the PDF view cache a file not yet stored on the device
+                        isPdf={isPdf}
+                        positionKey={getDownloadKey(document)}
                     />
                 )}
 
@@ -117,7 +285,32 @@ const PreviewScreen = ({ route }) => {
                         <Text style={styles.message}>
                             Preview not available for this file type ({fileExtension || 'unknown'}).
                         </Text>
-                        <Text style={styles.message}>You can still try to download it.</Text>
+                        <Text style={styles.message}>
+                            {isLocalFile ? 'Use Share to open it in another app.' : 'You can still try to download or share it.'}
+                        </Text>
+                    </View>
+                )}
+
+                {/* Offline availability, only for documents on the server */}
+                {!isLocalFile && (
+                    <View style={styles.offlineRow}>
+                        <View style={styles.offlineTextContainer}>
+                            <Text style={styles.offlineTitle}>Make available offline</Text>
+                            <Text style={styles.offlineDetail}>
+                                {offlineEntry?.filePath
+                                    ? (offlineEntry.pinned ? 'Kept on this device.' : 'Stored until space is needed for newer documents.')
+                                    : 'Not stored on this device.'}
+                            </Text>
+                        </View>
+                        {updatingOffline ? (
+                            <ActivityIndicator size="small" color="#007bff" />
+                        ) : (
+                            <Switch
+                                value={!!offlineEntry?.pinned}
+                                onValueChange={handleToggleOffline}
+                                disabled={!isOnline && !offlineEntry?.filePath}
+                            />
+                        )}
                     </View>
                 )}
 
@@ -129,26 +322,82 @@ const PreviewScreen = ({ route }) => {
                     <Text style={styles.detailText}><Text style={styles.detailLabel}>Tags:</Text> {document.tags && document.tags.map(tag => tag.tag_name).join(', ') || 'N/A'}</Text>
                 </View>
 
-                {/* Download Button */}
+                {/* Download Button, replaced by progress and Cancel while downloading */}
+                {activeDownload ? (
+                    <View style={styles.progressContainer}>
+                        <Text style={styles.progressText}>
+                            Downloading... {activeDownload.progress != null ? `${Math.round(activeDownload.progress * 100)}%` : ''}
+                        </Text>
+                        <ProgressBar progress={activeDownload.progress} />
+                        <TouchableOpacity style={styles.cancelButton} onPress={() => cancelDocumentDownload(document)}>
+                            <Text style={styles.cancelButtonText}>Cancel</Text>
+                        </TouchableOpacity>
+                    </View>
+                ) : !isLocalFile && (
+                    <TouchableOpacity style={styles.downloadButton} onPress={() => handleDownload(document)}>
+                        <Text style={styles.downloadButtonText}>Download Document</Text>
+                    </TouchableOpacity>
+                )}
+
+                {/* Share through the native share sheet */}
                 <TouchableOpacity
-                    style={styles.downloadButton}
-                    onPress={handleDownload}
-                    disabled={downloading}
+                    style={[styles.shareButton, preparingShare && styles.disabledButton]}
+                    onPress={handleShare}
+                    disabled={preparingShare}
                 >
-                    {downloading ? (
-                        <ActivityIndicator color="#fff" />
+                    {preparingShare ? (
+                        <ActivityIndicator size="small" color="#fff" />
                     ) : (
-                        <Text style={styles.downloadButtonText}>Download Document</Text>
+                        <Text style={styles.downloadButtonText}>Share</Text>
                     )}
                 </TouchableOpacity>
 
-                {/* Placeholder for "Download All as ZIP" - requires backend support */}
-                <TouchableOpacity
-                    style={[styles.downloadButton, styles.zipDownloadButton]}
-                    onPress={() => Alert.alert('Feature Info', 'Downloading all files as a ZIP requires a backend API endpoint to generate the archive. This functionality is not implemented on the frontend yet.')}
-                >
-                    <Text style={styles.downloadButtonText}>Download All as ZIP</Text>
-                </TouchableOpacity>
+                {/* Versions, only for documents on the server */}
+                {!isLocalFile && (
+                    <View style={styles.detailsContainer}>
+                        <Text style={styles.versionsTitle}>Versions</Text>
+                        {!isOnline ? (
+                            <Text style={styles.versionsMessage}>Connect to the internet to see the versions.</Text>
+                        ) : versionsLoading && versions.length === 0 ? (
+                            <ActivityIndicator size="small" color="#007bff" />
+                        ) : versionsError ? (
+                            <View>
+                                <Text style={styles.versionsMessage}>The versions could not be loaded: {versionsError}</Text>
+                                <TouchableOpacity onPress={() => setVersionsRequest(current => current + 1)}>
+                                    <Text style={styles.linkText}>Retry</Text>
+                                </TouchableOpacity>
+                            </View>
+                        ) : (
+                            <DocumentVersionList
+                                versions={versions}
+                                currentDocument={document}
+                                currentUserId={currentUserId}
+                                activeDownloads={activeDownloads}
+                                onOpen={version => navigation.push('Preview', { document: version })}
+                                onDownload={handleDownload}
+                                onCancelDownload={cancelDocumentDownload}
+                            />
+                        )}
+                        <TouchableOpacity style={styles.newVersionButton} onPress={handleUploadNewVersion}>
+                            <Text style={styles.manageButtonText}>Upload New Version</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
+
+                {/* Edit and Delete, only for documents on the server */}
+                {!isLocalFile && (
+                    <View style={styles.manageRow}>
+                        <TouchableOpacity
+                            style={[styles.manageButton, styles.editButton]}
+                            onPress={() => navigation.navigate('EditDocument', { document })}
+                        >
+                            <Text style={styles.manageButtonText}>Edit Details</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.manageButton, styles.deleteButton]} onPress={handleDelete}>
+                            <Text style={styles.manageButtonText}>Delete</Text>
+                        </TouchableOpacity>
+                    </View>
+                )}
             </ScrollView>
         </View>
     );
@@ -171,16 +420,6 @@ const styles = StyleSheet.create({
         textAlign: 'center',
         color: '#333',
     },
-    media: {
-        width: width * 0.9, // 90% of screen width
-        height: height * 0.5, // 50% of screen height
-        backgroundColor: '#e9ecef',
-        marginBottom: 20,
-        borderRadius: 10,
-        borderWidth: 1,
-        borderColor: '#ddd',
-        overflow: 'hidden', // Ensures content respects border-radius
-    },
     unsupportedContainer: {
         backgroundColor: '#ffe0b2', // Light orange background
         padding: 20,
@@ -208,6 +447,61 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         elevation: 3,
     },
+    offlineRow: {
+        width: '100%',
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        padding: 15,
+        borderRadius: 10,
+        marginBottom: 20,
+    },
+    offlineTextContainer: {
+        flex: 1,
+        marginRight: 10,
+    },
+    offlineTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    offlineDetail: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    replacedText: {
+        width: '100%',
+        backgroundColor: '#fff3cd', // Light yellow warning background
+        color: '#856404',
+        padding: 10,
+        borderRadius: 8,
+        marginBottom: 15,
+        textAlign: 'center',
+    },
+    versionsTitle: {
+        fontSize: 18,
+        fontWeight: 'bold',
+        color: '#333',
+        marginBottom: 10,
+    },
+    versionsMessage: {
+        fontSize: 14,
+        color: '#666',
+    },
+    linkText: {
+        color: '#007bff',
+        fontSize: 14,
+        fontWeight: '600',
+        marginTop: 5,
+    },
+    newVersionButton: {
+        backgroundColor: '#007bff',
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        marginTop: 15,
+    },
     detailText: {
         fontSize: 15,
         marginBottom: 5,
@@ -236,8 +530,63 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: 'bold',
     },
-    zipDownloadButton: {
-        backgroundColor: '#6c757d', // Gray color for secondary action
+    shareButton: {
+        backgroundColor: '#17a2b8', // Info teal
+        paddingVertical: 15,
+        paddingHorizontal: 25,
+        borderRadius: 10,
+        alignItems: 'center',
+        width: '80%',
+        marginBottom: 15,
+    },
+    disabledButton: {
+        opacity: 0.6,
+    },
+    progressContainer: {
+        width: '80%',
+        marginBottom: 15,
+    },
+    progressText: {
+        fontSize: 14,
+        color: '#555',
+        marginBottom: 8,
+        textAlign: 'center',
+    },
+    cancelButton: {
+        alignSelf: 'center',
+        marginTop: 10,
+        paddingVertical: 8,
+        paddingHorizontal: 20,
+        borderRadius: 8,
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    cancelButtonText: {
+        color: '#fff',
+        fontSize: 14,
+        fontWeight: '600',
+    },
+    manageRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        width: '80%',
+    },
+    manageButton: {
+        flex: 1,
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+    },
+    editButton: {
+        backgroundColor: '#007bff',
+        marginRight: 10,
+    },
+    deleteButton: {
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    manageButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
     },
 });
 
@@ -0,0 +1,308 @@
+// DMSApp/screens/ScanScreen.js
+import React, { useState, useEffect, useRef } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Image,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    FlatList,
+    ActivityIndicator
+} from 'react-native';
+import {
+    capturePage,
+    cropPage,
+    rotatePage,
+    buildPdfFromPages,
+    discardPages,
+    getDefaultScanName,
+} from '../services/ScanService';
+
+/**
+ * ScanScreen captures the pages of a paper document one after the other, lets the user
+ * reorder, rotate, crop and delete them, and combines them into one PDF.
+ * The PDF is handed back to UploadScreen as a `scannedFile` route param.
+ */
+const ScanScreen = ({ navigation }) => {
+    const [pages, setPages] = useState([]); // Scanned pages, in document order
+    const [scanName, setScanName] = useState(getDefaultScanName);
+    const [busyPageId, setBusyPageId] = useState(null); // Page being rotated or cropped
+    const [capturing, setCapturing] = useState(false);
+    const [creatingPdf, setCreatingPdf] = useState(false);
+    const pagesRef = useRef([]);
+    const replacedPathsRef = useRef([]); // Images replaced by a rotation or crop, deleted on exit
+    pagesRef.current = pages;
+
+    // Start with the camera open, scanning is why the user came here
+    useEffect(() => {
+        handleAddPage();
+        const replacedPaths = replacedPathsRef.current; // Same array for the screen's lifetime, only pushed to
+        // Page images are temporary; the PDF holds everything once created
+        return () => {
+            discardPages([...pagesRef.current, ...replacedPaths.map(path => ({ path }))]);
+        };
+    }, []);
+
+    /**
+     * Captures pages until the user closes the camera.
+     */
+    const handleAddPage = async () => {
+        setCapturing(true);
+        try {
+            let page;
+            while ((page = await capturePage())) {
+                const capturedPage = page;
+                setPages(current => [...current, capturedPage]);
+            }
+        } catch (error) {
+            console.error('Scan capture error:', error);
+            Alert.alert('Error', 'Failed to capture the page. Please check camera permissions.');
+        } finally {
+            setCapturing(false);
+        }
+    };
+
+    /**
+     * Replaces a page with its edited version, keeping the old image for cleanup.
+     * @param {object} page - The page being edited.
+     * @param {function} edit - rotatePage or cropPage; resolves to the new page, or null if cancelled.
+     */
+    const editPage = async (page, edit) => {
+        setBusyPageId(page.id);
+        try {
+            const editedPage = await edit(page);
+            if (editedPage) {
+                replacedPathsRef.current.push(page.path);
+                setPages(current => current.map(item => (item.id === page.id ? editedPage : item)));
+            }
+        } catch (error) {
+            console.error('Page edit error:', error);
+            Alert.alert('Error', error.message || 'Failed to edit the page.');
+        } finally {
+            setBusyPageId(null);
+        }
+    };
+
+    /**
+     * Moves a page one position up or down.
+     * @param {number} index - The page's current position.
+     * @param {number} offset - -1 to move up, 1 to move down.
+     */
+    const movePage = (index, offset) => {
+        setPages(current => {
+            const next = [...current];
+            [next[index], next[index + offset]] = [next[index + offset], next[index]];
+            return next;
+        });
+    };
+
+    /**
+     * Removes a page from the scan and deletes its image.
+     * @param {object} page - The page to delete.
+     */
+    const deletePage = (page) => {
+        setPages(current => current.filter(item => item.id !== page.id));
+        discardPages([page]);
+    };
+
+    /**
+     * Combines the pages into one PDF and returns to UploadScreen with it.
+     */
+    const handleCreatePdf = async () => {
+        setCreatingPdf(true);
+        try {
+            const file = await buildPdfFromPages(pages, scanName);
+            navigation.popTo('Upload', { scannedFile: file, scannedAt: Date.now() }, { merge: true });
+        } catch (error) {
+            console.error('PDF creation error:', error);
+            Alert.alert('Error', error.message || 'Failed to create the PDF.');
+        } finally {
+            setCreatingPdf(false);
+        }
+    };
+
+    /**
+     * Renders a scanned page with its editing actions.
+     */
+    const renderPage = ({ item, index }) => {
+        const isBusy = busyPageId === item.id;
+        return (
+            <View style={styles.pageItem}>
+                <Image source={{ uri: item.path }} style={styles.thumbnail} resizeMode="contain" />
+                <View style={styles.pageDetails}>
+                    <Text style={styles.pageTitle}>Page {index + 1}</Text>
+                    {isBusy ? <ActivityIndicator color="#007bff" /> : (
+                        <View style={styles.pageActions}>
+                            <TouchableOpacity style={styles.pageButton} onPress={() => movePage(index, -1)} disabled={index === 0}>
+                                <Text style={[styles.pageButtonText, index === 0 && styles.disabledText]}>Up</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.pageButton} onPress={() => movePage(index, 1)} disabled={index === pages.length - 1}>
+                                <Text style={[styles.pageButtonText, index === pages.length - 1 && styles.disabledText]}>Down</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.pageButton} onPress={() => editPage(item, rotatePage)}>
+                                <Text style={styles.pageButtonText}>Rotate</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.pageButton} onPress={() => editPage(item, cropPage)}>
+                                <Text style={styles.pageButtonText}>Crop</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.pageButton} onPress={() => deletePage(item)}>
+                                <Text style={[styles.pageButtonText, styles.deleteText]}>Delete</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                </View>
+            </View>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <FlatList
+                data={pages}
+                keyExtractor={item => item.id}
+                renderItem={renderPage}
+                extraData={busyPageId}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={
+                    <>
+                        <Text style={styles.label}>Document Name:</Text>
+                        <TextInput
+                            style={styles.input}
+                            value={scanName}
+                            onChangeText={setScanName}
+                            placeholder="Name of the PDF"
+                        />
+                    </>
+                }
+                ListEmptyComponent={
+                    <Text style={styles.emptyText}>{capturing ? 'Capturing...' : 'No pages scanned yet.'}</Text>
+                }
+            />
+            <View style={styles.bottomBar}>
+                <TouchableOpacity style={[styles.bottomButton, styles.addPageButton]} onPress={handleAddPage} disabled={capturing || creatingPdf}>
+                    <Text style={styles.bottomButtonText}>Add Page</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.bottomButton, pages.length === 0 && styles.disabledButton]}
+                    onPress={handleCreatePdf}
+                    disabled={pages.length === 0 || creatingPdf || !!busyPageId}
+                >
+                    {creatingPdf ? <ActivityIndicator color="#fff" /> : (
+                        <Text style={styles.bottomButtonText}>
+                            Create PDF ({pages.length} page{pages.length === 1 ? '' : 's'})
+                        </Text>
+                    )}
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#f5f5f5',
+    },
+    listContent: {
+        padding: 20,
+        paddingBottom: 50,
+    },
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 20,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        color: '#333',
+    },
+    pageItem: {
+        flexDirection: 'row',
+        backgroundColor: '#fff',
+        padding: 10,
+        borderRadius: 10,
+        marginBottom: 15,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+        elevation: 3,
+    },
+    thumbnail: {
+        width: 90,
+        height: 120,
+        backgroundColor: '#eee',
+        borderRadius: 4,
+    },
+    pageDetails: {
+        flex: 1,
+        marginLeft: 12,
+        justifyContent: 'space-between',
+    },
+    pageTitle: {
+        fontSize: 16,
+        fontWeight: 'bold',
+        color: '#333',
+    },
+    pageActions: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    pageButton: {
+        paddingVertical: 6,
+        paddingHorizontal: 8,
+    },
+    pageButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#007bff',
+    },
+    disabledText: {
+        color: '#ccc',
+    },
+    deleteText: {
+        color: '#dc3545',
+    },
+    emptyText: {
+        textAlign: 'center',
+        fontSize: 16,
+        color: '#777',
+        marginTop: 20,
+    },
+    bottomBar: {
+        flexDirection: 'row',
+        padding: 15,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#ddd',
+    },
+    bottomButton: {
+        flex: 1,
+        backgroundColor: '#28a745', // Success green
+        paddingVertical: 15,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    addPageButton: {
+        backgroundColor: '#17a2b8', // Info blue
+        marginRight: 10,
+    },
+    disabledButton: {
+        backgroundColor: '#6c757d',
+    },
+    bottomButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+});
+
+export default ScanScreen;
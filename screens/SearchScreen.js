@@ -1,5 +1,5 @@
 // DMSApp/screens/SearchScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
     View,
     Text,
@@ -7,54 +7,216 @@ import {
     Button,
     Alert,
     StyleSheet,
-    ScrollView,
     TouchableOpacity,
     ActivityIndicator,
     FlatList,
+    RefreshControl,
+    Switch,
     Platform
 } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
 import { Picker } from '@react-native-picker/picker';
-import { searchDocuments, fetchDocumentTags } from '../services/DocumentService';
+import { searchDocuments, isLatestVersion, filterSearchResults } from '../services/DocumentService';
+import { createDocumentArchive } from '../services/ArchiveService';
+import {
+    DATE_RANGE_PRESETS,
+    DATE_RANGE_PRESET_LABELS,
+    resolveDateRange,
+    toStoredFilters,
+    describeFilters,
+    loadSavedSearches,
+    saveSearch,
+    deleteSavedSearch,
+    loadSearchHistory,
+    addToSearchHistory,
+    clearSearchHistory,
+} from '../services/SavedSearchService';
+import { DOCUMENT_EVENTS, subscribeToDocumentChanges } from '../services/DocumentEvents';
+import { formatApiDate, parseApiDate } from '../utils/format';
+import HighlightedText from '../components/HighlightedText';
+import ProgressBar from '../components/ProgressBar';
+import CategoryPicker from '../components/CategoryPicker';
+import TagInput from '../components/TagInput';
+import { useDownloads, getDownloadKey } from '../context/DownloadContext';
+import { useAuth } from '../context/AuthContext';
+import { useOffline } from '../context/OfflineContext';
+
+const PAGE_SIZE = 20; // Number of records requested per page
+const SEARCH_DEBOUNCE_MS = 400; // Wait for a pause in typing before searching
+const MAX_SELECT_ALL = 200; // Documents "Select All" picks at most, loading the pages not fetched yet
 
 /**
  * SearchScreen component allows users to search for documents using various filters
  * such as categories, tags, and date ranges. It displays the search results.
+ * Results can be selected and downloaded together as one ZIP archive with a metadata manifest.
+ * Filter combinations can be saved under a name; the last searches are kept as history.
+ * When opened with a `filters` route param (a saved search run from HomeScreen) it applies them and searches.
+ * Only the latest version of each document is listed unless earlier versions are included.
  */
-const SearchScreen = ({ navigation }) => {
+const SearchScreen = ({ navigation, route }) => {
+    const { activeDownloads, downloadDocument, cancelDocumentDownload, addDownload } = useDownloads();
+    const { userProfile } = useAuth();
+    const { rememberDocuments } = useOffline(); // Results stay findable in the Offline Library
+    const currentUserId = userProfile?.id || userProfile?.mobileNumber || ''; // Same ID UploadScreen sends as user_id
+    const [searchText, setSearchText] = useState(''); // Free-text query as typed
+    const [debouncedQuery, setDebouncedQuery] = useState(''); // Query once typing pauses
+    const [activeQuery, setActiveQuery] = useState(''); // Query of the displayed results, used for highlighting
     const [majorHead, setMajorHead] = useState('');
     const [minorHead, setMinorHead] = useState('');
     const [tags, setTags] = useState([]); // Tags entered for search
-    const [newTag, setNewTag] = useState(''); // Input for adding search tags
-    const [availableTags, setAvailableTags] = useState([]); // Tags fetched from API for suggestions
     const [fromDate, setFromDate] = useState(null);
     const [toDate, setToDate] = useState(null);
+    const [datePreset, setDatePreset] = useState(''); // Relative date range, empty for the dates picked below
+    const [uploadedBy, setUploadedBy] = useState(''); // Uploader filter, empty for anyone
+    const [allVersions, setAllVersions] = useState(false); // Whether versions replaced by a newer upload are listed too
     const [showFromDatePicker, setShowFromDatePicker] = useState(false);
     const [showToDatePicker, setShowToDatePicker] = useState(false);
     const [searchResults, setSearchResults] = useState([]);
-    const [loading, setLoading] = useState(false); // Loading state for search
+    const [totalRecords, setTotalRecords] = useState(null); // Total matches reported by the API
+    const [hasMore, setHasMore] = useState(false); // Whether another page can be loaded
+    const [hasSearched, setHasSearched] = useState(false); // Whether results belong to the current filters
+    const [loading, setLoading] = useState(false); // Loading state for the first page
+    const [loadingMore, setLoadingMore] = useState(false); // Loading state for the following pages
+    const [refreshing, setRefreshing] = useState(false); // Pull-to-refresh state
+    const activeCriteriaRef = useRef(null); // Criteria of the displayed results, reused for the following pages
+    const requestIdRef = useRef(0); // Incremented per request so stale responses can be ignored
+    const abortControllerRef = useRef(null); // Aborts the in-flight request when a newer one starts
+    const hiddenVersionsRef = useRef(0); // Replaced versions dropped from the loaded pages, counted in the server's offsets
+    const hasTypedRef = useRef(false); // Skips the automatic search before the user types anything
+    const [selectionMode, setSelectionMode] = useState(false); // Whether results are being picked for a ZIP
+    const [selectedDocuments, setSelectedDocuments] = useState({}); // { [downloadKey]: document }
+    const [archiveProgress, setArchiveProgress] = useState(null); // Progress while the ZIP is being built
+    const archiveControllerRef = useRef(null); // Aborts the archive being built
+    const [savedSearches, setSavedSearches] = useState([]);
+    const [searchHistory, setSearchHistory] = useState([]); // Last searches, newest first
+    const [showHistory, setShowHistory] = useState(false);
+    const [saveName, setSaveName] = useState(null); // Name typed for the search being saved, null when not saving
+    const [runRequest, setRunRequest] = useState(0); // Incremented to search once applied filters are rendered
+    const removedDocumentsRef = useRef({}); // { [downloadKey]: index } of optimistically deleted results
+    const searchResultsRef = useRef(searchResults); // Latest results, read by the document change listener
+    searchResultsRef.current = searchResults;
 
-    // Minor head options based on major head selection (same as UploadScreen)
-    const minorHeadOptions = {
-        Personal: ['John', 'Tom', 'Emily', 'Sarah', 'David'],
-        Professional: ['Accounts', 'HR', 'IT', 'Finance', 'Marketing', 'Operations'],
-    };
+    // Load the saved searches and the history stored on this device
+    useEffect(() => {
+        const loadStoredSearches = async () => {
+            setSavedSearches(await loadSavedSearches());
+            setSearchHistory(await loadSearchHistory());
+        };
+        loadStoredSearches();
+    }, []);
 
-    // Fetch all available tags for suggestions
+    // Reflect edits, deletions and new versions made from PreviewScreen before the server confirms them
     useEffect(() => {
-        const getTags = async () => {
-            try {
-                const response = await fetchDocumentTags();
-                if (response.success && Array.isArray(response.data)) {
-                    setAvailableTags(response.data.map(tag => tag.tag_name));
+        return subscribeToDocumentChanges(({ type, key, document }) => {
+            if (type === DOCUMENT_EVENTS.DELETED) {
+                const index = searchResultsRef.current.findIndex(result => getDownloadKey(result) === key);
+                if (index === -1) {
+                    return;
                 }
-            } catch (error) {
-                console.error('Failed to fetch available tags for search:', error);
+                removedDocumentsRef.current[key] = index;
+                setSearchResults(prevResults => prevResults.filter(result => getDownloadKey(result) !== key));
+                setTotalRecords(prevTotal => (prevTotal ? prevTotal - 1 : prevTotal));
+                setSelectedDocuments(prevSelected => {
+                    const { [key]: removed, ...remaining } = prevSelected;
+                    return removed ? remaining : prevSelected;
+                });
+            } else if (type === DOCUMENT_EVENTS.REVERTED && key in removedDocumentsRef.current) {
+                // A failed deletion: put the document back where it was
+                const index = removedDocumentsRef.current[key];
+                delete removedDocumentsRef.current[key];
+                setSearchResults(prevResults => [...prevResults.slice(0, index), document, ...prevResults.slice(index)]);
+                setTotalRecords(prevTotal => (prevTotal !== null ? prevTotal + 1 : prevTotal));
+            } else if (type === DOCUMENT_EVENTS.VERSION_ADDED) {
+                // The new version takes the place of the one it replaces, which stays listed only with all versions
+                const showsAllVersions = activeCriteriaRef.current?.latest_version_only === false;
+                setSearchResults(prevResults => prevResults.flatMap(result => {
+                    if (getDownloadKey(result) !== key) {
+                        return [result];
+                    }
+                    return showsAllVersions ? [document, { ...result, is_latest_version: false }] : [document];
+                }));
+                if (showsAllVersions) {
+                    setTotalRecords(prevTotal => (prevTotal !== null ? prevTotal + 1 : prevTotal));
+                }
+                setSelectedDocuments(prevSelected => {
+                    const { [key]: replaced, ...remaining } = prevSelected;
+                    return replaced && !showsAllVersions ? remaining : prevSelected;
+                });
+            } else {
+                // An update, or a failed update restoring the previous details
+                delete removedDocumentsRef.current[key];
+                setSearchResults(prevResults => prevResults.map(result => (getDownloadKey(result) === key ? document : result)));
+                setSelectedDocuments(prevSelected => (prevSelected[key] ? { ...prevSelected, [key]: document } : prevSelected));
             }
-        };
-        getTags();
+        });
+    }, []);
+
+    // Run a saved search opened from HomeScreen; runAt changes each time one is tapped
+    useEffect(() => {
+        if (route.params?.filters) {
+            applyFilters(route.params.filters);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [route.params?.runAt]);
+
+    // Debounce the free-text query so we search once the user pauses typing
+    useEffect(() => {
+        const query = searchText.trim();
+        if (query === debouncedQuery) {
+            return; // Nothing new was typed, e.g. on mount or after spaces only
+        }
+        const timer = setTimeout(() => setDebouncedQuery(query), SEARCH_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [searchText, debouncedQuery]);
+
+    // Results no longer match once a filter or the query changes, so start over
+    useEffect(() => {
+        requestIdRef.current += 1; // Drop any response still on its way
+        abortControllerRef.current?.abort();
+        activeCriteriaRef.current = null;
+        setSearchResults([]);
+        setTotalRecords(null);
+        setHasMore(false);
+        setHasSearched(false);
+        setLoading(false);
+        setLoadingMore(false);
+        setRefreshing(false);
+        setSelectionMode(false);
+        setSelectedDocuments({});
+    }, [majorHead, minorHead, tags, fromDate, toDate, datePreset, uploadedBy, allVersions, debouncedQuery]);
+
+    // Stop loading results once the screen is closed
+    useEffect(() => {
+        return () => abortControllerRef.current?.abort();
     }, []);
 
+    // Search with filters applied by applyFilters, after the reset above has run for them
+    useEffect(() => {
+        if (runRequest > 0) {
+            handleSearch({ quiet: true });
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [runRequest]);
+
+    // Search as the user types, combined with the filters currently selected
+    useEffect(() => {
+        if (!debouncedQuery && !hasTypedRef.current) {
+            return;
+        }
+        hasTypedRef.current = true;
+        handleSearch({ quiet: true });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [debouncedQuery]);
+
+    /**
+     * Handles a change of major or minor head from the CategoryPicker.
+     * @param {object} selection - { majorHead, minorHead }; the minor head is cleared when the major head changes.
+     */
+    const handleCategoryChange = ({ majorHead: nextMajorHead, minorHead: nextMinorHead }) => {
+        setMajorHead(nextMajorHead);
+        setMinorHead(nextMinorHead);
+    };
+
     /**
      * Handles date change for the "From Date" picker.
      */
@@ -74,65 +236,378 @@ const SearchScreen = ({ navigation }) => {
     };
 
     /**
-     * Adds a new tag to the search tags list.
+     * Returns the current filters in the form SavedSearchService stores them.
      */
-    const handleAddTag = () => {
-        const trimmedTag = newTag.trim();
-        if (trimmedTag && !tags.includes(trimmedTag)) {
-            setTags([...tags, trimmedTag]);
-            setNewTag('');
-        }
+    const getCurrentFilters = () => toStoredFilters({
+        majorHead,
+        minorHead,
+        tags,
+        query: debouncedQuery,
+        uploadedBy,
+        datePreset,
+        fromDate,
+        toDate,
+        allVersions,
+    });
+
+    /**
+     * Replaces every filter with stored ones and searches with them.
+     * @param {object} filters - Filters from a saved search or the history.
+     */
+    const applyFilters = (filters) => {
+        setMajorHead(filters.majorHead);
+        setMinorHead(filters.minorHead);
+        setTags(filters.tags);
+        setSearchText(filters.query);
+        setDebouncedQuery(filters.query); // Skip the debounce, the query is not being typed
+        // Searches saved by another user of this device must not show that user's documents as "Me"
+        setUploadedBy(filters.uploadedBy === currentUserId ? filters.uploadedBy : '');
+        setDatePreset(filters.datePreset);
+        setFromDate(parseApiDate(filters.fromDate));
+        setToDate(parseApiDate(filters.toDate));
+        setAllVersions(!!filters.allVersions); // Missing from searches saved before versions existed
+        setShowHistory(false);
+        setRunRequest(current => current + 1);
     };
 
     /**
-     * Removes a tag from the search tags list.
-     * @param {string} tagToRemove - The tag to be removed.
+     * Saves the current filters under the name typed by the user.
      */
-    const handleRemoveTag = (tagToRemove) => {
-        setTags(tags.filter(tag => tag !== tagToRemove));
+    const handleSaveSearch = async () => {
+        try {
+            setSavedSearches(await saveSearch(saveName || '', getCurrentFilters()));
+            setSaveName(null);
+        } catch (error) {
+            Alert.alert('Error', error.message || 'Failed to save this search.');
+        }
     };
 
     /**
-     * Executes the document search based on current filter criteria.
-     * Calls the DocumentService to perform the search.
+     * Asks for confirmation before deleting a saved search.
+     * @param {object} savedSearch - The saved search.
      */
-    const handleSearch = async () => {
-        setLoading(true); // Start loading indicator
+    const handleDeleteSavedSearch = (savedSearch) => {
+        Alert.alert(
+            'Delete Saved Search',
+            `Delete "${savedSearch.name}"?`,
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => setSavedSearches(await deleteSavedSearch(savedSearch.id)),
+                },
+            ]
+        );
+    };
 
-        // Format tags for API payload
-        const formattedTags = tags.map(tag => ({ tag_name: tag }));
+    /**
+     * Empties the search history.
+     */
+    const handleClearHistory = async () => {
+        await clearSearchHistory();
+        setSearchHistory([]);
+    };
 
-        const searchCriteria = {
+    /**
+     * Builds the search payload from the current filters, without the pagination fields.
+     * A relative date range is resolved against today's date.
+     */
+    const buildSearchCriteria = () => {
+        const dateRange = datePreset ? resolveDateRange(datePreset) : { fromDate, toDate };
+        return {
             major_head: majorHead,
             minor_head: minorHead,
-            from_date: fromDate ? fromDate.toISOString().split('T')[0] : '', // YYYY-MM-DD
-            to_date: toDate ? toDate.toISOString().split('T')[0] : '',     // YYYY-MM-DD
-            tags: formattedTags,
-            uploaded_by: "", // Placeholder, if you need to filter by uploader
-            start: 0,        // Pagination start index
-            length: 10,      // Number of records per page
+            from_date: dateRange.fromDate ? formatApiDate(dateRange.fromDate) : '', // YYYY-MM-DD
+            to_date: dateRange.toDate ? formatApiDate(dateRange.toDate) : '',     // YYYY-MM-DD
+            tags: tags.map(tag => ({ tag_name: tag })), // Format tags for API payload
+            uploaded_by: uploadedBy, // Uploader's user ID, empty for documents from anyone
+            latest_version_only: !allVersions, // Replaced versions are otherwise reached from the document's version list
             filterId: "",    // Specific filter ID if applicable
             search: {
-                value: ""    // Global search term (e.g., for document name)
+                value: debouncedQuery // Global search term, matched against document names and remarks
             }
         };
+    };
 
+    /**
+     * Fetches one page of results for the given criteria.
+     * Replaced versions the server sends despite `latest_version_only` are dropped; hiddenVersionsRef counts
+     * them so the next page starts at the right record and the total leaves them out.
+     * @param {object} criteria - The search payload from buildSearchCriteria.
+     * @param {number} start - Number of results shown so far, 0 for the first page.
+     * @returns {Promise<object|null>} - { documents, total, fetchedCount }, or null if a newer request replaced this one.
+     */
+    const fetchPage = async (criteria, start) => {
+        const requestId = ++requestIdRef.current;
+        abortControllerRef.current?.abort(); // The previous request is no longer needed
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        let results;
         try {
-            const results = await searchDocuments(searchCriteria);
-            if (results.success && Array.isArray(results.data)) {
-                setSearchResults(results.data); // Assuming results.data is the array of documents
-                if (results.data.length === 0) {
-                    Alert.alert('No Results', 'No documents found matching your criteria.');
-                }
-            } else {
-                Alert.alert('Search Error', results.message || 'Failed to search documents.');
-                setSearchResults([]);
+            const serverStart = start === 0 ? 0 : start + hiddenVersionsRef.current;
+            results = await searchDocuments({ ...criteria, start: serverStart, length: PAGE_SIZE }, { signal: abortController.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return null;
             }
+            throw error;
+        }
+        if (requestId !== requestIdRef.current) {
+            return null;
+        }
+        if (!results.success || !Array.isArray(results.data)) {
+            throw new Error(results.message || 'Failed to search documents.');
+        }
+        const documents = filterSearchResults(criteria, results.data);
+        hiddenVersionsRef.current = (start === 0 ? 0 : hiddenVersionsRef.current) + results.data.length - documents.length;
+        // The API reports DataTables style counters; recordsFiltered is the count for these filters
+        const total = results.recordsFiltered ?? results.recordsTotal ?? null;
+        rememberDocuments(documents);
+        return {
+            documents,
+            total: total !== null ? total - hiddenVersionsRef.current : null,
+            fetchedCount: results.data.length, // Before filtering, tells whether the server has more when the total is unknown
+        };
+    };
+
+    /**
+     * Replaces the results with the first page for the given criteria.
+     * @param {object} criteria - The search payload from buildSearchCriteria.
+     * @returns {Promise<Array<object>|null>} - The first page, or null if it failed or was replaced.
+     */
+    const loadFirstPage = async (criteria) => {
+        activeCriteriaRef.current = criteria;
+        try {
+            const page = await fetchPage(criteria, 0);
+            if (!page) {
+                return null;
+            }
+            setSearchResults(page.documents);
+            setActiveQuery(criteria.search.value);
+            setTotalRecords(page.total);
+            setHasMore(page.total !== null ? page.documents.length < page.total : page.fetchedCount === PAGE_SIZE);
+            setHasSearched(true);
+            return page.documents;
         } catch (error) {
             Alert.alert('Search Failed', error.message || 'An unexpected error occurred during search.');
             setSearchResults([]);
+            setTotalRecords(null);
+            setHasMore(false);
+            return null;
+        }
+    };
+
+    /**
+     * Executes the document search based on current filter criteria.
+     * Calls the DocumentService to perform the search.
+     * @param {object} options - { quiet }: search-as-you-type shows the empty state instead of an Alert.
+     */
+    const handleSearch = async ({ quiet = false } = {}) => {
+        setLoading(true); // Start loading indicator
+        const requestId = requestIdRef.current + 1; // The ID fetchPage is about to use
+        try {
+            const documents = await loadFirstPage(buildSearchCriteria());
+            if (documents) {
+                setSearchHistory(await addToSearchHistory(getCurrentFilters()));
+            }
+            if (documents && documents.length === 0 && !quiet) {
+                Alert.alert('No Results', 'No documents found matching your criteria.');
+            }
         } finally {
-            setLoading(false); // Stop loading indicator
+            // A newer search owns the indicator if this one was replaced
+            if (requestIdRef.current === requestId) {
+                setLoading(false); // Stop loading indicator
+            }
+        }
+    };
+
+    /**
+     * Reloads the first page of the current results (pull-to-refresh).
+     */
+    const handleRefresh = async () => {
+        if (!activeCriteriaRef.current) {
+            return;
+        }
+        setRefreshing(true);
+        try {
+            await loadFirstPage(activeCriteriaRef.current);
+        } finally {
+            setRefreshing(false);
+        }
+    };
+
+    /**
+     * Appends the next page of results when the list is scrolled to the end.
+     */
+    const handleLoadMore = async () => {
+        if (!hasMore || loading || loadingMore || refreshing || !activeCriteriaRef.current) {
+            return;
+        }
+        setLoadingMore(true);
+        try {
+            const page = await fetchPage(activeCriteriaRef.current, searchResults.length);
+            if (!page) {
+                return;
+            }
+            const loadedCount = searchResults.length + page.documents.length;
+            setSearchResults(current => [...current, ...page.documents]);
+            setTotalRecords(page.total);
+            setHasMore(page.fetchedCount > 0 && (page.total !== null ? loadedCount < page.total : page.fetchedCount === PAGE_SIZE));
+        } catch (error) {
+            Alert.alert('Search Failed', error.message || 'Failed to load more documents.');
+            setHasMore(false);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    /**
+     * Adds a document to, or removes it from, the ZIP selection.
+     * @param {object} document - The document tapped in the results.
+     */
+    const toggleSelection = (document) => {
+        const key = getDownloadKey(document);
+        setSelectedDocuments(current => {
+            const next = { ...current };
+            if (next[key]) {
+                delete next[key];
+            } else {
+                next[key] = document;
+            }
+            return next;
+        });
+    };
+
+    // Select All picks every result, up to MAX_SELECT_ALL when more match than that
+    const selectedCount = Object.keys(selectedDocuments).length;
+    const isAllSelected = selectedCount > 0 && selectedCount === (hasMore ? MAX_SELECT_ALL : Math.min(searchResults.length, MAX_SELECT_ALL));
+
+    /**
+     * Selects every document matching the current search, loading the pages not fetched yet, up to
+     * MAX_SELECT_ALL documents. Clears the selection instead when everything is already selected.
+     */
+    const handleSelectAll = async () => {
+        if (isAllSelected) {
+            setSelectedDocuments({});
+            return;
+        }
+
+        let allDocuments = searchResults;
+        let reachedEnd = !hasMore;
+        if (!reachedEnd && allDocuments.length < MAX_SELECT_ALL) {
+            const criteria = activeCriteriaRef.current;
+            const requestId = requestIdRef.current; // Changes if the filters change meanwhile
+            // Aborted like the other page requests when the filters change or the screen is closed
+            abortControllerRef.current?.abort();
+            const abortController = new AbortController();
+            abortControllerRef.current = abortController;
+            setLoadingMore(true);
+            let hiddenCount = hiddenVersionsRef.current; // Replaced versions dropped, as in fetchPage
+            try {
+                while (!reachedEnd && allDocuments.length < MAX_SELECT_ALL) {
+                    const results = await searchDocuments(
+                        { ...criteria, start: allDocuments.length + hiddenCount, length: PAGE_SIZE },
+                        { signal: abortController.signal }
+                    );
+                    if (requestId !== requestIdRef.current) {
+                        return;
+                    }
+                    if (!results.success || !Array.isArray(results.data)) {
+                        throw new Error(results.message || 'Failed to search documents.');
+                    }
+                    const documents = filterSearchResults(criteria, results.data);
+                    hiddenCount += results.data.length - documents.length;
+                    allDocuments = [...allDocuments, ...documents];
+                    const total = results.recordsFiltered ?? results.recordsTotal ?? null;
+                    reachedEnd = results.data.length === 0
+                        || (total !== null ? allDocuments.length + hiddenCount >= total : results.data.length < PAGE_SIZE);
+                }
+                hiddenVersionsRef.current = hiddenCount;
+                setSearchResults(allDocuments);
+                setHasMore(!reachedEnd);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    Alert.alert('Search Failed', error.message || 'Failed to load all matching documents.');
+                }
+                return;
+            } finally {
+                if (!abortController.signal.aborted) {
+                    setLoadingMore(false);
+                }
+            }
+        }
+        const documentsToSelect = allDocuments.slice(0, MAX_SELECT_ALL);
+        setSelectedDocuments(Object.fromEntries(documentsToSelect.map(document => [getDownloadKey(document), document])));
+        if (!reachedEnd || allDocuments.length > MAX_SELECT_ALL) {
+            Alert.alert(
+                'Selection Limited',
+                `The first ${MAX_SELECT_ALL} documents are selected. Narrow the search to select the others.`
+            );
+        }
+    };
+
+    /**
+     * Leaves selection mode and forgets the selected documents.
+     */
+    const exitSelectionMode = () => {
+        setSelectionMode(false);
+        setSelectedDocuments({});
+    };
+
+    /**
+     * Downloads the selected documents and packs them with a manifest into one ZIP archive.
+     */
+    const handleCreateArchive = async () => {
+        const documents = Object.values(selectedDocuments);
+        if (documents.length === 0) {
+            Alert.alert('No Documents Selected', 'Select the documents to include in the ZIP archive.');
+            return;
+        }
+
+        const archiveController = new AbortController();
+        archiveControllerRef.current = archiveController;
+        setArchiveProgress({ stage: 'downloading', completed: 0, total: documents.length, fileProgress: 0 });
+        try {
+            const timestamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-'); // e.g. 2024-05-01-09-30
+            const record = await createDocumentArchive(documents, {
+                archiveName: `documents_${timestamp}`,
+                onProgress: setArchiveProgress,
+                signal: archiveController.signal,
+            });
+            addDownload(record);
+            exitSelectionMode();
+            Alert.alert(
+                'ZIP Archive Ready',
+                `${record.fileName} contains ${record.documentCount - record.missingCount} of ${record.documentCount} documents and a manifest. ` +
+                'You can find it under Downloads.' +
+                (record.missingCount > 0
+                    ? `\n\n${record.missingCount} file(s) could not be downloaded and are marked as missing in the manifest.`
+                    : '')
+            );
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Archive error:', error);
+                Alert.alert('ZIP Failed', error.message || 'Failed to create the ZIP archive.');
+            }
+        } finally {
+            archiveControllerRef.current = null;
+            setArchiveProgress(null);
+        }
+    };
+
+    /**
+     * Downloads a document from the results through the shared download service.
+     * @param {object} document - The document to download.
+     */
+    const handleDownload = async (document) => {
+        try {
+            const record = await downloadDocument(document);
+            if (record) {
+                Alert.alert('Download Complete', `${record.fileName} was saved. You can find it under Downloads.`);
+            }
+        } catch (error) {
+            Alert.alert('Download Failed', error.message || 'An error occurred during download.');
         }
     };
 
@@ -140,161 +615,331 @@ const SearchScreen = ({ navigation }) => {
      * Renders each item in the FlatList of search results.
      * @param {object} item - The document object to render.
      */
-    const renderDocumentItem = ({ item }) => (
-        <View style={styles.documentItem}>
-            <Text style={styles.documentName}>{item.document_name || 'Untitled Document'}</Text>
-            <Text style={styles.documentDetail}>Category: {item.major_head} / {item.minor_head}</Text>
-            <Text style={styles.documentDetail}>Date: {item.document_date}</Text>
-            <Text style={styles.documentDetail}>Remarks: {item.document_remarks}</Text>
-            <Text style={styles.documentDetail}>Tags: {item.tags && item.tags.map(tag => tag.tag_name).join(', ')}</Text>
-            <View style={styles.documentActions}>
-                <TouchableOpacity
-                    style={styles.actionButton}
-                    onPress={() => navigation.navigate('Preview', { document: item })}
-                >
-                    <Text style={styles.actionButtonText}>Preview</Text>
-                </TouchableOpacity>
-                {/* Download functionality will be handled in PreviewScreen or directly here */}
-                <TouchableOpacity
-                    style={[styles.actionButton, styles.downloadButton]}
-                    onPress={() => Alert.alert('Download', `Downloading ${item.document_name || 'document'}... (Functionality in Preview)`)}
-                >
-                    <Text style={styles.actionButtonText}>Download</Text>
-                </TouchableOpacity>
-            </View>
-        </View>
-    );
-
-    return (
-        <View style={styles.container}>
-            <ScrollView contentContainerStyle={styles.scrollViewContent}>
-                <Text style={styles.sectionTitle}>Search Filters</Text>
-
-                {/* Major Head Dropdown */}
-                <Text style={styles.label}>Major Head:</Text>
-                <View style={styles.pickerContainer}>
-                    <Picker selectedValue={majorHead} onValueChange={setMajorHead}>
-                        <Picker.Item label="-- All Major Heads --" value="" />
-                        <Picker.Item label="Personal" value="Personal" />
-                        <Picker.Item label="Professional" value="Professional" />
-                    </Picker>
+    const renderDocumentItem = ({ item }) => {
+        const activeDownload = activeDownloads[getDownloadKey(item)];
+        const isSelected = !!selectedDocuments[getDownloadKey(item)];
+        return (
+            <TouchableOpacity
+                style={[styles.documentItem, isSelected && styles.selectedDocumentItem]}
+                onPress={() => toggleSelection(item)}
+                disabled={!selectionMode || !!archiveProgress}
+                activeOpacity={0.7}
+            >
+                {selectionMode && (
+                    <Text style={styles.selectionText}>{isSelected ? '\u2611 Selected' : '\u2610 Tap to select'}</Text>
+                )}
+                <HighlightedText style={styles.documentName} text={item.document_name || 'Untitled Document'} query={activeQuery} />
+                <Text style={styles.documentDetail}>Category: {item.major_head} / {item.minor_head}</Text>
+                <Text style={styles.documentDetail}>Date: {item.document_date}</Text>
+                <Text style={styles.documentDetail}>
+                    Remarks: <HighlightedText text={item.document_remarks} query={activeQuery} />
+                </Text>
+                <Text style={styles.documentDetail}>Tags: {item.tags && item.tags.map(tag => tag.tag_name).join(', ')}</Text>
+                {item.version_number > 1 || !isLatestVersion(item) ? (
+                    <Text style={styles.documentDetail}>
+                        Version {item.version_number || 1}{isLatestVersion(item) ? ' (latest)' : ' (replaced by a newer version)'}
+                    </Text>
+                ) : null}
+                {item.uploaded_by ? (
+                    <Text style={styles.documentDetail}>
+                        Uploaded by: {String(item.uploaded_by) === currentUserId ? 'Me' : item.uploaded_by}
+                    </Text>
+                ) : null}
+                <View style={styles.documentActions}>
+                    <TouchableOpacity
+                        style={styles.actionButton}
+                        onPress={() => navigation.navigate('Preview', { document: item })}
+                    >
+                        <Text style={styles.actionButtonText}>Preview</Text>
+                    </TouchableOpacity>
+                    {activeDownload ? (
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.cancelDownloadButton]}
+                            onPress={() => cancelDocumentDownload(item)}
+                        >
+                            <Text style={styles.actionButtonText}>Cancel</Text>
+                        </TouchableOpacity>
+                    ) : (
+                        <TouchableOpacity
+                            style={[styles.actionButton, styles.downloadButton]}
+                            onPress={() => handleDownload(item)}
+                        >
+                            <Text style={styles.actionButtonText}>Download</Text>
+                        </TouchableOpacity>
+                    )}
                 </View>
+                {activeDownload && <ProgressBar progress={activeDownload.progress} style={styles.downloadProgress} />}
+            </TouchableOpacity>
+        );
+    };
 
-                {/* Minor Head Dropdown (Dynamic) */}
-                {majorHead ? (
-                    <>
-                        <Text style={styles.label}>Minor Head:</Text>
-                        <View style={styles.pickerContainer}>
-                            <Picker selectedValue={minorHead} onValueChange={setMinorHead}>
-                                <Picker.Item label="-- All Minor Heads --" value="" />
-                                {minorHeadOptions[majorHead] && minorHeadOptions[majorHead].map((item, index) => (
-                                    <Picker.Item key={index} label={item} value={item} />
-                                ))}
-                            </Picker>
-                        </View>
-                    </>
-                ) : null}
+    /**
+     * Renders the filter form shown above the results.
+     * Returned as an element rather than a component so inputs keep focus across re-renders.
+     */
+    const renderFilters = () => (
+        <View>
+            {/* Saved searches run in one tap; a long press deletes them */}
+            {savedSearches.length > 0 && (
+                <>
+                    <Text style={styles.sectionTitle}>Saved Searches</Text>
+                    <View style={styles.tagsContainer}>
+                        {savedSearches.map(savedSearch => (
+                            <TouchableOpacity
+                                key={savedSearch.id}
+                                style={styles.savedSearchChip}
+                                onPress={() => applyFilters(savedSearch.filters)}
+                                onLongPress={() => handleDeleteSavedSearch(savedSearch)}
+                            >
+                                <Text style={styles.savedSearchText}>{savedSearch.name}</Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                </>
+            )}
 
-                {/* Tags Input Field for Search */}
-                <Text style={styles.label}>Tags:</Text>
-                <View style={styles.tagsContainer}>
-                    {tags.map((tag, index) => (
-                        <View key={index} style={styles.tagChip}>
-                            <Text style={styles.tagText}>{tag}</Text>
-                            <TouchableOpacity onPress={() => handleRemoveTag(tag)} style={styles.removeTagButton}>
-                                <Text style={styles.removeTagText}>x</Text>
+            {/* Recent searches */}
+            {searchHistory.length > 0 && (
+                <View style={styles.historyContainer}>
+                    <View style={styles.historyHeader}>
+                        <TouchableOpacity onPress={() => setShowHistory(!showHistory)}>
+                            <Text style={styles.selectionButtonText}>
+                                {showHistory ? 'Hide' : 'Show'} Recent Searches ({searchHistory.length})
+                            </Text>
+                        </TouchableOpacity>
+                        {showHistory && (
+                            <TouchableOpacity onPress={handleClearHistory}>
+                                <Text style={styles.clearHistoryText}>Clear</Text>
                             </TouchableOpacity>
-                        </View>
+                        )}
+                    </View>
+                    {showHistory && searchHistory.map(entry => (
+                        <TouchableOpacity
+                            key={entry.searchedAt}
+                            style={styles.historyItem}
+                            onPress={() => applyFilters(entry.filters)}
+                        >
+                            <Text style={styles.historyText}>{describeFilters(entry.filters)}</Text>
+                            <Text style={styles.historyDate}>{new Date(entry.searchedAt).toLocaleString()}</Text>
+                        </TouchableOpacity>
                     ))}
                 </View>
-                <TextInput
-                    style={styles.input}
-                    placeholder="Add tag to search (e.g., invoice)"
-                    value={newTag}
-                    onChangeText={setNewTag}
-                    onSubmitEditing={handleAddTag}
-                    returnKeyType="done"
-                />
-                <TouchableOpacity style={styles.addButton} onPress={handleAddTag}>
-                    <Text style={styles.addButtonText}>Add Tag</Text>
-                </TouchableOpacity>
+            )}
 
-                {/* Suggested Tags (from availableTags) */}
-                {availableTags.length > 0 && (
-                    <View style={styles.availableTagsContainer}>
-                        <Text style={styles.availableTagsTitle}>Suggested Tags:</Text>
-                        <View style={styles.tagsContainer}>
-                            {availableTags.filter(tag => !tags.includes(tag)).map((tag, index) => (
-                                <TouchableOpacity key={index} style={styles.suggestedTagChip} onPress={() => {
-                                    if (!tags.includes(tag)) setTags([...tags, tag]);
-                                }}>
-                                    <Text style={styles.suggestedTagText}>{tag}</Text>
-                                </TouchableOpacity>
-                            ))}
-                        </View>
-                    </View>
-                )}
+            <Text style={styles.sectionTitle}>Search Filters</Text>
 
-                {/* From Date Picker */}
-                <Text style={styles.label}>From Date:</Text>
-                <TouchableOpacity onPress={() => setShowFromDatePicker(true)} style={styles.datePickerButton}>
-                    <Text style={styles.datePickerButtonText}>
-                        {fromDate ? fromDate.toLocaleDateString() : "Select From Date"}
-                    </Text>
-                </TouchableOpacity>
-                {showFromDatePicker && (
-                    <DateTimePicker
-                        value={fromDate || new Date()}
-                        mode="date"
-                        display="default"
-                        onChange={onFromDateChange}
-                    />
+            {/* Major and Minor Head Dropdowns, loaded from the backend */}
+            <CategoryPicker
+                majorHead={majorHead}
+                minorHead={minorHead}
+                onChange={handleCategoryChange}
+                placeholderPrefix="All"
+            />
+
+            {/* Tags, with autocomplete from the server */}
+            <Text style={styles.label}>Tags:</Text>
+            <TagInput tags={tags} onChange={setTags} placeholder="Add tag to search (e.g., invoice)" />
+
+            {/* Date Range Dropdown; relative ranges stay current when the search is saved */}
+            <Text style={styles.label}>Date Range:</Text>
+            <View style={styles.pickerContainer}>
+                <Picker selectedValue={datePreset} onValueChange={setDatePreset}>
+                    <Picker.Item label="-- Pick Dates --" value="" />
+                    {Object.values(DATE_RANGE_PRESETS).map(preset => (
+                        <Picker.Item key={preset} label={DATE_RANGE_PRESET_LABELS[preset]} value={preset} />
+                    ))}
+                </Picker>
+            </View>
+
+            {!datePreset && (
+                <>
+                    {/* From Date Picker */}
+                    <Text style={styles.label}>From Date:</Text>
+                    <TouchableOpacity onPress={() => setShowFromDatePicker(true)} style={styles.datePickerButton}>
+                        <Text style={styles.datePickerButtonText}>
+                            {fromDate ? fromDate.toLocaleDateString() : "Select From Date"}
+                        </Text>
+                    </TouchableOpacity>
+                    {showFromDatePicker && (
+                        <DateTimePicker
+                            value={fromDate || new Date()}
+                            mode="date"
+                            display="default"
+                            onChange={onFromDateChange}
+                        />
+                    )}
+
+                    {/* To Date Picker */}
+                    <Text style={styles.label}>To Date:</Text>
+                    <TouchableOpacity onPress={() => setShowToDatePicker(true)} style={styles.datePickerButton}>
+                        <Text style={styles.datePickerButtonText}>
+                            {toDate ? toDate.toLocaleDateString() : "Select To Date"}
+                        </Text>
+                    </TouchableOpacity>
+                    {showToDatePicker && (
+                        <DateTimePicker
+                            value={toDate || new Date()}
+                            mode="date"
+                            display="default"
+                            onChange={onToDateChange}
+                        />
+                    )}
+                </>
+            )}
+
+            {/* Uploader Dropdown */}
+            <Text style={styles.label}>Uploaded By:</Text>
+            <View style={styles.pickerContainer}>
+                <Picker selectedValue={uploadedBy} onValueChange={setUploadedBy}>
+                    <Picker.Item label="-- Anyone --" value="" />
+                    {currentUserId ? <Picker.Item label="Me" value={currentUserId} /> : null}
+                </Picker>
+            </View>
+
+            {/* Versions replaced by a newer upload are left out unless asked for */}
+            <View style={styles.switchRow}>
+                <Text style={styles.switchLabel}>Include earlier versions</Text>
+                <Switch value={allVersions} onValueChange={setAllVersions} accessibilityLabel="Include earlier versions" />
+            </View>
+
+            {/* Search Button */}
+            <TouchableOpacity
+                style={styles.searchButton}
+                onPress={() => handleSearch()}
+                disabled={loading}
+            >
+                {loading ? (
+                    <ActivityIndicator color="#fff" />
+                ) : (
+                    <Text style={styles.searchButtonText}>Search Documents</Text>
                 )}
+            </TouchableOpacity>
 
-                {/* To Date Picker */}
-                <Text style={styles.label}>To Date:</Text>
-                <TouchableOpacity onPress={() => setShowToDatePicker(true)} style={styles.datePickerButton}>
-                    <Text style={styles.datePickerButtonText}>
-                        {toDate ? toDate.toLocaleDateString() : "Select To Date"}
-                    </Text>
+            {/* Save the current filters under a name */}
+            {saveName === null ? (
+                <TouchableOpacity style={styles.saveSearchLink} onPress={() => setSaveName('')}>
+                    <Text style={styles.selectionButtonText}>Save This Search</Text>
                 </TouchableOpacity>
-                {showToDatePicker && (
-                    <DateTimePicker
-                        value={toDate || new Date()}
-                        mode="date"
-                        display="default"
-                        onChange={onToDateChange}
+            ) : (
+                <View style={styles.saveSearchContainer}>
+                    <TextInput
+                        style={[styles.input, styles.saveSearchInput]}
+                        placeholder="Name (e.g., Monthly invoices)"
+                        value={saveName}
+                        onChangeText={setSaveName}
+                        onSubmitEditing={handleSaveSearch}
+                        returnKeyType="done"
+                        autoFocus
                     />
-                )}
+                    <TouchableOpacity style={[styles.addButton, styles.saveSearchButton]} onPress={handleSaveSearch}>
+                        <Text style={styles.addButtonText}>Save</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.selectionButton} onPress={() => setSaveName(null)}>
+                        <Text style={styles.selectionButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+            )}
 
-                {/* Search Button */}
-                <TouchableOpacity
-                    style={styles.searchButton}
-                    onPress={handleSearch}
-                    disabled={loading}
-                >
-                    {loading ? (
-                        <ActivityIndicator color="#fff" />
+            {/* Search Results */}
+            <Text style={styles.sectionTitle}>Search Results</Text>
+            {hasSearched && totalRecords !== null && (
+                <Text style={styles.resultCountText}>
+                    Showing {searchResults.length} of {totalRecords} document{totalRecords === 1 ? '' : 's'}
+                </Text>
+            )}
+            {searchResults.length > 0 && (
+                <View style={styles.selectionBar}>
+                    {selectionMode ? (
+                        <>
+                            <TouchableOpacity style={styles.selectionButton} onPress={handleSelectAll} disabled={!!archiveProgress}>
+                                <Text style={styles.selectionButtonText}>
+                                    {isAllSelected ? 'Clear Selection' : 'Select All'}
+                                </Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity style={styles.selectionButton} onPress={exitSelectionMode} disabled={!!archiveProgress}>
+                                <Text style={styles.selectionButtonText}>Done</Text>
+                            </TouchableOpacity>
+                        </>
                     ) : (
-                        <Text style={styles.searchButtonText}>Search Documents</Text>
+                        <TouchableOpacity style={styles.selectionButton} onPress={() => setSelectionMode(true)}>
+                            <Text style={styles.selectionButtonText}>Select for ZIP</Text>
+                        </TouchableOpacity>
                     )}
-                </TouchableOpacity>
+                </View>
+            )}
+        </View>
+    );
 
-                {/* Search Results */}
-                <Text style={styles.sectionTitle}>Search Results</Text>
-                {searchResults.length > 0 ? (
-                    <FlatList
-                        data={searchResults}
-                        keyExtractor={(item, index) => item.id || index.toString()} // Use a unique ID from item if available
-                        renderItem={renderDocumentItem}
-                        contentContainerStyle={styles.resultsList}
-                    />
-                ) : (
+    // Rows depend on more than the results themselves
+    const listExtraData = useMemo(
+        () => ({ activeDownloads, selectedDocuments, selectionMode, archiveProgress }),
+        [activeDownloads, selectedDocuments, selectionMode, archiveProgress]
+    );
+
+    // A single virtualized list holds both the filters (as header) and the results
+    return (
+        <View style={styles.container}>
+            {/* Free-text search, kept above the list so it stays visible while scrolling */}
+            <View style={styles.searchBar}>
+                <TextInput
+                    style={styles.searchInput}
+                    placeholder="Search by file name or remarks"
+                    value={searchText}
+                    onChangeText={setSearchText}
+                    returnKeyType="search"
+                    autoCorrect={false}
+                    clearButtonMode="while-editing"
+                />
+                {loading && <ActivityIndicator style={styles.searchBarIndicator} color="#007bff" />}
+            </View>
+            <FlatList
+                data={searchResults}
+                keyExtractor={(item, index) => (item.id ? String(item.id) : index.toString())} // Use a unique ID from item if available
+                renderItem={renderDocumentItem}
+                extraData={listExtraData}
+                ListHeaderComponent={renderFilters()}
+                ListEmptyComponent={
                     <Text style={styles.noResultsText}>
-                        {loading ? 'Searching...' : 'Enter criteria and click "Search" to find documents.'}
+                        {loading ? 'Searching...' : hasSearched ? 'No documents found matching your criteria.' : 'Enter criteria and click "Search" to find documents.'}
                     </Text>
-                )}
-            </ScrollView>
+                }
+                ListFooterComponent={loadingMore ? <ActivityIndicator style={styles.loadingMoreIndicator} color="#007bff" /> : null}
+                onEndReached={handleLoadMore}
+                onEndReachedThreshold={0.5}
+                refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} enabled={hasSearched} />}
+                keyboardShouldPersistTaps="handled"
+                contentContainerStyle={styles.scrollViewContent}
+            />
+
+            {/* ZIP actions stay visible at the bottom while picking documents */}
+            {selectionMode && (
+                <View style={styles.archiveBar}>
+                    {archiveProgress ? (
+                        <>
+                            <Text style={styles.archiveProgressText}>
+                                {archiveProgress.stage === 'zipping'
+                                    ? 'Creating ZIP archive...'
+                                    : `Downloading ${archiveProgress.completed + 1} of ${archiveProgress.total}...`}
+                            </Text>
+                            <ProgressBar
+                                progress={(archiveProgress.completed + (archiveProgress.fileProgress || 0)) / archiveProgress.total}
+                            />
+                            <TouchableOpacity
+                                style={[styles.archiveButton, styles.cancelDownloadButton]}
+                                onPress={() => archiveControllerRef.current?.abort()}
+                            >
+                                <Text style={styles.archiveButtonText}>Cancel</Text>
+                            </TouchableOpacity>
+                        </>
+                    ) : (
+                        <TouchableOpacity style={styles.archiveButton} onPress={handleCreateArchive}>
+                            <Text style={styles.archiveButtonText}>
+                                Download {Object.keys(selectedDocuments).length} as ZIP
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            )}
         </View>
     );
 };
@@ -304,6 +949,29 @@ const styles = StyleSheet.create({
         flex: 1,
         backgroundColor: '#f5f5f5',
     },
+    searchBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingHorizontal: 20,
+        paddingVertical: 10,
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderBottomColor: '#ddd',
+    },
+    searchInput: {
+        flex: 1,
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 20,
+        paddingHorizontal: 15,
+        paddingVertical: 10,
+        fontSize: 16,
+        backgroundColor: '#f5f5f5',
+        color: '#333',
+    },
+    searchBarIndicator: {
+        marginLeft: 10,
+    },
     scrollViewContent: {
         padding: 20,
         paddingBottom: 50,
@@ -328,6 +996,16 @@ const styles = StyleSheet.create({
         marginBottom: 15,
         backgroundColor: '#fff',
     },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        marginBottom: 5,
+    },
+    switchLabel: {
+        fontSize: 16,
+        color: '#555',
+    },
     input: {
         borderWidth: 1,
         borderColor: '#ddd',
@@ -343,34 +1021,6 @@ const styles = StyleSheet.create({
         flexWrap: 'wrap',
         marginBottom: 10,
     },
-    tagChip: {
-        backgroundColor: '#e0e0e0',
-        borderRadius: 15,
-        paddingVertical: 8,
-        paddingHorizontal: 12,
-        margin: 4,
-        flexDirection: 'row',
-        alignItems: 'center',
-    },
-    tagText: {
-        fontSize: 14,
-        color: '#333',
-        marginRight: 5,
-    },
-    removeTagButton: {
-        marginLeft: 5,
-        backgroundColor: '#ccc',
-        borderRadius: 10,
-        width: 20,
-        height: 20,
-        justifyContent: 'center',
-        alignItems: 'center',
-    },
-    removeTagText: {
-        color: '#666',
-        fontSize: 12,
-        fontWeight: 'bold',
-    },
     addButton: {
         backgroundColor: '#28a745', // Green color for add button
         paddingVertical: 10,
@@ -384,30 +1034,6 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: '600',
     },
-    availableTagsContainer: {
-        marginTop: 10,
-        marginBottom: 20,
-        borderTopWidth: 1,
-        borderTopColor: '#eee',
-        paddingTop: 15,
-    },
-    availableTagsTitle: {
-        fontSize: 16,
-        fontWeight: 'bold',
-        marginBottom: 10,
-        color: '#555',
-    },
-    suggestedTagChip: {
-        backgroundColor: '#add8e6', // Light blue for suggested tags
-        borderRadius: 15,
-        paddingVertical: 8,
-        paddingHorizontal: 12,
-        margin: 4,
-    },
-    suggestedTagText: {
-        fontSize: 14,
-        color: '#0056b3',
-    },
     datePickerButton: {
         borderWidth: 1,
         borderColor: '#ddd',
@@ -439,8 +1065,14 @@ const styles = StyleSheet.create({
         fontSize: 18,
         fontWeight: 'bold',
     },
-    resultsList: {
-        paddingBottom: 20, // Padding for the last item not to be cut off
+    resultCountText: {
+        textAlign: 'center',
+        fontSize: 14,
+        color: '#555',
+        marginBottom: 15,
+    },
+    loadingMoreIndicator: {
+        marginVertical: 20,
     },
     documentItem: {
         backgroundColor: '#fff',
@@ -478,6 +1110,121 @@ const styles = StyleSheet.create({
     downloadButton: {
         backgroundColor: '#28a745', // Success green
     },
+    cancelDownloadButton: {
+        backgroundColor: '#dc3545', // Red for destructive action
+    },
+    downloadProgress: {
+        marginTop: 10,
+    },
+    selectedDocumentItem: {
+        borderWidth: 2,
+        borderColor: '#007bff',
+    },
+    selectionText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#007bff',
+        marginBottom: 5,
+    },
+    savedSearchChip: {
+        backgroundColor: '#007bff',
+        borderRadius: 15,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        margin: 4,
+    },
+    savedSearchText: {
+        fontSize: 14,
+        color: '#fff',
+        fontWeight: '600',
+    },
+    historyContainer: {
+        marginBottom: 20,
+    },
+    historyHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 10,
+    },
+    clearHistoryText: {
+        fontSize: 14,
+        color: '#dc3545',
+        fontWeight: '600',
+    },
+    historyItem: {
+        backgroundColor: '#fff',
+        padding: 12,
+        borderRadius: 8,
+        marginBottom: 8,
+    },
+    historyText: {
+        fontSize: 15,
+        color: '#333',
+    },
+    historyDate: {
+        fontSize: 12,
+        color: '#777',
+        marginTop: 3,
+    },
+    saveSearchContainer: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 20,
+    },
+    saveSearchInput: {
+        flex: 1,
+        marginBottom: 0,
+        marginRight: 10,
+    },
+    saveSearchButton: {
+        marginBottom: 0,
+    },
+    saveSearchLink: {
+        alignSelf: 'center',
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        marginBottom: 20,
+    },
+    selectionBar: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+        marginBottom: 10,
+    },
+    selectionButton: {
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        marginLeft: 10,
+    },
+    selectionButtonText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#007bff',
+    },
+    archiveBar: {
+        padding: 15,
+        backgroundColor: '#fff',
+        borderTopWidth: 1,
+        borderTopColor: '#ddd',
+    },
+    archiveProgressText: {
+        fontSize: 14,
+        color: '#555',
+        marginBottom: 8,
+        textAlign: 'center',
+    },
+    archiveButton: {
+        backgroundColor: '#6c757d', // Gray color for secondary action
+        paddingVertical: 12,
+        borderRadius: 10,
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    archiveButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: 'bold',
+    },
     actionButtonText: {
         color: '#fff',
         fontSize: 14,
@@ -0,0 +1,286 @@
+// DMSApp/screens/SecuritySettingsScreen.js
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Switch,
+    Alert,
+    StyleSheet,
+    TouchableOpacity,
+    ActivityIndicator,
+    ScrollView
+} from 'react-native';
+import { Picker } from '@react-native-picker/picker';
+import { useAppLock } from '../context/AppLockContext';
+import { validatePin, getBiometryLabel } from '../services/AppLockService';
+import appLockConfig from '../config/appLockConfig';
+
+/**
+ * SecuritySettingsScreen turns the app lock on and off, and sets the PIN, whether biometrics may be used
+ * and how long the app may stay in the background before it locks.
+ */
+const SecuritySettingsScreen = () => {
+    const { lockSettings, biometryType, enableLock, disableLock, changePin, updateLockSettings } = useAppLock();
+    const [pinForm, setPinForm] = useState(null); // { pin, confirmPin } while a PIN is being set, null otherwise
+    const [saving, setSaving] = useState(false);
+    const isEnabled = !!lockSettings?.enabled;
+    const biometryLabel = getBiometryLabel(biometryType);
+
+    /**
+     * Runs a settings change, showing an error if it fails.
+     * @param {function} change - The async change.
+     */
+    const runChange = async (change) => {
+        setSaving(true);
+        try {
+            await change();
+        } catch (error) {
+            console.error('Failed to update security settings:', error);
+            Alert.alert('Error', `The setting could not be saved: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    /**
+     * Turns the lock off after confirmation, or shows the PIN form to turn it on.
+     * @param {boolean} value - The new switch value.
+     */
+    const handleToggleLock = (value) => {
+        if (value) {
+            setPinForm({ pin: '', confirmPin: '' });
+            return;
+        }
+        Alert.alert('Turn Off App Lock', 'Anyone holding this phone unlocked will be able to open your documents.', [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Turn Off', style: 'destructive', onPress: () => runChange(disableLock) },
+        ]);
+    };
+
+    /**
+     * Saves the PIN typed in the form, turning the lock on if it was off.
+     */
+    const handleSavePin = () => {
+        const pinError = validatePin(pinForm.pin);
+        if (pinError) {
+            Alert.alert('Invalid PIN', pinError);
+            return;
+        }
+        if (pinForm.pin !== pinForm.confirmPin) {
+            Alert.alert('Invalid PIN', 'The two PINs do not match.');
+            return;
+        }
+        runChange(async () => {
+            if (isEnabled) {
+                await changePin(pinForm.pin);
+                Alert.alert('PIN Changed', 'Use your new PIN to unlock the app.');
+            } else {
+                // Biometrics are offered by default when the device has them
+                await enableLock(pinForm.pin, !!biometryType);
+            }
+            setPinForm(null);
+        });
+    };
+
+    if (!lockSettings) {
+        return (
+            <View style={styles.loadingContainer}>
+                <ActivityIndicator size="large" color="#007bff" />
+            </View>
+        );
+    }
+
+    return (
+        <ScrollView contentContainerStyle={styles.container}>
+            <View style={styles.row}>
+                <View style={styles.rowText}>
+                    <Text style={styles.rowTitle}>App Lock</Text>
+                    <Text style={styles.rowDetail}>Ask for a PIN{biometryType ? ` or ${biometryLabel}` : ''} when the app is opened.</Text>
+                </View>
+                <Switch value={isEnabled || !!pinForm} onValueChange={handleToggleLock} disabled={saving || (!!pinForm && !isEnabled)} />
+            </View>
+
+            {pinForm && (
+                <View style={styles.pinForm}>
+                    <Text style={styles.label}>{isEnabled ? 'New PIN' : 'Choose a PIN'} ({appLockConfig.pinLength} digits):</Text>
+                    <TextInput
+                        style={styles.input}
+                        keyboardType="number-pad"
+                        secureTextEntry
+                        maxLength={appLockConfig.pinLength}
+                        value={pinForm.pin}
+                        onChangeText={text => setPinForm({ ...pinForm, pin: text.replace(/\D/g, '') })}
+                        editable={!saving}
+                        autoFocus
+                    />
+                    <Text style={styles.label}>Confirm PIN:</Text>
+                    <TextInput
+                        style={styles.input}
+                        keyboardType="number-pad"
+                        secureTextEntry
+                        maxLength={appLockConfig.pinLength}
+                        value={pinForm.confirmPin}
+                        onChangeText={text => setPinForm({ ...pinForm, confirmPin: text.replace(/\D/g, '') })}
+                        editable={!saving}
+                    />
+                    <View style={styles.formButtons}>
+                        <TouchableOpacity style={[styles.formButton, styles.cancelButton]} onPress={() => setPinForm(null)} disabled={saving}>
+                            <Text style={styles.formButtonText}>Cancel</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity style={[styles.formButton, styles.saveButton]} onPress={handleSavePin} disabled={saving}>
+                            <Text style={styles.formButtonText}>{isEnabled ? 'Change PIN' : 'Turn On'}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+            )}
+
+            {isEnabled && (
+                <>
+                    {biometryType && (
+                        <View style={styles.row}>
+                            <View style={styles.rowText}>
+                                <Text style={styles.rowTitle}>Unlock with {biometryLabel}</Text>
+                                <Text style={styles.rowDetail}>The PIN still works if {biometryLabel} fails.</Text>
+                            </View>
+                            <Switch
+                                value={lockSettings.biometricsEnabled}
+                                onValueChange={value => runChange(() => updateLockSettings({ biometricsEnabled: value }))}
+                                disabled={saving}
+                            />
+                        </View>
+                    )}
+
+                    <Text style={styles.label}>Lock when the app was in the background:</Text>
+                    <View style={styles.pickerContainer}>
+                        <Picker
+                            selectedValue={lockSettings.backgroundTimeoutSeconds}
+                            onValueChange={value => runChange(() => updateLockSettings({ backgroundTimeoutSeconds: value }))}
+                            enabled={!saving}
+                            style={styles.picker}
+                        >
+                            {appLockConfig.backgroundTimeoutOptions.map(option => (
+                                <Picker.Item key={option.seconds} label={option.label} value={option.seconds} />
+                            ))}
+                        </Picker>
+                    </View>
+
+                    {!pinForm && (
+                        <TouchableOpacity style={styles.changePinButton} onPress={() => setPinForm({ pin: '', confirmPin: '' })}>
+                            <Text style={styles.changePinText}>Change PIN</Text>
+                        </TouchableOpacity>
+                    )}
+
+                    <Text style={styles.note}>
+                        After {appLockConfig.maxPinAttempts} wrong PINs you are signed out and have to log in again with an OTP.
+                    </Text>
+                </>
+            )}
+        </ScrollView>
+    );
+};
+
+const styles = StyleSheet.create({
+    loadingContainer: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    container: {
+        flexGrow: 1,
+        padding: 20,
+        backgroundColor: '#f5f5f5',
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#fff',
+        borderRadius: 10,
+        padding: 15,
+        marginBottom: 15,
+    },
+    rowText: {
+        flex: 1,
+        marginRight: 10,
+    },
+    rowTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#333',
+    },
+    rowDetail: {
+        fontSize: 13,
+        color: '#666',
+        marginTop: 2,
+    },
+    pinForm: {
+        backgroundColor: '#fff',
+        borderRadius: 10,
+        padding: 15,
+        marginBottom: 15,
+    },
+    label: {
+        fontSize: 16,
+        marginBottom: 8,
+        color: '#555',
+    },
+    input: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        padding: 12,
+        marginBottom: 15,
+        fontSize: 16,
+        backgroundColor: '#fff',
+        color: '#333',
+    },
+    formButtons: {
+        flexDirection: 'row',
+        justifyContent: 'flex-end',
+    },
+    formButton: {
+        paddingVertical: 10,
+        paddingHorizontal: 20,
+        borderRadius: 8,
+        marginLeft: 10,
+    },
+    cancelButton: {
+        backgroundColor: '#6c757d',
+    },
+    saveButton: {
+        backgroundColor: '#28a745',
+    },
+    formButtonText: {
+        color: '#fff',
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    pickerContainer: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        marginBottom: 15,
+        backgroundColor: '#fff',
+        overflow: 'hidden',
+    },
+    picker: {
+        height: 50,
+        width: '100%',
+        color: '#333',
+    },
+    changePinButton: {
+        alignSelf: 'flex-start',
+        marginBottom: 15,
+    },
+    changePinText: {
+        color: '#007bff',
+        fontSize: 16,
+        textDecorationLine: 'underline',
+    },
+    note: {
+        fontSize: 13,
+        color: '#6c757d',
+    },
+});
+
+export default SecuritySettingsScreen;
@@ -1,9 +1,8 @@
 // DMSApp/screens/UploadScreen.js
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     View,
     Text,
-    TextInput,
     Button,
     Alert,
     Platform,
@@ -15,73 +14,180 @@ import {
     TouchableWithoutFeedback,
     Keyboard
 } from 'react-native';
-import DateTimePicker from '@react-native-community/datetimepicker';
-import { Picker } from '@react-native-picker/picker';
 import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
 import DocumentPicker from 'react-native-document-picker';
-import { uploadDocument, fetchDocumentTags } from '../services/DocumentService';
-import { useAuth } from '../context/AuthContext'; // To get user_id if available from auth
+import { uploadDocument, getDocumentId, getVersionGroupId } from '../services/DocumentService';
+import { DOCUMENT_EVENTS, emitDocumentChange } from '../services/DocumentEvents';
+import { recordTagUsage } from '../services/TagService';
+import { isRetryableUploadError } from '../services/UploadQueueService';
+import { useAuth } from '../context/AuthContext'; // To get user_id of the signed-in user
+import { useUploadQueue } from '../context/UploadQueueContext';
+import { getDownloadKey } from '../context/DownloadContext';
+import SelectedFileItem, { FILE_STATUS } from '../components/SelectedFileItem';
+import DocumentDetailsForm, { validateDocumentDetails } from '../components/DocumentDetailsForm';
+import { prepareFileForUpload } from '../services/FilePreparationService';
+import uploadConfig from '../config/uploadConfig';
+import { formatApiDate, parseApiDate } from '../utils/format';
+import {
+    computeFileHash,
+    findUploadedByHash,
+    recordUploadedHash,
+    toUploadedDocument,
+    findServerDuplicates,
+} from '../services/DuplicateService';
+
+/**
+ * Wraps a picked or captured file into a batch entry with its own status.
+ * Camera assets use `fileName` where the document picker uses `name`.
+ * @param {object} file - The file returned by prepareFileForUpload or the upload queue.
+ */
+const createFileEntry = (file) => ({
+    key: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    // hash identifies the content for duplicate detection, null if the file could not be read
+    file: { uri: file.uri, name: file.name || file.fileName, type: file.type, hash: file.hash || null },
+    size: file.size ?? null, // Size that will be uploaded
+    originalSize: file.originalSize ?? null, // Size before compression
+    progress: null, // Fraction of the file sent while uploading
+    overrides: null, // Per-file details replacing all of the shared ones
+    status: FILE_STATUS.READY,
+    error: null,
+});
 
 /**
  * UploadScreen component allows users to upload documents with various metadata.
  * Includes date picker, category dropdowns, tag input, remarks, and file/camera selection.
+ * Several files can be uploaded in one batch sharing the same details, each optionally overriding them.
+ * When opened with a `queuedUploadId` route param it edits that pending upload instead.
+ * When opened with a `versionOf` route param (a document from PreviewScreen) it uploads a single file as a new
+ * version of that document, starting from its details, and returns to the preview afterwards.
+ * ScanScreen returns multi-page scans as a PDF through the `scannedFile` route param, and files shared
+ * from other apps arrive through the `sharedFiles` route param.
  */
-const UploadScreen = () => {
-    const { userToken } = useAuth(); // Assuming user ID can be derived from token or passed via context
-    const [documentDate, setDocumentDate] = useState(new Date());
-    const [showDatePicker, setShowDatePicker] = useState(false);
-    const [majorHead, setMajorHead] = useState('');
-    const [minorHead, setMinorHead] = useState('');
-    const [remarks, setRemarks] = useState('');
-    const [tags, setTags] = useState([]); // Tags currently selected/added by user
-    const [newTag, setNewTag] = useState(''); // Input for adding new tags
-    const [availableTags, setAvailableTags] = useState([]); // Tags fetched from API
-    const [selectedFile, setSelectedFile] = useState(null); // Stores selected file object
+const UploadScreen = ({ navigation, route }) => {
+    const { userProfile } = useAuth(); // The signed-in user is recorded as the uploader
+    const { queue, isOnline, enqueueUpload, updateUpload } = useUploadQueue();
+    const queuedUploadId = route.params?.queuedUploadId;
+    const versionOf = route.params?.versionOf; // The document a new version is uploaded for
+    const isSingleFile = !!queuedUploadId || !!versionOf; // A queued upload or a new version holds exactly one file
+    const [documentDate, setDocumentDate] = useState(() => (versionOf && parseApiDate(versionOf.document_date)) || new Date());
+    const [majorHead, setMajorHead] = useState(versionOf?.major_head || '');
+    const [minorHead, setMinorHead] = useState(versionOf?.minor_head || '');
+    const [remarks, setRemarks] = useState(''); // A new version's remarks describe what changed
+    const [tags, setTags] = useState(() => (versionOf?.tags || []).map(tag => tag.tag_name)); // Tags currently selected/added by user
+    // Original document the upload is a new version of; kept when a queued new version is edited
+    const [parentDocumentId, setParentDocumentId] = useState(versionOf ? getVersionGroupId(versionOf) : null);
+    const [selectedFiles, setSelectedFiles] = useState([]); // Batch entries, see createFileEntry
     const [loading, setLoading] = useState(false); // Loading state for API calls
+    const [batchProgress, setBatchProgress] = useState(null); // { current, total } while a batch is uploading
+    const [preparingFiles, setPreparingFiles] = useState(false); // Whether added files are being checked and compressed
+    const uploadControllerRef = useRef(null); // Aborts the file being uploaded
+    const cancelRequestedRef = useRef(false); // Stops the batch after the current file
 
-    // Define minor head options based on major head selection
-    const minorHeadOptions = {
-        Personal: ['John', 'Tom', 'Emily', 'Sarah', 'David'],
-        Professional: ['Accounts', 'HR', 'IT', 'Finance', 'Marketing', 'Operations'],
-    };
+    // Prefill the form when editing a queued upload
+    useEffect(() => {
+        if (!queuedUploadId) {
+            return;
+        }
+        navigation.setOptions({ title: 'Edit Pending Upload' });
+        const queuedUpload = queue.find(item => item.id === queuedUploadId);
+        if (!queuedUpload) {
+            return;
+        }
+        const { documentData, file } = queuedUpload;
+        setDocumentDate(parseApiDate(documentData.document_date) || new Date()); // Local midnight, not UTC
+        setMajorHead(documentData.major_head);
+        setMinorHead(documentData.minor_head);
+        setRemarks(documentData.document_remarks || '');
+        setTags((documentData.tags || []).map(tag => tag.tag_name));
+        setParentDocumentId(documentData.parent_document_id ?? null);
+        setSelectedFiles([createFileEntry(file)]);
+        // Only prefill once, later queue updates must not overwrite the user's edits
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [queuedUploadId]);
 
-    // Fetch available tags from the backend when the component mounts
+    // Tell a new version apart from a regular upload
     useEffect(() => {
-        const getTags = async () => {
-            try {
-                const response = await fetchDocumentTags();
-                // Assuming response.data is an array like [{tag_name: "RMC"}, {tag_name: "2024"}]
-                if (response.success && Array.isArray(response.data)) {
-                    setAvailableTags(response.data.map(tag => tag.tag_name));
-                } else {
-                    Alert.alert('Error', response.message || 'Failed to fetch available tags.');
+        if (versionOf) {
+            navigation.setOptions({ title: 'Upload New Version' });
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    // Add the PDF assembled by ScanScreen; scannedAt changes with every scan
+    useEffect(() => {
+        if (route.params?.scannedFile) {
+            addFiles([route.params.scannedFile]);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [route.params?.scannedAt]);
+
+    // Add the images or PDFs shared from another app
+    useEffect(() => {
+        if (route.params?.sharedFiles) {
+            addFiles(route.params.sharedFiles);
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [route.params?.sharedAt]);
+
+    /**
+     * Applies changes made in the DocumentDetailsForm.
+     * @param {object} changes - The changed fields, e.g. { majorHead, minorHead } or { remarks }.
+     */
+    const handleDetailsChange = (changes) => {
+        if (changes.documentDate !== undefined) setDocumentDate(changes.documentDate);
+        if (changes.majorHead !== undefined) setMajorHead(changes.majorHead);
+        if (changes.minorHead !== undefined) setMinorHead(changes.minorHead);
+        if (changes.tags !== undefined) setTags(changes.tags);
+        if (changes.remarks !== undefined) setRemarks(changes.remarks);
+    };
+
+    /**
+     * Adds files to the batch. A queued upload being edited or a new version holds exactly one file, so it is replaced.
+     * Every file is checked against the upload limits and large images are compressed first;
+     * files that cannot be uploaded are reported and left out.
+     * @param {Array<object>} files - The picked or captured files.
+     */
+    const addFiles = async (files) => {
+        setPreparingFiles(true);
+        const entries = [];
+        const errors = [];
+        try {
+            for (const file of files) {
+                try {
+                    const prepared = await prepareFileForUpload(file);
+                    entries.push(createFileEntry({ ...prepared, hash: await computeFileHash(prepared.uri) }));
+                } catch (error) {
+                    errors.push(error.message);
                 }
-            } catch (error) {
-                Alert.alert('Error', `Failed to fetch tags: ${error.message}`);
             }
-        };
-        getTags();
-    }, []);
+        } finally {
+            setPreparingFiles(false);
+        }
+        if (entries.length > 0) {
+            setSelectedFiles(current => (isSingleFile ? entries.slice(0, 1) : [...current, ...entries]));
+        }
+        if (errors.length > 0) {
+            Alert.alert(errors.length === 1 ? 'File Not Added' : 'Files Not Added', errors.join('\n\n'));
+        }
+    };
 
     /**
-     * Handles date change from the DateTimePicker.
+     * Updates a single batch entry by key.
      */
-    const onDateChange = (event, selectedDate) => {
-        const currentDate = selectedDate || documentDate;
-        setShowDatePicker(Platform.OS === 'ios'); // Close picker on Android immediately
-        setDocumentDate(currentDate);
+    const updateFileEntry = (key, changes) => {
+        setSelectedFiles(current => current.map(entry => (entry.key === key ? { ...entry, ...changes } : entry)));
     };
 
     /**
-     * Opens the document picker to select image or PDF files.
+     * Opens the document picker to select one or more image or PDF files.
      */
     const handleFilePick = async () => {
         try {
             const res = await DocumentPicker.pick({
                 type: [DocumentPicker.types.images, DocumentPicker.types.pdf],
+                allowMultiSelection: !isSingleFile,
             });
-            // DocumentPicker returns an array, take the first selected file
-            setSelectedFile(res[0]);
+            addFiles(res);
         } catch (err) {
             if (DocumentPicker.isCancel(err)) {
                 // User cancelled the picker
@@ -100,11 +206,14 @@ const UploadScreen = () => {
         try {
             const result = await launchCamera({
                 mediaType: 'photo',
-                quality: 0.5, // Compress image quality
+                // Capture at the size and quality uploads are limited to anyway
+                maxWidth: uploadConfig.maxImageDimension,
+                maxHeight: uploadConfig.maxImageDimension,
+                quality: uploadConfig.imageQuality / 100,
                 includeBase64: false, // No need for base64 for file upload
             });
             if (!result.didCancel && result.assets && result.assets.length > 0) {
-                setSelectedFile(result.assets[0]); // Use the first asset
+                addFiles(result.assets.slice(0, 1)); // Use the first asset
             }
         } catch (error) {
             console.error('Camera capture error:', error);
@@ -113,82 +222,270 @@ const UploadScreen = () => {
     };
 
     /**
-     * Adds a new tag to the tags list.
-     * Prevents adding empty or duplicate tags.
+     * Resets all form fields after the document has been uploaded or queued.
+     */
+    const resetForm = () => {
+        setDocumentDate(new Date());
+        setMajorHead('');
+        setMinorHead('');
+        setRemarks('');
+        setTags([]);
+        setSelectedFiles([]);
+    };
+
+    /**
+     * Returns the details a file is uploaded with: its per-file overrides, or else the shared details.
+     * @param {object} entry - The batch entry.
+     */
+    const getEntryDetails = (entry) => entry.overrides || { documentDate, majorHead, minorHead, tags, remarks };
+
+    /**
+     * Builds the uploadDocument metadata payload for one file from its details.
+     * @param {object} entry - The batch entry.
+     */
+    const buildDocumentData = (entry) => {
+        const details = getEntryDetails(entry);
+        return {
+            major_head: details.majorHead,
+            minor_head: details.minorHead,
+            document_date: formatApiDate(details.documentDate), // YYYY-MM-DD in the device's time zone
+            document_remarks: details.remarks,
+            tags: details.tags.map(tag => ({ tag_name: tag })), // Format tags for API payload
+            // Fall back to the mobile number when the login response carried no user ID
+            user_id: userProfile?.id || userProfile?.mobileNumber || '',
+            ...(parentDocumentId != null ? { parent_document_id: parentDocumentId } : {}),
+        };
+    };
+
+    /**
+     * Looks for an already uploaded copy of a file: first by content hash among uploads from this device,
+     * then, when online, on the server by name, date and category.
+     * If one is found the user chooses what to do.
+     * @param {object} entry - The batch entry.
+     * @param {object} documentData - The metadata about to be sent.
+     * @param {boolean} online - Whether the server can be asked.
+     * @returns {Promise<string>} - 'upload', 'open' (show the existing document) or 'cancel'.
+     */
+    const confirmIfDuplicate = async (entry, documentData, online) => {
+        let duplicate = null;
+        const uploaded = await findUploadedByHash(entry.file.hash);
+        if (uploaded) {
+            duplicate = {
+                document: uploaded.document,
+                reason: `This exact file was already uploaded from this device on ${new Date(uploaded.uploadedAt).toLocaleDateString()}.`,
+            };
+        } else if (online && parentDocumentId == null) {
+            // A new version shares the name, date and category of the document it replaces
+            const [match] = await findServerDuplicates(entry.file.name, documentData);
+            if (match) {
+                duplicate = { document: match, reason: 'A document with the same name, date and category already exists.' };
+            }
+        }
+        if (!duplicate) {
+            return 'upload';
+        }
+
+        const { document, reason } = duplicate;
+        const details = [
+            document.document_name,
+            `Category: ${document.major_head} / ${document.minor_head}`,
+            `Date: ${document.document_date}`,
+        ].join('\n');
+        return new Promise(resolve => {
+            Alert.alert(
+                'Possible Duplicate',
+                `${entry.file.name}\n\n${reason}\n\n${details}`,
+                [
+                    { text: 'Cancel', style: 'cancel', onPress: () => resolve('cancel') },
+                    // Only a server record has the file_url needed to open it
+                    ...(document.file_url ? [{ text: 'Open Existing', onPress: () => resolve('open') }] : []),
+                    { text: 'Upload Anyway', onPress: () => resolve('upload') },
+                ],
+                { cancelable: true, onDismiss: () => resolve('cancel') }
+            );
+        }).then(choice => {
+            if (choice === 'open') {
+                navigation.navigate('Preview', { document });
+            }
+            return choice;
+        });
+    };
+
+    /**
+     * Uploads a single batch entry, queueing it when offline or when the server fails.
+     * @param {object} entry - The batch entry.
+     * @param {boolean} online - Connectivity when the batch started.
+     * @returns {Promise<string>} - The resulting FILE_STATUS; READY if the user cancelled.
      */
-    const handleAddTag = () => {
-        const trimmedTag = newTag.trim();
-        if (trimmedTag && !tags.includes(trimmedTag)) {
-            setTags([...tags, trimmedTag]);
-            setNewTag(''); // Clear input field
-            // In a real app, you might save new tags to the backend here or on document submission
+    const uploadEntry = async (entry, online) => {
+        const documentData = buildDocumentData(entry);
+        updateFileEntry(entry.key, { status: FILE_STATUS.UPLOADING, error: null, progress: null });
+
+        const duplicateChoice = await confirmIfDuplicate(entry, documentData, online);
+        if (duplicateChoice !== 'upload') {
+            if (duplicateChoice === 'open') {
+                cancelRequestedRef.current = true; // The user left to look at the existing document
+            }
+            updateFileEntry(entry.key, { status: FILE_STATUS.READY });
+            return FILE_STATUS.READY;
+        }
+        // Counted once the user commits to the upload, so the next suggestions favour these tags
+        await recordTagUsage(documentData.tags.map(tag => tag.tag_name));
+
+        if (!online) {
+            await enqueueUpload(entry.file, documentData);
+            updateFileEntry(entry.key, { status: FILE_STATUS.QUEUED });
+            return FILE_STATUS.QUEUED;
+        }
+
+        const uploadController = new AbortController();
+        uploadControllerRef.current = uploadController;
+        updateFileEntry(entry.key, { progress: 0 });
+        try {
+            const response = await uploadDocument(entry.file.uri, entry.file.name, entry.file.type, documentData, {
+                onProgress: progress => updateFileEntry(entry.key, { progress }),
+                signal: uploadController.signal,
+            });
+            if (response.success) {
+                const uploadedDocument = toUploadedDocument(response, entry.file.name, documentData);
+                await recordUploadedHash(entry.file.hash, uploadedDocument);
+                // Search results swap in the new version, when the server sent its record back
+                if (versionOf && getDocumentId(uploadedDocument) != null) {
+                    emitDocumentChange({ type: DOCUMENT_EVENTS.VERSION_ADDED, key: getDownloadKey(versionOf), document: uploadedDocument });
+                }
+                updateFileEntry(entry.key, { status: FILE_STATUS.UPLOADED, progress: null });
+                return FILE_STATUS.UPLOADED;
+            }
+            updateFileEntry(entry.key, {
+                status: FILE_STATUS.FAILED,
+                progress: null,
+                error: response.message || 'Failed to upload document.',
+            });
+            return FILE_STATUS.FAILED;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Cancelled by the user; the file stays in the batch to be uploaded later
+                updateFileEntry(entry.key, { status: FILE_STATUS.READY, progress: null });
+                return FILE_STATUS.READY;
+            }
+            updateFileEntry(entry.key, { progress: null });
+            if (isRetryableUploadError(error)) {
+                await enqueueUpload(entry.file, documentData);
+                updateFileEntry(entry.key, { status: FILE_STATUS.QUEUED });
+                return FILE_STATUS.QUEUED;
+            }
+            updateFileEntry(entry.key, {
+                status: FILE_STATUS.FAILED,
+                error: error.message || 'An unexpected error occurred during upload.',
+            });
+            return FILE_STATUS.FAILED;
+        } finally {
+            uploadControllerRef.current = null;
         }
     };
 
     /**
-     * Removes a tag from the tags list.
-     * @param {string} tagToRemove - The tag to be removed.
+     * Stops the file being uploaded and the files after it in the batch.
      */
-    const handleRemoveTag = (tagToRemove) => {
-        setTags(tags.filter(tag => tag !== tagToRemove));
+    const handleCancelUpload = () => {
+        cancelRequestedRef.current = true;
+        uploadControllerRef.current?.abort();
+    };
+
+    /**
+     * Shows the outcome of a batch once every file has been processed.
+     * @param {object} counts - Number of files per resulting FILE_STATUS; READY counts files not sent after a cancel.
+     * @param {number} total - Number of files in the batch.
+     */
+    const showBatchSummary = (counts, total) => {
+        if (counts[FILE_STATUS.READY] === total) {
+            return; // Cancelled before anything was sent, nothing to report
+        }
+        if (total === 1) {
+            if (counts[FILE_STATUS.UPLOADED]) {
+                Alert.alert('Success', 'Document uploaded successfully!');
+            } else if (counts[FILE_STATUS.QUEUED]) {
+                Alert.alert('Saved to Pending Uploads', 'The document will be uploaded automatically when the connection is restored.');
+            }
+            return; // A single failure is already shown next to the file
+        }
+        const lines = [`Uploaded: ${counts[FILE_STATUS.UPLOADED]} of ${total}`];
+        if (counts[FILE_STATUS.QUEUED]) {
+            lines.push(`Saved to Pending Uploads: ${counts[FILE_STATUS.QUEUED]}`);
+        }
+        if (counts[FILE_STATUS.FAILED]) {
+            lines.push(`Failed: ${counts[FILE_STATUS.FAILED]} (see the file list, fix and press Upload again)`);
+        }
+        if (counts[FILE_STATUS.READY]) {
+            lines.push(`Cancelled: ${counts[FILE_STATUS.READY]} (still in the file list)`);
+        }
+        Alert.alert('Upload Summary', lines.join('\n'));
     };
 
     /**
      * Handles the submission of the document upload form.
-     * Validates inputs and calls the DocumentService to upload the document.
+     * Validates inputs and uploads every file of the batch that has not been uploaded yet, one at a time.
+     * Offline or failing-server uploads are queued instead of being lost.
      */
     const handleSubmit = async () => {
-        if (!selectedFile) {
+        const entriesToUpload = selectedFiles.filter(entry => (
+            entry.status === FILE_STATUS.READY || entry.status === FILE_STATUS.FAILED
+        ));
+        if (entriesToUpload.length === 0) {
             Alert.alert('Validation Error', 'Please select a file to upload.');
             return;
         }
-        if (!majorHead || !minorHead) {
-            Alert.alert('Validation Error', 'Please select both Major Head and Minor Head.');
-            return;
-        }
-        if (tags.length === 0) {
-            Alert.alert('Validation Error', 'Please add at least one tag.');
-            return;
+        for (const entry of entriesToUpload) {
+            const validationError = validateDocumentDetails(getEntryDetails(entry));
+            if (validationError) {
+                // Name the file whose own details are incomplete
+                Alert.alert('Validation Error', entry.overrides ? `${entry.file.name}: ${validationError}` : validationError);
+                return;
+            }
         }
 
         setLoading(true); // Start loading indicator
 
-        // Format tags for API payload
-        const formattedTags = tags.map(tag => ({ tag_name: tag }));
-        const documentData = {
-            major_head: majorHead,
-            minor_head: minorHead,
-            document_date: documentDate.toISOString().split('T')[0], // Format to YYYY-MM-DD
-            document_remarks: remarks,
-            tags: formattedTags,
-            user_id: "example_user_id", // TODO: Replace with actual authenticated user ID
-        };
+        // Editing a queued upload only updates the queue, it is sent from there
+        if (queuedUploadId) {
+            const [entry] = entriesToUpload;
+            try {
+                await updateUpload(queuedUploadId, { file: entry.file, documentData: buildDocumentData(entry) });
+                navigation.goBack();
+            } catch (error) {
+                Alert.alert('Error', error.message);
+            } finally {
+                setLoading(false);
+            }
+            return;
+        }
 
+        const counts = { [FILE_STATUS.UPLOADED]: 0, [FILE_STATUS.QUEUED]: 0, [FILE_STATUS.FAILED]: 0, [FILE_STATUS.READY]: 0 };
+        cancelRequestedRef.current = false;
         try {
-            const response = await uploadDocument(
-                selectedFile.uri,
-                selectedFile.name,
-                selectedFile.type,
-                documentData
-            );
-            if (response.success) {
-                Alert.alert('Success', 'Document uploaded successfully!');
-                // Reset form fields after successful upload
-                setDocumentDate(new Date());
-                setMajorHead('');
-                setMinorHead('');
-                setRemarks('');
-                setTags([]);
-                setNewTag('');
-                setSelectedFile(null);
-            } else {
-                Alert.alert('Upload Error', response.message || 'Failed to upload document.');
+            for (let index = 0; index < entriesToUpload.length; index++) {
+                if (cancelRequestedRef.current) {
+                    counts[FILE_STATUS.READY] += entriesToUpload.length - index; // Not started
+                    break;
+                }
+                setBatchProgress({ current: index + 1, total: entriesToUpload.length });
+                const status = await uploadEntry(entriesToUpload[index], isOnline);
+                counts[status] += 1;
             }
-        } catch (error) {
-            Alert.alert('Upload Failed', error.message || 'An unexpected error occurred during upload.');
         } finally {
+            setBatchProgress(null);
             setLoading(false); // Stop loading indicator
         }
+
+        showBatchSummary(counts, entriesToUpload.length);
+        if (counts[FILE_STATUS.FAILED] === 0 && counts[FILE_STATUS.READY] === 0) {
+            if (versionOf) {
+                navigation.goBack(); // PreviewScreen lists the new version
+                return;
+            }
+            // Reset form fields once nothing is left to fix
+            resetForm();
+        }
     };
 
     return (
@@ -197,121 +494,50 @@ const UploadScreen = () => {
             style={styles.container}>
             <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
                 <ScrollView contentContainerStyle={styles.scrollViewContent}>
-                    <Text style={styles.sectionTitle}>Document Details</Text>
-
-                    {/* Date Picker */}
-                    <Text style={styles.label}>Document Date:</Text>
-                    <TouchableOpacity onPress={() => setShowDatePicker(true)} style={styles.datePickerButton}>
-                        <Text style={styles.datePickerButtonText}>
-                            {documentDate.toLocaleDateString()}
-                        </Text>
-                    </TouchableOpacity>
-                    {showDatePicker && (
-                        <DateTimePicker
-                            testID="dateTimePicker"
-                            value={documentDate}
-                            mode="date"
-                            display="default"
-                            onChange={onDateChange}
-                        />
-                    )}
-
-                    {/* Major Head Dropdown */}
-                    <Text style={styles.label}>Major Head:</Text>
-                    <View style={styles.pickerContainer}>
-                        <Picker
-                            selectedValue={majorHead}
-                            onValueChange={(itemValue) => {
-                                setMajorHead(itemValue);
-                                setMinorHead(''); // Reset minor head when major head changes
-                            }}>
-                            <Picker.Item label="-- Select Major Head --" value="" />
-                            <Picker.Item label="Personal" value="Personal" />
-                            <Picker.Item label="Professional" value="Professional" />
-                        </Picker>
-                    </View>
-
-                    {/* Minor Head Dropdown (Dynamic) */}
-                    {majorHead ? (
-                        <>
-                            <Text style={styles.label}>Minor Head:</Text>
-                            <View style={styles.pickerContainer}>
-                                <Picker
-                                    selectedValue={minorHead}
-                                    onValueChange={(itemValue) => setMinorHead(itemValue)}>
-                                    <Picker.Item label="-- Select Minor Head --" value="" />
-                                    {minorHeadOptions[majorHead] && minorHeadOptions[majorHead].map((item, index) => (
-                                        <Picker.Item key={index} label={item} value={item} />
-                                    ))}
-                                </Picker>
-                            </View>
-                        </>
-                    ) : null}
-
-                    {/* Tags Input Field */}
-                    <Text style={styles.label}>Tags:</Text>
-                    <View style={styles.tagsContainer}>
-                        {tags.map((tag, index) => (
-                            <View key={index} style={styles.tagChip}>
-                                <Text style={styles.tagText}>{tag}</Text>
-                                <TouchableOpacity onPress={() => handleRemoveTag(tag)} style={styles.removeTagButton}>
-                                    <Text style={styles.removeTagText}>x</Text>
-                                </TouchableOpacity>
-                            </View>
-                        ))}
-                    </View>
-                    <TextInput
-                        style={styles.input}
-                        placeholder="Add new tag (e.g., invoice, 2024)"
-                        value={newTag}
-                        onChangeText={setNewTag}
-                        onSubmitEditing={handleAddTag} // Add tag on Enter key press
-                        returnKeyType="done"
-                    />
-                    <TouchableOpacity style={styles.addButton} onPress={handleAddTag}>
-                        <Text style={styles.addButtonText}>Add Tag</Text>
-                    </TouchableOpacity>
-
-                    {/* Available Tags as suggestions */}
-                    {availableTags.length > 0 && (
-                        <View style={styles.availableTagsContainer}>
-                            <Text style={styles.availableTagsTitle}>Suggested Tags:</Text>
-                            <View style={styles.tagsContainer}>
-                                {availableTags.filter(tag => !tags.includes(tag)).map((tag, index) => (
-                                    <TouchableOpacity key={index} style={styles.suggestedTagChip} onPress={() => {
-                                        if (!tags.includes(tag)) setTags([...tags, tag]);
-                                    }}>
-                                        <Text style={styles.suggestedTagText}>{tag}</Text>
-                                    </TouchableOpacity>
-                                ))}
-                            </View>
-                        </View>
+                    {versionOf && (
+                        <Text style={styles.versionOfText}>New version of {versionOf.document_name || 'this document'}</Text>
                     )}
+                    <Text style={styles.sectionTitle}>Document Details</Text>
 
-                    {/* Remarks Text Field */}
-                    <Text style={styles.label}>Remarks:</Text>
-                    <TextInput
-                        style={[styles.input, styles.textArea]}
-                        placeholder="Enter any remarks about the document"
-                        value={remarks}
-                        onChangeText={setRemarks}
-                        multiline
-                        numberOfLines={4}
+                    <DocumentDetailsForm
+                        details={{ documentDate, majorHead, minorHead, tags, remarks }}
+                        onChange={handleDetailsChange}
+                        disabled={loading}
                     />
 
                     <Text style={styles.sectionTitle}>File Upload</Text>
                     {/* File Upload/Camera Options */}
                     <TouchableOpacity style={styles.fileButton} onPress={handleFilePick}>
-                        <Text style={styles.fileButtonText}>Pick Document (Image/PDF)</Text>
+                        <Text style={styles.fileButtonText}>{queuedUploadId ? 'Replace Document (Image/PDF)' : versionOf ? 'Pick New Version (Image/PDF)' : 'Pick Documents (Images/PDFs)'}</Text>
                     </TouchableOpacity>
                     <TouchableOpacity style={styles.fileButton} onPress={handleCameraCapture}>
                         <Text style={styles.fileButtonText}>Take Photo with Camera</Text>
                     </TouchableOpacity>
+                    <TouchableOpacity style={styles.fileButton} onPress={() => navigation.navigate('Scan')}>
+                        <Text style={styles.fileButtonText}>Scan Multi-Page Document (PDF)</Text>
+                    </TouchableOpacity>
+                    {preparingFiles && (
+                        <View style={styles.preparingContainer}>
+                            <ActivityIndicator color="#17a2b8" />
+                            <Text style={styles.preparingText}>Checking and compressing files...</Text>
+                        </View>
+                    )}
 
-                    {selectedFile && (
-                        <View style={styles.selectedFileContainer}>
-                            <Text style={styles.selectedFileText}>Selected File:</Text>
-                            <Text style={styles.selectedFileName}>{selectedFile.name}</Text>
+                    {selectedFiles.length > 0 && (
+                        <View style={styles.selectedFilesContainer}>
+                            <Text style={styles.selectedFileText}>
+                                Selected {selectedFiles.length === 1 ? 'File' : `Files (${selectedFiles.length})`}:
+                            </Text>
+                            {selectedFiles.map(entry => (
+                                <SelectedFileItem
+                                    key={entry.key}
+                                    entry={entry}
+                                    sharedDetails={{ documentDate, majorHead, minorHead, tags, remarks }}
+                                    onChangeOverrides={overrides => updateFileEntry(entry.key, { overrides })}
+                                    onRemove={() => setSelectedFiles(current => current.filter(item => item.key !== entry.key))}
+                                    disabled={loading}
+                                />
+                            ))}
                         </View>
                     )}
 
@@ -319,14 +545,25 @@ const UploadScreen = () => {
                     <TouchableOpacity
                         style={styles.submitButton}
                         onPress={handleSubmit}
-                        disabled={loading} // Disable button when loading
+                        disabled={loading || preparingFiles} // Disable button when loading
                     >
                         {loading ? (
-                            <ActivityIndicator color="#fff" />
+                            batchProgress && batchProgress.total > 1 ? (
+                                <Text style={styles.submitButtonText}>Uploading {batchProgress.current} of {batchProgress.total}...</Text>
+                            ) : (
+                                <ActivityIndicator color="#fff" />
+                            )
                         ) : (
-                            <Text style={styles.submitButtonText}>Upload Document</Text>
+                            <Text style={styles.submitButtonText}>
+                                {queuedUploadId ? 'Save Pending Upload' : versionOf ? 'Upload New Version' : selectedFiles.length > 1 ? 'Upload Documents' : 'Upload Document'}
+                            </Text>
                         )}
                     </TouchableOpacity>
+                    {batchProgress && (
+                        <TouchableOpacity style={styles.cancelUploadButton} onPress={handleCancelUpload}>
+                            <Text style={styles.submitButtonText}>Cancel Upload</Text>
+                        </TouchableOpacity>
+                    )}
                 </ScrollView>
             </TouchableWithoutFeedback>
         </KeyboardAvoidingView>
@@ -342,6 +579,14 @@ const styles = StyleSheet.create({
         padding: 20,
         paddingBottom: 50, // Add some padding at the bottom for scrollability
     },
+    versionOfText: {
+        backgroundColor: '#d1ecf1', // Light teal info background
+        color: '#0c5460',
+        padding: 10,
+        borderRadius: 8,
+        marginTop: 10,
+        textAlign: 'center',
+    },
     sectionTitle: {
         fontSize: 20,
         fontWeight: 'bold',
@@ -350,115 +595,6 @@ const styles = StyleSheet.create({
         color: '#333',
         textAlign: 'center',
     },
-    label: {
-        fontSize: 16,
-        marginBottom: 8,
-        color: '#555',
-    },
-    input: {
-        borderWidth: 1,
-        borderColor: '#ddd',
-        borderRadius: 8,
-        padding: 12,
-        marginBottom: 15,
-        fontSize: 16,
-        backgroundColor: '#fff',
-        color: '#333',
-    },
-    textArea: {
-        minHeight: 100,
-        textAlignVertical: 'top', // For Android
-    },
-    datePickerButton: {
-        borderWidth: 1,
-        borderColor: '#ddd',
-        borderRadius: 8,
-        padding: 12,
-        marginBottom: 15,
-        backgroundColor: '#fff',
-        alignItems: 'flex-start',
-    },
-    datePickerButtonText: {
-        fontSize: 16,
-        color: '#333',
-    },
-    pickerContainer: {
-        borderWidth: 1,
-        borderColor: '#ddd',
-        borderRadius: 8,
-        marginBottom: 15,
-        backgroundColor: '#fff',
-    },
-    tagsContainer: {
-        flexDirection: 'row',
-        flexWrap: 'wrap',
-        marginBottom: 10,
-    },
-    tagChip: {
-        backgroundColor: '#e0e0e0',
-        borderRadius: 15,
-        paddingVertical: 8,
-        paddingHorizontal: 12,
-        margin: 4,
-        flexDirection: 'row',
-        alignItems: 'center',
-    },
-    tagText: {
-        fontSize: 14,
-        color: '#333',
-        marginRight: 5,
-    },
-    removeTagButton: {
-        marginLeft: 5,
-        backgroundColor: '#ccc',
-        borderRadius: 10,
-        width: 20,
-        height: 20,
-        justifyContent: 'center',
-        alignItems: 'center',
-    },
-    removeTagText: {
-        color: '#666',
-        fontSize: 12,
-        fontWeight: 'bold',
-    },
-    addButton: {
-        backgroundColor: '#28a745', // Green color for add button
-        paddingVertical: 10,
-        paddingHorizontal: 20,
-        borderRadius: 8,
-        alignSelf: 'flex-start',
-        marginBottom: 15,
-    },
-    addButtonText: {
-        color: '#fff',
-        fontSize: 16,
-        fontWeight: '600',
-    },
-    availableTagsContainer: {
-        marginTop: 10,
-        marginBottom: 20,
-        borderTopWidth: 1,
-        borderTopColor: '#eee',
-        paddingTop: 15,
-    },
-    availableTagsTitle: {
-        fontSize: 16,
-        fontWeight: 'bold',
-        marginBottom: 10,
-        color: '#555',
-    },
-    suggestedTagChip: {
-        backgroundColor: '#add8e6', // Light blue for suggested tags
-        borderRadius: 15,
-        paddingVertical: 8,
-        paddingHorizontal: 12,
-        margin: 4,
-    },
-    suggestedTagText: {
-        fontSize: 14,
-        color: '#0056b3',
-    },
     fileButton: {
         backgroundColor: '#17a2b8', // Info blue color
         paddingVertical: 15,
@@ -472,26 +608,26 @@ const styles = StyleSheet.create({
         fontSize: 16,
         fontWeight: '600',
     },
-    selectedFileContainer: {
+    preparingContainer: {
         flexDirection: 'row',
         alignItems: 'center',
+        marginBottom: 10,
+    },
+    preparingText: {
+        fontSize: 14,
+        color: '#555',
+        marginLeft: 10,
+    },
+    selectedFilesContainer: {
         marginTop: 10,
-        marginBottom: 20,
-        backgroundColor: '#e9ecef',
-        padding: 10,
-        borderRadius: 8,
+        marginBottom: 10,
     },
     selectedFileText: {
         fontSize: 16,
         fontWeight: 'bold',
-        marginRight: 5,
+        marginBottom: 10,
         color: '#333',
     },
-    selectedFileName: {
-        fontSize: 16,
-        color: '#555',
-        flexShrink: 1, // Allows text to wrap
-    },
     submitButton: {
         backgroundColor: '#007bff',
         paddingVertical: 18,
@@ -509,6 +645,13 @@ const styles = StyleSheet.create({
         fontSize: 18,
         fontWeight: 'bold',
     },
+    cancelUploadButton: {
+        backgroundColor: '#dc3545', // Red for stopping the upload
+        paddingVertical: 14,
+        borderRadius: 10,
+        alignItems: 'center',
+        marginTop: 10,
+    },
 });
 
 export default UploadScreen;
@@ -0,0 +1,393 @@
+// DMSApp/services/ApiClient.js
+import { getStoredToken } from './SessionStorage';
+import { sendToMockBackend } from './MockBackend';
+import { isTokenExpired } from '../utils/token';
+import apiConfig from '../config/apiConfig';
+
+// Messages the backend uses when it rejects a token with a 200 or 500 status
+const AUTH_FAILURE_MESSAGE = /invalid token|token (has )?expired|unauthori[sz]ed|not authenticated/i;
+
+let authFailureHandler = null; // Registered by AuthContext, signs the user out
+let reauthWaiters = []; // Requests waiting for the user to log in again
+let isHandlingAuthFailure = false;
+
+/**
+ * Kinds of failure reported by apiRequest, in the `type` property of the errors it throws.
+ * - network: the server could not be reached, or did not answer in time (`isTimeout` is then set).
+ * - auth: the server rejected the session or the credentials.
+ * - validation: the server refused the request itself (4xx); sending it again would fail the same way.
+ * - rateLimit: too many requests (429); `retryAfterSeconds` says how long to wait, if the server told.
+ * - server: the server failed (5xx) or answered with something other than JSON.
+ * Errors with an HTTP status also carry it in `status`.
+ */
+export const API_ERROR_TYPES = {
+    NETWORK: 'network',
+    AUTH: 'auth',
+    VALIDATION: 'validation',
+    RATE_LIMIT: 'rateLimit',
+    SERVER: 'server',
+};
+
+/**
+ * Creates an error of one of the API_ERROR_TYPES.
+ * @param {string} type - One of API_ERROR_TYPES.
+ * @param {string} message - The message shown to the user.
+ * @param {object} details - Extra properties, e.g. { status }.
+ * @returns {Error}
+ */
+export const createApiError = (type, message, details = {}) => {
+    const error = new Error(message);
+    error.type = type;
+    Object.assign(error, details);
+    return error;
+};
+
+/**
+ * Tells whether a failed request may succeed if sent again later: network failures and server errors.
+ * @param {Error} error - An error thrown by apiRequest.
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => error.type === API_ERROR_TYPES.NETWORK || error.type === API_ERROR_TYPES.SERVER;
+
+/**
+ * Tells whether requests are answered by the on-device mock backend instead of a server.
+ * @returns {boolean}
+ */
+export const isMockBackend = () => apiConfig.environment === 'mock';
+
+/**
+ * Returns the base URL of the API in the configured environment.
+ * @returns {string}
+ */
+export const getApiBaseUrl = () => {
+    const { environment, environments } = apiConfig;
+    const baseUrl = environments[environment]?.baseUrl;
+    if (!baseUrl) {
+        throw new Error(`No API base URL is configured for the "${environment}" environment.`);
+    }
+    return baseUrl;
+};
+
+/**
+ * Registers the function called when the server rejects the session.
+ * AuthContext uses it to clear the token, which brings the user back to LoginScreen.
+ * @param {function|null} handler - The handler, or null to unregister.
+ */
+export const setAuthFailureHandler = (handler) => {
+    authFailureHandler = handler;
+};
+
+/**
+ * Called after a successful login; requests that failed because of the expired session are retried.
+ */
+export const resumePendingRequests = () => {
+    isHandlingAuthFailure = false;
+    const waiters = reauthWaiters;
+    reauthWaiters = [];
+    waiters.forEach(waiter => waiter.resolve());
+};
+
+/**
+ * Called when the user signs out on purpose, or another user logs in after the session expired;
+ * requests waiting for a new login fail instead.
+ * @param {string} message - Why the requests failed.
+ */
+export const rejectPendingRequests = (message = 'You have been signed out.') => {
+    isHandlingAuthFailure = false;
+    const waiters = reauthWaiters;
+    reauthWaiters = [];
+    waiters.forEach(waiter => waiter.reject(createApiError(API_ERROR_TYPES.AUTH, message)));
+};
+
+/**
+ * Creates an AbortError, matching what fetch throws when its signal is aborted.
+ */
+const createAbortError = () => Object.assign(new Error('Aborted'), { name: 'AbortError' });
+
+/**
+ * Returns the stored user token, treating a missing or expired token as an auth failure.
+ */
+const getUserToken = async () => {
+    const userToken = await getStoredToken();
+    if (!userToken) {
+        throw createApiError(API_ERROR_TYPES.AUTH, 'Authentication token not found. Please log in again.');
+    }
+    if (isTokenExpired(userToken)) {
+        throw createApiError(API_ERROR_TYPES.AUTH, 'Your session has expired. Please log in again.');
+    }
+    return userToken;
+};
+
+/**
+ * Signs the user out (once, however many requests failed) and waits until they log in again.
+ * @param {AbortSignal} signal - Stops waiting if the caller no longer needs the result.
+ */
+const waitForReauthentication = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const onAbort = () => {
+        reauthWaiters = reauthWaiters.filter(item => item !== waiter);
+        reject(createAbortError());
+    };
+    // The abort listener is removed however the wait ends, so a long-lived signal does not keep it
+    const waiter = {
+        resolve: () => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        },
+        reject: (error) => {
+            signal?.removeEventListener('abort', onAbort);
+            reject(error);
+        },
+    };
+    reauthWaiters.push(waiter);
+    signal?.addEventListener('abort', onAbort);
+    if (!isHandlingAuthFailure) {
+        isHandlingAuthFailure = true;
+        if (authFailureHandler) {
+            authFailureHandler();
+        }
+    }
+});
+
+/**
+ * Waits before a retry.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} signal - Stops waiting; the promise then rejects with an AbortError.
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    let timer = null;
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort);
+});
+
+/**
+ * Sends a request with XMLHttpRequest, which unlike fetch reports how many bytes of the body were sent.
+ * Resolves with the same { status, ok, headers.get(), text() } subset of a fetch Response that apiRequest reads.
+ * @param {string} url - The full URL.
+ * @param {object} options - { method, headers, body, signal, onUploadProgress }.
+ */
+const sendWithProgress = (url, { method, headers, body, signal, onUploadProgress }) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const xhr = new XMLHttpRequest();
+    const abort = () => xhr.abort();
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) {
+            onUploadProgress(event.loaded / event.total);
+        }
+    };
+    xhr.onload = () => {
+        signal?.removeEventListener('abort', abort);
+        resolve({
+            status: xhr.status,
+            ok: xhr.status >= 200 && xhr.status < 300,
+            headers: { get: (name) => xhr.getResponseHeader(name) },
+            text: async () => xhr.responseText,
+        });
+    };
+    // Same error type fetch uses for network failures
+    xhr.onerror = () => {
+        signal?.removeEventListener('abort', abort);
+        reject(new TypeError('Network request failed'));
+    };
+    xhr.onabort = () => reject(createAbortError());
+    signal?.addEventListener('abort', abort);
+    xhr.send(body);
+});
+
+/**
+ * Sends a request, failing it with a network error when it cannot reach the server or gets no
+ * response within `timeoutMs`. Aborting the caller's signal still rejects with an AbortError.
+ * @param {string} url - The full URL.
+ * @param {object} request - { method, headers, body, signal, onUploadProgress }.
+ * @param {number} timeoutMs - How long to wait for the response.
+ * @returns {Promise<object>} - The response.
+ */
+const sendWithTimeout = async (url, { signal, onUploadProgress, ...request }, timeoutMs) => {
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+    try {
+        return onUploadProgress
+            ? await sendWithProgress(url, { ...request, signal: controller.signal, onUploadProgress })
+            : await fetch(url, { ...request, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw createApiError(API_ERROR_TYPES.NETWORK, 'The server took too long to respond. Please try again.', { isTimeout: true });
+        }
+        if (error.name === 'AbortError') {
+            throw error;
+        }
+        // fetch rejects with a TypeError when the server cannot be reached
+        throw createApiError(API_ERROR_TYPES.NETWORK, 'Could not reach the server. Please check your connection.');
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abort);
+    }
+};
+
+/**
+ * Reads how long a rate-limited client should wait, from the Retry-After header or the body.
+ * @param {object} response - The response.
+ * @param {object|null} data - The parsed body, if any.
+ * @returns {number|null} - Seconds, or null when the server does not say.
+ */
+const getRetryAfterSeconds = (response, data) => {
+    const header = response.headers?.get('Retry-After');
+    if (header) {
+        // Either a number of seconds or an HTTP date
+        const seconds = /^\d+$/.test(header) ? Number(header) : Math.ceil((Date.parse(header) - Date.now()) / 1000);
+        if (seconds > 0) {
+            return seconds;
+        }
+    }
+    const bodySeconds = Number(data?.retry_after ?? data?.wait_time);
+    return bodySeconds > 0 ? bodySeconds : null;
+};
+
+/**
+ * Parses a response body, turning HTTP failures into API_ERROR_TYPES errors.
+ * @param {object} response - The response.
+ * @param {boolean} authenticated - Whether the request carried the user token.
+ * @returns {Promise<object>} - The parsed JSON body.
+ */
+const readResponse = async (response, authenticated) => {
+    // Error pages from a proxy or an overloaded server are not always JSON
+    const text = await response.text();
+    let data = {};
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            data = null;
+        }
+    }
+    const { status } = response;
+    const message = data?.message;
+    if (status === 401 || status === 403 || (authenticated && data?.success === false && AUTH_FAILURE_MESSAGE.test(message || ''))) {
+        throw createApiError(API_ERROR_TYPES.AUTH, message || 'Your session has expired. Please log in again.', { status });
+    }
+    if (status === 429) {
+        throw createApiError(API_ERROR_TYPES.RATE_LIMIT, message || 'Too many attempts. Please wait before trying again.', {
+            status,
+            retryAfterSeconds: getRetryAfterSeconds(response, data),
+        });
+    }
+    if (status >= 500) {
+        throw createApiError(API_ERROR_TYPES.SERVER, message || `The server could not handle the request (${status}). Please try again later.`, { status });
+    }
+    if (!response.ok) {
+        throw createApiError(API_ERROR_TYPES.VALIDATION, message || `The server rejected the request (${status}).`, { status });
+    }
+    if (data === null) {
+        throw createApiError(API_ERROR_TYPES.SERVER, 'The server sent an unexpected response. Please try again later.', { status });
+    }
+    return data;
+};
+
+/**
+ * Runs a request, retrying network and server failures with exponential backoff.
+ * @param {function} send - Sends the request once.
+ * @param {number} retriesLeft - How many more times it may be sent.
+ * @param {AbortSignal} signal - Stops retrying.
+ */
+const sendWithRetries = async (send, retriesLeft, signal) => {
+    try {
+        return await send();
+    } catch (error) {
+        if (retriesLeft <= 0 || !isRetryableError(error)) {
+            throw error;
+        }
+        await delay(apiConfig.retryBaseDelayMs * 2 ** (apiConfig.maxRetries - retriesLeft), signal);
+        return sendWithRetries(send, retriesLeft - 1, signal);
+    }
+};
+
+/**
+ * Sends a request to the document management API of the configured environment, or to the mock backend.
+ * Requests time out (uploads after longer), and requests marked idempotent are retried with backoff
+ * after network and server errors. Failures are thrown with a `type` from API_ERROR_TYPES.
+ * When the server rejects the token (401/403 or an "invalid token" message), the user is signed out,
+ * and the request is retried once after they log in again.
+ * @param {string} path - The endpoint, relative to the API base URL (e.g. '/documentTags').
+ * @param {object} options - Request options.
+ * @param {object|FormData} options.body - JSON payload, or FormData for file uploads.
+ * @param {string} options.method - HTTP method, POST by default.
+ * @param {AbortSignal} options.signal - Aborts the request; the promise then rejects with an AbortError.
+ * @param {function} options.onUploadProgress - Called with the fraction (0-1) of the body sent so far.
+ * @param {boolean} options.authenticated - Whether to send the user token, true by default.
+ * @param {boolean} options.idempotent - Whether sending the request twice is harmless, so it may be
+ *        retried; by default only GET requests are. Every endpoint of this API is a POST.
+ * @returns {Promise<object>} - The parsed JSON response.
+ */
+export const apiRequest = async (path, {
+    body,
+    method = 'POST',
+    signal,
+    onUploadProgress,
+    authenticated = true,
+    idempotent = method === 'GET',
+} = {}) => {
+    const isFormData = body instanceof FormData;
+    const url = isMockBackend() ? null : `${getApiBaseUrl()}${path}`;
+    const timeoutMs = onUploadProgress ? apiConfig.uploadTimeoutMs : apiConfig.requestTimeoutMs;
+
+    const sendOnce = async () => {
+        // 'Content-Type': 'multipart/form-data' is set automatically when using FormData
+        const headers = isFormData ? {} : { 'Content-Type': 'application/json' };
+        if (authenticated) {
+            headers.token = await getUserToken();
+        }
+        const request = {
+            method,
+            headers,
+            body: isFormData ? body : JSON.stringify(body),
+            signal,
+            onUploadProgress,
+        };
+        const response = isMockBackend()
+            ? await sendToMockBackend(path, request)
+            : await sendWithTimeout(url, request, timeoutMs);
+        return readResponse(response, authenticated);
+    };
+    const send = () => sendWithRetries(sendOnce, idempotent ? apiConfig.maxRetries : 0, signal);
+
+    if (!authenticated) {
+        return send();
+    }
+    try {
+        return await send();
+    } catch (error) {
+        if (error.type !== API_ERROR_TYPES.AUTH) {
+            throw error;
+        }
+        await waitForReauthentication(signal);
+        return send(); // A second rejection right after logging in is reported to the caller
+    }
+};
@@ -0,0 +1,163 @@
+// DMSApp/services/AppLockService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import appLockConfig from '../config/appLockConfig';
+
+const LOCK_SETTINGS_STORAGE_KEY = 'appLockSettings';
+const FAILED_ATTEMPTS_STORAGE_KEY = 'appLockFailedAttempts';
+const PIN_KEYCHAIN_SERVICE = 'DMSApp.pin';
+
+// Only biometrics; the PIN is the app's own fallback, not the device passcode
+const biometrics = new ReactNativeBiometrics({ allowDeviceCredentials: false });
+
+/**
+ * Returns the lock settings used until the user changes them: lock off.
+ */
+const getDefaultLockSettings = () => ({
+    enabled: false,
+    biometricsEnabled: false,
+    backgroundTimeoutSeconds: appLockConfig.defaultBackgroundTimeoutSeconds,
+});
+
+/**
+ * Loads the app lock settings.
+ * @returns {Promise<object>} - { enabled, biometricsEnabled, backgroundTimeoutSeconds }
+ */
+export const loadLockSettings = async () => {
+    try {
+        const storedSettings = await AsyncStorage.getItem(LOCK_SETTINGS_STORAGE_KEY);
+        return { ...getDefaultLockSettings(), ...(storedSettings ? JSON.parse(storedSettings) : {}) };
+    } catch (e) {
+        console.error('Failed to load app lock settings from AsyncStorage:', e);
+        return getDefaultLockSettings();
+    }
+};
+
+/**
+ * Saves the app lock settings.
+ * @param {object} settings - { enabled, biometricsEnabled, backgroundTimeoutSeconds }
+ */
+export const saveLockSettings = async (settings) => {
+    await AsyncStorage.setItem(LOCK_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+/**
+ * Checks that a PIN has the configured number of digits.
+ * @param {string} pin - The PIN typed by the user.
+ * @returns {string|null} - The problem to show the user, or null if the PIN is valid.
+ */
+export const validatePin = (pin) => {
+    const pattern = new RegExp(`^\\d{${appLockConfig.pinLength}}$`);
+    return pattern.test(pin) ? null : `The PIN must be ${appLockConfig.pinLength} digits.`;
+};
+
+/**
+ * Stores the PIN in the keychain/keystore.
+ * @param {string} pin - The new PIN.
+ */
+export const savePin = async (pin) => {
+    const result = await Keychain.setGenericPassword('pin', pin, {
+        service: PIN_KEYCHAIN_SERVICE,
+        accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+    if (!result) {
+        throw new Error('The PIN could not be stored securely on this device.');
+    }
+};
+
+/**
+ * Checks a PIN against the stored one.
+ * @param {string} pin - The PIN typed by the user.
+ * @returns {Promise<boolean>}
+ */
+export const verifyPin = async (pin) => {
+    const credentials = await Keychain.getGenericPassword({ service: PIN_KEYCHAIN_SERVICE });
+    return !!credentials && credentials.password === pin;
+};
+
+/**
+ * Removes the stored PIN and the count of wrong attempts, e.g. when the lock is turned off.
+ */
+export const clearPin = async () => {
+    await Promise.all([
+        Keychain.resetGenericPassword({ service: PIN_KEYCHAIN_SERVICE }),
+        AsyncStorage.removeItem(FAILED_ATTEMPTS_STORAGE_KEY),
+    ]);
+};
+
+/**
+ * Removes the PIN, the count of wrong attempts and the lock settings, when the user who set them signs out
+ * or another user logs in.
+ */
+export const resetAppLock = async () => {
+    await Promise.all([
+        clearPin(),
+        AsyncStorage.removeItem(LOCK_SETTINGS_STORAGE_KEY),
+    ]);
+};
+
+/**
+ * Returns how many wrong PINs were entered since the last unlock.
+ * Stored so closing the app does not reset the count.
+ * @returns {Promise<number>}
+ */
+export const loadFailedAttempts = async () => {
+    try {
+        return Number(await AsyncStorage.getItem(FAILED_ATTEMPTS_STORAGE_KEY)) || 0;
+    } catch (e) {
+        console.error('Failed to load failed PIN attempts from AsyncStorage:', e);
+        return 0;
+    }
+};
+
+/**
+ * Saves how many wrong PINs were entered since the last unlock.
+ * @param {number} attempts - The count; 0 after a successful unlock.
+ */
+export const saveFailedAttempts = async (attempts) => {
+    try {
+        await AsyncStorage.setItem(FAILED_ATTEMPTS_STORAGE_KEY, String(attempts));
+    } catch (e) {
+        console.error('Failed to save failed PIN attempts to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Returns the biometric sensor the device offers.
+ * @returns {Promise<string|null>} - 'FaceID', 'TouchID' or 'Biometrics', or null if none is set up.
+ */
+export const getAvailableBiometry = async () => {
+    try {
+        const { available, biometryType } = await biometrics.isSensorAvailable();
+        return available && biometryType ? biometryType : null;
+    } catch (e) {
+        console.warn('Failed to check biometric sensor:', e);
+        return null;
+    }
+};
+
+/**
+ * Returns a name for the biometric sensor suitable for buttons, e.g. "Face ID".
+ * @param {string|null} biometryType - The result of getAvailableBiometry.
+ */
+export const getBiometryLabel = (biometryType) => {
+    if (biometryType === 'FaceID') return 'Face ID';
+    if (biometryType === 'TouchID') return 'Touch ID';
+    return 'Fingerprint';
+};
+
+/**
+ * Asks the user to authenticate with biometrics.
+ * @param {string} promptMessage - Shown in the system prompt.
+ * @returns {Promise<boolean>} - Whether the user was recognised; false if they cancelled.
+ */
+export const authenticateWithBiometrics = async (promptMessage) => {
+    try {
+        const { success } = await biometrics.simplePrompt({ promptMessage, cancelButtonText: 'Use PIN' });
+        return success;
+    } catch (e) {
+        console.warn('Biometric authentication failed:', e);
+        return false;
+    }
+};
@@ -0,0 +1,136 @@
+// DMSApp/services/ArchiveService.js
+import RNFS from 'react-native-fs';
+import { zip } from 'react-native-zip-archive';
+import { DOWNLOAD_DIRECTORY, startDownload, getUniqueFilePath } from './DownloadService';
+
+const MANIFEST_COLUMNS = [
+    'file_name',
+    'document_name',
+    'major_head',
+    'minor_head',
+    'document_date',
+    'tags',
+    'remarks',
+    'uploaded_by',
+    'file_url',
+    'status',
+];
+
+/**
+ * Quotes a value for CSV when it contains a separator, a quote or a line break.
+ * @param {*} value - The cell value.
+ */
+const toCsvCell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds one manifest row describing a document and what happened to its file.
+ * @param {object} document - The document from the search results.
+ * @param {string|null} fileName - Name of the file inside the archive, null if the download failed.
+ * @param {string|null} error - Why the file is missing from the archive.
+ */
+const toManifestEntry = (document, fileName, error) => ({
+    file_name: fileName || '',
+    document_name: document.document_name || '',
+    major_head: document.major_head || '',
+    minor_head: document.minor_head || '',
+    document_date: document.document_date || '',
+    tags: (document.tags || []).map(tag => tag.tag_name).join('; '),
+    remarks: document.document_remarks || '',
+    uploaded_by: document.uploaded_by || '',
+    file_url: document.file_url || '',
+    status: error ? `missing: ${error}` : 'included',
+});
+
+/**
+ * Serializes manifest entries as CSV, one row per document.
+ * @param {Array<object>} entries - Rows built by toManifestEntry.
+ * @returns {string}
+ */
+export const buildManifestCsv = (entries) => [
+    MANIFEST_COLUMNS.join(','),
+    ...entries.map(entry => MANIFEST_COLUMNS.map(column => toCsvCell(entry[column])).join(',')),
+].join('\r\n');
+
+/**
+ * Creates an AbortError, matching what fetch throws when its signal is aborted.
+ */
+const createAbortError = () => {
+    const error = new Error('The archive was cancelled.');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Downloads every document's file and packs them into one ZIP archive on the device,
+ * together with manifest.json and manifest.csv describing each document's metadata.
+ * Documents whose file cannot be downloaded are listed in the manifest as missing.
+ * @param {Array<object>} documents - The documents to include.
+ * @param {object} options - Optional settings.
+ * @param {string} options.archiveName - File name of the archive, without extension.
+ * @param {function} options.onProgress - Called with { stage: 'downloading' | 'zipping', completed, total, fileProgress }.
+ * @param {AbortSignal} options.signal - Stops the archive; the promise then rejects with an AbortError.
+ * @returns {Promise<object>} - A download record for the archive (see DownloadService).
+ */
+export const createDocumentArchive = async (documents, { archiveName, onProgress, signal } = {}) => {
+    const stagingDirectory = `${RNFS.CachesDirectoryPath}/archive-${Date.now()}`;
+    const reportProgress = (progress) => onProgress && onProgress({ total: documents.length, ...progress });
+    let currentJob = null;
+    const stopCurrentJob = () => currentJob && RNFS.stopDownload(currentJob.jobId);
+    signal?.addEventListener('abort', stopCurrentJob);
+
+    try {
+        await RNFS.mkdir(stagingDirectory);
+        const manifest = [];
+        for (let index = 0; index < documents.length; index++) {
+            if (signal?.aborted) {
+                throw createAbortError();
+            }
+            const document = documents[index];
+            reportProgress({ stage: 'downloading', completed: index, fileProgress: 0 });
+            try {
+                currentJob = await startDownload(document, {
+                    directory: stagingDirectory,
+                    onProgress: fileProgress => reportProgress({ stage: 'downloading', completed: index, fileProgress }),
+                });
+                const record = await currentJob.promise;
+                manifest.push(toManifestEntry(document, record.fileName, null));
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw createAbortError();
+                }
+                console.warn(`Failed to add ${document.document_name || document.file_url} to archive:`, error);
+                manifest.push(toManifestEntry(document, null, error.message));
+            } finally {
+                currentJob = null;
+            }
+        }
+
+        reportProgress({ stage: 'zipping', completed: documents.length, fileProgress: null });
+        await RNFS.writeFile(`${stagingDirectory}/manifest.json`, JSON.stringify(manifest, null, 2), 'utf8');
+        await RNFS.writeFile(`${stagingDirectory}/manifest.csv`, buildManifestCsv(manifest), 'utf8');
+
+        await RNFS.mkdir(DOWNLOAD_DIRECTORY);
+        const archivePath = await getUniqueFilePath(DOWNLOAD_DIRECTORY, `${archiveName || `documents_${Date.now()}`}.zip`);
+        await zip(stagingDirectory, archivePath);
+        const { size } = await RNFS.stat(archivePath);
+        const fileName = archivePath.split('/').pop();
+
+        return {
+            id: `archive-${Date.now()}`,
+            fileName,
+            filePath: archivePath,
+            size: Number(size),
+            downloadedAt: new Date().toISOString(),
+            document: { document_name: fileName },
+            documentCount: documents.length,
+            missingCount: manifest.filter(entry => !entry.file_name).length,
+        };
+    } finally {
+        signal?.removeEventListener('abort', stopCurrentJob);
+        // The individual files only existed to be zipped
+        await RNFS.unlink(stagingDirectory).catch(() => {});
+    }
+};
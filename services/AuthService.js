@@ -1,50 +1,112 @@
 // DMSApp/services/AuthService.js
+import { parsePhoneNumberFromString, getCountryCallingCode } from 'libphonenumber-js/mobile';
+import { apiRequest, createApiError, API_ERROR_TYPES } from './ApiClient';
+import { decodeTokenPayload } from '../utils/token';
+import authConfig from '../config/authConfig';
 
-const API_BASE_URL = 'https://apis.allsoft.co/api/documentManagement';
+// Messages the backend uses when it refuses to send or check more OTPs for now
+const RATE_LIMIT_MESSAGE = /too many|rate limit|limit exceeded|try again (later|after)/i;
 
 /**
- * Calls the API to generate an OTP for the given mobile number.
- * @param {string} mobileNumber - The user's mobile number.
- * @returns {Promise<object>} - The API response, typically containing success status and message.
+ * Posts to one of the OTP endpoints, which are called before there is a token to send.
+ * They are not retried automatically: each call may send an SMS or count as an attempt.
+ * @param {string} path - The endpoint path, e.g. '/generateOTP'.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} - The API response.
+ * @throws {Error} - An API_ERROR_TYPES error; a rateLimit one always has retryAfterSeconds set.
  */
-export const generateOTP = async (mobileNumber) => {
+const postOtpRequest = async (path, body) => {
+    let data;
     try {
-        const response = await fetch(`${API_BASE_URL}/generateOTP`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ mobile_number: mobileNumber }),
-        });
-        const data = await response.json();
-        return data;
+        data = await apiRequest(path, { body, authenticated: false });
     } catch (error) {
-        console.error('Error generating OTP:', error);
-        // Re-throw to allow calling components to handle the error
-        throw new Error('Network error or failed to generate OTP. Please check your connection.');
+        if (error.type === API_ERROR_TYPES.RATE_LIMIT) {
+            error.retryAfterSeconds = error.retryAfterSeconds || authConfig.defaultRateLimitSeconds;
+        } else {
+            console.error(`Error calling ${path}:`, error);
+        }
+        throw error; // Re-throw to allow calling components to handle the error
     }
+    // The OTP endpoints may also refuse with a 200 and a message
+    if (!data.success && RATE_LIMIT_MESSAGE.test(data.message || '')) {
+        const bodySeconds = Number(data.retry_after ?? data.wait_time);
+        throw createApiError(API_ERROR_TYPES.RATE_LIMIT, data.message, {
+            retryAfterSeconds: bodySeconds > 0 ? bodySeconds : authConfig.defaultRateLimitSeconds,
+        });
+    }
+    return data;
 };
 
+/**
+ * Calls the API to generate an OTP for the given mobile number.
+ * @param {string} mobileNumber - The user's mobile number, as returned by toApiMobileNumber.
+ * @returns {Promise<object>} - The API response, typically containing success status and message.
+ * @throws {Error} - A rateLimit API error, with retryAfterSeconds, when too many OTPs were requested.
+ */
+export const generateOTP = (mobileNumber) => postOtpRequest('/generateOTP', { mobile_number: mobileNumber });
+
 /**
  * Calls the API to validate the provided OTP for the given mobile number.
- * @param {string} mobileNumber - The user's mobile number.
+ * @param {string} mobileNumber - The user's mobile number, as returned by toApiMobileNumber.
  * @param {string} otp - The OTP entered by the user.
  * @returns {Promise<object>} - The API response, typically containing success status and a token on success.
+ * @throws {Error} - A rateLimit API error, with retryAfterSeconds, when too many wrong OTPs were entered.
  */
-export const validateOTP = async (mobileNumber, otp) => {
-    try {
-        const response = await fetch(`${API_BASE_URL}/validateOTP`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ mobile_number: mobileNumber, otp: otp }),
-        });
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error validating OTP:', error);
-        // Re-throw to allow calling components to handle the error
-        throw new Error('Network error or failed to validate OTP. Please try again.');
+export const validateOTP = (mobileNumber, otp) => postOtpRequest('/validateOTP', { mobile_number: mobileNumber, otp: otp });
+
+/**
+ * Returns the dialling code of a country, e.g. "+91" for 'IN'.
+ * @param {string} country - ISO 3166 country code.
+ */
+export const getDialCode = (country) => `+${getCountryCallingCode(country)}`;
+
+/**
+ * Checks that a number is a valid mobile number for the chosen country.
+ * A number typed with its own country code (e.g. +44...) is checked for that country instead.
+ * @param {string} input - The number as typed.
+ * @param {string} country - ISO 3166 code of the chosen country.
+ * @returns {string|null} - The problem to show the user, or null if the number is valid.
+ */
+export const validateMobileNumber = (input, country) => {
+    if (!input || !input.trim()) {
+        return 'Please enter your mobile number.';
+    }
+    const phoneNumber = parsePhoneNumberFromString(input, country);
+    if (!phoneNumber || !phoneNumber.isValid()) {
+        return `Please enter a valid mobile number for ${getDialCode(country)}, without the leading 0.`;
     }
+    return null;
+};
+
+/**
+ * Converts a valid mobile number to the form the backend expects: the national number for the
+ * default country, as it always received them, and the full international number for the others.
+ * @param {string} input - The number as typed, already checked with validateMobileNumber.
+ * @param {string} country - ISO 3166 code of the chosen country.
+ * @returns {string}
+ */
+export const toApiMobileNumber = (input, country) => {
+    const phoneNumber = parsePhoneNumberFromString(input, country);
+    return phoneNumber.country === authConfig.defaultCountry ? phoneNumber.nationalNumber : phoneNumber.number;
+};
+
+/**
+ * Builds the signed-in user's profile from the validateOTP response.
+ * The user details may come in the response body (data or user) or only as claims of the token.
+ * @param {object} response - The validateOTP response.
+ * @param {string} mobileNumber - The number the user logged in with, used when the response has none.
+ * @returns {{ id: string|null, name: string|null, mobileNumber: string, role: string|null, isAdmin: boolean }} - The user profile.
+ */
+export const extractUserProfile = (response, mobileNumber) => {
+    const body = response.data || response.user || {};
+    const claims = decodeTokenPayload(response.token) || {};
+    const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+    const id = pick(body.user_id, body.id, claims.user_id, claims.id, claims.sub);
+    return {
+        id: id !== undefined ? String(id) : null,
+        name: pick(body.user_name, body.name, claims.user_name, claims.name) || null,
+        mobileNumber: String(pick(body.mobile_number, body.mobile, claims.mobile_number, mobileNumber) || ''),
+        role: pick(body.role, body.user_type, claims.role, claims.user_type) || null,
+        isAdmin: [body.is_admin, claims.is_admin].some(flag => flag === true || flag === 1 || flag === '1'),
+    };
 };
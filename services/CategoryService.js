@@ -0,0 +1,147 @@
+// DMSApp/services/CategoryService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { apiRequest } from './ApiClient';
+
+// /documentCategories and /saveMinorHead are not part of the documented API (see DocumentService.js) and are
+// implemented by MockBackend only; confirm them against the real server before relying on them there.
+// Until they answer, the forms offer the built-in hierarchy below.
+
+const CATEGORY_STORAGE_KEY = 'categories';
+
+// The hierarchy the app shipped with, used until one has been loaded from the backend, e.g. on a first
+// offline start or against a server without /documentCategories
+const DEFAULT_CATEGORIES = {
+    Personal: ['John', 'Tom', 'Emily', 'Sarah', 'David'],
+    Professional: ['Accounts', 'HR', 'IT', 'Finance', 'Marketing', 'Operations'],
+};
+
+/**
+ * Returns the hierarchy used before anything has been loaded from the backend.
+ * @returns {object} - { [majorHead]: [minorHead, ...] }
+ */
+export const getDefaultCategories = () => (
+    Object.keys(DEFAULT_CATEGORIES).reduce((categories, majorHead) => ({
+        ...categories,
+        [majorHead]: [...DEFAULT_CATEGORIES[majorHead]],
+    }), {})
+);
+
+/**
+ * Sorts names alphabetically and drops blanks and duplicates (ignoring case).
+ * @param {Array<string>} names - Category names.
+ */
+const toSortedUniqueNames = (names) => {
+    const seen = new Set();
+    return names
+        .map(name => String(name || '').trim())
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Turns the backend's category list into a { [majorHead]: [minorHead, ...] } map.
+ * Accepts both nested entries ({ major_head, minor_heads: [...] }) and flat rows ({ major_head, minor_head }).
+ * @param {Array<object>} data - The `data` array of the documentCategories response.
+ * @returns {object}
+ */
+export const normalizeCategories = (data) => {
+    const grouped = {};
+    data.forEach(entry => {
+        const majorHead = String(entry.major_head || '').trim();
+        if (!majorHead) {
+            return;
+        }
+        const minorHeads = Array.isArray(entry.minor_heads)
+            ? entry.minor_heads.map(minor => (typeof minor === 'string' ? minor : minor.minor_head || minor.name))
+            : [entry.minor_head];
+        grouped[majorHead] = [...(grouped[majorHead] || []), ...minorHeads];
+    });
+    return Object.keys(grouped).reduce((categories, majorHead) => ({
+        ...categories,
+        [majorHead]: toSortedUniqueNames(grouped[majorHead]),
+    }), {});
+};
+
+/**
+ * Loads the category hierarchy cached by the last successful fetch.
+ * @returns {Promise<object|null>} - { categories, syncedAt }, or null if nothing is cached.
+ */
+export const loadCachedCategories = async () => {
+    try {
+        const storedCategories = await AsyncStorage.getItem(CATEGORY_STORAGE_KEY);
+        return storedCategories ? JSON.parse(storedCategories) : null;
+    } catch (e) {
+        console.error('Failed to load categories from AsyncStorage:', e);
+        return null;
+    }
+};
+
+/**
+ * Caches the category hierarchy for offline use.
+ * @param {object} categories - { [majorHead]: [minorHead, ...] }
+ * @param {string} syncedAt - When the hierarchy was last confirmed by the backend (ISO string).
+ */
+export const saveCachedCategories = async (categories, syncedAt) => {
+    try {
+        await AsyncStorage.setItem(CATEGORY_STORAGE_KEY, JSON.stringify({ categories, syncedAt }));
+    } catch (e) {
+        console.error('Failed to save categories to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Fetches the major and minor heads from the server.
+ * @returns {Promise<object>} - { [majorHead]: [minorHead, ...] }
+ */
+export const fetchCategories = async () => {
+    try {
+        // Assuming data is an array like [{ major_head: 'Professional', minor_heads: ['Accounts', 'HR'] }]
+        const response = await apiRequest('/documentCategories', { body: {}, idempotent: true });
+        if (!response.success || !Array.isArray(response.data)) {
+            throw new Error(response.message || 'Failed to fetch categories.');
+        }
+        return normalizeCategories(response.data);
+    } catch (error) {
+        console.error('Error fetching categories:', error);
+        throw error;
+    }
+};
+
+/**
+ * Adds a minor head (e.g. a new employee or department) under a major head.
+ * The server decides whether the signed-in user may do so.
+ * @param {string} majorHead - The major head to add it to.
+ * @param {string} minorHead - The new minor head.
+ * @returns {Promise<object>} - The API response.
+ */
+export const addMinorHead = async (majorHead, minorHead) => {
+    try {
+        const response = await apiRequest('/saveMinorHead', {
+            body: { major_head: majorHead, minor_head: minorHead },
+        });
+        if (!response.success) {
+            throw new Error(response.message || 'Failed to add the minor head.');
+        }
+        return response;
+    } catch (error) {
+        console.error('Error adding minor head:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tells whether a user may add minor heads, based on the role the backend gave them.
+ * Only used to hide the option; the backend still checks the permission itself.
+ * @param {object|null} userProfile - The signed-in user's profile.
+ * @returns {boolean}
+ */
+export const canManageCategories = (userProfile) => (
+    !!userProfile && (userProfile.isAdmin === true || ['admin', 'manager'].includes(String(userProfile.role || '').toLowerCase()))
+);
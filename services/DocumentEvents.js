@@ -0,0 +1,37 @@
+// DMSApp/services/DocumentEvents.js
+
+/**
+ * Kinds of document change broadcast to the screens showing documents.
+ * - updated: the document's metadata changed; `document` holds the new version.
+ * - deleted: the document was removed.
+ * - reverted: a change failed on the server; `document` holds the version to show again.
+ * - versionAdded: a new version of the document was uploaded; `key` is that of the replaced version,
+ *   `document` the new one. The replaced version stays on the server as it was.
+ */
+export const DOCUMENT_EVENTS = {
+    UPDATED: 'updated',
+    DELETED: 'deleted',
+    REVERTED: 'reverted',
+    VERSION_ADDED: 'versionAdded',
+};
+
+const listeners = new Set();
+
+/**
+ * Subscribes to document changes made anywhere in the app.
+ * Changes are broadcast before the server confirms them, so lists can update optimistically.
+ * @param {function} listener - Called with { type, key, document }, key being getDownloadKey(document).
+ * @returns {function} - Unsubscribes the listener.
+ */
+export const subscribeToDocumentChanges = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Broadcasts a document change to every subscriber.
+ * @param {object} event - { type (one of DOCUMENT_EVENTS), key, document }.
+ */
+export const emitDocumentChange = (event) => {
+    listeners.forEach(listener => listener(event));
+};
@@ -1,32 +1,27 @@
 // DMSApp/services/DocumentService.js
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { apiRequest } from './ApiClient';
 
-const API_BASE_URL = 'https://apis.allsoft.co/api/documentManagement';
-
-/**
- * Helper function to get the user token from AsyncStorage.
- * Throws an error if the token is not found.
- */
-const getUserToken = async () => {
-    const userToken = await AsyncStorage.getItem('userToken');
-    if (!userToken) {
-        throw new Error('Authentication token not found. Please log in again.');
-    }
-    return userToken;
-};
+// Only /saveDocumentEntry, /documentTags and /searchDocumentEntry are part of the documented API.
+// /updateDocumentEntry, /deleteDocumentEntry and /documentVersions, the `parent_document_id` upload field
+// and the `latest_version_only` search flag are implemented by MockBackend only; confirm them against the
+// real server before relying on them there. Search results are filtered on the device as well (filterSearchResults).
 
 /**
  * Uploads a document to the server.
+ * A `parent_document_id` in the metadata uploads the file as a new version of that document instead of
+ * as a separate one; the server numbers the versions and marks the new one as the latest.
  * @param {string} fileUri - The URI of the file to upload.
  * @param {string} fileName - The name of the file.
  * @param {string} fileType - The MIME type of the file (e.g., 'image/jpeg', 'application/pdf').
- * @param {object} documentData - An object containing document metadata (major_head, minor_head, document_date, remarks, tags, user_id).
+ * @param {object} documentData - An object containing document metadata (major_head, minor_head, document_date, remarks, tags, user_id,
+ * and optionally parent_document_id).
+ * @param {object} options - Optional request options.
+ * @param {function} options.onProgress - Called with the fraction (0-1) of the file sent so far.
+ * @param {AbortSignal} options.signal - Cancels the upload; the promise then rejects with an AbortError.
  * @returns {Promise<object>} - The API response.
  */
-export const uploadDocument = async (fileUri, fileName, fileType, documentData) => {
+export const uploadDocument = async (fileUri, fileName, fileType, documentData, { onProgress, signal } = {}) => {
     try {
-        const userToken = await getUserToken();
-
         const formData = new FormData();
         // Append the file data
         formData.append('file', {
@@ -37,23 +32,17 @@ export const uploadDocument = async (fileUri, fileName, fileType, documentData)
         // Append the document metadata as a JSON string
         formData.append('data', JSON.stringify(documentData));
 
-        const response = await fetch(`${API_BASE_URL}/saveDocumentEntry`, {
-            method: 'POST',
-            headers: {
-                'token': userToken,
-                // 'Content-Type': 'multipart/form-data' is typically set automatically by fetch when using FormData
-            },
+        return await apiRequest('/saveDocumentEntry', {
             body: formData,
+            signal,
+            // Progress is always tracked so the request goes through XMLHttpRequest, which can report it
+            onUploadProgress: onProgress || (() => {}),
         });
-
-        const data = await response.json();
-        if (!response.ok) {
-            // Handle HTTP errors (e.g., 401, 500)
-            throw new Error(data.message || `API error: ${response.status}`);
-        }
-        return data;
     } catch (error) {
-        console.error('Error uploading document:', error);
+        // A cancelled upload was stopped on purpose, it is not worth logging
+        if (error.name !== 'AbortError') {
+            console.error('Error uploading document:', error);
+        }
         throw error; // Re-throw to be handled by the calling component
     }
 };
@@ -61,57 +50,122 @@ export const uploadDocument = async (fileUri, fileName, fileType, documentData)
 /**
  * Fetches existing document tags from the server.
  * @param {string} term - An optional search term to filter tags.
+ * @param {object} options - Optional request options.
+ * @param {AbortSignal} options.signal - Aborts the request when the term changes.
  * @returns {Promise<object>} - The API response, containing a list of tags.
  */
-export const fetchDocumentTags = async (term = '') => {
+export const fetchDocumentTags = async (term = '', { signal } = {}) => {
     try {
-        const userToken = await getUserToken();
-
-        const response = await fetch(`${API_BASE_URL}/documentTags`, {
-            method: 'POST',
-            headers: {
-                'token': userToken,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ term: term }),
-        });
-
-        const data = await response.json();
-        if (!response.ok) {
-            throw new Error(data.message || `API error: ${response.status}`);
-        }
-        return data; // Assuming data contains an array of tags (e.g., { success: true, data: [{ tag_name: 'RMC' }] })
+        // Assuming data contains an array of tags (e.g., { success: true, data: [{ tag_name: 'RMC' }] })
+        return await apiRequest('/documentTags', { body: { term: term }, signal, idempotent: true });
     } catch (error) {
-        console.error('Error fetching document tags:', error);
+        // An aborted lookup was replaced on purpose, it is not worth logging
+        if (error.name !== 'AbortError') {
+            console.error('Error fetching document tags:', error);
+        }
         throw error;
     }
 };
 
 /**
  * Searches for documents based on provided criteria.
- * @param {object} searchCriteria - An object containing search filters (major_head, minor_head, from_date, to_date, tags, etc.).
+ * @param {object} searchCriteria - An object containing search filters (major_head, minor_head, from_date, to_date, tags, etc.);
+ * `latest_version_only` leaves out versions that have been replaced by a newer upload.
+ * @param {object} options - Optional request options.
+ * @param {AbortSignal} options.signal - Aborts the request when a newer search makes it obsolete.
  * @returns {Promise<object>} - The API response, containing a list of matching documents.
  */
-export const searchDocuments = async (searchCriteria) => {
+export const searchDocuments = async (searchCriteria, { signal } = {}) => {
     try {
-        const userToken = await getUserToken();
+        // Assuming data contains an array of documents
+        return await apiRequest('/searchDocumentEntry', { body: searchCriteria, signal, idempotent: true });
+    } catch (error) {
+        // An aborted search was replaced on purpose, it is not worth logging
+        if (error.name !== 'AbortError') {
+            console.error('Error searching documents:', error);
+        }
+        throw error;
+    }
+};
 
-        const response = await fetch(`${API_BASE_URL}/searchDocumentEntry`, {
-            method: 'POST',
-            headers: {
-                'token': userToken,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(searchCriteria),
-        });
+/**
+ * Returns the server ID of a document from the search results.
+ * @param {object} document - The document.
+ */
+export const getDocumentId = (document) => document.document_id ?? document.id;
+
+/**
+ * Returns the ID shared by every version of a document: that of the originally uploaded one.
+ * Versions point to it through `parent_document_id`; the original, or a document never replaced, has none.
+ * @param {object} document - Any version of the document.
+ */
+export const getVersionGroupId = (document) => document.parent_document_id ?? getDocumentId(document);
 
-        const data = await response.json();
-        if (!response.ok) {
-            throw new Error(data.message || `API error: ${response.status}`);
+/**
+ * Tells whether a document has been replaced by a newer version.
+ * Documents from before versioning carry no flag and count as the latest.
+ * @param {object} document - The document.
+ */
+export const isLatestVersion = (document) => document.is_latest_version !== false;
+
+/**
+ * Drops replaced versions from results searched with `latest_version_only`, for a server that ignores the flag.
+ * @param {object} criteria - The search criteria that were sent.
+ * @param {Array<object>} documents - The documents the server returned.
+ * @returns {Array<object>}
+ */
+export const filterSearchResults = (criteria, documents) => (
+    criteria.latest_version_only ? documents.filter(isLatestVersion) : documents
+);
+
+/**
+ * Fetches every version of a document, each with its uploader, upload time and remarks.
+ * @param {string|number} documentId - The server ID of any version.
+ * @param {object} options - Optional request options.
+ * @param {AbortSignal} options.signal - Aborts the request when the screen closes.
+ * @returns {Promise<object>} - The API response; `data` lists the versions, newest first.
+ */
+export const fetchDocumentVersions = async (documentId, { signal } = {}) => {
+    try {
+        return await apiRequest('/documentVersions', { body: { document_id: documentId }, signal, idempotent: true });
+    } catch (error) {
+        // An aborted request belonged to a closed screen, it is not worth logging
+        if (error.name !== 'AbortError') {
+            console.error('Error fetching document versions:', error);
         }
-        return data; // Assuming data contains an array of documents
+        throw error;
+    }
+};
+
+/**
+ * Updates the metadata of an existing document.
+ * @param {string|number} documentId - The document's server ID.
+ * @param {object} documentData - The new metadata (major_head, minor_head, document_date, document_remarks, tags).
+ * @returns {Promise<object>} - The API response.
+ */
+export const updateDocumentEntry = async (documentId, documentData) => {
+    try {
+        // Saving the same details twice leaves the document as it was after the first save
+        return await apiRequest('/updateDocumentEntry', {
+            body: { document_id: documentId, ...documentData },
+            idempotent: true,
+        });
+    } catch (error) {
+        console.error('Error updating document:', error);
+        throw error;
+    }
+};
+
+/**
+ * Deletes a document and its file from the server.
+ * @param {string|number} documentId - The document's server ID.
+ * @returns {Promise<object>} - The API response.
+ */
+export const deleteDocumentEntry = async (documentId) => {
+    try {
+        return await apiRequest('/deleteDocumentEntry', { body: { document_id: documentId } });
     } catch (error) {
-        console.error('Error searching documents:', error);
+        console.error('Error deleting document:', error);
         throw error;
     }
 };
@@ -0,0 +1,200 @@
+// DMSApp/services/DownloadService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import RNFS from 'react-native-fs';
+
+const DOWNLOADS_STORAGE_KEY = 'downloads';
+
+/**
+ * Directory where downloaded documents are saved, based on platform.
+ */
+export const DOWNLOAD_DIRECTORY = Platform.select({
+    ios: RNFS.DocumentDirectoryPath,
+    android: RNFS.DownloadDirectoryPath,
+});
+
+/**
+ * Returns the lowercase extension of a file name or URL, without the dot.
+ * @param {string} value - The file name or URL.
+ */
+export const getFileExtension = (value) => {
+    const path = (value || '').split('?')[0];
+    const lastSegment = path.split('/').pop();
+    return lastSegment.includes('.') ? lastSegment.split('.').pop().toLowerCase() : '';
+};
+
+/**
+ * Builds a file name for a document, making sure it carries the extension of its file URL.
+ * @param {object} document - The document from the search results.
+ */
+export const getDocumentFileName = (document) => {
+    const extension = getFileExtension(document.file_url);
+    const baseName = (document.document_name || `document_${Date.now()}`).replace(/[\\/:*?"<>|]/g, '_');
+    return extension && getFileExtension(baseName) !== extension ? `${baseName}.${extension}` : baseName;
+};
+
+/**
+ * Finds a path in the directory that does not clash with an existing file,
+ * appending " (1)", " (2)", ... before the extension when needed.
+ * @param {string} directory - The target directory.
+ * @param {string} fileName - The preferred file name.
+ * @returns {Promise<string>} - A free file path.
+ */
+export const getUniqueFilePath = async (directory, fileName) => {
+    const extension = getFileExtension(fileName);
+    const baseName = extension ? fileName.slice(0, -(extension.length + 1)) : fileName;
+    let candidate = `${directory}/${fileName}`;
+    for (let counter = 1; await RNFS.exists(candidate); counter++) {
+        candidate = `${directory}/${baseName} (${counter})${extension ? `.${extension}` : ''}`;
+    }
+    return candidate;
+};
+
+/**
+ * Loads the list of downloaded files, dropping entries whose file was deleted outside the app.
+ * @returns {Promise<Array<object>>} - The download records, newest first.
+ */
+export const loadDownloads = async () => {
+    try {
+        const storedDownloads = await AsyncStorage.getItem(DOWNLOADS_STORAGE_KEY);
+        const downloads = storedDownloads ? JSON.parse(storedDownloads) : [];
+        const existing = [];
+        for (const record of downloads) {
+            if (await RNFS.exists(record.filePath)) {
+                existing.push(record);
+            }
+        }
+        if (existing.length !== downloads.length) {
+            await saveDownloads(existing);
+        }
+        return existing;
+    } catch (e) {
+        console.error('Failed to load downloads from AsyncStorage:', e);
+        return [];
+    }
+};
+
+/**
+ * Persists the list of downloaded files.
+ * @param {Array<object>} downloads - The download records to store.
+ */
+export const saveDownloads = async (downloads) => {
+    try {
+        await AsyncStorage.setItem(DOWNLOADS_STORAGE_KEY, JSON.stringify(downloads));
+    } catch (e) {
+        console.error('Failed to save downloads to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Starts downloading a document's file.
+ * @param {object} document - The document from the search results (needs file_url).
+ * @param {object} options - Optional settings.
+ * @param {function} options.onProgress - Called with a value between 0 and 1, or null when the size is unknown.
+ * @param {string} options.directory - Target directory, defaults to DOWNLOAD_DIRECTORY.
+ * @returns {Promise<{ jobId: number, filePath: string, promise: Promise<object> }>} - The job ID (for cancelDownload, -1 for a copy),
+ * the target path and a promise resolving to the download record once the file is saved.
+ */
+export const startDownload = async (document, { onProgress, directory = DOWNLOAD_DIRECTORY } = {}) => {
+    if (!document.file_url) {
+        throw new Error('File URL is missing. Cannot download.');
+    }
+    await RNFS.mkdir(directory);
+    const filePath = await getUniqueFilePath(directory, getDocumentFileName(document));
+
+    // Files served by the mock backend are on the device already
+    if (document.file_url.startsWith('file://')) {
+        const sourcePath = decodeURIComponent(document.file_url.replace('file://', ''));
+        const copyPromise = RNFS.copyFile(sourcePath, filePath).then(async () => {
+            const { size } = await RNFS.stat(filePath);
+            if (onProgress) {
+                onProgress(1);
+            }
+            return {
+                id: `copy-${Date.now()}`,
+                fileName: filePath.split('/').pop(),
+                filePath,
+                size,
+                downloadedAt: new Date().toISOString(),
+                document,
+            };
+        });
+        return { jobId: -1, filePath, promise: copyPromise };
+    }
+
+    const { jobId, promise } = RNFS.downloadFile({
+        fromUrl: document.file_url,
+        toFile: filePath,
+        background: true, // Allow download to continue in background
+        discretionary: true, // For iOS, allows system to optimize download
+        progressInterval: 250, // Milliseconds between progress callbacks
+        progress: (res) => {
+            if (onProgress) {
+                onProgress(res.contentLength > 0 ? res.bytesWritten / res.contentLength : null);
+            }
+        },
+    });
+
+    const downloadPromise = promise.then(async (response) => {
+        if (response.statusCode !== 200) {
+            await RNFS.unlink(filePath).catch(() => {}); // Don't keep an error page as the document
+            throw new Error(`Failed to download file. Status: ${response.statusCode}`);
+        }
+        return {
+            id: `${jobId}-${Date.now()}`,
+            fileName: filePath.split('/').pop(),
+            filePath,
+            size: response.bytesWritten,
+            downloadedAt: new Date().toISOString(),
+            document, // Metadata kept so the file can be previewed and described later
+        };
+    });
+
+    return { jobId, filePath, promise: downloadPromise };
+};
+
+/**
+ * Cancels a running download and removes the partial file.
+ * @param {number} jobId - The job ID returned by startDownload.
+ * @param {string} filePath - The target path returned by startDownload.
+ */
+export const cancelDownload = async (jobId, filePath) => {
+    RNFS.stopDownload(jobId);
+    try {
+        if (await RNFS.exists(filePath)) {
+            await RNFS.unlink(filePath);
+        }
+    } catch (e) {
+        console.warn('Failed to remove partially downloaded file:', e);
+    }
+};
+
+/**
+ * Deletes a downloaded file from the device.
+ * @param {object} record - The download record.
+ */
+export const deleteDownloadedFile = async (record) => {
+    if (await RNFS.exists(record.filePath)) {
+        await RNFS.unlink(record.filePath);
+    }
+};
+
+/**
+ * Removes the download list and the downloaded files kept in the app's own storage, when the user signs out
+ * or another user logs in. Files saved to the shared Downloads folder on Android are the user's copies,
+ * outside the app; they are left there, only their records are removed.
+ * @param {Array<object>} downloads - The download records.
+ */
+export const clearDownloads = async (downloads) => {
+    const appDirectories = [RNFS.DocumentDirectoryPath, RNFS.CachesDirectoryPath];
+    for (const record of downloads) {
+        if (appDirectories.some(directory => record.filePath.startsWith(`${directory}/`))) {
+            try {
+                await deleteDownloadedFile(record);
+            } catch (e) {
+                console.warn('Failed to remove downloaded file:', e);
+            }
+        }
+    }
+    await AsyncStorage.removeItem(DOWNLOADS_STORAGE_KEY);
+};
@@ -0,0 +1,148 @@
+// DMSApp/services/DuplicateService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import { searchDocuments } from './DocumentService';
+
+const HASH_INDEX_STORAGE_KEY = 'uploadedHashes';
+const MAX_INDEXED_HASHES = 2000; // Oldest entries are dropped beyond this, the server check still applies
+
+/**
+ * Computes the SHA-256 hash of a file's content.
+ * content:// URIs (Android document picker) cannot be hashed in place, so they are copied to the cache first.
+ * @param {string} uri - The file URI.
+ * @returns {Promise<string|null>} - The hex digest, or null if the file cannot be read.
+ */
+export const computeFileHash = async (uri) => {
+    let temporaryPath = null;
+    try {
+        let path = uri.startsWith('file://') ? decodeURIComponent(uri.replace('file://', '')) : uri;
+        if (uri.startsWith('content://')) {
+            temporaryPath = `${RNFS.CachesDirectoryPath}/hash-${Date.now()}`;
+            await RNFS.copyFile(uri, temporaryPath);
+            path = temporaryPath;
+        }
+        return await RNFS.hash(path, 'sha256');
+    } catch (e) {
+        console.warn('Failed to hash file for duplicate detection:', e);
+        return null;
+    } finally {
+        if (temporaryPath) {
+            RNFS.unlink(temporaryPath).catch(() => {});
+        }
+    }
+};
+
+/**
+ * Loads the index of content hashes of documents uploaded from this device.
+ * @returns {Promise<object>} - { [hash]: { document, uploadedAt } }
+ */
+const loadHashIndex = async () => {
+    try {
+        const storedIndex = await AsyncStorage.getItem(HASH_INDEX_STORAGE_KEY);
+        return storedIndex ? JSON.parse(storedIndex) : {};
+    } catch (e) {
+        console.error('Failed to load uploaded hashes from AsyncStorage:', e);
+        return {};
+    }
+};
+
+/**
+ * Finds a document already uploaded from this device with exactly the same content.
+ * @param {string|null} hash - The content hash of the file about to be uploaded.
+ * @returns {Promise<object|null>} - { document, uploadedAt }, or null if there is none.
+ */
+export const findUploadedByHash = async (hash) => {
+    if (!hash) {
+        return null;
+    }
+    const index = await loadHashIndex();
+    return index[hash] || null;
+};
+
+/**
+ * Records the hash of an uploaded document so the same content is recognised next time.
+ * @param {string|null} hash - The content hash of the uploaded file.
+ * @param {object} document - What is known about the document: the server's record if it returned one,
+ *                            otherwise the file name and the metadata that was sent.
+ */
+export const recordUploadedHash = async (hash, document) => {
+    if (!hash) {
+        return;
+    }
+    try {
+        const index = await loadHashIndex();
+        index[hash] = { document, uploadedAt: new Date().toISOString() };
+        const hashes = Object.keys(index);
+        if (hashes.length > MAX_INDEXED_HASHES) {
+            hashes
+                .sort((a, b) => index[a].uploadedAt.localeCompare(index[b].uploadedAt))
+                .slice(0, hashes.length - MAX_INDEXED_HASHES)
+                .forEach(oldHash => delete index[oldHash]);
+        }
+        await AsyncStorage.setItem(HASH_INDEX_STORAGE_KEY, JSON.stringify(index));
+    } catch (e) {
+        console.error('Failed to save uploaded hash to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Forgets every uploaded hash, when the user signs out or another user logs in: the index points at
+ * the user's own documents, which the next user may not be able to open.
+ */
+export const clearUploadedHashes = async () => {
+    await AsyncStorage.removeItem(HASH_INDEX_STORAGE_KEY);
+};
+
+/**
+ * Builds the document record stored in the hash index after an upload.
+ * @param {object} response - The uploadDocument response.
+ * @param {string} fileName - The uploaded file's name.
+ * @param {object} documentData - The metadata sent with the file.
+ */
+export const toUploadedDocument = (response, fileName, documentData) => ({
+    document_name: fileName,
+    major_head: documentData.major_head,
+    minor_head: documentData.minor_head,
+    document_date: documentData.document_date,
+    // The server's record, when it sends one back, carries the file_url needed to open the document
+    ...(response && response.data && typeof response.data === 'object' ? response.data : {}),
+});
+
+/**
+ * Strips the extension and normalizes case and spacing, so "Invoice 12.PDF" matches "invoice 12.pdf".
+ * @param {string} name - A file or document name.
+ */
+const normalizeName = (name) => String(name || '').replace(/\.[^.]+$/, '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Asks the server for documents that are likely the same as the one about to be uploaded:
+ * same name, same document date and same category.
+ * @param {string} fileName - The name of the file about to be uploaded.
+ * @param {object} documentData - The metadata about to be sent (major_head, minor_head, document_date).
+ * @returns {Promise<Array<object>>} - The matching documents; empty if the check itself fails.
+ */
+export const findServerDuplicates = async (fileName, documentData) => {
+    const name = normalizeName(fileName);
+    try {
+        const results = await searchDocuments({
+            major_head: documentData.major_head,
+            minor_head: documentData.minor_head,
+            from_date: documentData.document_date,
+            to_date: documentData.document_date,
+            tags: [],
+            uploaded_by: '',
+            filterId: '',
+            search: { value: name },
+            start: 0,
+            length: 10,
+        });
+        if (!results.success || !Array.isArray(results.data)) {
+            return [];
+        }
+        return results.data.filter(document => normalizeName(document.document_name) === name);
+    } catch (e) {
+        // The upload must not be blocked because the check could not run
+        console.warn('Duplicate check failed:', e);
+        return [];
+    }
+};
@@ -0,0 +1,131 @@
+// DMSApp/services/FilePreparationService.js
+import { Image } from 'react-native';
+import RNFS from 'react-native-fs';
+import ImageResizer from '@bam.tech/react-native-image-resizer';
+import uploadConfig from '../config/uploadConfig';
+import { formatFileSize } from '../utils/format';
+
+// MIME types guessed from the extension when the picker reports none
+const MIME_TYPES_BY_EXTENSION = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    heic: 'image/heic',
+    heif: 'image/heif',
+    webp: 'image/webp',
+    pdf: 'application/pdf',
+};
+
+/**
+ * Returns the MIME type of a file, guessing it from the name when missing.
+ * @param {object} file - { name, type }.
+ */
+export const getMimeType = (file) => {
+    if (file.type) {
+        return file.type.toLowerCase();
+    }
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    return MIME_TYPES_BY_EXTENSION[extension] || '';
+};
+
+/**
+ * Returns the size of a file in bytes, from what the picker reported or from the file system.
+ * @param {object} file - { uri, size, fileSize }.
+ * @returns {Promise<number|null>} - The size, or null if it cannot be determined.
+ */
+const getFileSize = async (file) => {
+    const reportedSize = file.size ?? file.fileSize;
+    if (typeof reportedSize === 'number') {
+        return reportedSize;
+    }
+    try {
+        const { size } = await RNFS.stat(file.uri.startsWith('file://') ? decodeURIComponent(file.uri.replace('file://', '')) : file.uri);
+        return Number(size);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Returns the width and height of an image, from what the camera reported or by reading the image.
+ * @param {object} file - { uri, width, height }.
+ * @returns {Promise<object|null>} - { width, height }, or null if they cannot be determined.
+ */
+const getImageDimensions = async (file) => {
+    if (typeof file.width === 'number' && typeof file.height === 'number') {
+        return { width: file.width, height: file.height };
+    }
+    try {
+        const { width, height } = await Image.getSize(file.uri);
+        return { width, height };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Scales an image down to the configured maximum resolution and re-encodes it as JPEG.
+ * @param {object} file - { uri, name }.
+ * @returns {Promise<object>} - { uri, name, type, size } of the processed image.
+ */
+const compressImage = async (file) => {
+    const { maxImageDimension, imageQuality } = uploadConfig;
+    const result = await ImageResizer.createResizedImage(
+        file.uri,
+        maxImageDimension,
+        maxImageDimension,
+        'JPEG',
+        imageQuality,
+        0,
+        null,
+        false,
+        { mode: 'contain', onlyScaleDown: true }
+    );
+    const baseName = (file.name || 'image').replace(/\.[^.]+$/, '');
+    return { uri: result.uri, name: `${baseName}.jpg`, type: 'image/jpeg', size: result.size };
+};
+
+/**
+ * Validates a file against the upload limits and compresses it if it is a large image, in bytes or in pixels.
+ * Nothing is sent to the server; the returned file is what should be uploaded.
+ * @param {object} file - The picked or captured file ({ uri, name, type, size }, and width and height from the camera).
+ * @returns {Promise<object>} - { uri, name, type, size, originalSize }.
+ * @throws {Error} - With a message for the user when the file cannot be uploaded.
+ */
+export const prepareFileForUpload = async (file) => {
+    const { allowedMimeTypes, convertibleImageTypes, compressAboveBytes, maxFileSizeBytes, maxImageDimension } = uploadConfig;
+    const name = file.name || file.fileName || 'document';
+    const type = getMimeType({ name, type: file.type });
+    const originalSize = await getFileSize(file);
+    const needsConversion = convertibleImageTypes.includes(type);
+
+    if (!allowedMimeTypes.includes(type) && !needsConversion) {
+        throw new Error(`${name}: this file type (${type || 'unknown'}) cannot be uploaded. Please choose an image or a PDF.`);
+    }
+
+    let prepared = { uri: file.uri, name, type, size: originalSize };
+    const isImage = type.startsWith('image/');
+    const dimensions = isImage ? await getImageDimensions(file) : null;
+    const isOversized = dimensions !== null && Math.max(dimensions.width, dimensions.height) > maxImageDimension;
+    if (isImage && (needsConversion || isOversized || originalSize === null || originalSize > compressAboveBytes)) {
+        try {
+            const compressed = await compressImage(prepared);
+            // A small or already optimized image can come out larger, keep the original then unless it had to shrink
+            if (needsConversion || isOversized || originalSize === null || compressed.size < originalSize) {
+                prepared = compressed;
+            }
+        } catch (error) {
+            console.error('Image compression error:', error);
+            if (needsConversion) {
+                throw new Error(`${name}: this image could not be converted to JPEG.`);
+            }
+        }
+    }
+
+    if (prepared.size !== null && prepared.size > maxFileSizeBytes) {
+        throw new Error(
+            `${name} is ${formatFileSize(prepared.size)}, larger than the ${formatFileSize(maxFileSizeBytes)} upload limit.`
+        );
+    }
+    return { ...prepared, originalSize };
+};
@@ -0,0 +1,396 @@
+// DMSApp/services/MockBackend.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import mockConfig from '../config/mockConfig';
+import { formatApiDate } from '../utils/format';
+
+const MOCK_STORAGE_KEY = 'mockBackend';
+// Files of the mock documents; their file:// URLs stand in for the server's file URLs
+const MOCK_FILES_DIRECTORY = `${RNFS.DocumentDirectoryPath}/mock-backend`;
+const MOCK_USER_ID = 'mock-user';
+
+// Category hierarchy the store starts with
+const SAMPLE_CATEGORIES = {
+    Personal: ['Emily', 'John', 'Tom'],
+    Professional: ['Accounts', 'Finance', 'HR', 'IT'],
+};
+
+// Documents the store starts with; daysAgo keeps their dates recent, so date presets find them.
+// versionOf names an earlier sample the document is a newer version of.
+const SAMPLE_DOCUMENTS = [
+    { name: 'Electricity Bill March.pdf', major: 'Personal', minor: 'John', daysAgo: 3, remarks: 'Paid online', tags: ['bill', 'utilities'] },
+    { name: 'Passport Copy.pdf', major: 'Personal', minor: 'Emily', daysAgo: 40, remarks: 'Valid until 2031', tags: ['id', 'travel'] },
+    { name: 'School Fee Receipt.pdf', major: 'Personal', minor: 'Tom', daysAgo: 12, remarks: 'Term 2', tags: ['receipt', 'school'] },
+    { name: 'Invoice RMC-1042.pdf', major: 'Professional', minor: 'Accounts', daysAgo: 1, remarks: 'Ready-mix concrete supply', tags: ['invoice', 'RMC'] },
+    { name: 'Invoice RMC-1042 corrected.pdf', major: 'Professional', minor: 'Accounts', daysAgo: 1, remarks: 'Corrected GST amount', tags: ['invoice', 'RMC'], versionOf: 'Invoice RMC-1042.pdf' },
+    { name: 'Invoice RMC-1038.pdf', major: 'Professional', minor: 'Accounts', daysAgo: 20, remarks: 'Ready-mix concrete supply, second lot', tags: ['invoice', 'RMC'] },
+    { name: 'GST Return Q1.pdf', major: 'Professional', minor: 'Finance', daysAgo: 65, remarks: 'Filed by the auditor', tags: ['tax', 'GST'] },
+    { name: 'Offer Letter Priya.pdf', major: 'Professional', minor: 'HR', daysAgo: 8, remarks: 'Joining next month', tags: ['contract', 'hiring'] },
+    { name: 'Laptop Purchase Order.pdf', major: 'Professional', minor: 'IT', daysAgo: 150, remarks: '5 laptops for the sales team', tags: ['purchase order', 'hardware'] },
+];
+
+let storePromise = null; // The loaded store, shared by concurrent requests
+
+/**
+ * Builds a one-page PDF showing some lines of text, used as the file of a sample document.
+ * @param {Array<string>} lines - The text, ASCII only.
+ * @returns {string} - The PDF file contents.
+ */
+const buildSamplePdf = (lines) => {
+    const escapePdfText = (text) => text.replace(/[\\()]/g, '\\$&');
+    const content = `BT /F1 16 Tf 24 TL 50 780 Td ${lines.map(line => `(${escapePdfText(line)}) '`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 4 0 R >> >> /Contents 5 0 R >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return pdf;
+};
+
+/**
+ * Creates the sample documents and their files.
+ * @returns {Promise<object>} - The initial store: { documents, categories, nextId }.
+ */
+const createSampleStore = async () => {
+    await RNFS.mkdir(MOCK_FILES_DIRECTORY);
+    const documents = [];
+    for (const [index, sample] of SAMPLE_DOCUMENTS.entries()) {
+        const documentId = index + 1;
+        const date = new Date();
+        date.setDate(date.getDate() - sample.daysAgo);
+        const filePath = `${MOCK_FILES_DIRECTORY}/${documentId}-${sample.name}`;
+        const original = sample.versionOf ? documents.find(document => document.document_name === sample.versionOf) : null;
+        await RNFS.writeFile(filePath, buildSamplePdf([
+            sample.name.replace(/\.pdf$/, ''),
+            `${sample.major} / ${sample.minor}`,
+            formatApiDate(date),
+            sample.remarks,
+            'Sample document of the mock backend',
+        ]), 'ascii');
+        documents.push({
+            document_id: documentId,
+            document_name: sample.name,
+            major_head: sample.major,
+            minor_head: sample.minor,
+            document_date: formatApiDate(date),
+            document_remarks: sample.remarks,
+            tags: sample.tags.map(tag => ({ tag_name: tag })),
+            uploaded_by: MOCK_USER_ID,
+            // A newer version was uploaded later than the original it replaces
+            upload_time: (original ? new Date() : date).toISOString(),
+            file_url: `file://${filePath}`,
+            ...(original ? { parent_document_id: original.document_id, version_number: 2 } : { version_number: 1 }),
+            is_latest_version: true,
+        });
+        if (original) {
+            original.is_latest_version = false;
+        }
+    }
+    return { documents, categories: SAMPLE_CATEGORIES, nextId: documents.length + 1 };
+};
+
+/**
+ * Loads the store from the device, creating it with the sample documents on first use.
+ * @returns {Promise<object>} - { documents, categories, nextId }.
+ */
+const loadStore = () => {
+    if (!storePromise) {
+        storePromise = (async () => {
+            const storedStore = await AsyncStorage.getItem(MOCK_STORAGE_KEY);
+            if (storedStore) {
+                return JSON.parse(storedStore);
+            }
+            const store = await createSampleStore();
+            await AsyncStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(store));
+            return store;
+        })();
+        storePromise.catch(() => {
+            storePromise = null; // Try again on the next request
+        });
+    }
+    return storePromise;
+};
+
+/**
+ * Persists the store after a change.
+ * @param {object} store - The store, changed in place.
+ */
+const saveStore = async (store) => {
+    await AsyncStorage.setItem(MOCK_STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * Builds a token shaped like the backend's JWTs, carrying the mock user and a 30-day expiry.
+ * It is not signed; the mock backend does not check it.
+ * @param {string} mobileNumber - The number the user logged in with.
+ */
+const createMockToken = (mobileNumber) => {
+    const encode = (value) => global.btoa(JSON.stringify(value)).replace(/[=]+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    const payload = {
+        user_id: MOCK_USER_ID,
+        user_name: mockConfig.userName,
+        mobile_number: mobileNumber,
+        role: mockConfig.userRole,
+        exp: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+    };
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.`;
+};
+
+/**
+ * Returns the ID shared by every version of a stored document, that of the original.
+ * @param {object} document - A stored document.
+ */
+const getVersionGroupId = (document) => document.parent_document_id ?? document.document_id;
+
+/**
+ * Returns every version of a document, newest first.
+ * Documents stored before versioning have no version_number and count as version 1.
+ * @param {object} store - The store.
+ * @param {number} groupId - The ID of the original document.
+ */
+const getVersions = (store, groupId) => store.documents
+    .filter(document => String(getVersionGroupId(document)) === String(groupId))
+    .sort((a, b) => (b.version_number || 1) - (a.version_number || 1));
+
+/**
+ * Marks the newest remaining version of a document as the latest one, and only that one.
+ * @param {object} store - The store, changed in place.
+ * @param {number} groupId - The ID of the original document.
+ */
+const updateLatestVersion = (store, groupId) => {
+    getVersions(store, groupId).forEach((document, index) => {
+        document.is_latest_version = index === 0;
+    });
+};
+
+/**
+ * Tells whether a document matches the searchDocumentEntry filters, the way the API applies them:
+ * exact heads, an inclusive date range, every requested tag (ignoring case), the uploader, the
+ * search term anywhere in the name or remarks, and, when asked, only the latest version of each document.
+ * @param {object} document - A stored document.
+ * @param {object} criteria - The searchDocumentEntry payload.
+ * @returns {boolean}
+ */
+const matchesSearchCriteria = (document, criteria) => {
+    const term = (criteria.search?.value || '').trim().toLowerCase();
+    const documentTags = document.tags.map(tag => tag.tag_name.toLowerCase());
+    if (criteria.major_head && document.major_head !== criteria.major_head) return false;
+    if (criteria.minor_head && document.minor_head !== criteria.minor_head) return false;
+    // API dates are YYYY-MM-DD, so they compare as strings
+    if (criteria.from_date && document.document_date < criteria.from_date) return false;
+    if (criteria.to_date && document.document_date > criteria.to_date) return false;
+    if ((criteria.tags || []).some(tag => !documentTags.includes(String(tag.tag_name).toLowerCase()))) return false;
+    if (criteria.uploaded_by && String(document.uploaded_by) !== String(criteria.uploaded_by)) return false;
+    if (criteria.latest_version_only && document.is_latest_version === false) return false;
+    return !term || `${document.document_name} ${document.document_remarks}`.toLowerCase().includes(term);
+};
+
+/**
+ * Strips the file:// scheme so the path can be used with react-native-fs.
+ * @param {string} uri - A file URI or path.
+ */
+const toFilePath = (uri) => (uri.startsWith('file://') ? decodeURIComponent(uri.replace('file://', '')) : uri);
+
+/**
+ * Reads the fields of a multipart body.
+ * @param {FormData} formData - The upload body.
+ * @returns {object} - { [fieldName]: string or { uri, name, type } }
+ */
+const readFormData = (formData) => formData.getParts().reduce((fields, part) => ({
+    ...fields,
+    [part.fieldName]: part.string !== undefined ? part.string : { uri: part.uri, name: part.name, type: part.type },
+}), {});
+
+// Endpoint handlers: (body, store) => { status, data }; those returning `changed` persist the store
+const handlers = {
+    '/generateOTP': async ({ mobile_number: mobileNumber }) => (mobileNumber
+        ? { status: 200, data: { success: true, message: `OTP sent. Use ${mockConfig.otp} to log in (mock backend).` } }
+        : { status: 400, data: { success: false, message: 'Mobile number is required.' } }),
+
+    '/validateOTP': async ({ mobile_number: mobileNumber, otp }) => (otp === mockConfig.otp
+        ? {
+            status: 200,
+            data: {
+                success: true,
+                token: createMockToken(mobileNumber),
+                data: { user_id: MOCK_USER_ID, user_name: mockConfig.userName, mobile_number: mobileNumber, role: mockConfig.userRole },
+            },
+        }
+        : { status: 200, data: { success: false, message: 'Invalid OTP. Please try again.' } }),
+
+    '/documentCategories': async (body, store) => ({
+        status: 200,
+        data: {
+            success: true,
+            data: Object.entries(store.categories).map(([majorHead, minorHeads]) => ({ major_head: majorHead, minor_heads: minorHeads })),
+        },
+    }),
+
+    '/saveMinorHead': async ({ major_head: majorHead, minor_head: minorHead }, store) => {
+        if (!store.categories[majorHead] || !minorHead) {
+            return { status: 400, data: { success: false, message: 'A known major head and a minor head are required.' } };
+        }
+        if (!store.categories[majorHead].some(name => name.toLowerCase() === minorHead.toLowerCase())) {
+            store.categories[majorHead] = [...store.categories[majorHead], minorHead];
+        }
+        return { status: 200, data: { success: true, message: 'Minor head saved.' }, changed: true };
+    },
+
+    '/documentTags': async ({ term = '' }, store) => {
+        const seen = new Set();
+        const data = [];
+        store.documents.forEach(document => document.tags.forEach(tag => {
+            const key = tag.tag_name.toLowerCase();
+            if (!seen.has(key) && key.includes(term.trim().toLowerCase())) {
+                seen.add(key);
+                data.push({ tag_name: tag.tag_name });
+            }
+        }));
+        return { status: 200, data: { success: true, data } };
+    },
+
+    '/searchDocumentEntry': async (criteria, store) => {
+        const matches = store.documents
+            .filter(document => matchesSearchCriteria(document, criteria))
+            .sort((a, b) => b.document_date.localeCompare(a.document_date) || b.document_id - a.document_id);
+        const start = Number(criteria.start) || 0;
+        const length = Number(criteria.length) || matches.length;
+        return {
+            status: 200,
+            data: {
+                success: true,
+                data: matches.slice(start, start + length),
+                recordsTotal: store.documents.length,
+                recordsFiltered: matches.length,
+            },
+        };
+    },
+
+    '/saveDocumentEntry': async (formData, store) => {
+        const fields = readFormData(formData);
+        const documentData = JSON.parse(fields.data || '{}');
+        if (!fields.file?.uri || !documentData.major_head || !documentData.minor_head || !documentData.document_date) {
+            return { status: 400, data: { success: false, message: 'File, major head, minor head and document date are required.' } };
+        }
+        // A new version may name any earlier version, it joins the group of the original
+        const parentId = documentData.parent_document_id;
+        const parent = parentId ? store.documents.find(item => String(item.document_id) === String(parentId)) : null;
+        if (parentId && !parent) {
+            return { status: 404, data: { success: false, message: 'The document this is a new version of was not found.' } };
+        }
+        const versions = parent ? getVersions(store, getVersionGroupId(parent)) : [];
+        const documentId = store.nextId;
+        const filePath = `${MOCK_FILES_DIRECTORY}/${documentId}-${fields.file.name}`;
+        await RNFS.mkdir(MOCK_FILES_DIRECTORY);
+        await RNFS.copyFile(toFilePath(fields.file.uri), filePath);
+        const document = {
+            document_id: documentId,
+            document_name: fields.file.name,
+            major_head: documentData.major_head,
+            minor_head: documentData.minor_head,
+            document_date: documentData.document_date,
+            document_remarks: documentData.document_remarks || '',
+            tags: documentData.tags || [],
+            uploaded_by: documentData.user_id || MOCK_USER_ID,
+            upload_time: new Date().toISOString(),
+            file_url: `file://${filePath}`,
+            ...(parent ? { parent_document_id: getVersionGroupId(parent) } : {}),
+            version_number: versions.length > 0 ? (versions[0].version_number || 1) + 1 : 1,
+        };
+        store.documents.push(document);
+        store.nextId = documentId + 1;
+        updateLatestVersion(store, getVersionGroupId(document));
+        return { status: 200, data: { success: true, message: 'Document uploaded.', data: document }, changed: true };
+    },
+
+    '/documentVersions': async ({ document_id: documentId }, store) => {
+        const document = store.documents.find(item => String(item.document_id) === String(documentId));
+        if (!document) {
+            return { status: 404, data: { success: false, message: 'Document not found.' } };
+        }
+        return { status: 200, data: { success: true, data: getVersions(store, getVersionGroupId(document)) } };
+    },
+
+    '/updateDocumentEntry': async ({ document_id: documentId, ...changes }, store) => {
+        const index = store.documents.findIndex(document => String(document.document_id) === String(documentId));
+        if (index === -1) {
+            return { status: 404, data: { success: false, message: 'Document not found.' } };
+        }
+        const { major_head, minor_head, document_date, document_remarks, tags } = { ...store.documents[index], ...changes };
+        store.documents[index] = { ...store.documents[index], major_head, minor_head, document_date, document_remarks, tags };
+        return { status: 200, data: { success: true, message: 'Document updated.', data: store.documents[index] }, changed: true };
+    },
+
+    '/deleteDocumentEntry': async ({ document_id: documentId }, store) => {
+        const document = store.documents.find(item => String(item.document_id) === String(documentId));
+        if (!document) {
+            return { status: 404, data: { success: false, message: 'Document not found.' } };
+        }
+        store.documents = store.documents.filter(item => item !== document);
+        // Deleting the latest version makes the one before it the latest again
+        updateLatestVersion(store, getVersionGroupId(document));
+        await RNFS.unlink(toFilePath(document.file_url)).catch(() => {});
+        return { status: 200, data: { success: true, message: 'Document deleted.' }, changed: true };
+    },
+};
+
+/**
+ * Waits for the simulated response time.
+ * @param {AbortSignal} signal - Aborts the request; the promise then rejects with an AbortError.
+ */
+const simulateLatency = (signal) => new Promise((resolve, reject) => {
+    const abortError = () => Object.assign(new Error('Aborted'), { name: 'AbortError' });
+    if (signal?.aborted) {
+        reject(abortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, mockConfig.latencyMs);
+    signal?.addEventListener('abort', onAbort);
+});
+
+/**
+ * Answers an API request from the on-device store instead of the server.
+ * Resolves with the same { status, ok, headers.get(), text() } subset of a fetch Response that apiRequest reads.
+ * @param {string} path - The endpoint, e.g. '/searchDocumentEntry'.
+ * @param {object} request - { body, signal, onUploadProgress }; body is the JSON payload or the upload's FormData.
+ */
+export const sendToMockBackend = async (path, { body, signal, onUploadProgress }) => {
+    await simulateLatency(signal);
+    const handler = handlers[path];
+    let result = { status: 404, data: { success: false, message: `The mock backend does not implement ${path}.` } };
+    if (handler) {
+        const store = await loadStore();
+        result = await handler(body instanceof FormData ? body : JSON.parse(body || '{}'), store);
+        if (result.changed) {
+            await saveStore(store);
+        }
+    }
+    if (onUploadProgress) {
+        onUploadProgress(1);
+    }
+    return {
+        status: result.status,
+        ok: result.status >= 200 && result.status < 300,
+        headers: { get: () => null },
+        text: async () => JSON.stringify(result.data),
+    };
+};
@@ -0,0 +1,140 @@
+// DMSApp/services/OfflineStoreService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import offlineConfig from '../config/offlineConfig';
+
+const OFFLINE_INDEX_STORAGE_KEY = 'offlineDocuments';
+
+/**
+ * Directory of cached document files. Kept out of the caches directory so the OS does not
+ * remove files the user pinned for offline use.
+ */
+export const OFFLINE_DIRECTORY = `${RNFS.DocumentDirectoryPath}/offline`;
+
+/**
+ * Loads the offline index, dropping file references whose file was deleted outside the app.
+ * @returns {Promise<object>} - { [documentKey]: entry }, an entry being
+ *          { key, document, filePath, size, pinned, lastViewedAt, rememberedAt }; filePath is null
+ *          when only the details are known.
+ */
+export const loadOfflineIndex = async () => {
+    try {
+        const storedIndex = await AsyncStorage.getItem(OFFLINE_INDEX_STORAGE_KEY);
+        const index = storedIndex ? JSON.parse(storedIndex) : {};
+        for (const entry of Object.values(index)) {
+            if (entry.filePath && !(await RNFS.exists(entry.filePath))) {
+                index[entry.key] = { ...entry, filePath: null, size: 0, pinned: false };
+            }
+        }
+        return index;
+    } catch (e) {
+        console.error('Failed to load offline documents from AsyncStorage:', e);
+        return {};
+    }
+};
+
+/**
+ * Persists the offline index.
+ * @param {object} index - { [documentKey]: entry }
+ */
+export const saveOfflineIndex = async (index) => {
+    try {
+        await AsyncStorage.setItem(OFFLINE_INDEX_STORAGE_KEY, JSON.stringify(index));
+    } catch (e) {
+        console.error('Failed to save offline documents to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Removes the offline index and every cached file, when the user signs out or another user logs in.
+ */
+export const clearOfflineStore = async () => {
+    await AsyncStorage.removeItem(OFFLINE_INDEX_STORAGE_KEY);
+    if (await RNFS.exists(OFFLINE_DIRECTORY)) {
+        await RNFS.unlink(OFFLINE_DIRECTORY); // Removes the directory with its content
+    }
+};
+
+/**
+ * Returns the disk space used by cached files.
+ * @param {object} index - The offline index.
+ * @returns {number} - Bytes.
+ */
+export const getCacheSize = (index) => Object.values(index).reduce((total, entry) => total + (entry.filePath ? entry.size : 0), 0);
+
+/**
+ * Removes a cached file from the device. The entry itself is left to the caller.
+ * @param {object} entry - The offline entry.
+ */
+export const deleteCachedFile = async (entry) => {
+    if (entry.filePath && await RNFS.exists(entry.filePath)) {
+        await RNFS.unlink(entry.filePath);
+    }
+};
+
+/**
+ * Picks the cached files to remove so the cache fits the configured limit: those of the least
+ * recently viewed unpinned documents first. Their details stay so they can still be found offline.
+ * @param {object} index - The offline index.
+ * @returns {Array<object>} - The entries whose file should be removed.
+ */
+export const selectEntriesToEvict = (index) => {
+    let cacheSize = getCacheSize(index);
+    const evictable = Object.values(index)
+        .filter(entry => entry.filePath && !entry.pinned)
+        .sort((a, b) => (a.lastViewedAt || '').localeCompare(b.lastViewedAt || ''));
+    const selected = [];
+    for (const entry of evictable) {
+        if (cacheSize <= offlineConfig.maxCacheBytes) {
+            break;
+        }
+        selected.push(entry);
+        cacheSize -= entry.size;
+    }
+    return selected;
+};
+
+/**
+ * Forgets the details of the documents remembered longest ago beyond the configured number.
+ * Documents with a cached file are always kept.
+ * @param {object} index - The offline index; not modified.
+ * @returns {object} - The new index.
+ */
+export const trimRememberedDocuments = (index) => {
+    const entries = Object.values(index);
+    if (entries.length <= offlineConfig.maxRememberedDocuments) {
+        return index;
+    }
+    const nextIndex = { ...index };
+    entries
+        .filter(entry => !entry.filePath)
+        .sort((a, b) => (a.lastViewedAt || a.rememberedAt).localeCompare(b.lastViewedAt || b.rememberedAt))
+        .slice(0, entries.length - offlineConfig.maxRememberedDocuments)
+        .forEach(entry => delete nextIndex[entry.key]);
+    return nextIndex;
+};
+
+/**
+ * Tells whether a cached document matches the Offline Library filters.
+ * @param {object} entry - The offline entry.
+ * @param {object} filters - { query, majorHead, minorHead, tag, fromDate, toDate (YYYY-MM-DD), offlineOnly }.
+ * @returns {boolean}
+ */
+export const matchesOfflineFilters = (entry, filters) => {
+    const { document } = entry;
+    const query = (filters.query || '').trim().toLowerCase();
+    if (filters.offlineOnly && !entry.filePath) return false;
+    if (filters.majorHead && document.major_head !== filters.majorHead) return false;
+    if (filters.minorHead && document.minor_head !== filters.minorHead) return false;
+    if (filters.tag && !(document.tags || []).some(tag => tag.tag_name.toLowerCase() === filters.tag.toLowerCase())) return false;
+    // API dates are YYYY-MM-DD, so they compare as strings
+    if (filters.fromDate && (document.document_date || '') < filters.fromDate) return false;
+    if (filters.toDate && (document.document_date || '') > filters.toDate) return false;
+    if (query) {
+        const text = [document.document_name, document.document_remarks, document.major_head, document.minor_head]
+            .join(' ')
+            .toLowerCase();
+        return text.includes(query);
+    }
+    return true;
+};
@@ -0,0 +1,34 @@
+// DMSApp/services/OtpReaderService.js
+import { Platform } from 'react-native';
+import { startOtpListener, removeListener } from 'react-native-otp-verify';
+import authConfig from '../config/authConfig';
+
+/**
+ * Listens for the OTP SMS on Android through the SMS Retriever API, which needs no SMS permission.
+ * Android only hands the app an SMS that ends with the app's hash, so the backend's OTP template must
+ * include it. The hash only depends on the package name and signing key: work it out once per key, e.g. with
+ * getHash() from react-native-otp-verify in a build signed with that key, and hand it to the backend team.
+ * On iOS the OTP field offers the code through keyboard autofill instead.
+ * @param {function} onCode - Called with the code once the SMS arrives.
+ * @returns {function} - Stops listening.
+ */
+export const listenForOtpSms = (onCode) => {
+    if (Platform.OS !== 'android') {
+        return () => {};
+    }
+    let stopped = false;
+    const codePattern = new RegExp(`\\b(\\d{${authConfig.otpLength}})\\b`);
+
+    startOtpListener(message => {
+        // The listener also reports 'Timeout Error.' after five minutes without a matching SMS
+        const match = codePattern.exec(message || '');
+        if (!stopped && match) {
+            onCode(match[1]);
+        }
+    }).catch(error => console.warn('SMS code listener could not start:', error));
+
+    return () => {
+        stopped = true;
+        removeListener();
+    };
+};
@@ -0,0 +1,71 @@
+// DMSApp/services/ReadingPositionService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const READING_POSITIONS_STORAGE_KEY = 'readingPositions';
+const MAX_READING_POSITIONS = 200;
+
+let pendingWrite = Promise.resolve(); // Page changes arrive quickly while scrolling, writes run one after the other
+
+/**
+ * Reads the remembered positions, most recently read document first.
+ * @returns {Promise<Array<{ documentKey: string, page: number, readAt: string }>>}
+ */
+const loadReadingPositions = async () => {
+    try {
+        const storedPositions = await AsyncStorage.getItem(READING_POSITIONS_STORAGE_KEY);
+        return storedPositions ? JSON.parse(storedPositions) : [];
+    } catch (e) {
+        console.error('Failed to load reading positions from AsyncStorage:', e);
+        return [];
+    }
+};
+
+/**
+ * Returns the page the user last read of a document.
+ * @param {string} documentKey - The document's download key.
+ * @returns {Promise<number|null>} - The page number, or null for a document not read before.
+ */
+export const loadLastReadPage = async (documentKey) => {
+    await pendingWrite;
+    const positions = await loadReadingPositions();
+    const position = positions.find(entry => entry.documentKey === documentKey);
+    return position ? position.page : null;
+};
+
+/**
+ * Remembers the page the user is reading, keeping the positions of the last MAX_READING_POSITIONS documents.
+ * @param {string} documentKey - The document's download key.
+ * @param {number} page - The page number, starting at 1.
+ * @returns {Promise<void>}
+ */
+export const saveLastReadPage = (documentKey, page) => {
+    pendingWrite = pendingWrite.then(async () => {
+        const positions = await loadReadingPositions();
+        const nextPositions = [
+            { documentKey, page, readAt: new Date().toISOString() },
+            ...positions.filter(entry => entry.documentKey !== documentKey),
+        ].slice(0, MAX_READING_POSITIONS);
+        try {
+            await AsyncStorage.setItem(READING_POSITIONS_STORAGE_KEY, JSON.stringify(nextPositions));
+        } catch (e) {
+            console.error('Failed to save reading positions to AsyncStorage:', e);
+        }
+    });
+    return pendingWrite;
+};
+
+/**
+ * Forgets every reading position, when the user signs out or another user logs in.
+ * Runs after the writes already under way, so none of them stores the positions again.
+ * @returns {Promise<void>}
+ */
+export const clearReadingPositions = () => {
+    pendingWrite = pendingWrite.then(async () => {
+        try {
+            await AsyncStorage.removeItem(READING_POSITIONS_STORAGE_KEY);
+        } catch (e) {
+            console.error('Failed to remove reading positions from AsyncStorage:', e);
+        }
+    });
+    return pendingWrite;
+};
@@ -0,0 +1,221 @@
+// DMSApp/services/SavedSearchService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { formatApiDate } from '../utils/format';
+
+const SAVED_SEARCHES_STORAGE_KEY = 'savedSearches';
+const SEARCH_HISTORY_STORAGE_KEY = 'searchHistory';
+const MAX_HISTORY_ENTRIES = 20;
+
+/**
+ * Relative date ranges, resolved against today's date each time a search runs
+ * so that a saved search stays current.
+ */
+export const DATE_RANGE_PRESETS = {
+    TODAY: 'today',
+    LAST_7_DAYS: 'last7Days',
+    LAST_30_DAYS: 'last30Days',
+    THIS_MONTH: 'thisMonth',
+    LAST_MONTH: 'lastMonth',
+    THIS_YEAR: 'thisYear',
+};
+
+export const DATE_RANGE_PRESET_LABELS = {
+    [DATE_RANGE_PRESETS.TODAY]: 'Today',
+    [DATE_RANGE_PRESETS.LAST_7_DAYS]: 'Last 7 days',
+    [DATE_RANGE_PRESETS.LAST_30_DAYS]: 'Last 30 days',
+    [DATE_RANGE_PRESETS.THIS_MONTH]: 'This month',
+    [DATE_RANGE_PRESETS.LAST_MONTH]: 'Last month',
+    [DATE_RANGE_PRESETS.THIS_YEAR]: 'This year',
+};
+
+/**
+ * Turns a date range preset into concrete dates.
+ * @param {string} preset - One of DATE_RANGE_PRESETS.
+ * @param {Date} today - The reference date, now by default.
+ * @returns {{ fromDate: Date, toDate: Date }|null} - Local-midnight dates, or null for an unknown preset.
+ */
+export const resolveDateRange = (preset, today = new Date()) => {
+    const year = today.getFullYear();
+    const month = today.getMonth();
+    const date = today.getDate();
+    switch (preset) {
+        case DATE_RANGE_PRESETS.TODAY:
+            return { fromDate: new Date(year, month, date), toDate: new Date(year, month, date) };
+        case DATE_RANGE_PRESETS.LAST_7_DAYS:
+            return { fromDate: new Date(year, month, date - 6), toDate: new Date(year, month, date) };
+        case DATE_RANGE_PRESETS.LAST_30_DAYS:
+            return { fromDate: new Date(year, month, date - 29), toDate: new Date(year, month, date) };
+        case DATE_RANGE_PRESETS.THIS_MONTH:
+            return { fromDate: new Date(year, month, 1), toDate: new Date(year, month + 1, 0) };
+        case DATE_RANGE_PRESETS.LAST_MONTH:
+            return { fromDate: new Date(year, month - 1, 1), toDate: new Date(year, month, 0) };
+        case DATE_RANGE_PRESETS.THIS_YEAR:
+            return { fromDate: new Date(year, 0, 1), toDate: new Date(year, 11, 31) };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Returns the filters of a search in the form they are stored.
+ * Dates are kept as YYYY-MM-DD strings, or replaced by the preset when a relative range is used.
+ * @param {object} filters - { majorHead, minorHead, tags, query, uploadedBy, datePreset, fromDate, toDate, allVersions }.
+ * @returns {object}
+ */
+export const toStoredFilters = ({ majorHead, minorHead, tags, query, uploadedBy, datePreset, fromDate, toDate, allVersions }) => ({
+    majorHead: majorHead || '',
+    minorHead: minorHead || '',
+    tags: tags || [],
+    query: (query || '').trim(),
+    uploadedBy: uploadedBy || '',
+    datePreset: datePreset || '',
+    fromDate: !datePreset && fromDate ? formatApiDate(fromDate) : '',
+    toDate: !datePreset && toDate ? formatApiDate(toDate) : '',
+    allVersions: !!allVersions, // Include versions replaced by a newer upload
+});
+
+/**
+ * Builds a short human readable summary of stored filters, e.g.
+ * "Professional / Accounts, tag invoice, This month".
+ * @param {object} filters - Filters returned by toStoredFilters.
+ * @returns {string}
+ */
+export const describeFilters = (filters) => {
+    const parts = [];
+    if (filters.majorHead) {
+        parts.push(filters.minorHead ? `${filters.majorHead} / ${filters.minorHead}` : filters.majorHead);
+    }
+    if (filters.query) {
+        parts.push(`"${filters.query}"`);
+    }
+    if (filters.tags.length > 0) {
+        parts.push(`${filters.tags.length === 1 ? 'tag' : 'tags'} ${filters.tags.join(', ')}`);
+    }
+    if (filters.datePreset) {
+        parts.push(DATE_RANGE_PRESET_LABELS[filters.datePreset] || filters.datePreset);
+    } else if (filters.fromDate || filters.toDate) {
+        parts.push(`${filters.fromDate || '...'} to ${filters.toDate || '...'}`);
+    }
+    if (filters.uploadedBy) {
+        parts.push('uploaded by me');
+    }
+    if (filters.allVersions) {
+        parts.push('all versions');
+    }
+    return parts.length > 0 ? parts.join(', ') : 'All documents';
+};
+
+/**
+ * Tells whether two stored filter sets search for the same thing.
+ */
+const isSameSearch = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Reads a JSON list from AsyncStorage.
+ * @param {string} key - The storage key.
+ */
+const loadList = async (key) => {
+    try {
+        const storedList = await AsyncStorage.getItem(key);
+        return storedList ? JSON.parse(storedList) : [];
+    } catch (e) {
+        console.error(`Failed to load ${key} from AsyncStorage:`, e);
+        return [];
+    }
+};
+
+/**
+ * Writes a JSON list to AsyncStorage.
+ * @param {string} key - The storage key.
+ * @param {Array<object>} list - The list to store.
+ */
+const saveList = async (key, list) => {
+    try {
+        await AsyncStorage.setItem(key, JSON.stringify(list));
+    } catch (e) {
+        console.error(`Failed to save ${key} to AsyncStorage:`, e);
+    }
+};
+
+/**
+ * Loads the named searches saved on this device.
+ * @returns {Promise<Array<object>>} - [{ id, name, filters, createdAt }], in the order they were saved.
+ */
+export const loadSavedSearches = () => loadList(SAVED_SEARCHES_STORAGE_KEY);
+
+/**
+ * Saves the given filters under a name. A saved search with the same name is replaced.
+ * @param {string} name - The name shown on the Home and Search screens.
+ * @param {object} filters - Filters returned by toStoredFilters.
+ * @returns {Promise<Array<object>>} - The updated list of saved searches.
+ */
+export const saveSearch = async (name, filters) => {
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+        throw new Error('Please enter a name for this search.');
+    }
+    const savedSearches = await loadSavedSearches();
+    const existing = savedSearches.find(item => item.name.toLowerCase() === trimmedName.toLowerCase());
+    const savedSearch = {
+        id: existing ? existing.id : `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: trimmedName,
+        filters,
+        createdAt: new Date().toISOString(),
+    };
+    const nextSearches = existing
+        ? savedSearches.map(item => (item.id === existing.id ? savedSearch : item))
+        : [...savedSearches, savedSearch];
+    await saveList(SAVED_SEARCHES_STORAGE_KEY, nextSearches);
+    return nextSearches;
+};
+
+/**
+ * Deletes a saved search.
+ * @param {string} id - The saved search ID.
+ * @returns {Promise<Array<object>>} - The updated list of saved searches.
+ */
+export const deleteSavedSearch = async (id) => {
+    const nextSearches = (await loadSavedSearches()).filter(item => item.id !== id);
+    await saveList(SAVED_SEARCHES_STORAGE_KEY, nextSearches);
+    return nextSearches;
+};
+
+/**
+ * Loads the most recent searches, newest first.
+ * @returns {Promise<Array<object>>} - [{ filters, searchedAt }]
+ */
+export const loadSearchHistory = () => loadList(SEARCH_HISTORY_STORAGE_KEY);
+
+/**
+ * Records a search in the history, keeping the last MAX_HISTORY_ENTRIES distinct searches.
+ * Searching as the user types would otherwise record every partial query ("inv", "invoi", "invoice"),
+ * so a search that only extends or shortens the previous query replaces it.
+ * @param {object} filters - Filters returned by toStoredFilters.
+ * @returns {Promise<Array<object>>} - The updated history.
+ */
+export const addToSearchHistory = async (filters) => {
+    const history = await loadSearchHistory();
+    const [latest] = history;
+    const refinesLatest = latest
+        && isSameSearch({ ...latest.filters, query: '' }, { ...filters, query: '' })
+        && (latest.filters.query.startsWith(filters.query) || filters.query.startsWith(latest.filters.query));
+    const nextHistory = [
+        { filters, searchedAt: new Date().toISOString() },
+        ...history.filter((entry, index) => !(refinesLatest && index === 0) && !isSameSearch(entry.filters, filters)),
+    ].slice(0, MAX_HISTORY_ENTRIES);
+    await saveList(SEARCH_HISTORY_STORAGE_KEY, nextHistory);
+    return nextHistory;
+};
+
+/**
+ * Clears the search history.
+ */
+export const clearSearchHistory = () => saveList(SEARCH_HISTORY_STORAGE_KEY, []);
+
+/**
+ * Removes the saved searches and the history, when the user signs out or another user logs in:
+ * their queries and uploader IDs belong to that user.
+ */
+export const clearSavedSearches = async () => {
+    await AsyncStorage.multiRemove([SAVED_SEARCHES_STORAGE_KEY, SEARCH_HISTORY_STORAGE_KEY]);
+};
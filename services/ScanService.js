@@ -0,0 +1,129 @@
+// DMSApp/services/ScanService.js
+import RNFS from 'react-native-fs';
+import ImagePicker from 'react-native-image-crop-picker';
+import ImageResizer from '@bam.tech/react-native-image-resizer';
+import { createPdf } from 'react-native-images-to-pdf';
+
+// Assembled PDFs only need to live until they are uploaded (queued uploads keep their own copy)
+const SCAN_DIRECTORY = `${RNFS.CachesDirectoryPath}/scans`;
+
+// Page size of the assembled PDF, A4 in PDF points; pages are fitted inside it
+const PDF_PAGE_WIDTH = 595;
+const PDF_PAGE_HEIGHT = 842;
+
+const PAGE_QUALITY = 85; // JPEG quality used when a page is rotated (0-100)
+
+/**
+ * Tells whether an error means the user closed the camera or cropper.
+ * @param {Error} error - The error thrown by react-native-image-crop-picker.
+ */
+const isCancellation = (error) => error && error.code === 'E_PICKER_CANCELLED';
+
+/**
+ * Wraps an image returned by the camera, cropper or resizer into a scanned page.
+ * @param {object} image - { path, width, height }.
+ */
+const toPage = (image) => ({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    path: image.path.startsWith('file://') ? image.path : `file://${image.path}`,
+    width: image.width,
+    height: image.height,
+});
+
+/**
+ * Opens the camera to capture one page.
+ * @returns {Promise<object|null>} - The page { id, path, width, height }, or null if the user cancelled.
+ */
+export const capturePage = async () => {
+    try {
+        const image = await ImagePicker.openCamera({
+            mediaType: 'photo',
+            compressImageQuality: 0.8, // Keeps small print readable, resizing happens before upload
+        });
+        return toPage(image);
+    } catch (error) {
+        if (isCancellation(error)) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Lets the user crop a page, e.g. to cut off the table around a sheet of paper.
+ * @param {object} page - The page to crop.
+ * @returns {Promise<object|null>} - The cropped page, or null if the user cancelled.
+ */
+export const cropPage = async (page) => {
+    try {
+        const image = await ImagePicker.openCropper({
+            path: page.path,
+            mediaType: 'photo',
+            freeStyleCropEnabled: true, // Pages are not a fixed aspect ratio
+        });
+        return toPage(image);
+    } catch (error) {
+        if (isCancellation(error)) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Rotates a page clockwise by a quarter turn.
+ * @param {object} page - The page to rotate.
+ * @returns {Promise<object>} - The rotated page.
+ */
+export const rotatePage = async (page) => {
+    const rotated = await ImageResizer.createResizedImage(page.path, page.width, page.height, 'JPEG', PAGE_QUALITY, 90);
+    // Resizing to the page's own size only re-encodes it; the result reports the rotated width and height
+    return toPage({ path: rotated.uri || rotated.path, width: rotated.width, height: rotated.height });
+};
+
+/**
+ * Combines the pages, in order, into one PDF on the device.
+ * @param {Array<object>} pages - The scanned pages.
+ * @param {string} name - File name of the PDF, without extension.
+ * @returns {Promise<object>} - The PDF as a file ({ uri, name, type }) ready for uploadDocument.
+ */
+export const buildPdfFromPages = async (pages, name) => {
+    if (pages.length === 0) {
+        throw new Error('Scan at least one page first.');
+    }
+    await RNFS.mkdir(SCAN_DIRECTORY);
+    const fileName = `${name.trim().replace(/[\\/:*?"<>|]/g, '_') || `Scan_${Date.now()}`}.pdf`;
+    const outputPath = `${SCAN_DIRECTORY}/${Date.now()}-${fileName}`;
+    const pdfPath = await createPdf({
+        outputPath: `file://${outputPath}`,
+        pages: pages.map(page => ({
+            imagePath: page.path,
+            imageFit: 'contain',
+            width: PDF_PAGE_WIDTH,
+            height: PDF_PAGE_HEIGHT,
+            backgroundColor: 'white',
+        })),
+    });
+    return {
+        uri: pdfPath.startsWith('file://') ? pdfPath : `file://${pdfPath}`,
+        name: fileName,
+        type: 'application/pdf',
+    };
+};
+
+/**
+ * Deletes the temporary images of scanned pages.
+ * @param {Array<object>} pages - The pages to delete.
+ */
+export const discardPages = async (pages) => {
+    await Promise.all(pages.map(page => RNFS.unlink(page.path.replace('file://', '')).catch(() => {})));
+};
+
+/**
+ * Suggests a name for a new scan, e.g. "Scan 2024-05-01 14.30".
+ * @param {Date} date - When the scan was made, now by default.
+ */
+export const getDefaultScanName = (date = new Date()) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `Scan ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}.${pad(date.getMinutes())}`;
+};
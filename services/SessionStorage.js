@@ -0,0 +1,109 @@
+// DMSApp/services/SessionStorage.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+
+// The session is kept in the iOS Keychain / Android Keystore, readable only while the device is unlocked
+const SESSION_KEYCHAIN_SERVICE = 'DMSApp.session';
+const KEYCHAIN_OPTIONS = {
+    service: SESSION_KEYCHAIN_SERVICE,
+    accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+// Keys older versions of the app used to store the session in plain AsyncStorage
+const LEGACY_STORAGE_KEYS = ['userToken', 'userProfile'];
+
+// Who was signed in when the session last expired, see saveExpiredUser
+const EXPIRED_USER_STORAGE_KEY = 'expiredSessionUser';
+
+let cachedSession; // undefined until read, then { token, profile } or null
+
+/**
+ * Moves a session stored by an older version of the app out of AsyncStorage.
+ * @returns {Promise<object|null>} - { token, profile }, or null if there was none.
+ */
+const migrateLegacySession = async () => {
+    const [token, storedProfile] = await Promise.all(LEGACY_STORAGE_KEYS.map(key => AsyncStorage.getItem(key)));
+    if (!token) {
+        return null;
+    }
+    const session = { token, profile: storedProfile ? JSON.parse(storedProfile) : null };
+    await saveSession(session.token, session.profile);
+    await AsyncStorage.multiRemove(LEGACY_STORAGE_KEYS);
+    return session;
+};
+
+/**
+ * Loads the signed-in user's token and profile from secure storage.
+ * The result is kept in memory, so requests don't each go to the keychain.
+ * @returns {Promise<object|null>} - { token, profile }, or null if nobody is signed in.
+ */
+export const loadSession = async () => {
+    if (cachedSession !== undefined) {
+        return cachedSession;
+    }
+    const credentials = await Keychain.getGenericPassword({ service: SESSION_KEYCHAIN_SERVICE });
+    cachedSession = credentials ? JSON.parse(credentials.password) : await migrateLegacySession();
+    return cachedSession;
+};
+
+/**
+ * Returns the stored user token.
+ * @returns {Promise<string|null>}
+ */
+export const getStoredToken = async () => {
+    const session = await loadSession();
+    return session ? session.token : null;
+};
+
+/**
+ * Stores the user token and profile in secure storage.
+ * @param {string} token - The authentication token.
+ * @param {object|null} profile - The user profile built by extractUserProfile.
+ */
+export const saveSession = async (token, profile) => {
+    const session = { token, profile };
+    const result = await Keychain.setGenericPassword('session', JSON.stringify(session), KEYCHAIN_OPTIONS);
+    if (!result) {
+        throw new Error('The session could not be stored securely on this device.');
+    }
+    cachedSession = session;
+};
+
+/**
+ * Removes the stored session, including any copy left by an older version of the app.
+ */
+export const clearSession = async () => {
+    cachedSession = null;
+    await Promise.all([
+        Keychain.resetGenericPassword({ service: SESSION_KEYCHAIN_SERVICE }),
+        AsyncStorage.multiRemove(LEGACY_STORAGE_KEYS),
+    ]);
+};
+
+/**
+ * Remembers whose session expired, so the data kept on the device for them survives until it is clear
+ * whether the same user logs in again. Kept in AsyncStorage: it is not a secret and must outlast the session.
+ * @param {object|null} profile - The profile of the expired session.
+ */
+export const saveExpiredUser = async (profile) => {
+    if (!profile) {
+        return;
+    }
+    await AsyncStorage.setItem(EXPIRED_USER_STORAGE_KEY, JSON.stringify({ id: profile.id, mobileNumber: profile.mobileNumber }));
+};
+
+/**
+ * Returns the user whose session expired last, see saveExpiredUser.
+ * @returns {Promise<object|null>} - { id, mobileNumber }, or null if nobody's session is waiting for a new login.
+ */
+export const loadExpiredUser = async () => {
+    const storedUser = await AsyncStorage.getItem(EXPIRED_USER_STORAGE_KEY);
+    return storedUser ? JSON.parse(storedUser) : null;
+};
+
+/**
+ * Forgets the user whose session expired, once someone has logged in or signed out.
+ */
+export const clearExpiredUser = async () => {
+    await AsyncStorage.removeItem(EXPIRED_USER_STORAGE_KEY);
+};
@@ -0,0 +1,74 @@
+// DMSApp/services/ShareIntentService.js
+import ReceiveSharingIntent from 'react-native-receive-sharing-intent';
+
+// URL scheme the iOS share extension opens the app with, registered in ios/DMSApp/Info.plist
+const SHARE_URL_SCHEME = 'DMSAppShare';
+
+let isRegistered = false;
+let currentListener = null;
+let pendingFiles = []; // Files shared while nobody was listening, e.g. before sign-in
+
+/**
+ * Converts a file shared by another app to the { uri, name, type } shape of picked files.
+ * Shared text and links carry no file and are left out.
+ * @param {object} sharedFile - { filePath, contentUri, fileName, mimeType }.
+ * @returns {object|null}
+ */
+const toPickedFile = (sharedFile) => {
+    const path = sharedFile.filePath || sharedFile.contentUri;
+    if (!path) {
+        return null;
+    }
+    return {
+        uri: path.startsWith('/') ? `file://${path}` : path,
+        name: sharedFile.fileName || path.split('/').pop(),
+        // On iOS the library reports the extension (".pdf") here; the type is then guessed from the name
+        type: sharedFile.mimeType?.includes('/') ? sharedFile.mimeType : undefined,
+    };
+};
+
+/**
+ * Delivers shared files to the listener, or keeps them until one is registered.
+ * @param {Array<object>} files - Files in the picked-file shape.
+ */
+const deliverFiles = (files) => {
+    if (files.length === 0) {
+        return;
+    }
+    if (currentListener) {
+        currentListener(files);
+    } else {
+        pendingFiles = [...pendingFiles, ...files];
+    }
+};
+
+/**
+ * Listens for images and PDFs shared to the app from another app's share sheet, both the share that
+ * launched the app and later ones. The file types are checked when the files are prepared for upload.
+ * On Android the share targets are declared in AndroidManifest.xml. On iOS the DMSAppShareExtension
+ * target copies the files into the app group shared with the app and opens it with a DMSAppShare:// URL.
+ * @param {function} onFiles - Called with the shared files ({ uri, name, type }).
+ * @returns {function} - Stops listening; later shares wait for the next listener.
+ */
+export const listenForSharedFiles = (onFiles) => {
+    currentListener = onFiles;
+    if (!isRegistered) {
+        // The library cannot remove its handlers, so they are registered once for the app's lifetime
+        isRegistered = true;
+        ReceiveSharingIntent.getReceivedFiles(
+            sharedFiles => deliverFiles((sharedFiles || []).map(toPickedFile).filter(Boolean)),
+            error => console.warn('Failed to read shared files:', error),
+            SHARE_URL_SCHEME
+        );
+    }
+    if (pendingFiles.length > 0) {
+        const files = pendingFiles;
+        pendingFiles = [];
+        onFiles(files);
+    }
+    return () => {
+        if (currentListener === onFiles) {
+            currentListener = null;
+        }
+    };
+};
@@ -0,0 +1,129 @@
+// DMSApp/services/TagService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fetchDocumentTags } from './DocumentService';
+
+const TAG_USAGE_STORAGE_KEY = 'tagUsage';
+const MAX_TRACKED_TAGS = 200; // Least used tags are forgotten beyond this
+
+/**
+ * Trims a tag and collapses inner whitespace, so "  tax   2024 " becomes "tax 2024".
+ * @param {string} tag - The tag as typed or received.
+ * @returns {string}
+ */
+export const normalizeTag = (tag) => String(tag || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Returns the key two tags are compared by: "Invoice" and "invoice " are the same tag.
+ * @param {string} tag - The tag.
+ * @returns {string}
+ */
+export const getTagKey = (tag) => normalizeTag(tag).toLowerCase();
+
+/**
+ * Adds a tag to a list unless the list already has it in any spelling.
+ * @param {Array<string>} tags - The current tags.
+ * @param {string} tag - The tag to add.
+ * @returns {Array<string>} - The new list, or the same list if nothing was added.
+ */
+export const addTag = (tags, tag) => {
+    const normalizedTag = normalizeTag(tag);
+    if (!normalizedTag || tags.some(existing => getTagKey(existing) === getTagKey(normalizedTag))) {
+        return tags;
+    }
+    return [...tags, normalizedTag];
+};
+
+/**
+ * Removes duplicates (in any spelling) and empty entries from a list of tags, keeping the first spelling.
+ * @param {Array<string>} tags - The tags.
+ * @returns {Array<string>}
+ */
+export const uniqueTags = (tags) => tags.reduce(addTag, []);
+
+/**
+ * Loads how often each tag was used on this device.
+ * @returns {Promise<object>} - { [tagKey]: { tag, count, lastUsedAt } }
+ */
+export const loadTagUsage = async () => {
+    try {
+        const storedUsage = await AsyncStorage.getItem(TAG_USAGE_STORAGE_KEY);
+        return storedUsage ? JSON.parse(storedUsage) : {};
+    } catch (e) {
+        console.error('Failed to load tag usage from AsyncStorage:', e);
+        return {};
+    }
+};
+
+/**
+ * Counts one more use of each tag, e.g. when a document is uploaded or edited with them.
+ * @param {Array<string>} tags - The tags used.
+ */
+export const recordTagUsage = async (tags) => {
+    if (!tags.length) {
+        return;
+    }
+    try {
+        const usage = await loadTagUsage();
+        const now = new Date().toISOString();
+        uniqueTags(tags).forEach(tag => {
+            const key = getTagKey(tag);
+            usage[key] = { tag, count: (usage[key]?.count || 0) + 1, lastUsedAt: now };
+        });
+        const keys = Object.keys(usage);
+        if (keys.length > MAX_TRACKED_TAGS) {
+            keys
+                .sort((a, b) => usage[a].count - usage[b].count || usage[a].lastUsedAt.localeCompare(usage[b].lastUsedAt))
+                .slice(0, keys.length - MAX_TRACKED_TAGS)
+                .forEach(key => delete usage[key]);
+        }
+        await AsyncStorage.setItem(TAG_USAGE_STORAGE_KEY, JSON.stringify(usage));
+    } catch (e) {
+        console.error('Failed to save tag usage to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Forgets the tag counts, when the user signs out or another user logs in, so the next user's
+ * suggestions are not ranked by this user's tags.
+ */
+export const clearTagUsage = async () => {
+    await AsyncStorage.removeItem(TAG_USAGE_STORAGE_KEY);
+};
+
+/**
+ * Orders tag suggestions: the user's most used tags first, then alphabetically.
+ * Tags already selected are left out, as are duplicate spellings.
+ * @param {Array<string>} candidates - The suggested tags.
+ * @param {object} usage - The result of loadTagUsage.
+ * @param {Array<string>} selectedTags - Tags already chosen.
+ * @returns {Array<string>}
+ */
+export const rankTags = (candidates, usage, selectedTags = []) => {
+    const selectedKeys = new Set(selectedTags.map(getTagKey));
+    return uniqueTags(candidates)
+        .filter(tag => !selectedKeys.has(getTagKey(tag)))
+        .sort((a, b) => (usage[getTagKey(b)]?.count || 0) - (usage[getTagKey(a)]?.count || 0) || a.localeCompare(b));
+};
+
+/**
+ * Returns the tags the user used most, most used first.
+ * @param {object} usage - The result of loadTagUsage.
+ * @param {number} limit - The maximum number of tags.
+ * @returns {Array<string>}
+ */
+export const getMostUsedTags = (usage, limit) => rankTags(Object.values(usage).map(entry => entry.tag), usage).slice(0, limit);
+
+/**
+ * Asks the server for tags matching a typed term.
+ * @param {string} term - What the user typed.
+ * @param {object} options - Optional request options.
+ * @param {AbortSignal} options.signal - Aborts the request once the user types further.
+ * @returns {Promise<Array<string>>} - The matching tag names, normalized.
+ */
+export const searchTags = async (term, { signal } = {}) => {
+    const response = await fetchDocumentTags(normalizeTag(term), { signal });
+    if (!response.success || !Array.isArray(response.data)) {
+        throw new Error(response.message || 'Failed to fetch tags.');
+    }
+    return uniqueTags(response.data.map(tag => tag.tag_name));
+};
@@ -0,0 +1,160 @@
+// DMSApp/services/UploadQueueService.js
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import RNFS from 'react-native-fs';
+import { isRetryableError } from './ApiClient';
+
+const QUEUE_STORAGE_KEY = 'uploadQueue';
+// Queued files are copied here so they survive the picker/camera cache being cleared
+const QUEUE_DIRECTORY = `${RNFS.DocumentDirectoryPath}/upload-queue`;
+
+const BASE_RETRY_DELAY_MS = 15 * 1000; // First automatic retry after 15 seconds
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000; // Never wait longer than 30 minutes between retries
+
+/**
+ * Possible states of a queued upload.
+ * - pending: waiting to be (re)sent automatically.
+ * - uploading: currently being sent.
+ * - failed: rejected by the server for a reason retrying won't fix; needs user action.
+ */
+export const QUEUE_STATUS = {
+    PENDING: 'pending',
+    UPLOADING: 'uploading',
+    FAILED: 'failed',
+};
+
+/**
+ * Strips the file:// scheme so the path can be used with react-native-fs.
+ * content:// URIs are left untouched, RNFS resolves them through the content resolver on Android.
+ * @param {string} uri - The file URI.
+ */
+const toFilePath = (uri) => (uri.startsWith('file://') ? decodeURIComponent(uri.replace('file://', '')) : uri);
+
+/**
+ * Loads the persisted upload queue from AsyncStorage.
+ * @returns {Promise<Array<object>>} - The queued uploads, oldest first.
+ */
+export const loadQueue = async () => {
+    try {
+        const storedQueue = await AsyncStorage.getItem(QUEUE_STORAGE_KEY);
+        const queue = storedQueue ? JSON.parse(storedQueue) : [];
+        // An upload interrupted by the app being killed is still pending, not uploading
+        return queue.map(item => (
+            item.status === QUEUE_STATUS.UPLOADING ? { ...item, status: QUEUE_STATUS.PENDING } : item
+        ));
+    } catch (e) {
+        console.error('Failed to load upload queue from AsyncStorage:', e);
+        return [];
+    }
+};
+
+/**
+ * Persists the upload queue to AsyncStorage.
+ * @param {Array<object>} queue - The queued uploads to store.
+ */
+export const saveQueue = async (queue) => {
+    try {
+        await AsyncStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    } catch (e) {
+        console.error('Failed to save upload queue to AsyncStorage:', e);
+    }
+};
+
+/**
+ * Copies a picked file into the app's queue directory so it is still readable when the retry happens.
+ * Falls back to the original URI if the copy fails.
+ * @param {string} id - The queue item ID, used to keep copied file names unique.
+ * @param {object} file - The selected file ({ uri, name, type }).
+ * @returns {Promise<string>} - The URI to upload from.
+ */
+const persistQueuedFile = async (id, file) => {
+    try {
+        await RNFS.mkdir(QUEUE_DIRECTORY);
+        const safeName = (file.name || 'document').replace(/[^\w.-]/g, '_');
+        const destination = `${QUEUE_DIRECTORY}/${id}-${safeName}`;
+        await RNFS.copyFile(toFilePath(file.uri), destination);
+        return `file://${destination}`;
+    } catch (e) {
+        console.warn('Failed to copy file into upload queue, keeping original URI:', e);
+        return file.uri;
+    }
+};
+
+/**
+ * Creates a new queue item for a document that could not be uploaded.
+ * @param {object} file - The selected file ({ uri, name, type, hash }).
+ * @param {object} documentData - The full metadata payload passed to uploadDocument.
+ * @returns {Promise<object>} - The queue item, ready to be added to the queue.
+ */
+export const createQueueItem = async (file, documentData) => {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const uri = await persistQueuedFile(id, file);
+    return {
+        id,
+        file: { uri, name: file.name, type: file.type, hash: file.hash || null },
+        documentData,
+        status: QUEUE_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString(),
+    };
+};
+
+/**
+ * Replaces the file of an existing queue item, removing the previously queued copy.
+ * @param {object} item - The queue item being edited.
+ * @param {object} file - The newly selected file ({ uri, name, type }).
+ * @returns {Promise<object>} - The queued file descriptor to store on the item.
+ */
+export const replaceQueuedFile = async (item, file) => {
+    if (file.uri === item.file.uri) {
+        return item.file;
+    }
+    await removeQueuedFile(item);
+    const uri = await persistQueuedFile(item.id, file);
+    return { uri, name: file.name, type: file.type, hash: file.hash || null };
+};
+
+/**
+ * Deletes the queue's copy of a file once it is no longer needed (uploaded or cancelled).
+ * @param {object} item - The queue item whose file should be removed.
+ */
+export const removeQueuedFile = async (item) => {
+    const path = toFilePath(item.file.uri);
+    if (!path.startsWith(QUEUE_DIRECTORY)) {
+        return; // Not our copy, leave it alone
+    }
+    try {
+        if (await RNFS.exists(path)) {
+            await RNFS.unlink(path);
+        }
+    } catch (e) {
+        console.warn('Failed to remove queued file:', e);
+    }
+};
+
+/**
+ * Removes every queued file copy, when the user who queued them signs out or another user logs in.
+ * The queue itself is emptied by UploadQueueContext.
+ */
+export const clearQueuedFiles = async () => {
+    if (await RNFS.exists(QUEUE_DIRECTORY)) {
+        await RNFS.unlink(QUEUE_DIRECTORY); // Removes the directory with its content
+    }
+};
+
+/**
+ * Decides whether a failed upload should be queued and retried automatically.
+ * Network failures (including timeouts) and server errors are transient; anything else,
+ * like a validation error, would fail again with the same payload.
+ * @param {Error} error - The error thrown by uploadDocument.
+ * @returns {boolean}
+ */
+export const isRetryableUploadError = (error) => isRetryableError(error);
+
+/**
+ * Calculates the exponential backoff delay before the next automatic retry.
+ * @param {number} attempts - The number of attempts made so far.
+ * @returns {number} - The delay in milliseconds.
+ */
+export const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
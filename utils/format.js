@@ -0,0 +1,48 @@
+// DMSApp/utils/format.js
+
+/**
+ * Formats a byte count for display, e.g. 1536 -> "1.5 KB".
+ * @param {number} bytes - The size in bytes.
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+    if (!bytes && bytes !== 0) {
+        return 'Unknown size';
+    }
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unitIndex = 0;
+    while (size >= 1024 && unitIndex < units.length - 1) {
+        size /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? size : size.toFixed(1)} ${units[unitIndex]}`;
+};
+
+/**
+ * Formats a date as YYYY-MM-DD in the device's time zone, the format the API expects for dates.
+ * @param {Date} date - The date to format.
+ * @returns {string}
+ */
+export const formatApiDate = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * Parses a YYYY-MM-DD date as local midnight (new Date('YYYY-MM-DD') would use UTC).
+ * @param {string} value - The date string.
+ * @returns {Date|null}
+ */
+export const parseApiDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+};
+
+/**
+ * Formats a number of seconds as a countdown, e.g. 75 -> "1:15".
+ * @param {number} seconds - The seconds left.
+ * @returns {string}
+ */
+export const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
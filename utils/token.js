@@ -0,0 +1,34 @@
+// DMSApp/utils/token.js
+
+/**
+ * Decodes the payload of a JWT without verifying it (verification is the server's job).
+ * @param {string} token - The token returned by validateOTP.
+ * @returns {object|null} - The payload claims, or null if the token is not a JWT.
+ */
+export const decodeTokenPayload = (token) => {
+    try {
+        const [, payload] = (token || '').split('.');
+        if (!payload) {
+            return null;
+        }
+        // JWTs use unpadded base64url, atob expects padded base64
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+        const json = decodeURIComponent(
+            global.atob(base64).split('').map(char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+        );
+        return JSON.parse(json);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Tells whether a token is past its expiry time.
+ * Only JWTs carrying an `exp` claim can be checked; other tokens are assumed valid until the server rejects them.
+ * @param {string} token - The stored user token.
+ * @returns {boolean}
+ */
+export const isTokenExpired = (token) => {
+    const claims = decodeTokenPayload(token);
+    return !!claims && typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now();
+};